@@ -47,10 +47,279 @@ const DEFAULT_LINE_STYLES = {
     curveLineStyle: 'solid',
     enthalpyLineStyle: 'dotted',
     wetBulbLineStyle: 'dotted',
+    specificVolumeLineStyle: 'dashdot',
+    dewPointLineStyle: 'dashed',
+    absoluteHumidityLineStyle: 'dotted',
     comfortLineStyle: 'solid',
     pointLineStyle: 'dashed',
 };
 
+/**
+ * Formulations de la pression de vapeur saturante, dans l'ordre proposé par l'éditeur.
+ *   magnus        : Magnus-Tetens au-dessus de l'eau, à toute température (historique)
+ *   magnus_ice    : Magnus au-dessus de l'eau, au-dessus de la glace sous 0 °C
+ *   hyland_wexler : Hyland-Wexler, celle des tables ASHRAE 2017 (glace sous 0 °C)
+ */
+const SATURATION_FORMULAS = ['magnus', 'magnus_ice', 'hyland_wexler'];
+
+/**
+ * Grandeurs d'état acceptées par `solveState`, par ordre de préférence : quand plus
+ * de deux sont connues, ce sont les deux premières de cette liste qui définissent
+ * l'état — la température sèche d'abord, mesurée directement par presque tous les
+ * capteurs.
+ */
+const STATE_PROPERTIES = [
+    'temp', 'humidity', 'dewPoint', 'wetBulb', 'waterContent', 'enthalpy', 'absoluteHumidity',
+];
+
+/**
+ * Clés de configuration d'un point, et grandeur d'état que chacune fournit au solveur.
+ * Partagées avec l'éditeur, qui en tire ses sélecteurs d'entités : une source
+ * proposée dans l'éditeur est forcément lue par la carte.
+ */
+const POINT_SOURCES = {
+    temp: 'temp',
+    humidity: 'humidity',
+    dew_point: 'dewPoint',
+    wet_bulb: 'wetBulb',
+    humidity_ratio: 'waterContent',
+    enthalpy: 'enthalpy',
+    absolute_humidity: 'absoluteHumidity',
+};
+
+/**
+ * Paires qui ne définissent pas un état : elles fixent toutes deux la teneur en eau,
+ * ou suivent des lignes quasi confondues sur le diagramme (iso-temp. humide et
+ * iso-enthalpie ne diffèrent que de l'enthalpie de l'eau, ~0.5 %).
+ */
+const DEGENERATE_STATE_PAIRS = [['dewPoint', 'waterContent'], ['wetBulb', 'enthalpy']];
+
+/**
+ * Étapes de traitement d'air reconnues par `calculateProcessStep`, dans l'ordre de
+ * l'éditeur.
+ *   heating / cooling : échange sensible, teneur en eau constante
+ *   cooling_coil      : batterie froide, point de rosée d'appareil et facteur de bypass
+ *   adiabatic         : humidification adiabatique, le long de la temp. humide
+ *   steam             : humidification vapeur, à température sèche constante
+ */
+const PROCESS_TYPES = ['heating', 'cooling', 'cooling_coil', 'adiabatic', 'steam'];
+
+/**
+ * Modèles de confort adaptatif : température de confort `slope · θrm + intercept`,
+ * et écarts admis sous / au-dessus de celle-ci pour chaque catégorie.
+ * Hors de `upperRange` / `lowerRange`, la moyenne glissante extérieure est bornée à
+ * la plage de validité de la norme plutôt que la droite extrapolée.
+ *   en16798 : EN 16798-1, catégories I, II, III
+ *   ashrae55 : ASHRAE 55, acceptabilité 90 % et 80 %
+ */
+const ADAPTIVE_COMFORT_STANDARDS = {
+    en16798: {
+        slope: 0.33,
+        intercept: 18.8,
+        upperRange: [10, 30],
+        lowerRange: [15, 30],
+        categories: { I: [-3, 2], II: [-4, 3], III: [-5, 4] },
+        defaultCategory: 'II',
+    },
+    ashrae55: {
+        slope: 0.31,
+        intercept: 17.8,
+        upperRange: [10, 33.5],
+        lowerRange: [10, 33.5],
+        categories: { 90: [-2.5, 2.5], 80: [-3.5, 3.5] },
+        defaultCategory: '80',
+    },
+};
+
+/**
+ * Marge (K) entre une surface et le point de rosée de l'air en dessous de laquelle
+ * la condensation est jugée probable : les sondes de surface lisent rarement le point
+ * le plus froid d'un pont thermique ou d'un cadre de fenêtre.
+ */
+const CONDENSATION_MARGIN = 3;
+
+/**
+ * Types de diagramme : psychrométrique ASHRAE (température sèche en abscisse,
+ * pression de vapeur en ordonnée) ou h-x de Mollier (teneur en eau en abscisse,
+ * température en ordonnée).
+ */
+const CHART_TYPES = ['psychrometric', 'mollier'];
+
+/**
+ * Grandeur portée par l'axe vertical du diagramme psychrométrique : pression de
+ * vapeur, ou teneur en eau comme sur la plupart des abaques d'ingénierie.
+ */
+const Y_AXES = ['vaporPressure', 'humidityRatio'];
+
+/**
+ * Échelles proposées sur le bord droit. Toutes ne dépendent que de la hauteur :
+ * à pression donnée, une même ordonnée a même pression de vapeur, même teneur en
+ * eau et même point de rosée.
+ */
+const SECONDARY_AXES = ['none', 'vaporPressure', 'humidityRatio', 'dewPoint'];
+
+/**
+ * Événement émis par une carte quand sa vue interactive change ; il remonte jusqu'à
+ * `window` (bubbles, composed). Son `detail.config` porte la vue convertie en bornes
+ * `zoom_*` (null une fois la vue réinitialisée), son `detail.cardConfig` la
+ * configuration de la carte émettrice : l'éditeur n'écoute que l'aperçu de la carte
+ * qu'il édite, pas les autres cartes du tableau de bord.
+ */
+const VIEW_CHANGED_EVENT = 'psychrometric-chart-view-changed';
+
+/**
+ * Systèmes d'unités des grandeurs dérivées.
+ *   si    : kJ/kg, g/kg, m³/kg, kPa, W, g/m³, kg/h, L
+ *   ip    : Btu/lb, gr/lb, ft³/lb, inHg, Btu/h, gr/ft³, lb/h, gal (US)
+ *   mixed : propriétés de l'air en IP (lecture d'un diagramme américain), puissances
+ *           et eau en SI (plaques signalétiques des appareils européens)
+ * L'énergie reste en kWh dans tous les cas : c'est l'unité de facturation.
+ */
+const UNIT_SYSTEMS = ['si', 'ip', 'mixed'];
+
+/**
+ * Unités de chaque grandeur dérivée : libellé SI, et conversion IP depuis la valeur
+ * SI du calcul (`ip = si · factor + offset`). Le décalage de l'enthalpie vient des
+ * origines différentes : air sec à 0 °C en SI, à 0 °F en IP.
+ * `airProperty` classe la grandeur pour le système mixte.
+ */
+const DERIVED_UNITS = {
+    enthalpy: { si: 'kJ/kg', ip: 'Btu/lb', factor: 0.429923, offset: 7.68, airProperty: true },
+    humidityRatio: { si: 'g/kg', ip: 'gr/lb', factor: 7, airProperty: true },
+    specificVolume: { si: 'm³/kg', ip: 'ft³/lb', factor: 16.0185, airProperty: true },
+    pressure: { si: 'kPa', ip: 'inHg', factor: 0.2953, airProperty: true },
+    absoluteHumidity: { si: 'g/m³', ip: 'gr/ft³', factor: 0.436996, airProperty: true },
+    power: { si: 'W', ip: 'Btu/h', factor: 3.41214 },
+    waterRate: { si: 'kg/h', ip: 'lb/h', factor: 2.20462 },
+    waterVolume: { si: 'L', ip: 'gal', factor: 0.264172 },
+};
+
+/**
+ * Unités de débit d'air acceptées pour une constante `airflowUnit`. Les entités
+ * publient leur propre unité, lue par toCubicMetersPerHour.
+ */
+const AIRFLOW_UNITS = ['m³/h', 'CFM', 'L/s'];
+
+/**
+ * Fenêtres d'intégration de l'énergie, en jours.
+ */
+const ENERGY_PERIODS = { day: 1, week: 7, month: 30 };
+
+/**
+ * Seuils de contrainte thermique (°C, humidex sans unité), du premier niveau d'alerte
+ * au dernier. Chaque indice garde l'échelle publiée avec lui :
+ *   humidex : Environnement Canada (inconfort, grand inconfort, danger, coup de chaleur)
+ *   heatIndex : NWS, 80 / 90 / 103 / 125 °F (caution … extreme danger)
+ *   wbgt : drapeaux vert / jaune / rouge / noir, 82 / 85 / 88 / 90 °F
+ *   utci : contrainte thermique modérée, forte, très forte, extrême (échelle UTCI)
+ */
+const HEAT_STRESS_THRESHOLDS = {
+    humidex: [30, 40, 46, 54],
+    heatIndex: [26.7, 32.2, 39.4, 51.7],
+    wbgt: [27.8, 29.4, 31.1, 32.2],
+    utci: [26, 32, 38, 46],
+};
+
+/**
+ * Coefficients du polynôme d'approximation de l'UTCI (Bröde et al., 2012), dans
+ * l'ordre du code de référence UTCI_approx : puissances croissantes de la pression
+ * de vapeur Pa, puis de ΔTmrt = Tmrt − Ta, puis du vent va, puis de Ta, pour tous les
+ * monômes de degré total au plus 6 (210 termes).
+ */
+const UTCI_COEFFICIENTS = [
+    // Pa^0
+    6.07562052e-01, -0.0227712343, 8.06470249e-04, -154271372e-12, -324651735e-14, 7.32602852e-08, 1.35959073e-09,
+    -2.2583652, 8.80326035e-02, 2.16844454e-03, -153347087e-13, -5.72983704e-7, -2.55090145e-9,
+    -0.751269505, -0.00408350271, -521670675e-13, 1.94544667e-06, 1.14099531e-08,
+    1.58137256e-01, -657263143e-13, 2.22697524e-07, -4.16117031e-8,
+    -0.0127762753, 9.66891875e-06, 2.52785852e-09,
+    4.56306672e-04, -1.74202546e-7,
+    -591491269e-14,
+    3.98374029e-01, 1.83945314e-04, -17375451e-11, -7.60781159e-7, 3.77830287e-08, 5.43079673e-10,
+    -0.0200518269, 8.92859837e-04, 3.45433048e-06, -3.77925774e-7, -1.69699377e-9,
+    1.69992415e-04, -499204314e-13, 2.47417178e-07, 1.07596466e-08,
+    8.49242932e-05, 1.35191328e-06, -6.21531254e-9,
+    -499410301e-14, -1.89489258e-8,
+    8.15300114e-08,
+    7.55043090e-04, -565095215e-13, -4.52166564e-7, 2.46688878e-08, 2.42674348e-10,
+    1.54547250e-04, 5.24110970e-06, -8.75874982e-8, -1.50743064e-9,
+    -156236307e-13, -1.33895614e-7, 2.49709824e-09,
+    6.51711721e-07, 1.94960053e-09,
+    -1.00361113e-8,
+    -121206673e-13, -2.1820366e-7, 7.51269482e-09, 9.79063848e-11,
+    1.25006734e-06, -1.81584736e-9, -352197671e-18,
+    -3.3651463e-8, 1.35908359e-10,
+    4.17032620e-10,
+    -1.30369025e-9, 4.13908461e-10, 9.22652254e-12,
+    -5.08220384e-9, -224730961e-19,
+    1.17139133e-10,
+    6.62154879e-10, 4.03863260e-13,
+    1.95087203e-12,
+    -473602469e-20,
+    // Pa^1
+    5.12733497e+00, -0.312788561, -0.0196701861, 9.99690870e-04, 9.51738512e-06, -4.66426341e-7,
+    5.48050612e-01, -0.00330552823, -0.0016411944, -516670694e-14, 9.52692432e-07,
+    -0.0429223622, 5.00845667e-03, 1.00601257e-06, -181748644e-14,
+    -0.00125813502, -179330391e-12, 2.34994441e-06,
+    1.29735808e-04, 1.29064870e-06,
+    -228558686e-14,
+    -0.0369476348, 1.62325322e-03, -31427968e-12, 2.59835559e-06, -4.77136523e-8,
+    8.64203390e-03, -687405181e-12, -913863872e-14, 5.15916806e-07,
+    -359217476e-13, 3.28696511e-05, -7.10542454e-7,
+    -1243823e-11, -7.385844e-9,
+    2.20609296e-07,
+    -73246918e-11, -187381964e-13, 4.80925239e-06, -8.7549204e-8,
+    2.77862930e-05, -506004592e-14, 1.14325367e-07,
+    2.53016723e-06, -1.72857035e-8,
+    -3.95079398e-8,
+    -3.59413173e-7, 7.04388046e-07, -1.89309167e-8,
+    -4.79768731e-7, 7.96079978e-09,
+    1.62897058e-09,
+    3.94367674e-08, -1.18566247e-9,
+    3.34678041e-10,
+    -115606447e-18,
+    // Pa^2
+    -2.80626406, 5.48712484e-01, -0.0039942841, -954009191e-12, 1.93090978e-05,
+    -0.308806365, 1.16952364e-02, 4.95271903e-04, -190710882e-13,
+    2.10787756e-03, -698445738e-12, 2.30109073e-05,
+    4.17856590e-04, -127043871e-13,
+    -304620472e-14,
+    5.14507424e-02, -0.00432510997, 8.99281156e-05, -7.14663943e-7,
+    -266016305e-12, 2.63789586e-04, -701199003e-14,
+    -106823306e-12, 3.61341136e-06,
+    2.29748967e-07,
+    3.04788893e-04, -642070836e-13, 1.16257971e-06,
+    7.68023384e-06, -5.47446896e-7,
+    -3.5993791e-8,
+    -436497725e-14, 1.68737969e-07,
+    2.67489271e-08,
+    3.23926897e-09,
+    // Pa^3
+    -0.0353874123, -0.22120119, 1.55126038e-02, -263917279e-12,
+    4.53433455e-02, -0.00432943862, 1.45389826e-04,
+    2.17508610e-04, -666724702e-13,
+    3.33217140e-05,
+    -0.00226921615, 3.80261982e-04, -5.45314314e-9,
+    -796355448e-12, 2.53458034e-05,
+    -631223658e-14,
+    3.02122035e-04, -477403547e-14,
+    1.73825715e-06,
+    -4.09087898e-7,
+    // Pa^4
+    6.14155345e-01, -0.0616755931, 1.33374846e-03,
+    3.55375387e-03, -513027851e-12,
+    1.02449757e-04,
+    -0.00148526421, -411469183e-13,
+    -680434415e-14,
+    -977675906e-14,
+    // Pa^5
+    8.82773108e-02, -0.00301859306,
+    1.04452989e-03,
+    2.47090539e-04,
+    // Pa^6
+    1.48348065e-03,
+];
+
 class PsychrometricCalculations {
 
     // ========================================
@@ -234,6 +503,22 @@ class PsychrometricCalculations {
         return { min: niceMin, max: niceMax === niceMin ? niceMin + step : niceMax, step, decimals };
     }
 
+    /**
+     * Scale an interval around an anchor that stays in place.
+     *
+     * Zoom à la molette ou au pincement : la valeur sous le curseur (ou entre les deux
+     * doigts) ne doit pas bouger à l'écran, seules les deux bornes s'en rapprochent ou
+     * s'en éloignent.
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @param {number} anchor - Value kept fixed, usually inside the interval
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out
+     * @returns {{min: number, max: number}} Scaled interval
+     */
+    static zoomInterval(min, max, anchor, factor) {
+        return { min: anchor - (anchor - min) * factor, max: anchor + (max - anchor) * factor };
+    }
+
     // ========================================
     // TEMPERATURE CONVERSION UTILITIES
     // ========================================
@@ -256,13 +541,32 @@ class PsychrometricCalculations {
         return (tempC * 9 / 5) + 32;
     }
 
+    /**
+     * Convert a derived quantity from the card's SI units to a unit system.
+     *
+     * Les valeurs SI sont celles des calculs, sauf la teneur en eau attendue en g/kg.
+     * Un écart (`delta`) ne prend pas le décalage d'origine de l'enthalpie.
+     * @param {string} quantity - Key of DERIVED_UNITS ('enthalpy', 'humidityRatio', …)
+     * @param {number} value - Value in SI units
+     * @param {string} [system='si'] - One of UNIT_SYSTEMS
+     * @param {boolean} [delta=false] - Whether the value is a difference
+     * @returns {{value: number, unit: string}} Converted value and its unit
+     */
+    static convertUnit(quantity, value, system = 'si', delta = false) {
+        const definition = DERIVED_UNITS[quantity];
+        const imperial = system === 'ip' || (system === 'mixed' && definition.airProperty);
+        if (!imperial) return { value, unit: definition.si };
+        return { value: value * definition.factor + (delta ? 0 : (definition.offset ?? 0)), unit: definition.ip };
+    }
+
     // ========================================
     // PSYCHROMETRIC CALCULATION METHODS
     // All calculations work in Celsius internally
     // ========================================
 
     /**
-     * Atmospheric pressure at sea level, in kPa.
+     * Atmospheric pressure every formula runs at, in kPa.
+     * Sea level by default; `withConditions` derives a class bound to another pressure.
      * @type {number}
      */
     static get ATMOSPHERIC_PRESSURE() {
@@ -270,27 +574,199 @@ class PsychrometricCalculations {
     }
 
     /**
-     * Calculate the saturation vapor pressure (Magnus-Tetens).
+     * Standard atmospheric pressure at a given elevation (ASHRAE Fundamentals, chap. 1).
+     * @param {number} elevation - Altitude above sea level, in m
+     * @returns {number} Pressure in kPa
+     */
+    static pressureFromAltitude(elevation) {
+        // Référence fixe au niveau de la mer : `this.ATMOSPHERIC_PRESSURE` désignerait
+        // ici la pression d'une classe dérivée, déjà corrigée de l'altitude.
+        return 101.325 * Math.pow(1 - 2.25577e-5 * elevation, 5.2559);
+    }
+
+    /**
+     * Convert a pressure reading to kPa.
+     *
+     * Sans unité connue, la valeur est interprétée d'après son ordre de grandeur :
+     * une pression atmosphérique vaut ~100 kPa ou ~1000 hPa, les deux plages ne se
+     * recouvrent pas.
+     * @param {number} value - Pressure value
+     * @param {string} [unit] - Unit of measurement (Pa, hPa, mbar, kPa, bar, psi, inHg, mmHg)
+     * @returns {number} Pressure in kPa
+     */
+    static toKilopascals(value, unit) {
+        const factors = {
+            pa: 0.001, hpa: 0.1, mbar: 0.1, kpa: 1, bar: 100,
+            psi: 6.894757, inhg: 3.386389, mmhg: 0.1333224,
+        };
+        const factor = factors[String(unit ?? '').trim().toLowerCase()];
+        if (factor !== undefined) return value * factor;
+        return value > 200 ? value / 10 : value;
+    }
+
+    /**
+     * Convert an air speed reading to m/s.
+     * Les anémomètres de Home Assistant publient souvent en km/h ; sans unité reconnue,
+     * la valeur est prise en m/s.
+     * @param {number} value - Speed value
+     * @param {string} [unit] - Unit of measurement (m/s, km/h, mph, ft/s, kn)
+     * @returns {number} Speed in m/s
+     */
+    static toMetersPerSecond(value, unit) {
+        const factors = { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, 'ft/s': 0.3048, kn: 0.514444 };
+        return value * (factors[String(unit ?? '').trim().toLowerCase()] ?? 1);
+    }
+
+    /**
+     * Convert a volumetric airflow reading to m³/h.
+     * Home Assistant publie les débits en m³/h, ft³/min ou L/s ; sans unité reconnue,
+     * la valeur est prise en m³/h.
+     * @param {number} value - Airflow value
+     * @param {string} [unit] - Unit of measurement (m³/h, CFM, ft³/min, L/s, m³/s)
+     * @returns {number} Airflow in m³/h
+     */
+    static toCubicMetersPerHour(value, unit) {
+        const factors = {
+            'm³/h': 1, 'm3/h': 1, 'm³/s': 3600, 'm3/s': 3600,
+            cfm: 1.699011, 'ft³/min': 1.699011, 'ft3/min': 1.699011, 'l/s': 3.6,
+        };
+        return value * (factors[String(unit ?? '').trim().toLowerCase()] ?? 1);
+    }
+
+    /**
+     * Typical clothing insulation for the season, per ASHRAE 55.
+     *
+     * 1.0 clo en hiver (novembre à mars), 0.5 clo en été (mai à septembre), 0.7 clo
+     * — la valeur historique de calculatePMV — en avril et en octobre. Les saisons
+     * sont inversées dans l'hémisphère sud.
+     * @param {Date} date - Current date
+     * @param {boolean} [southernHemisphere=false] - Whether the site is south of the equator
+     * @returns {number} Clothing insulation in clo
+     */
+    static seasonalClothing(date, southernHemisphere = false) {
+        const month = (date.getMonth() + (southernHemisphere ? 6 : 0)) % 12;
+        if (month >= 4 && month <= 8) return 0.5;
+        if (month === 3 || month === 9) return 0.7;
+        return 1.0;
+    }
+
+    /**
+     * Derive a calculation class bound to given ambient conditions.
+     *
+     * Toutes les formules lisent la pression via `this.ATMOSPHERIC_PRESSURE` : une
+     * classe dérivée qui la redéfinit les corrige donc toutes d'un coup, sans ajouter
+     * un paramètre à chaque signature ni risquer qu'un appel l'oublie. Chaque carte
+     * garde sa propre classe — deux cartes à des altitudes différentes ne se
+     * marchent pas dessus, ce que ferait un réglage global.
+     * @param {Object} [conditions] - Ambient conditions
+     * @param {number} [conditions.pressure] - Atmospheric pressure in kPa
+     * @param {string} [conditions.saturation] - Saturation formulation, one of SATURATION_FORMULAS
+     * @returns {typeof PsychrometricCalculations} Calculation class for these conditions
+     */
+    static withConditions({ pressure, saturation } = {}) {
+        const base = this;
+        const boundPressure = pressure > 0 ? pressure : undefined;
+        const boundSaturation = SATURATION_FORMULAS.includes(saturation) ? saturation : undefined;
+        if (boundPressure === undefined && boundSaturation === undefined) return base;
+        return class extends base {
+            static get ATMOSPHERIC_PRESSURE() {
+                return boundPressure ?? base.ATMOSPHERIC_PRESSURE;
+            }
+
+            static get SATURATION_FORMULA() {
+                return boundSaturation ?? base.SATURATION_FORMULA;
+            }
+        };
+    }
+
+    /**
+     * Saturation formulation every formula runs with, one of SATURATION_FORMULAS.
+     * Magnus over water by default; `withConditions` derives a class bound to another.
+     * @type {string}
+     */
+    static get SATURATION_FORMULA() {
+        return 'magnus';
+    }
+
+    /**
+     * Whether saturation at this temperature is taken over ice rather than water.
+     * @param {number} temp - Temperature in Celsius
+     * @returns {boolean} True below 0 °C with an ice-aware formulation
+     */
+    static saturatesOverIce(temp) {
+        return this.SATURATION_FORMULA !== 'magnus' && temp < 0;
+    }
+
+    /**
+     * Calculate the saturation vapor pressure, with the formulation of SATURATION_FORMULA.
      * Single source of truth: every other formula must go through this one
      * rather than inlining the `0.61078 * exp(17.27 t / (t + 237.3))` expression.
+     *
+     * Sous 0 °C, les formulations « glace » suivent la saturation au-dessus de la
+     * glace, plus basse que celle au-dessus de l'eau surfondue (~10 % à -10 °C) : la
+     * courbe de saturation et les courbes d'humidité relative qui en dérivent sont
+     * alors celles des diagrammes ASHRAE.
      * @param {number} temp - Dry bulb temperature in Celsius
      * @returns {number} Saturation vapor pressure in kPa
      */
     static calculateSaturationPressure(temp) {
-        return 0.61078 * Math.exp((17.27 * temp) / (temp + 237.3));
+        switch (this.SATURATION_FORMULA) {
+            case 'hyland_wexler': {
+                // ASHRAE Fundamentals 2017, chap. 1, éq. 5 et 6 (Pa, K).
+                const T = temp + 273.15;
+                const lnP = this.saturatesOverIce(temp)
+                    ? -5674.5359 / T + 6.3925247 - 9.6778430e-3 * T + 6.2215701e-7 * T ** 2
+                        + 2.0747825e-9 * T ** 3 - 9.4840240e-13 * T ** 4 + 4.1635019 * Math.log(T)
+                    : -5800.2206 / T + 1.3914993 - 4.8640239e-2 * T + 4.1764768e-5 * T ** 2
+                        - 1.4452093e-8 * T ** 3 + 6.5459673 * Math.log(T);
+                return Math.exp(lnP) / 1000;
+            }
+            case 'magnus_ice':
+                // Coefficients au-dessus de la glace d'Alduchov et Eskridge (1996).
+                if (this.saturatesOverIce(temp)) return 0.61115 * Math.exp((22.452 * temp) / (temp + 272.55));
+                return 0.61078 * Math.exp((17.27 * temp) / (temp + 237.3));
+            default:
+                return 0.61078 * Math.exp((17.27 * temp) / (temp + 237.3));
+        }
+    }
+
+    /**
+     * Temperature at which a vapor pressure is saturating: inverse of calculateSaturationPressure.
+     *
+     * Magnus s'inverse en forme close ; les autres formulations (Hyland-Wexler n'a pas
+     * d'inverse analytique) sont inversées par bissection, la pression saturante
+     * étant strictement croissante en température.
+     * @param {number} vaporPressure - Vapor pressure in kPa
+     * @returns {number} Saturation temperature in Celsius
+     */
+    static calculateSaturationTemperature(vaporPressure) {
+        if (this.SATURATION_FORMULA === 'magnus') {
+            const alpha = Math.log(vaporPressure / 0.61078);
+            return (237.3 * alpha) / (17.27 - alpha);
+        }
+        let low = -100;
+        let high = 200;
+        for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            if (this.calculateSaturationPressure(mid) < vaporPressure) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
     }
 
     /**
      * Calculate Dew Point temperature.
+     * Sous 0 °C avec une formulation « glace », c'est le point de givre : la
+     * température à laquelle l'air sature au-dessus de la glace.
      * @param {number} temp - Dry bulb temperature in Celsius
      * @param {number} humidity - Relative humidity in %
-     * @returns {number} Dew point temperature in Celsius
+     * @returns {number} Dew point (or frost point) temperature in Celsius
      */
     static calculateDewPoint(temp, humidity) {
-        const A = 17.27;
-        const B = 237.3;
-        const alpha = ((A * temp) / (B + temp)) + Math.log(humidity / 100);
-        return (B * alpha) / (A - alpha);
+        return this.calculateSaturationTemperature(this.calculateVaporPressure(temp, humidity));
     }
 
     /**
@@ -318,12 +794,19 @@ class PsychrometricCalculations {
      * Calculate the water content of moist air along a constant wet bulb line (ASHRAE).
      * Replaces the brute-force search that used to scan `calculateWetBulbTemp` over a
      * temperature/humidity grid: this is a direct, closed-form evaluation.
+     *
+     * Sous 0 °C avec une formulation « glace », le bulbe est givré : la chaleur de
+     * sublimation remplace celle d'évaporation (ASHRAE 2017, chap. 1, éq. 37).
      * @param {number} temp - Dry bulb temperature in Celsius
      * @param {number} wetBulb - Wet bulb temperature in Celsius
      * @returns {number} Water content in kg/kg (dry air)
      */
     static calculateWaterContentFromWetBulb(temp, wetBulb) {
         const Ws = this.calculateWaterContent(wetBulb, 100);
+        if (this.saturatesOverIce(wetBulb)) {
+            return ((2830 - 0.24 * wetBulb) * Ws - 1.006 * (temp - wetBulb))
+                / (2830 + 1.86 * temp - 2.1 * wetBulb);
+        }
         return ((2501 - 2.326 * wetBulb) * Ws - 1.006 * (temp - wetBulb))
             / (2501 + 1.86 * temp - 4.186 * wetBulb);
     }
@@ -382,6 +865,80 @@ class PsychrometricCalculations {
         return (low + high) / 2;
     }
 
+    /**
+     * Water content of the air at a given dry bulb temperature, from one other state property.
+     * @param {string} property - One of STATE_PROPERTIES other than 'temp'
+     * @param {number} value - Property value: % for humidity, °C for dewPoint/wetBulb,
+     *   kg/kg for waterContent, kJ/kg for enthalpy, g/m³ for absoluteHumidity
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @returns {number} Water content in kg/kg (dry air), NaN for an unknown property
+     */
+    static calculateWaterContentFrom(property, value, temp) {
+        const P = this.ATMOSPHERIC_PRESSURE;
+        /**
+         * Teneur en eau d'une pression de vapeur (inverse de waterContentToVaporPressure).
+         * @param {number} pv - Vapor pressure in kPa
+         * @returns {number} Water content in kg/kg
+         */
+        const fromVaporPressure = pv => 0.622 * (pv / (P - pv));
+        switch (property) {
+            case 'humidity': return this.calculateWaterContent(temp, value);
+            case 'dewPoint': return fromVaporPressure(this.calculateSaturationPressure(value));
+            case 'wetBulb': return this.calculateWaterContentFromWetBulb(temp, value);
+            case 'waterContent': return value;
+            case 'enthalpy': return (value - 1.006 * temp) / (2501 + 1.84 * temp);
+            // Inverse de calculateAbsoluteHumidity : Pv = ρv·Rv·T, en Pa puis en kPa.
+            case 'absoluteHumidity': return fromVaporPressure((value / 1000) * 461.5 * (temp + 273.15) / 1000);
+            default: return NaN;
+        }
+    }
+
+    /**
+     * Solve the air state from any two independent properties.
+     *
+     * La température sèche connue, l'autre grandeur donne directement la teneur en
+     * eau. Sinon, chaque grandeur décrit une courbe W(t) en forme close (constante
+     * pour le point de rosée, décroissante pour la temp. humide ou l'enthalpie,
+     * croissante pour l'humidité relative…) : leur intersection est cherchée par
+     * bissection sur t, sans recherche imbriquée.
+     * @param {Object} properties - Known properties, keyed by STATE_PROPERTIES (units as
+     *   in calculateWaterContentFrom, temp in Celsius)
+     * @returns {{temp: number, humidity: number}|null} Dry bulb (°C) and relative
+     *   humidity (%), or null when the properties do not define a state
+     */
+    static solveState(properties) {
+        const known = STATE_PROPERTIES.filter(key => Number.isFinite(properties?.[key]));
+        if (known.length < 2) return null;
+        const [keyA, keyB] = known;
+        if (DEGENERATE_STATE_PAIRS.some(pair => pair.includes(keyA) && pair.includes(keyB))) return null;
+
+        let temp = properties.temp;
+        if (keyA !== 'temp') {
+            // W_A(t) − W_B(t) ne change de signe qu'une fois sur la plage : une racine au plus.
+            const gap = t => this.calculateWaterContentFrom(keyA, properties[keyA], t)
+                - this.calculateWaterContentFrom(keyB, properties[keyB], t);
+            let low = -80;
+            let high = 80;
+            const lowGap = gap(low);
+            if (!(lowGap * gap(high) <= 0)) return null;
+            for (let i = 0; i < 60; i++) {
+                const mid = (low + high) / 2;
+                if ((gap(mid) <= 0) === (lowGap <= 0)) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            temp = (low + high) / 2;
+        }
+
+        const key = keyA === 'temp' ? keyB : keyA;
+        if (key === 'humidity') return { temp, humidity: properties.humidity };
+        const W = this.calculateWaterContentFrom(key, properties[key], temp);
+        const humidity = (this.waterContentToVaporPressure(W) / this.calculateSaturationPressure(temp)) * 100;
+        return Number.isFinite(humidity) ? { temp, humidity } : null;
+    }
+
     /**
      * Calculate Vapor Pressure.
      * @param {number} temp - Dry bulb temperature in Celsius
@@ -408,6 +965,17 @@ class PsychrometricCalculations {
         return (Rd * T * (1 + 1.6078 * W)) / this.ATMOSPHERIC_PRESSURE;
     }
 
+    /**
+     * Water content of the air with a given specific volume, inverse of calculateSpecificVolume.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} specificVolume - Specific volume in m³/kg (dry air)
+     * @returns {number} Water content in kg/kg, negative when the volume is below dry air's
+     */
+    static calculateWaterContentFromSpecificVolume(temp, specificVolume) {
+        const Rd = 0.287058;
+        return ((specificVolume * this.ATMOSPHERIC_PRESSURE) / (Rd * (temp + 273.15)) - 1) / 1.6078;
+    }
+
     /**
      * Calculate the apparent ("felt") temperature — Steadman's formula.
      *
@@ -430,6 +998,114 @@ class PsychrometricCalculations {
         return temp + 0.33 * e - 0.70 * windSpeed - 4.00;
     }
 
+    /**
+     * Calculate the humidex (Environment Canada).
+     *
+     * La définition part du point de rosée ; la pression de vapeur de l'état suffit
+     * et reste cohérente avec la formule de saturation choisie pour la carte.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @returns {number} Humidex (dimensionless, read as °C)
+     */
+    static calculateHumidex(temp, rh) {
+        const e = this.calculateVaporPressure(temp, rh) * 10;
+        return temp + 0.5555 * (e - 10);
+    }
+
+    /**
+     * Calculate the NWS heat index.
+     *
+     * Algorithme du National Weather Service : formule simple de Steadman tant que
+     * sa moyenne avec la température reste sous 80 °F, régression de Rothfusz et ses
+     * deux corrections (air très sec, air très humide) au-delà. Le calcul se fait en
+     * °F, unité dans laquelle les coefficients sont publiés.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @returns {number} Heat index in Celsius
+     */
+    static calculateHeatIndex(temp, rh) {
+        const T = this.celsiusToFahrenheit(temp);
+        let hi = 0.5 * (T + 61 + (T - 68) * 1.2 + rh * 0.094);
+
+        if ((hi + T) / 2 >= 80) {
+            hi = -42.379 + 2.04901523 * T + 10.14333127 * rh
+                - 0.22475541 * T * rh - 0.00683783 * T * T - 0.05481717 * rh * rh
+                + 0.00122874 * T * T * rh + 0.00085282 * T * rh * rh
+                - 0.00000199 * T * T * rh * rh;
+
+            if (rh < 13 && T >= 80 && T <= 112) {
+                hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+            } else if (rh > 85 && T >= 80 && T <= 87) {
+                hi += ((rh - 85) / 10) * ((87 - T) / 5);
+            }
+        }
+
+        return this.fahrenheitToCelsius(hi);
+    }
+
+    /**
+     * Calculate the indoor WBGT (no solar load): 0.7·Tnw + 0.3·Tg.
+     *
+     * Le thermomètre humide naturel est approché par le bulbe humide psychrométrique,
+     * ce qui suppose un air en mouvement ; en air calme le WBGT réel est un peu plus
+     * élevé. Sans sonde de globe, la température radiante moyenne en tient lieu, et à
+     * défaut la température de l'air.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @param {Object} [options]
+     * @param {number} [options.tr] - Globe / mean radiant temperature in Celsius
+     * @returns {number} WBGT in Celsius
+     */
+    static calculateWBGT(temp, rh, { tr = temp } = {}) {
+        return 0.7 * this.calculateWetBulbTemp(temp, rh) + 0.3 * tr;
+    }
+
+    /**
+     * Calculate the Universal Thermal Climate Index (UTCI).
+     *
+     * Approximation polynomiale de Bröde et al. (2012), le calcul de référence. L'indice
+     * est défini pour l'extérieur : vent mesuré à 10 m, entre 0.5 et 17 m/s, auquel la
+     * vitesse est ramenée ; l'air calme d'un atelier se lit donc au vent minimal. Sans
+     * température radiante moyenne, celle de l'air en tient lieu (ni soleil ni paroi
+     * chaude). Hors du domaine de validité du polynôme, il n'y a pas de valeur.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @param {Object} [options]
+     * @param {number} [options.windSpeed=0.5] - Wind speed at 10 m in m/s
+     * @param {number} [options.tr] - Mean radiant temperature in Celsius
+     * @returns {number|null} UTCI in Celsius, null outside -50..50 °C or -30..70 K of radiant excess
+     */
+    static calculateUTCI(temp, rh, { windSpeed = 0.5, tr = temp } = {}) {
+        const deltaTr = tr - temp;
+        if (!(temp >= -50 && temp <= 50 && deltaTr >= -30 && deltaTr <= 70)) return null;
+        const va = Math.min(17, Math.max(0.5, windSpeed));
+        const pa = this.calculateVaporPressure(temp, rh);
+
+        let utci = temp;
+        let i = 0;
+        for (let p = 0; p <= 6; p++) {
+            for (let d = 0; d <= 6 - p; d++) {
+                for (let v = 0; v <= 6 - p - d; v++) {
+                    for (let t = 0; t <= 6 - p - d - v; t++) {
+                        utci += UTCI_COEFFICIENTS[i++] * temp ** t * va ** v * deltaTr ** d * pa ** p;
+                    }
+                }
+            }
+        }
+        return utci;
+    }
+
+    /**
+     * Niveau de contrainte thermique d'un indice : nombre de seuils atteints dans
+     * HEAT_STRESS_THRESHOLDS, de 0 (aucune) à 4.
+     * @param {string} index - 'humidex', 'heatIndex', 'wbgt' or 'utci'
+     * @param {number} value - Index value
+     * @returns {number} Level (0-4)
+     */
+    static getHeatStressLevel(index, value) {
+        return HEAT_STRESS_THRESHOLDS[index].filter((threshold) => value >= threshold).length;
+    }
+
     /**
      * Calculate Mold Risk based on temperature and humidity.
      * @param {number} temp - Temperature in Celsius
@@ -471,6 +1147,94 @@ class PsychrometricCalculations {
         return Math.min(risk, 6);
     }
 
+    /**
+     * Condensation risk on a surface colder than the air.
+     *
+     * L'air au contact de la surface garde la teneur en eau de la pièce : son humidité
+     * relative y est celle de la pression de vapeur rapportée à la saturation à la
+     * température de surface, et atteint 100 % dès que la surface passe sous le point
+     * de rosée.
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Air relative humidity in %
+     * @param {number} surfaceTemp - Surface temperature in Celsius
+     * @returns {{margin: number, surfaceHumidity: number, status: string}}
+     *   Margin above the dew point (K), relative humidity at the surface (%),
+     *   and 'condensation', 'risk' (margin under CONDENSATION_MARGIN) or 'ok'
+     */
+    static calculateSurfaceCondensation(temp, humidity, surfaceTemp) {
+        const margin = surfaceTemp - this.calculateDewPoint(temp, humidity);
+        const surfaceHumidity = Math.min(100,
+            100 * this.calculateVaporPressure(temp, humidity) / this.calculateSaturationPressure(surfaceTemp));
+        let status = 'ok';
+        if (margin <= 0) status = 'condensation';
+        else if (margin < CONDENSATION_MARGIN) status = 'risk';
+        return { margin, surfaceHumidity, status };
+    }
+
+    /**
+     * Critical relative humidity for mold growth (VTT isopleth, Hukka & Viitanen 1999).
+     *
+     * Polynôme cubique jusqu'à 20 °C, palier à 80 % au-delà. Sous 0 °C aucune
+     * croissance n'est possible : l'isoplèthe est alors renvoyée à 100 %.
+     * @param {number} temp - Temperature in Celsius
+     * @returns {number} Critical relative humidity in %
+     */
+    static calculateCriticalMoldHumidity(temp) {
+        if (temp <= 0) return 100;
+        if (temp > 20) return 80;
+        return -267e-5 * temp ** 3 + 0.160 * temp ** 2 - 3.13 * temp + 100;
+    }
+
+    /**
+     * VTT mold growth index (Hukka & Viitanen 1999) over a regular series of states.
+     *
+     * Essence de référence : pin, bois raboté séché (W = 0, SQ = 0), le cas le plus
+     * sensible du modèle. La croissance n'a lieu qu'au-dessus de l'isoplèthe ; en
+     * dessous, l'indice régresse selon la durée de la période sèche (−0.032 / jour
+     * les 6 premières heures, stable jusqu'à 24 h, −0.016 / jour ensuite).
+     * Échelle 0–6 : 1 croissance microscopique, 3 premières traces visibles,
+     * 6 couverture totale.
+     * @param {Array<{temp: number, humidity: number}|null>} states - States at a fixed step, oldest first; null for a gap
+     * @param {number} [stepHours=1] - Step between states, in hours
+     * @returns {{index: number, hoursAbove: number, trend: number}}
+     *   Final index, hours spent above the isopleth, and index change over the last 24 h
+     */
+    static calculateMoldIndex(states, stepHours = 1) {
+        let index = 0;
+        let hoursAbove = 0;
+        let dryHours = 0;
+        const trail = [];
+
+        for (const state of states) {
+            if (state) {
+                const rh = Math.min(state.humidity, 100);
+                const critical = this.calculateCriticalMoldHumidity(state.temp);
+                if (state.temp > 0 && rh >= critical) {
+                    hoursAbove += stepHours;
+                    dryHours = 0;
+
+                    // Durées (semaines) pour atteindre les indices 1 et 3 à état constant.
+                    const tm = Math.exp(-0.68 * Math.log(state.temp) - 13.9 * Math.log(rh) + 66.02);
+                    const tv = Math.exp(-0.74 * Math.log(state.temp) - 12.72 * Math.log(rh) + 61.50);
+                    const k1 = index < 1 ? 1 : 2 / (tv / tm - 1);
+                    const ratio = critical < 100 ? (critical - rh) / (critical - 100) : 1;
+                    const maxIndex = 1 + 7 * ratio - 2 * ratio ** 2;
+                    const k2 = Math.max(1 - Math.exp(2.3 * (index - maxIndex)), 0);
+                    index += (k1 * k2 / (7 * tm)) * (stepHours / 24);
+                } else {
+                    dryHours += stepHours;
+                    const decline = dryHours <= 6 ? 0.032 : (dryHours <= 24 ? 0 : 0.016);
+                    index = Math.max(0, index - decline * (stepHours / 24));
+                }
+            }
+            // Un trou d'historique fige l'indice : ni croissance ni régression supposées.
+            trail.push(index);
+        }
+
+        const dayBefore = trail[trail.length - 1 - Math.round(24 / stepHours)] ?? 0;
+        return { index: Math.min(index, 6), hoursAbove, trend: index - dayBefore };
+    }
+
     /**
      * Calculate PMV (Predicted Mean Vote) thermal comfort index, per ISO 7730 / Fanger.
      * @param {number} temp - Dry bulb (air) temperature in Celsius
@@ -535,48 +1299,530 @@ class PsychrometricCalculations {
     }
 
     /**
-     * Calculate ideal setpoint to reach comfort zone with minimal energy.
-     * @param {number} temp - Current temperature in Celsius
-     * @param {number} humidity - Current humidity in %
-     * @param {Object} comfortRange - Comfort range definition
-     * @returns {Object} Ideal setpoint {temp, humidity}
+     * Time-weighted daily means of a sampled signal, one per past calendar day.
+     *
+     * Un capteur ne publie qu'à chaque changement : chaque échantillon vaut jusqu'au
+     * suivant, et une moyenne arithmétique des relevés surpondérerait les heures agitées.
+     * Les jours sont les jours civils locaux, aujourd'hui exclu.
+     * @param {Array<{time: number, value: number}>} samples - Samples sorted by time (ms)
+     * @param {Date} end - Current time; the last sample holds until then
+     * @param {number} days - Number of past days
+     * @returns {Array<number|null>} Means from yesterday backwards, null for a day without data
      */
-    static calculateIdealSetpoint(temp, humidity, comfortRange) {
-        let idealTemp = temp;
-        let idealHumidity = humidity;
-
-        if (temp < comfortRange.tempMin) {
-            idealTemp = comfortRange.tempMin;
-        } else if (temp > comfortRange.tempMax) {
-            idealTemp = comfortRange.tempMax;
+    static timeWeightedDailyMeans(samples, end, days) {
+        const midnight = new Date(end);
+        midnight.setHours(0, 0, 0, 0);
+
+        const means = [];
+        for (let k = 1; k <= days; k++) {
+            // setDate plutôt que k · 24 h : un jour de changement d'heure dure 23 ou 25 h.
+            const dayEnd = new Date(midnight);
+            dayEnd.setDate(dayEnd.getDate() - (k - 1));
+            const dayStart = new Date(midnight);
+            dayStart.setDate(dayStart.getDate() - k);
+
+            let weighted = 0;
+            let duration = 0;
+            samples.forEach((sample, i) => {
+                const from = Math.max(sample.time, dayStart.getTime());
+                const to = Math.min(samples[i + 1]?.time ?? end.getTime(), dayEnd.getTime());
+                if (to > from) {
+                    weighted += sample.value * (to - from);
+                    duration += to - from;
+                }
+            });
+            means.push(duration > 0 ? weighted / duration : null);
         }
+        return means;
+    }
 
-        if (humidity < comfortRange.rhMin) {
-            idealHumidity = comfortRange.rhMin;
-        } else if (humidity > comfortRange.rhMax) {
-            idealHumidity = comfortRange.rhMax;
+    /**
+     * Value of a sampled signal at regular instants, from `start` to `end` excluded.
+     *
+     * Même convention que timeWeightedDailyMeans : chaque échantillon vaut jusqu'au
+     * suivant. Avant le premier échantillon, la valeur est inconnue (null).
+     * @param {Array<{time: number, value: number}>} samples - Samples sorted by time (ms)
+     * @param {number} start - First instant (ms)
+     * @param {number} end - End of the range (ms)
+     * @param {number} step - Step (ms)
+     * @returns {Array<number|null>} One value per step
+     */
+    static resampleHistory(samples, start, end, step) {
+        const values = [];
+        let i = -1;
+        for (let time = start; time < end; time += step) {
+            while (i + 1 < samples.length && samples[i + 1].time <= time) i++;
+            values.push(i >= 0 ? samples[i].value : null);
         }
+        return values;
+    }
 
-        const isSummer = temp > 23;
-
-        if (idealTemp === temp && idealHumidity === humidity) {
-            if (isSummer) {
-                idealTemp = Math.min(temp, comfortRange.tempMax);
-                idealHumidity = Math.max(comfortRange.rhMin, Math.min(humidity, comfortRange.rhMin + 5));
-            } else {
-                idealTemp = Math.max(temp, comfortRange.tempMin);
-                idealHumidity = Math.min(comfortRange.rhMax, Math.max(humidity, comfortRange.rhMax - 5));
-            }
+    /**
+     * Bin positions of the unit square into a grid of cells, summing their weights.
+     *
+     * Sert à la carte du temps passé : chaque état de l'historique tombe dans une case
+     * du graphique et y ajoute la durée qu'il représente. Les positions hors du carré
+     * (états hors zoom) sont ignorées.
+     * @param {Array<{u: number, v: number}>} positions - Positions in [0, 1) along each axis
+     * @param {number} columns - Number of cells along u
+     * @param {number} rows - Number of cells along v
+     * @param {number} [weight=1] - Weight of each position, e.g. the hours it stands for
+     * @returns {{cells: number[][], max: number}} Totals by row then column, and the largest total
+     */
+    static binPositions(positions, columns, rows, weight = 1) {
+        const cells = Array.from({ length: rows }, () => new Array(columns).fill(0));
+        let max = 0;
+        for (const { u, v } of positions) {
+            if (!(u >= 0 && u < 1 && v >= 0 && v < 1)) continue;
+            const row = cells[Math.floor(v * rows)];
+            const column = Math.floor(u * columns);
+            row[column] += weight;
+            max = Math.max(max, row[column]);
         }
-
-        return { temp: idealTemp, humidity: idealHumidity };
+        return { cells, max };
     }
 
     /**
-     * Calculate heating power required.
-     * @param {number} temp - Current temperature
-     * @param {number} targetTemp - Target temperature
-     * @param {number} massFlowRate - Air mass flow rate
+     * Integrate action powers sampled at a fixed step into energy and cost.
+     *
+     * Chaque action a son rendement (COP, ou EER en W/W pour le froid) : l'énergie
+     * électrique est l'énergie thermique divisée par ce rendement, 1 par défaut. Le
+     * prix peut suivre l'historique d'un tarif dynamique, pas à pas.
+     * @param {Array<Object<string, number>|null>} powers - Powers in W by action, null for a gap
+     * @param {number} stepHours - Step between samples, in hours
+     * @param {Object<string, number>} [efficiencies={}] - COP / EER by action
+     * @param {Array<number|null>|number|null} [prices=null] - Price per kWh, by step or constant
+     * @returns {{thermal: Object<string, number>, electrical: Object<string, number>, total: number, cost: number|null}}
+     *   Energies in kWh by action, total electrical energy in kWh, and its cost
+     */
+    static integrateEnergy(powers, stepHours, efficiencies = {}, prices = null) {
+        const thermal = {};
+        const electrical = {};
+        let total = 0;
+        let cost = prices === null ? null : 0;
+
+        powers.forEach((sample, i) => {
+            if (!sample) return;
+            const price = Array.isArray(prices) ? prices[i] : prices;
+            for (const [action, power] of Object.entries(sample)) {
+                const efficiency = efficiencies[action] > 0 ? efficiencies[action] : 1;
+                const energy = power * stepHours / 1000;
+                thermal[action] = (thermal[action] ?? 0) + energy;
+                electrical[action] = (electrical[action] ?? 0) + energy / efficiency;
+                total += energy / efficiency;
+                if (cost !== null && Number.isFinite(price)) cost += (energy / efficiency) * price;
+            }
+        });
+        return { thermal, electrical, total, cost };
+    }
+
+    /**
+     * Exponentially weighted running mean of the outdoor temperature (EN 16798-1).
+     *
+     * θrm = (1 − α) · (θed−1 + α · θed−2 + α² · θed−3 + …), normalisée sur les jours
+     * disponibles : un historique incomplet ne tire pas la moyenne vers zéro.
+     * @param {Array<number|null>} dailyMeans - Daily mean temperatures, yesterday first
+     * @param {number} [alpha=0.8] - Decay constant recommended by EN 16798-1
+     * @returns {number|null} Running mean in Celsius, null without any day
+     */
+    static calculateRunningMeanTemperature(dailyMeans, alpha = 0.8) {
+        let weighted = 0;
+        let total = 0;
+        dailyMeans.forEach((mean, k) => {
+            if (!Number.isFinite(mean)) return;
+            const weight = Math.pow(alpha, k);
+            weighted += weight * mean;
+            total += weight;
+        });
+        return total > 0 ? weighted / total : null;
+    }
+
+    /**
+     * Adaptive comfort band for naturally ventilated spaces.
+     *
+     * Les normes portent sur la température opérative ; sans sonde de rayonnement, la
+     * température sèche en tient lieu, ce qui est l'usage en l'absence de parois
+     * froides ou de fort ensoleillement.
+     * @param {number} runningMean - Running mean outdoor temperature in Celsius
+     * @param {string} [standard='en16798'] - Key of ADAPTIVE_COMFORT_STANDARDS
+     * @param {string|number} [category] - Category of the standard, its default when unknown
+     * @returns {{comfortTemp: number, tempMin: number, tempMax: number}} Temperatures in Celsius
+     */
+    static calculateAdaptiveComfort(runningMean, standard = 'en16798', category) {
+        const model = ADAPTIVE_COMFORT_STANDARDS[standard] ?? ADAPTIVE_COMFORT_STANDARDS.en16798;
+        const [below, above] = model.categories[category] ?? model.categories[model.defaultCategory];
+        /**
+         * Comfort temperature for a running mean bounded to a validity range.
+         * @param {number[]} range - [min, max] running mean in Celsius
+         * @returns {number} Comfort temperature in Celsius
+         */
+        const comfortAt = ([min, max]) => model.slope * Math.min(max, Math.max(min, runningMean)) + model.intercept;
+
+        return {
+            comfortTemp: comfortAt(model.upperRange),
+            tempMin: comfortAt(model.lowerRange) + below,
+            tempMax: comfortAt(model.upperRange) + above,
+        };
+    }
+
+    /**
+     * Predicted Percentage of Dissatisfied, per ISO 7730.
+     * @param {number} pmv - PMV index
+     * @returns {number} PPD in %, from 5 (PMV = 0) to 100
+     */
+    static calculatePPD(pmv) {
+        return 100 - 95 * Math.exp(-0.03353 * Math.pow(pmv, 4) - 0.2179 * Math.pow(pmv, 2));
+    }
+
+    /**
+     * Dry bulb temperature at which the PMV reaches a given value.
+     *
+     * Le PMV croît avec la température : une dichotomie sur -10..50 °C suffit. Sans
+     * `tr` fixé, la température radiante suit celle de l'air, comme dans calculatePMV.
+     * @param {number} pmv - Target PMV
+     * @param {number} humidity - Relative humidity in %
+     * @param {Object} [options] - calculatePMV parameters (clo, met, vel, tr)
+     * @returns {number|null} Temperature in Celsius, null when out of the search range
+     */
+    static calculatePMVTemperature(pmv, humidity, options = {}) {
+        let low = -10;
+        let high = 50;
+        if (this.calculatePMV(low, humidity, options) > pmv || this.calculatePMV(high, humidity, options) < pmv) return null;
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if (this.calculatePMV(mid, humidity, options) < pmv) low = mid;
+            else high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Comfort region of the chart where |PMV| stays within a limit (ASHRAE 55).
+     *
+     * Le contour suit la ligne PMV = −limit de l'humidité basse à l'humidité haute,
+     * puis revient par la ligne PMV = +limit : un polygone fermé, prêt à tracer.
+     * @param {Object} [options] - calculatePMV parameters (clo, met, vel, tr)
+     * @param {number} [rhMin=0] - Lower humidity bound in %
+     * @param {number} [rhMax=100] - Upper humidity bound in %
+     * @param {number} [limit=0.5] - PMV limit, 0.5 for ASHRAE 55 / ISO 7730 category B
+     * @returns {Array<{temp: number, rh: number}>|null} Polygon, null when PMV never
+     *   reaches the limits on the search range
+     */
+    static calculatePMVComfortRegion(options = {}, rhMin = 0, rhMax = 100, limit = 0.5) {
+        const cold = [];
+        const warm = [];
+        const steps = 20;
+        for (let i = 0; i <= steps; i++) {
+            const rh = rhMin + (rhMax - rhMin) * (i / steps);
+            const tempMin = this.calculatePMVTemperature(-limit, rh, options);
+            const tempMax = this.calculatePMVTemperature(limit, rh, options);
+            if (tempMin === null || tempMax === null) return null;
+            cold.push({ temp: tempMin, rh });
+            warm.push({ temp: tempMax, rh });
+        }
+        return [...cold, ...warm.reverse()];
+    }
+
+    /**
+     * Slope of a Mollier protractor ray, at 0 °C and dry air.
+     *
+     * Une évolution qui échange Δh/Δx kJ par kg d'eau ajoutée vérifie, près de
+     * l'origine, dh = 1.006 · dT + 2501 · dW : d'où dT = (Δh/Δx − 2501) · dW / 1.006.
+     * @param {number} ratio - Enthalpy-moisture ratio Δh/Δx, in kJ/kg
+     * @returns {number} Temperature change per unit of water content, in K per kg/kg
+     */
+    static calculateProtractorSlope(ratio) {
+        return (ratio - 2501) / 1.006;
+    }
+
+    /**
+     * Relative humidity of the same air brought to another temperature.
+     *
+     * Chauffer ou refroidir sans condenser garde la pression de vapeur : seule la
+     * pression de saturation change. Au-delà de 100 %, l'air refroidi condenserait.
+     * @param {number} temp - Current temperature in Celsius
+     * @param {number} humidity - Current humidity in %
+     * @param {number} targetTemp - Temperature the air is brought to, in Celsius
+     * @returns {number} Relative humidity in %
+     */
+    static calculateRelativeHumidityAt(temp, humidity, targetTemp) {
+        if (targetTemp === temp) return humidity;
+        return humidity * this.calculateSaturationPressure(temp) / this.calculateSaturationPressure(targetTemp);
+    }
+
+    /**
+     * Calculate ideal setpoint to reach comfort zone with minimal energy.
+     *
+     * L'humidité se juge à la température visée : refroidir un air chaud et sec peut
+     * suffire à remonter son humidité relative dans la zone, sans humidifier.
+     * @param {number} temp - Current temperature in Celsius
+     * @param {number} humidity - Current humidity in %
+     * @param {Object} comfortRange - Comfort range definition
+     * @returns {Object} Ideal setpoint {temp, humidity}
+     */
+    static calculateIdealSetpoint(temp, humidity, comfortRange) {
+        let idealTemp = temp;
+
+        if (temp < comfortRange.tempMin) {
+            idealTemp = comfortRange.tempMin;
+        } else if (temp > comfortRange.tempMax) {
+            idealTemp = comfortRange.tempMax;
+        }
+
+        let idealHumidity = this.calculateRelativeHumidityAt(temp, humidity, idealTemp);
+        if (idealHumidity < comfortRange.rhMin) {
+            idealHumidity = comfortRange.rhMin;
+        } else if (idealHumidity > comfortRange.rhMax) {
+            idealHumidity = comfortRange.rhMax;
+        }
+
+        const isSummer = temp > 23;
+
+        if (idealTemp === temp && idealHumidity === humidity) {
+            if (isSummer) {
+                idealTemp = Math.min(temp, comfortRange.tempMax);
+                idealHumidity = Math.max(comfortRange.rhMin, Math.min(humidity, comfortRange.rhMin + 5));
+            } else {
+                idealTemp = Math.max(temp, comfortRange.tempMin);
+                idealHumidity = Math.min(comfortRange.rhMax, Math.max(humidity, comfortRange.rhMax - 5));
+            }
+        }
+
+        return { temp: idealTemp, humidity: idealHumidity };
+    }
+
+    /**
+     * Air state leaving one air-handling process step.
+     *
+     * Les transformations sont posées sur la teneur en eau, où elles sont linéaires
+     * (mélange avec l'air saturé au point de rosée d'appareil pour la batterie froide),
+     * puis l'état de sortie est repassé par `solveState` pour revenir au couple
+     * température / humidité relative qu'utilise tout le reste de la carte.
+     * @param {{temp: number, humidity: number}} state - Entering air (°C, %)
+     * @param {Object} step - Process step
+     * @param {string} step.type - One of PROCESS_TYPES
+     * @param {number} [step.temp] - Leaving dry bulb in Celsius (heating, cooling)
+     * @param {number} [step.adp] - Apparatus dew point in Celsius (cooling_coil)
+     * @param {number} [step.bypassFactor=0.1] - Coil bypass factor, 0-1 (cooling_coil)
+     * @param {number} [step.humidity] - Leaving relative humidity in % (adiabatic, steam)
+     * @param {number} [step.efficiency] - Saturation effectiveness, 0-1 (adiabatic)
+     * @returns {{temp: number, humidity: number}|null} Leaving air, or null when the
+     *   step cannot produce it (missing setting, heating asked to cool the air…)
+     */
+    static calculateProcessStep(state, step) {
+        const { temp, humidity } = state;
+        const W = this.calculateWaterContent(temp, humidity);
+
+        switch (step?.type) {
+            case 'heating':
+            case 'cooling': {
+                if (!Number.isFinite(step.temp)) return null;
+                // Une batterie chaude ne refroidit pas, une froide ne chauffe pas : la
+                // flèche partirait à rebours avec une charge de signe contraire.
+                if (step.type === 'heating' ? step.temp < temp : step.temp > temp) return null;
+                // Refroidi sous son point de rosée, l'air condense : il sort saturé.
+                const Ws = this.calculateWaterContent(step.temp, 100);
+                return this.solveState({ temp: step.temp, waterContent: Math.min(W, Ws) });
+            }
+            case 'cooling_coil': {
+                if (!Number.isFinite(step.adp) || step.adp >= temp) return null;
+                const bf = Math.min(1, Math.max(0, step.bypassFactor ?? 0.1));
+                const W_adp = this.calculateWaterContent(step.adp, 100);
+                // Batterie sèche : si l'air est déjà plus sec que la surface, rien ne condense.
+                return this.solveState({
+                    temp: step.adp + bf * (temp - step.adp),
+                    waterContent: W > W_adp ? W_adp + bf * (W - W_adp) : W,
+                });
+            }
+            case 'adiabatic': {
+                const wetBulb = this.calculateWetBulbTemp(temp, humidity);
+                if (Number.isFinite(step.humidity)) {
+                    if (step.humidity <= humidity) return null;
+                    return this.solveState({ wetBulb, humidity: Math.min(100, step.humidity) });
+                }
+                if (!Number.isFinite(step.efficiency)) return null;
+                const leaving = temp - Math.min(1, Math.max(0, step.efficiency)) * (temp - wetBulb);
+                return this.solveState({
+                    temp: leaving,
+                    waterContent: this.calculateWaterContentFromWetBulb(leaving, wetBulb),
+                });
+            }
+            case 'steam':
+                if (!Number.isFinite(step.humidity) || step.humidity < humidity) return null;
+                return { temp, humidity: Math.min(100, step.humidity) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Sensible, latent and total loads of a process between two air states.
+     *
+     * La part sensible est prise à teneur en eau d'entrée, la latente en est le
+     * complément : leur somme redonne exactement l'écart d'enthalpie. Le facteur de
+     * chaleur sensible n'a pas de sens quand l'enthalpie ne bouge presque pas
+     * (humidification adiabatique) : il vaut alors null plutôt qu'un quotient géant.
+     * @param {{temp: number, humidity: number}} from - Entering air (°C, %)
+     * @param {{temp: number, humidity: number}} to - Leaving air (°C, %)
+     * @param {number} massFlowRate - Dry air mass flow rate in kg/s
+     * @returns {{total: number, sensible: number, latent: number, shr: number|null}}
+     *   Loads in Watts (positive when heat is added to the air), and the sensible heat ratio
+     */
+    static calculateProcessLoads(from, to, massFlowRate) {
+        const W_in = this.calculateWaterContent(from.temp, from.humidity);
+        const W_out = this.calculateWaterContent(to.temp, to.humidity);
+        const total = massFlowRate * (this.calculateEnthalpy(to.temp, W_out) - this.calculateEnthalpy(from.temp, W_in)) * 1000;
+        const sensible = massFlowRate * (1.006 + 1.84 * W_in) * (to.temp - from.temp) * 1000;
+        const latent = total - sensible;
+        const shr = Math.abs(total) > 0.05 * (Math.abs(sensible) + Math.abs(latent)) ? sensible / total : null;
+        return { total, sensible, latent, shr };
+    }
+
+    /**
+     * Whether a value names a Home Assistant entity (`domain.object_id`).
+     * @param {*} value - Raw config value
+     * @returns {boolean}
+     */
+    static isEntityId(value) {
+        return typeof value === 'string' && /^[a-z_]+\.[a-z0-9_]+$/.test(value.trim());
+    }
+
+    /**
+     * Whether a mix `ratio` can be read: a fixed fraction from 0 to 1, or an entity.
+     * @param {*} ratio - Raw `ratio` of a mix
+     * @returns {boolean}
+     */
+    static isMixRatio(ratio) {
+        if (this.isEntityId(ratio)) return true;
+        if (typeof ratio !== 'number' && typeof ratio !== 'string') return false;
+        // Number plutôt que parseFloat : « 0.3abc » ou une chaîne vide ne sont pas des fractions.
+        const value = typeof ratio === 'string' && ratio.trim() === '' ? NaN : Number(ratio);
+        return Number.isFinite(value) && value >= 0 && value <= 1;
+    }
+
+    /**
+     * Adiabatic mixing of two air streams.
+     *
+     * Bilans de masse d'eau et d'enthalpie, pondérés par les débits d'air sec : la
+     * teneur en eau et l'enthalpie du mélange sont les moyennes pondérées de celles des
+     * deux flux, la température s'en déduit. Le mélange de deux airs proches de la
+     * saturation peut tomber au-delà (brouillard) : l'humidité rendue dépasse alors 100 %.
+     * @param {{temp: number, humidity: number}} first - First stream (°C, %)
+     * @param {{temp: number, humidity: number}} second - Second stream (°C, %)
+     * @param {number} fraction - Dry air mass fraction of the second stream, 0-1
+     * @returns {{temp: number, humidity: number}|null} Mixed air
+     */
+    static calculateMixing(first, second, fraction) {
+        const f = Math.min(1, Math.max(0, fraction));
+        const W1 = this.calculateWaterContent(first.temp, first.humidity);
+        const W2 = this.calculateWaterContent(second.temp, second.humidity);
+        const h1 = this.calculateEnthalpy(first.temp, W1);
+        const h2 = this.calculateEnthalpy(second.temp, W2);
+        return this.solveState({
+            waterContent: (1 - f) * W1 + f * W2,
+            enthalpy: (1 - f) * h1 + f * h2,
+        });
+    }
+
+    /**
+     * Effectiveness and recovered power of a heat recovery ventilator (HRV / ERV).
+     *
+     * Rendements côté soufflage (EN 308) : part de l'écart extrait − extérieur rendue
+     * à l'air neuf, en température (sensible), en teneur en eau (latent) et en
+     * enthalpie (total). Un écart trop faible (< 3 K, 0.5 g/kg, 3 kJ/kg) rendrait le
+     * ratio dénué de sens : il vaut alors null. Le rendement côté rejet sert de
+     * contrôle : à débits équilibrés, les deux coïncident.
+     *
+     * Alertes :
+     *   frost            : air rejeté sous 0 °C par temps de gel, les condensats givrent
+     *   bypass           : rendement sensible quasi nul alors qu'il fait froid dehors
+     *                      (sous 12 °C ; l'été, un bypass ouvert est normal)
+     *   lowEffectiveness : rendement sensible sous `minEffectiveness`
+     *   imbalance        : rendements soufflage / rejet écartés de plus de 0.2
+     *                      (débits déséquilibrés ou sonde défaillante)
+     * @param {Object} streams - { outdoor, supply, extract, exhaust }, each { temp, humidity }
+     * @param {number} massFlowRate - Supply dry air mass flow rate, in kg/s
+     * @param {Object} [options]
+     * @param {number} [options.minEffectiveness=0.5] - Sensible effectiveness below which to alert
+     * @returns {{sensible: number|null, latent: number|null, total: number|null, exhaustSensible: number|null, loads: Object, alerts: string[]}}
+     *   Effectiveness ratios (0-1), recovered loads (calculateProcessLoads, outdoor → supply), alerts
+     */
+    static calculateHeatRecovery({ outdoor, supply, extract, exhaust }, massFlowRate, { minEffectiveness = 0.5 } = {}) {
+        const W = (state) => this.calculateWaterContent(state.temp, state.humidity);
+        const h = (state) => this.calculateEnthalpy(state.temp, W(state));
+        const ratio = (num, den, min) => (Math.abs(den) >= min ? num / den : null);
+
+        const deltaT = extract.temp - outdoor.temp;
+        const sensible = ratio(supply.temp - outdoor.temp, deltaT, 3);
+        const exhaustSensible = ratio(extract.temp - exhaust.temp, deltaT, 3);
+        const latent = ratio(W(supply) - W(outdoor), W(extract) - W(outdoor), 0.0005);
+        const total = ratio(h(supply) - h(outdoor), h(extract) - h(outdoor), 3);
+
+        const alerts = [];
+        if (outdoor.temp < 0 && exhaust.temp <= 0) alerts.push('frost');
+        if (sensible !== null && deltaT > 0 && outdoor.temp < 12 && sensible < 0.15) {
+            alerts.push('bypass');
+        } else if (sensible !== null && sensible < minEffectiveness) {
+            alerts.push('lowEffectiveness');
+        }
+        if (sensible !== null && exhaustSensible !== null && Math.abs(sensible - exhaustSensible) > 0.2) {
+            alerts.push('imbalance');
+        }
+
+        return {
+            sensible, latent, total, exhaustSensible,
+            loads: this.calculateProcessLoads(outdoor, supply, massFlowRate),
+            alerts,
+        };
+    }
+
+    /**
+     * Whether bringing in outdoor air moves an indoor state toward the comfort range.
+     *
+     * Chaque écart à la zone de confort est un besoin : assécher, humidifier,
+     * rafraîchir, réchauffer. L'air extérieur assèche s'il contient moins d'eau, et ne
+     * rafraîchit que s'il est à la fois plus froid et moins enthalpique — un air frais
+     * mais saturé apporterait plus de chaleur latente qu'il n'ôte de chaleur sensible.
+     * Aérer n'est conseillé que si tous les besoins vont dans le bon sens.
+     * @param {{temp: number, humidity: number}} indoor - Indoor state (°C, %)
+     * @param {{temp: number, humidity: number}} outdoor - Outdoor state (°C, %)
+     * @param {{tempMin: number, tempMax: number, rhMin: number, rhMax: number}} comfortRange - Comfort range in Celsius
+     * @returns {{recommendation: string, reasons: string[], deltaW: number, deltaH: number, deltaT: number}}
+     *   'ventilate', 'keepClosed' or 'notNeeded'; needs outdoor air meets; outdoor minus
+     *   indoor humidity ratio (kg/kg), enthalpy (kJ/kg) and temperature (K)
+     */
+    static calculateVentilationAdvice(indoor, outdoor, comfortRange) {
+        const indoorW = this.calculateWaterContent(indoor.temp, indoor.humidity);
+        const outdoorW = this.calculateWaterContent(outdoor.temp, outdoor.humidity);
+        const deltaW = outdoorW - indoorW;
+        const deltaH = this.calculateEnthalpy(outdoor.temp, outdoorW) - this.calculateEnthalpy(indoor.temp, indoorW);
+        const deltaT = outdoor.temp - indoor.temp;
+
+        const needs = {
+            drying: indoor.humidity > comfortRange.rhMax,
+            humidifying: indoor.humidity < comfortRange.rhMin,
+            cooling: indoor.temp > comfortRange.tempMax,
+            heating: indoor.temp < comfortRange.tempMin,
+        };
+        const helps = {
+            drying: deltaW < 0,
+            humidifying: deltaW > 0,
+            cooling: deltaT < 0 && deltaH < 0,
+            heating: deltaT > 0,
+        };
+        const wanted = Object.keys(needs).filter(need => needs[need]);
+        const reasons = wanted.filter(need => helps[need]);
+
+        let recommendation = 'notNeeded';
+        if (wanted.length) recommendation = reasons.length === wanted.length ? 'ventilate' : 'keepClosed';
+        return { recommendation, reasons, deltaW, deltaH, deltaT };
+    }
+
+    /**
+     * Calculate heating power required.
+     * @param {number} temp - Current temperature
+     * @param {number} targetTemp - Target temperature
+     * @param {number} massFlowRate - Air mass flow rate
      * @returns {number} Power in Watts
      */
     static calculateHeatingPower(temp, targetTemp, massFlowRate) {
@@ -597,20 +1843,86 @@ class PsychrometricCalculations {
 
     /**
      * Calculate power required for humidification/dehumidification.
+     *
+     * Comme pour le débit d'eau, l'humidité visée se lit à la température visée quand
+     * l'air est aussi chauffé ou refroidi. Le signe est celui de l'écart de teneur en
+     * eau : refroidir un air sec peut suffire à remonter son humidité relative, et
+     * l'humidification demandée devient alors négative.
      * @param {number} temp - Current temperature
      * @param {number} humidity - Current humidity
      * @param {number} targetHumidity - Target humidity
      * @param {number} massFlowRate - Air mass flow rate
-     * @returns {number} Power in Watts
+     * @param {number} [targetTemp=temp] - Target temperature
+     * @returns {number} Power in Watts, positive to humidify, negative to dehumidify
      */
-    static calculateHumidityPower(temp, humidity, targetHumidity, massFlowRate) {
+    static calculateHumidityPower(temp, humidity, targetHumidity, massFlowRate, targetTemp = temp) {
         const W_actual = this.calculateWaterContent(temp, humidity);
-        const W_target = this.calculateWaterContent(temp, targetHumidity);
+        const W_target = this.calculateWaterContent(targetTemp, targetHumidity);
 
         const deltaW = W_target - W_actual;
         const latentHeat = 2501;
 
-        return Math.abs(deltaW * massFlowRate * latentHeat * 1000);
+        return deltaW * massFlowRate * latentHeat * 1000;
+    }
+
+    /**
+     * Water rate needed to bring the air to a target humidity.
+     *
+     * L'humidité relative visée se lit à la température visée : 50 % à 20 °C ne porte
+     * pas la même teneur en eau que 50 % à 26 °C.
+     * @param {number} temp - Current temperature
+     * @param {number} humidity - Current humidity
+     * @param {number} targetHumidity - Target humidity
+     * @param {number} massFlowRate - Dry air mass flow rate, in kg/s
+     * @param {number} [targetTemp=temp] - Target temperature
+     * @returns {number} Water rate in kg/h, positive to add (humidify), negative to remove
+     */
+    static calculateWaterRate(temp, humidity, targetHumidity, massFlowRate, targetTemp = temp) {
+        const deltaW = this.calculateWaterContent(targetTemp, targetHumidity) - this.calculateWaterContent(temp, humidity);
+        return deltaW * massFlowRate * 3600;
+    }
+
+    /**
+     * Dry air mass flow renewed in a room by its air changes.
+     *
+     * Le volume d'air se convertit en masse d'air sec par le volume spécifique, qui est
+     * justement rapporté au kilogramme d'air sec.
+     * @param {number} volume - Room volume, in m³
+     * @param {number} airChangesPerHour - Air changes per hour
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number} Dry air mass flow rate, in kg/s
+     */
+    static calculateRoomMassFlow(volume, airChangesPerHour, temp, humidity) {
+        return this.calculateAirflowMassFlow(volume * airChangesPerHour, temp, humidity);
+    }
+
+    /**
+     * Dry air mass flow carried by a volumetric airflow.
+     *
+     * Un même débit volumique transporte moins d'air sec quand l'air est chaud et
+     * humide : le volume spécifique de l'état mesuré fait la conversion.
+     * @param {number} airflow - Volumetric airflow, in m³/h
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number} Dry air mass flow rate, in kg/s
+     */
+    static calculateAirflowMassFlow(airflow, temp, humidity) {
+        return (airflow / 3600) / this.calculateSpecificVolume(temp, humidity);
+    }
+
+    /**
+     * Water held in excess (or missing) in the air of a room compared to a target humidity.
+     * @param {number} volume - Room volume, in m³
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Current humidity
+     * @param {number} targetHumidity - Target humidity
+     * @param {number} [targetTemp=temp] - Target temperature
+     * @returns {number} Water in kg, positive to add, negative to remove
+     */
+    static calculateRoomWater(volume, temp, humidity, targetHumidity, targetTemp = temp) {
+        const dryAir = volume / this.calculateSpecificVolume(temp, humidity);
+        return dryAir * (this.calculateWaterContent(targetTemp, targetHumidity) - this.calculateWaterContent(temp, humidity));
     }
 }
 
@@ -646,7 +1958,7 @@ const fireEvent = (node, type, detail = {}, options = {}) => {
 /** Champs affichables par point, dans l'ordre de la carte. */
 const DETAIL_FIELDS = [
     'dewPoint', 'wetBulb', 'apparentTemp', 'enthalpy', 'absHumidity', 'waterContent',
-    'specificVolume', 'pmvIndex', 'moldRisk', 'action',
+    'specificVolume', 'pmvIndex', 'humidex', 'heatIndex', 'wbgt', 'utci', 'moldRisk', 'moldIndex', 'action',
 ];
 
 /** Champs affichés par défaut quand `details` n'est pas configuré (cf. _shouldShowField). */
@@ -655,8 +1967,17 @@ const DEFAULT_DETAILS = ['dewPoint', 'wetBulb', 'apparentTemp', 'enthalpy', 'pmv
 /** Zone de confort par défaut (identique à celle de la carte). */
 const DEFAULT_COMFORT_RANGE = { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
 
+/**
+ * Paramètres PMV par défaut, ceux de calculatePMV. L'habillement n'y figure pas :
+ * laissé vide, il suit la saison, ce qu'une valeur pré-remplie figerait.
+ */
+const DEFAULT_PMV = { met: 1.2, vel: 0.1 };
+
 /** Clés de couleur globales exposées, avec alpha. */
-const COLOR_KEYS = ['bgColor', 'textColor', 'gridColor', 'curveColor', 'enthalpyColor', 'comfortColor'];
+const COLOR_KEYS = [
+    'bgColor', 'textColor', 'gridColor', 'curveColor', 'enthalpyColor', 'comfortColor',
+    'specificVolumeColor', 'dewPointColor', 'absoluteHumidityColor',
+];
 
 /** Options de style de trait, dans l'ordre du selector. Tirées de la table de la carte. */
 const LINE_STYLE_KEYS = Object.keys(LINE_STYLES);
@@ -664,6 +1985,12 @@ const LINE_STYLE_KEYS = Object.keys(LINE_STYLES);
 /** Familles de tracés dont le style est configurable, dans l'ordre d'affichage. */
 const LINE_STYLE_OPTIONS = Object.keys(DEFAULT_LINE_STYLES);
 
+/**
+ * Sources d'un point autres que le couple température/humidité, proposées dans un
+ * panneau repliable : la plupart des points n'en ont pas besoin.
+ */
+const EXTRA_POINT_SOURCES = Object.keys(POINT_SOURCES).filter(key => key !== 'temp' && key !== 'humidity');
+
 /** Domaines proposés dans les sélecteurs d'entités. */
 const SENSOR_DOMAINS = ['sensor', 'input_number', 'number'];
 
@@ -683,6 +2010,22 @@ const editorTranslations = {
         label: "Label",
         temp: "Température (entité)",
         humidity: "Humidité (entité)",
+        pointSources: "Autres capteurs (optionnel)",
+        outdoor: "Point extérieur",
+        outdoorHelp: "Référence du conseil d'aération : les autres points sont comparés à celui-ci.",
+        surfaces: "Températures de surface",
+        volume: "Volume de la pièce",
+        volumeHelp: "Donne aussi la quantité d'eau à retirer ou apporter à l'air de la pièce.",
+        airChangesPerHour: "Renouvellements d'air",
+        airChangesPerHourHelp: "Avec le volume, remplace le débit massique de la carte pour ce point.",
+        airflow: "Débit d'air",
+        airflowHelp: "Débit volumique du point, converti en débit d'air sec par son volume spécifique. Prime sur le volume et les renouvellements. Une entité de débit s'écrit en YAML.",
+        airflowUnit: "Unité de débit",
+        surfacesHelp: "Cadre de fenêtre, pont thermique, conduite d'eau froide : comparées au point de rosée du point pour signaler la condensation.",
+        dew_point: "Point de rosée (entité)",
+        wet_bulb: "Temp. humide (entité)",
+        humidity_ratio: "Teneur en eau (entité, g/kg)",
+        absolute_humidity: "Humidité abs. (entité, g/m³)",
         color: "Couleur",
         icon: "Icône",
         details: "Champs affichés",
@@ -694,7 +2037,25 @@ const editorTranslations = {
         waterContent: "Teneur en eau",
         specificVolume: "Vol. spécifique",
         pmvIndex: "Indice PMV",
+        humidex: "Humidex",
+        heatIndex: "Indice de chaleur",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Moisissure",
+        moldIndex: "Indice moisissure (VTT)",
+        moldIndexDays: "Historique de l'indice moisissure",
+        energy: "Énergie et coût",
+        period: "Période",
+        period_day: "24 h",
+        period_week: "7 jours",
+        period_month: "30 jours",
+        price: "Prix de l'électricité (par kWh)",
+        priceHelp: "Entité de prix, suivie sur l'historique ; un prix fixe s'écrit en YAML. Rendements à 1 par défaut (résistance électrique).",
+        heatingCop: "COP chauffage",
+        coolingEer: "EER refroidissement",
+        humidificationCop: "COP humidification",
+        dehumidificationCop: "COP déshumidification",
+        moldIndexDaysHelp: "Jours d'historique relus pour l'indice VTT et les heures au-dessus de l'isoplèthe.",
         action: "Action/Puissance",
         addPoint: "Ajouter un point",
         comfort: "Zone de confort",
@@ -705,6 +2066,29 @@ const editorTranslations = {
         rhMax: "Humidité max",
         massFlowRate: "Débit massique d'air",
         massFlowRateHelp: "Sert au calcul des puissances de chauffage, refroidissement et humidification.",
+        comfortModel: "Modèle de confort",
+        comfortModelHelp: "Adaptatif (EN 16798-1 / ASHRAE 55) : les bornes de température suivent la moyenne glissante de la température extérieure. PMV : la zone devient la région où |PMV| ≤ 0.5 pour les paramètres PMV ci-dessous. Les bornes d'humidité restent celles ci-dessus.",
+        comfortStatic: "Zone fixe",
+        comfortAdaptive: "Adaptatif",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "Paramètres PMV",
+        clo: "Habillement (clo)",
+        met: "Métabolisme (met)",
+        vel: "Vitesse d'air",
+        velHelp: "Constante, ou anémomètre sur un point (km/h convertis). Une constante par point s'écrit en YAML.",
+        cloHelp: "Vide : valeur de saison (1.0 clo l'hiver, 0.5 clo l'été, 0.7 clo en avril et octobre).",
+        tr: "Temp. radiante moyenne (entité)",
+        trHelp: "Sonde de globe ou de rayonnement. Vide : température de l'air. Une constante s'écrit en YAML.",
+        utciInputs: "Entrées UTCI",
+        windSpeed: "Vitesse du vent",
+        windSpeedHelp: "Anémomètre extérieur (km/h convertis), ramené entre 0.5 et 17 m/s. Vide : 0.5 m/s. La température radiante vide reprend celle du PMV.",
+        adaptiveComfort: "Confort adaptatif",
+        outdoorPoint: "Point extérieur",
+        outdoorPointHelp: "Point dont l'entité de température fournit l'historique des 7 derniers jours.",
+        standard: "Norme",
+        category: "Catégorie",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Apparence",
         theme: "Thème visuel",
         themeModern: "Moderne",
@@ -715,6 +2099,9 @@ const editorTranslations = {
         gridColor: "Couleur de la grille",
         curveColor: "Couleur des courbes",
         enthalpyColor: "Couleur des enthalpies",
+        specificVolumeColor: "Couleur des volumes spécifiques",
+        dewPointColor: "Couleur des points de rosée",
+        absoluteHumidityColor: "Couleur des humidités absolues",
         comfortColor: "Couleur zone confort",
         opacity: "Opacité",
         resetColor: "Suivre le thème",
@@ -723,6 +2110,9 @@ const editorTranslations = {
         curveLineStyle: "Trait des courbes d'humidité",
         enthalpyLineStyle: "Trait des enthalpies",
         wetBulbLineStyle: "Trait des temp. humides",
+        specificVolumeLineStyle: "Trait des volumes spécifiques",
+        dewPointLineStyle: "Trait des points de rosée",
+        absoluteHumidityLineStyle: "Trait des humidités absolues",
         comfortLineStyle: "Trait de la zone de confort",
         pointLineStyle: "Trait des projections de points",
         lineSolid: "Continu",
@@ -732,6 +2122,17 @@ const editorTranslations = {
         tempSubdivisions: "Sous-multiples des températures sèches",
         tempSubdivisionsHelp: "Traits intermédiaires entre deux graduations de l'axe des températures. 1 n'en ajoute aucun ; 5 découpe chaque pas de 5 °C en degrés.",
         displayOptions: "Options d'affichage",
+        chartType: "Type de diagramme",
+        chartTypeHelp: "Psychrométrique : température en abscisse, pression de vapeur en ordonnée. Mollier (h-x) : teneur en eau en abscisse, température en ordonnée, avec le rapporteur Δh/Δx.",
+        chartTypePsychrometric: "Psychrométrique (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Axe vertical",
+        yAxisHelp: "La teneur en eau est l'ordonnée des abaques d'ingénierie : les échelles de rosée et d'enthalpie s'ajoutent alors le long de la courbe de saturation.",
+        secondaryAxis: "Axe secondaire (droite)",
+        axisNone: "Aucun",
+        axisVaporPressure: "Pression de vapeur",
+        axisHumidityRatio: "Teneur en eau",
+        axisDewPoint: "Point de rosée",
         displayMode: "Niveau de détail",
         displayModeHelp: "Personnalisé applique les champs cochés sur chaque point. Minimal n'affiche que température, humidité et confort ; Détaillé affiche tous les champs.",
         displayCustom: "Personnalisé",
@@ -740,14 +2141,41 @@ const editorTranslations = {
         unitAuto: "Automatique (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Système d'unités",
+        unitSystemHelp: "Unités de l'enthalpie, de la teneur en eau, du volume spécifique, de la pression et des puissances. Mixte : propriétés de l'air en impérial, puissances et eau en SI. Les températures gardent leur propre unité.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Impérial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Mixte (air en impérial, puissances en W)",
+        pressure: "Baromètre (entité)",
+        pressureHelp: "Pression atmosphérique mesurée. Une valeur fixe en kPa ou hPa s'écrit directement en YAML (`pressure: 91.2`).",
+        saturationFormula: "Pression de vapeur saturante",
+        saturationFormulaHelp: "Les formulations « glace » suivent la saturation au-dessus de la glace sous 0 °C (point de givre, humidité relative rapportée à la glace, comme sur les diagrammes ASHRAE).",
+        formulaMagnus: "Magnus (eau)",
+        formulaMagnus_ice: "Magnus (eau et glace)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Altitude du site (m)",
+        elevationHelp: "Sert à estimer la pression sans baromètre. `elevation: auto` reprend l'altitude déclarée dans Home Assistant.",
         showChart: "Afficher le graphique",
         showChartHelp: "Décochez pour n'afficher que les cartes de données, sans le diagramme.",
         showEnthalpy: "Afficher Enthalpie",
         showVaporPressure: "Afficher Pression Vapeur",
         showDewPoint: "Afficher Point de Rosée",
         showWetBulb: "Afficher Temp. Humide",
+        showSpecificVolumeLines: "Afficher Volume Spécifique",
+        showDewPointLines: "Afficher Iso-rosée",
+        showAbsoluteHumidityLines: "Afficher Humidité Absolue",
         showPointLabels: "Afficher les labels des points",
         showLegend: "Afficher Légende",
+        showCursorReadout: "Lecture de l'air sous le curseur",
+        showCrosshair: "Réticule vers les axes",
+        showTrails: "Trace des dernières heures",
+        showHeatmap: "Carte du temps passé",
+        heatmapDays: "Historique de la carte du temps passé",
+        heatmapDaysHelp: "Jours d'historique répartis en cases sur le graphique ; le temps en confort de chaque point porte sur la même période.",
+        trailHours: "Durée de la trace",
+        trailHoursHelp: "Heures d'historique tracées derrière chaque point, de plus en plus estompées avec l'âge.",
+        trailStep: "Pas de la trace",
+        trailStepHelp: "Minutes entre deux états de la trace : un pas plus long allège la requête et lisse le tracé.",
         showCalculatedData: "Afficher Données Calculées",
         themeMode: "Thème de couleurs",
         themeModeHelp: "Automatique suit le thème clair/sombre de Home Assistant.",
@@ -760,6 +2188,10 @@ const editorTranslations = {
         zoom_temp_max: "Température max",
         zoom_humidity_min: "Humidité min",
         zoom_humidity_max: "Humidité max",
+        interactiveZoom: "Zoom et déplacement à la souris et au doigt",
+        interactiveZoomHelp: "Ctrl + molette ou pincement pour zoomer, glisser pour déplacer, Maj + glisser pour zoomer sur une zone.",
+        useCurrentView: "Utiliser la vue actuelle",
+        useCurrentViewHint: "Zoomez ou déplacez le graphique de l'aperçu pour pouvoir enregistrer sa vue ici.",
     },
     en: {
         general: "General",
@@ -776,6 +2208,22 @@ const editorTranslations = {
         label: "Label",
         temp: "Temperature (entity)",
         humidity: "Humidity (entity)",
+        pointSources: "Other sensors (optional)",
+        outdoor: "Outdoor point",
+        outdoorHelp: "Reference of the ventilation advice: the other points are compared with this one.",
+        surfaces: "Surface temperatures",
+        volume: "Room volume",
+        volumeHelp: "Also gives the amount of water to remove from or add to the room air.",
+        airChangesPerHour: "Air changes per hour",
+        airChangesPerHourHelp: "With the volume, replaces the card's mass flow rate for this point.",
+        airflow: "Airflow",
+        airflowHelp: "Volumetric flow of the point, converted to dry air mass flow with its specific volume. Takes precedence over volume and air changes. A flow entity is set in YAML.",
+        airflowUnit: "Airflow unit",
+        surfacesHelp: "Window frame, thermal bridge, cold-water pipe: compared with the point's dew point to warn about condensation.",
+        dew_point: "Dew point (entity)",
+        wet_bulb: "Wet bulb (entity)",
+        humidity_ratio: "Humidity ratio (entity, g/kg)",
+        absolute_humidity: "Abs. humidity (entity, g/m³)",
         color: "Color",
         icon: "Icon",
         details: "Displayed fields",
@@ -787,7 +2235,25 @@ const editorTranslations = {
         waterContent: "Water content",
         specificVolume: "Specific vol.",
         pmvIndex: "PMV index",
+        humidex: "Humidex",
+        heatIndex: "Heat index",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Mold risk",
+        moldIndex: "Mold index (VTT)",
+        moldIndexDays: "Mold index history",
+        energy: "Energy and cost",
+        period: "Period",
+        period_day: "24 h",
+        period_week: "7 days",
+        period_month: "30 days",
+        price: "Electricity price (per kWh)",
+        priceHelp: "Price entity, followed over the history; a fixed price can be set in YAML. Efficiencies default to 1 (electric resistance).",
+        heatingCop: "Heating COP",
+        coolingEer: "Cooling EER",
+        humidificationCop: "Humidification COP",
+        dehumidificationCop: "Dehumidification COP",
+        moldIndexDaysHelp: "Days of history read for the VTT index and the hours above the isopleth.",
         action: "Action/Power",
         addPoint: "Add point",
         comfort: "Comfort zone",
@@ -798,6 +2264,29 @@ const editorTranslations = {
         rhMax: "Max humidity",
         massFlowRate: "Air mass flow rate",
         massFlowRateHelp: "Used to compute heating, cooling and humidification power.",
+        comfortModel: "Comfort model",
+        comfortModelHelp: "Adaptive (EN 16798-1 / ASHRAE 55): temperature bounds follow the running mean outdoor temperature. PMV: the zone becomes the region where |PMV| ≤ 0.5 for the PMV parameters below. Humidity bounds stay as set above.",
+        comfortStatic: "Fixed zone",
+        comfortAdaptive: "Adaptive",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "PMV parameters",
+        clo: "Clothing (clo)",
+        met: "Metabolic rate (met)",
+        vel: "Air speed",
+        velHelp: "Constant, or an anemometer on a point (km/h converted). A per-point constant can be written in YAML.",
+        cloHelp: "Empty: seasonal value (1.0 clo in winter, 0.5 clo in summer, 0.7 clo in April and October).",
+        tr: "Mean radiant temp. (entity)",
+        trHelp: "Globe or radiant temperature sensor. Empty: air temperature. A constant can be written in YAML.",
+        utciInputs: "UTCI inputs",
+        windSpeed: "Wind speed",
+        windSpeedHelp: "Outdoor anemometer (km/h converted), limited to 0.5-17 m/s. Empty: 0.5 m/s. An empty radiant temperature reuses the PMV one.",
+        adaptiveComfort: "Adaptive comfort",
+        outdoorPoint: "Outdoor point",
+        outdoorPointHelp: "Point whose temperature entity provides the last 7 days of history.",
+        standard: "Standard",
+        category: "Category",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Appearance",
         theme: "Visual theme",
         themeModern: "Modern",
@@ -808,6 +2297,9 @@ const editorTranslations = {
         gridColor: "Grid color",
         curveColor: "Curve color",
         enthalpyColor: "Enthalpy color",
+        specificVolumeColor: "Specific volume color",
+        dewPointColor: "Dew point color",
+        absoluteHumidityColor: "Absolute humidity color",
         comfortColor: "Comfort zone color",
         opacity: "Opacity",
         resetColor: "Follow the theme",
@@ -816,6 +2308,9 @@ const editorTranslations = {
         curveLineStyle: "Humidity curve line",
         enthalpyLineStyle: "Enthalpy line",
         wetBulbLineStyle: "Wet bulb line",
+        specificVolumeLineStyle: "Specific volume line",
+        dewPointLineStyle: "Dew point line",
+        absoluteHumidityLineStyle: "Absolute humidity line",
         comfortLineStyle: "Comfort zone outline",
         pointLineStyle: "Point projection line",
         lineSolid: "Solid",
@@ -825,6 +2320,17 @@ const editorTranslations = {
         tempSubdivisions: "Dry-bulb temperature subdivisions",
         tempSubdivisionsHelp: "Minor lines drawn between two graduations of the temperature axis. 1 adds none; 5 splits each 5 °C step into degrees.",
         displayOptions: "Display options",
+        chartType: "Chart type",
+        chartTypeHelp: "Psychrometric: temperature across, vapor pressure up. Mollier (h-x): humidity ratio across, temperature up, with the Δh/Δx protractor.",
+        chartTypePsychrometric: "Psychrometric (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Vertical axis",
+        yAxisHelp: "Humidity ratio is the vertical axis of engineering charts: dew point and enthalpy scales are then added along the saturation curve.",
+        secondaryAxis: "Secondary axis (right)",
+        axisNone: "None",
+        axisVaporPressure: "Vapor pressure",
+        axisHumidityRatio: "Humidity ratio",
+        axisDewPoint: "Dew point",
         displayMode: "Detail level",
         displayModeHelp: "Custom applies the fields ticked on each point. Minimal only shows temperature, humidity and comfort; Detailed shows every field.",
         displayCustom: "Custom",
@@ -833,14 +2339,41 @@ const editorTranslations = {
         unitAuto: "Automatic (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Unit system",
+        unitSystemHelp: "Units of enthalpy, humidity ratio, specific volume, pressure and power. Mixed: air properties in imperial, power and water in SI. Temperatures keep their own unit.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Imperial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Mixed (air in imperial, power in W)",
+        pressure: "Barometer (entity)",
+        pressureHelp: "Measured atmospheric pressure. A fixed value in kPa or hPa can be written directly in YAML (`pressure: 91.2`).",
+        saturationFormula: "Saturation vapor pressure",
+        saturationFormulaHelp: "The \"ice\" formulations follow saturation over ice below 0 °C (frost point, relative humidity referred to ice, as on ASHRAE charts).",
+        formulaMagnus: "Magnus (water)",
+        formulaMagnus_ice: "Magnus (water and ice)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Site elevation (m)",
+        elevationHelp: "Used to estimate the pressure without a barometer. `elevation: auto` uses the elevation declared in Home Assistant.",
         showChart: "Show chart",
         showChartHelp: "Uncheck to show only the data cards, without the diagram.",
         showEnthalpy: "Show enthalpy",
         showVaporPressure: "Show vapor pressure",
         showDewPoint: "Show dew point",
         showWetBulb: "Show wet bulb",
+        showSpecificVolumeLines: "Show specific volume",
+        showDewPointLines: "Show dew point lines",
+        showAbsoluteHumidityLines: "Show absolute humidity",
         showPointLabels: "Show point labels",
         showLegend: "Show legend",
+        showCursorReadout: "Air state under the cursor",
+        showCrosshair: "Crosshair to the axes",
+        showTrails: "Trail of the last hours",
+        showHeatmap: "Time-in-zone heatmap",
+        heatmapDays: "Heatmap history",
+        heatmapDaysHelp: "Days of history binned into chart cells; each point's time in comfort covers the same period.",
+        trailHours: "Trail duration",
+        trailHoursHelp: "Hours of history drawn behind each point, fading with age.",
+        trailStep: "Trail step",
+        trailStepHelp: "Minutes between two trail states: a longer step lightens the request and smooths the path.",
         showCalculatedData: "Show calculated data",
         themeMode: "Colour theme",
         themeModeHelp: "Automatic follows the Home Assistant light/dark theme.",
@@ -853,6 +2386,10 @@ const editorTranslations = {
         zoom_temp_max: "Max temperature",
         zoom_humidity_min: "Min humidity",
         zoom_humidity_max: "Max humidity",
+        interactiveZoom: "Mouse and touch zoom and pan",
+        interactiveZoomHelp: "Ctrl + wheel or pinch to zoom, drag to pan, Shift + drag to zoom into an area.",
+        useCurrentView: "Use current view",
+        useCurrentViewHint: "Zoom or pan the preview chart to save its view here.",
     },
     es: {
         general: "General",
@@ -869,6 +2406,22 @@ const editorTranslations = {
         label: "Etiqueta",
         temp: "Temperatura (entidad)",
         humidity: "Humedad (entidad)",
+        pointSources: "Otros sensores (opcional)",
+        outdoor: "Punto exterior",
+        outdoorHelp: "Referencia del consejo de ventilación: los demás puntos se comparan con este.",
+        surfaces: "Temperaturas de superficie",
+        volume: "Volumen de la sala",
+        volumeHelp: "También da la cantidad de agua que hay que retirar o aportar al aire de la sala.",
+        airChangesPerHour: "Renovaciones de aire",
+        airChangesPerHourHelp: "Con el volumen, sustituye el caudal másico de la tarjeta para este punto.",
+        airflow: "Caudal de aire",
+        airflowHelp: "Caudal volumétrico del punto, convertido en caudal de aire seco con su volumen específico. Prevalece sobre el volumen y las renovaciones. Una entidad de caudal se escribe en YAML.",
+        airflowUnit: "Unidad de caudal",
+        surfacesHelp: "Marco de ventana, puente térmico, tubería de agua fría: se comparan con el punto de rocío del punto para avisar de la condensación.",
+        dew_point: "Punto de rocío (entidad)",
+        wet_bulb: "Temp. húmeda (entidad)",
+        humidity_ratio: "Contenido de agua (entidad, g/kg)",
+        absolute_humidity: "Humedad abs. (entidad, g/m³)",
         color: "Color",
         icon: "Icono",
         details: "Campos mostrados",
@@ -880,7 +2433,25 @@ const editorTranslations = {
         waterContent: "Contenido de agua",
         specificVolume: "Vol. específico",
         pmvIndex: "Índice PMV",
+        humidex: "Humidex",
+        heatIndex: "Índice de calor",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Riesgo de moho",
+        moldIndex: "Índice de moho (VTT)",
+        moldIndexDays: "Historial del índice de moho",
+        energy: "Energía y coste",
+        period: "Periodo",
+        period_day: "24 h",
+        period_week: "7 días",
+        period_month: "30 días",
+        price: "Precio de la electricidad (por kWh)",
+        priceHelp: "Entidad de precio, seguida en el historial; un precio fijo se escribe en YAML. Rendimientos a 1 por defecto (resistencia eléctrica).",
+        heatingCop: "COP calefacción",
+        coolingEer: "EER refrigeración",
+        humidificationCop: "COP humidificación",
+        dehumidificationCop: "COP deshumidificación",
+        moldIndexDaysHelp: "Días de historial leídos para el índice VTT y las horas sobre la isopleta.",
         action: "Acción/Potencia",
         addPoint: "Añadir punto",
         comfort: "Zona de confort",
@@ -891,6 +2462,29 @@ const editorTranslations = {
         rhMax: "Humedad máx",
         massFlowRate: "Caudal másico de aire",
         massFlowRateHelp: "Se usa para calcular las potencias de calefacción, refrigeración y humidificación.",
+        comfortModel: "Modelo de confort",
+        comfortModelHelp: "Adaptativo (EN 16798-1 / ASHRAE 55): los límites de temperatura siguen la media móvil de la temperatura exterior. PMV: la zona pasa a ser la región donde |PMV| ≤ 0.5 para los parámetros PMV de abajo. Los límites de humedad siguen siendo los de arriba.",
+        comfortStatic: "Zona fija",
+        comfortAdaptive: "Adaptativo",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "Parámetros PMV",
+        clo: "Vestimenta (clo)",
+        met: "Metabolismo (met)",
+        vel: "Velocidad del aire",
+        velHelp: "Constante, o anemómetro en un punto (km/h convertidos). Una constante por punto se escribe en YAML.",
+        cloHelp: "Vacío: valor estacional (1.0 clo en invierno, 0.5 clo en verano, 0.7 clo en abril y octubre).",
+        tr: "Temp. radiante media (entidad)",
+        trHelp: "Sonda de globo o de radiación. Vacío: temperatura del aire. Una constante se escribe en YAML.",
+        utciInputs: "Entradas UTCI",
+        windSpeed: "Velocidad del viento",
+        windSpeedHelp: "Anemómetro exterior (km/h convertidos), limitado a 0.5-17 m/s. Vacío: 0.5 m/s. Una temperatura radiante vacía reutiliza la del PMV.",
+        adaptiveComfort: "Confort adaptativo",
+        outdoorPoint: "Punto exterior",
+        outdoorPointHelp: "Punto cuya entidad de temperatura aporta el historial de los últimos 7 días.",
+        standard: "Norma",
+        category: "Categoría",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Apariencia",
         theme: "Tema visual",
         themeModern: "Moderno",
@@ -901,6 +2495,9 @@ const editorTranslations = {
         gridColor: "Color de la cuadrícula",
         curveColor: "Color de las curvas",
         enthalpyColor: "Color de las entalpías",
+        specificVolumeColor: "Color de los volúmenes específicos",
+        dewPointColor: "Color de los puntos de rocío",
+        absoluteHumidityColor: "Color de las humedades absolutas",
         comfortColor: "Color zona confort",
         opacity: "Opacidad",
         resetColor: "Seguir el tema",
@@ -909,6 +2506,9 @@ const editorTranslations = {
         curveLineStyle: "Línea de las curvas de humedad",
         enthalpyLineStyle: "Línea de las entalpías",
         wetBulbLineStyle: "Línea de temp. húmedas",
+        specificVolumeLineStyle: "Línea de volúmenes específicos",
+        dewPointLineStyle: "Línea de puntos de rocío",
+        absoluteHumidityLineStyle: "Línea de humedades absolutas",
         comfortLineStyle: "Contorno de la zona de confort",
         pointLineStyle: "Línea de proyección de los puntos",
         lineSolid: "Continua",
@@ -918,6 +2518,17 @@ const editorTranslations = {
         tempSubdivisions: "Subdivisiones de las temperaturas secas",
         tempSubdivisionsHelp: "Líneas intermedias entre dos graduaciones del eje de temperaturas. 1 no añade ninguna; 5 divide cada paso de 5 °C en grados.",
         displayOptions: "Opciones de visualización",
+        chartType: "Tipo de diagrama",
+        chartTypeHelp: "Psicrométrico: temperatura en abscisas, presión de vapor en ordenadas. Mollier (h-x): humedad específica en abscisas, temperatura en ordenadas, con el transportador Δh/Δx.",
+        chartTypePsychrometric: "Psicrométrico (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Eje vertical",
+        yAxisHelp: "La humedad específica es el eje vertical de los diagramas de ingeniería: se añaden entonces las escalas de rocío y de entalpía a lo largo de la curva de saturación.",
+        secondaryAxis: "Eje secundario (derecha)",
+        axisNone: "Ninguno",
+        axisVaporPressure: "Presión de vapor",
+        axisHumidityRatio: "Humedad específica",
+        axisDewPoint: "Punto de rocío",
         displayMode: "Nivel de detalle",
         displayModeHelp: "Personalizado aplica los campos marcados en cada punto. Mínimo solo muestra temperatura, humedad y confort; Detallado muestra todos los campos.",
         displayCustom: "Personalizado",
@@ -926,14 +2537,41 @@ const editorTranslations = {
         unitAuto: "Automática (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Sistema de unidades",
+        unitSystemHelp: "Unidades de la entalpía, la humedad específica, el volumen específico, la presión y las potencias. Mixto: propiedades del aire en imperial, potencias y agua en SI. Las temperaturas conservan su propia unidad.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Imperial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Mixto (aire en imperial, potencias en W)",
+        pressure: "Barómetro (entidad)",
+        pressureHelp: "Presión atmosférica medida. Un valor fijo en kPa o hPa se escribe directamente en YAML (`pressure: 91.2`).",
+        saturationFormula: "Presión de vapor saturante",
+        saturationFormulaHelp: "Las formulaciones «hielo» siguen la saturación sobre hielo por debajo de 0 °C (punto de escarcha, humedad relativa referida al hielo, como en los diagramas ASHRAE).",
+        formulaMagnus: "Magnus (agua)",
+        formulaMagnus_ice: "Magnus (agua y hielo)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Altitud del sitio (m)",
+        elevationHelp: "Sirve para estimar la presión sin barómetro. `elevation: auto` usa la altitud declarada en Home Assistant.",
         showChart: "Mostrar el gráfico",
         showChartHelp: "Desmarca para mostrar solo las tarjetas de datos, sin el diagrama.",
         showEnthalpy: "Mostrar entalpía",
         showVaporPressure: "Mostrar presión de vapor",
         showDewPoint: "Mostrar punto de rocío",
         showWetBulb: "Mostrar temp. húmeda",
+        showSpecificVolumeLines: "Mostrar volumen específico",
+        showDewPointLines: "Mostrar líneas de rocío",
+        showAbsoluteHumidityLines: "Mostrar humedad absoluta",
         showPointLabels: "Mostrar etiquetas de los puntos",
         showLegend: "Mostrar leyenda",
+        showCursorReadout: "Estado del aire bajo el cursor",
+        showCrosshair: "Retícula hacia los ejes",
+        showTrails: "Rastro de las últimas horas",
+        showHeatmap: "Mapa del tiempo pasado",
+        heatmapDays: "Historial del mapa de tiempo",
+        heatmapDaysHelp: "Días de historial repartidos en celdas del diagrama; el tiempo en confort de cada punto cubre el mismo periodo.",
+        trailHours: "Duración del rastro",
+        trailHoursHelp: "Horas de historial trazadas detrás de cada punto, cada vez más tenues con la antigüedad.",
+        trailStep: "Paso del rastro",
+        trailStepHelp: "Minutos entre dos estados del rastro: un paso más largo aligera la consulta y suaviza el trazado.",
         showCalculatedData: "Mostrar datos calculados",
         themeMode: "Tema de colores",
         themeModeHelp: "Automático sigue el tema claro/oscuro de Home Assistant.",
@@ -946,6 +2584,10 @@ const editorTranslations = {
         zoom_temp_max: "Temp. máx",
         zoom_humidity_min: "Humedad mín",
         zoom_humidity_max: "Humedad máx",
+        interactiveZoom: "Zoom y desplazamiento con ratón y táctil",
+        interactiveZoomHelp: "Ctrl + rueda o pellizco para ampliar, arrastrar para desplazar, Mayús + arrastrar para ampliar una zona.",
+        useCurrentView: "Usar la vista actual",
+        useCurrentViewHint: "Amplíe o desplace el gráfico de la vista previa para guardar su vista aquí.",
     },
     de: {
         general: "Allgemein",
@@ -962,6 +2604,22 @@ const editorTranslations = {
         label: "Beschriftung",
         temp: "Temperatur (Entität)",
         humidity: "Feuchtigkeit (Entität)",
+        pointSources: "Weitere Sensoren (optional)",
+        outdoor: "Außenpunkt",
+        outdoorHelp: "Referenz der Lüftungsempfehlung: die anderen Punkte werden mit diesem verglichen.",
+        surfaces: "Oberflächentemperaturen",
+        volume: "Raumvolumen",
+        volumeHelp: "Ergibt auch die Wassermenge, die der Raumluft zu entziehen oder zuzuführen ist.",
+        airChangesPerHour: "Luftwechsel",
+        airChangesPerHourHelp: "Ersetzt zusammen mit dem Volumen den Massenstrom der Karte für diesen Punkt.",
+        airflow: "Luftvolumenstrom",
+        airflowHelp: "Volumenstrom des Punkts, über sein spezifisches Volumen in einen Trockenluft-Massenstrom umgerechnet. Hat Vorrang vor Volumen und Luftwechsel. Eine Durchfluss-Entität wird in YAML angegeben.",
+        airflowUnit: "Einheit des Volumenstroms",
+        surfacesHelp: "Fensterrahmen, Wärmebrücke, Kaltwasserleitung: mit dem Taupunkt des Punkts verglichen, um vor Kondensation zu warnen.",
+        dew_point: "Taupunkt (Entität)",
+        wet_bulb: "Feuchtkugeltemp. (Entität)",
+        humidity_ratio: "Wassergehalt (Entität, g/kg)",
+        absolute_humidity: "Abs. Feuchtigkeit (Entität, g/m³)",
         color: "Farbe",
         icon: "Symbol",
         details: "Angezeigte Felder",
@@ -973,7 +2631,25 @@ const editorTranslations = {
         waterContent: "Wassergehalt",
         specificVolume: "Spezifisches Vol.",
         pmvIndex: "PMV-Index",
+        humidex: "Humidex",
+        heatIndex: "Hitzeindex",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Schimmelrisiko",
+        moldIndex: "Schimmelindex (VTT)",
+        moldIndexDays: "Verlauf des Schimmelindex",
+        energy: "Energie und Kosten",
+        period: "Zeitraum",
+        period_day: "24 h",
+        period_week: "7 Tage",
+        period_month: "30 Tage",
+        price: "Strompreis (pro kWh)",
+        priceHelp: "Preis-Entität, über den Verlauf verfolgt; ein fester Preis wird in YAML gesetzt. Wirkungsgrade standardmäßig 1 (elektrischer Widerstand).",
+        heatingCop: "COP Heizen",
+        coolingEer: "EER Kühlen",
+        humidificationCop: "COP Befeuchtung",
+        dehumidificationCop: "COP Entfeuchtung",
+        moldIndexDaysHelp: "Tage Verlauf für den VTT-Index und die Stunden über der Isoplethe.",
         action: "Aktion/Leistung",
         addPoint: "Punkt hinzufügen",
         comfort: "Komfortzone",
@@ -984,6 +2660,29 @@ const editorTranslations = {
         rhMax: "Max. Feuchtigkeit",
         massFlowRate: "Luftmassenstrom",
         massFlowRateHelp: "Dient zur Berechnung der Heiz-, Kühl- und Befeuchtungsleistung.",
+        comfortModel: "Komfortmodell",
+        comfortModelHelp: "Adaptiv (EN 16798-1 / ASHRAE 55): Die Temperaturgrenzen folgen dem gleitenden Mittel der Außentemperatur. PMV: Die Zone wird zum Bereich mit |PMV| ≤ 0,5 für die PMV-Parameter unten. Die Feuchtegrenzen bleiben wie oben eingestellt.",
+        comfortStatic: "Feste Zone",
+        comfortAdaptive: "Adaptiv",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "PMV-Parameter",
+        clo: "Bekleidung (clo)",
+        met: "Aktivität (met)",
+        vel: "Luftgeschwindigkeit",
+        velHelp: "Konstante, oder ein Anemometer an einem Punkt (km/h wird umgerechnet). Eine Konstante pro Punkt wird in YAML geschrieben.",
+        cloHelp: "Leer: jahreszeitlicher Wert (1,0 clo im Winter, 0,5 clo im Sommer, 0,7 clo im April und Oktober).",
+        tr: "Mittlere Strahlungstemp. (Entität)",
+        trHelp: "Globe- oder Strahlungstemperaturfühler. Leer: Lufttemperatur. Eine Konstante wird in YAML geschrieben.",
+        utciInputs: "UTCI-Eingaben",
+        windSpeed: "Windgeschwindigkeit",
+        windSpeedHelp: "Außen-Anemometer (km/h umgerechnet), auf 0,5-17 m/s begrenzt. Leer: 0,5 m/s. Eine leere Strahlungstemperatur übernimmt die des PMV.",
+        adaptiveComfort: "Adaptiver Komfort",
+        outdoorPoint: "Außenpunkt",
+        outdoorPointHelp: "Punkt, dessen Temperaturentität den Verlauf der letzten 7 Tage liefert.",
+        standard: "Norm",
+        category: "Kategorie",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Aussehen",
         theme: "Visuelles Thema",
         themeModern: "Modern",
@@ -994,6 +2693,9 @@ const editorTranslations = {
         gridColor: "Gitterfarbe",
         curveColor: "Kurvenfarbe",
         enthalpyColor: "Enthalpiefarbe",
+        specificVolumeColor: "Farbe des spezifischen Volumens",
+        dewPointColor: "Taupunktfarbe",
+        absoluteHumidityColor: "Farbe der absoluten Feuchte",
         comfortColor: "Komfortzonenfarbe",
         opacity: "Deckkraft",
         resetColor: "Dem Thema folgen",
@@ -1002,6 +2704,9 @@ const editorTranslations = {
         curveLineStyle: "Feuchtekurvenlinie",
         enthalpyLineStyle: "Enthalpielinie",
         wetBulbLineStyle: "Feuchtkugellinie",
+        specificVolumeLineStyle: "Linie des spezifischen Volumens",
+        dewPointLineStyle: "Taupunktlinie",
+        absoluteHumidityLineStyle: "Linie der absoluten Feuchte",
         comfortLineStyle: "Umriss der Komfortzone",
         pointLineStyle: "Projektionslinie der Punkte",
         lineSolid: "Durchgezogen",
@@ -1011,6 +2716,17 @@ const editorTranslations = {
         tempSubdivisions: "Unterteilungen der Trockentemperaturen",
         tempSubdivisionsHelp: "Zwischenlinien zwischen zwei Graduierungen der Temperaturachse. 1 fügt keine hinzu; 5 unterteilt jeden 5-°C-Schritt in Grad.",
         displayOptions: "Anzeigeoptionen",
+        chartType: "Diagrammtyp",
+        chartTypeHelp: "Psychrometrisch: Temperatur auf der x-Achse, Dampfdruck auf der y-Achse. Mollier (h-x): Wassergehalt auf der x-Achse, Temperatur auf der y-Achse, mit dem Δh/Δx-Randmaßstab.",
+        chartTypePsychrometric: "Psychrometrisch (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Vertikale Achse",
+        yAxisHelp: "Der Wassergehalt ist die vertikale Achse technischer Diagramme: Taupunkt- und Enthalpieskala kommen dann entlang der Sättigungskurve hinzu.",
+        secondaryAxis: "Sekundärachse (rechts)",
+        axisNone: "Keine",
+        axisVaporPressure: "Dampfdruck",
+        axisHumidityRatio: "Wassergehalt",
+        axisDewPoint: "Taupunkt",
         displayMode: "Detailgrad",
         displayModeHelp: "Benutzerdefiniert wendet die pro Punkt angehakten Felder an. Minimal zeigt nur Temperatur, Luftfeuchte und Komfort; Detailliert zeigt alle Felder.",
         displayCustom: "Benutzerdefiniert",
@@ -1019,14 +2735,41 @@ const editorTranslations = {
         unitAuto: "Automatisch (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Einheitensystem",
+        unitSystemHelp: "Einheiten von Enthalpie, Wassergehalt, spezifischem Volumen, Druck und Leistung. Gemischt: Lufteigenschaften imperial, Leistung und Wasser in SI. Temperaturen behalten ihre eigene Einheit.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Imperial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Gemischt (Luft imperial, Leistung in W)",
+        pressure: "Barometer (Entität)",
+        pressureHelp: "Gemessener Luftdruck. Ein fester Wert in kPa oder hPa wird direkt in YAML geschrieben (`pressure: 91.2`).",
+        saturationFormula: "Sättigungsdampfdruck",
+        saturationFormulaHelp: "Die „Eis“-Formulierungen folgen unter 0 °C der Sättigung über Eis (Reifpunkt, relative Feuchte bezogen auf Eis, wie in ASHRAE-Diagrammen).",
+        formulaMagnus: "Magnus (Wasser)",
+        formulaMagnus_ice: "Magnus (Wasser und Eis)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Standorthöhe (m)",
+        elevationHelp: "Dient zur Schätzung des Luftdrucks ohne Barometer. `elevation: auto` übernimmt die in Home Assistant hinterlegte Höhe.",
         showChart: "Diagramm anzeigen",
         showChartHelp: "Abwählen, um nur die Datenkarten ohne Diagramm anzuzeigen.",
         showEnthalpy: "Enthalpie anzeigen",
         showVaporPressure: "Dampfdruck anzeigen",
         showDewPoint: "Taupunkt anzeigen",
         showWetBulb: "Feuchtkugeltemp. anzeigen",
+        showSpecificVolumeLines: "Spezifisches Volumen anzeigen",
+        showDewPointLines: "Taupunktlinien anzeigen",
+        showAbsoluteHumidityLines: "Absolute Feuchte anzeigen",
         showPointLabels: "Punktbeschriftungen anzeigen",
         showLegend: "Legende anzeigen",
+        showCursorReadout: "Luftzustand unter dem Cursor",
+        showCrosshair: "Fadenkreuz zu den Achsen",
+        showTrails: "Spur der letzten Stunden",
+        showHeatmap: "Verweildauer-Heatmap",
+        heatmapDays: "Verlauf der Heatmap",
+        heatmapDaysHelp: "Tage Verlauf, in Diagrammzellen eingeteilt; die Komfortzeit jedes Punkts bezieht sich auf denselben Zeitraum.",
+        trailHours: "Spurdauer",
+        trailHoursHelp: "Stunden Verlauf hinter jedem Punkt, mit zunehmendem Alter verblassend.",
+        trailStep: "Spurschritt",
+        trailStepHelp: "Minuten zwischen zwei Spurzuständen: ein längerer Schritt entlastet die Abfrage und glättet den Verlauf.",
         showCalculatedData: "Berechnete Daten anzeigen",
         themeMode: "Farbschema",
         themeModeHelp: "Automatisch folgt dem hellen/dunklen Thema von Home Assistant.",
@@ -1039,6 +2782,10 @@ const editorTranslations = {
         zoom_temp_max: "Max. Temperatur",
         zoom_humidity_min: "Min. Feuchtigkeit",
         zoom_humidity_max: "Max. Feuchtigkeit",
+        interactiveZoom: "Zoomen und Verschieben mit Maus und Touch",
+        interactiveZoomHelp: "Strg + Mausrad oder Zwei-Finger-Geste zum Zoomen, Ziehen zum Verschieben, Umschalt + Ziehen zum Zoomen auf einen Bereich.",
+        useCurrentView: "Aktuelle Ansicht übernehmen",
+        useCurrentViewHint: "Zoomen oder verschieben Sie das Diagramm in der Vorschau, um seine Ansicht hier zu speichern.",
     },
 };
 
@@ -1047,6 +2794,7 @@ class PsychrometricChartEditor extends i {
         return {
             hass: { attribute: false },
             _config: { state: true },
+            _liveView: { state: true },
         };
     }
 
@@ -1056,6 +2804,25 @@ class PsychrometricChartEditor extends i {
         // Références stables : évite que Lit ne recrée les sous-arbres de ha-form à chaque rendu.
         this._computeLabel = (schema) => this.t(schema.name);
         this._computeHelper = (schema) => this.t(`${schema.name}Help`, '');
+        // Dernière vue zoomée de l'aperçu, en bornes `zoom_*`. L'aperçu n'est pas un
+        // descendant de l'éditeur : l'événement est écouté sur `window` et reconnu à la
+        // configuration qu'il porte, identique à celle éditée.
+        this._liveView = null;
+        this._onViewChanged = (ev) => {
+            const cardConfig = ev.detail?.cardConfig;
+            if (cardConfig !== this._config && JSON.stringify(cardConfig) !== JSON.stringify(this._config)) return;
+            this._liveView = ev.detail.config;
+        };
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        window.addEventListener(VIEW_CHANGED_EVENT, this._onViewChanged);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        window.removeEventListener(VIEW_CHANGED_EVENT, this._onViewChanged);
     }
 
     /**
@@ -1119,6 +2886,9 @@ class PsychrometricChartEditor extends i {
             case 'curveColor': return dark ? '#4fc3f7' : '#1f77b4';
             case 'comfortColor': return dark ? 'rgba(100, 200, 100, 0.3)' : 'rgba(144, 238, 144, 0.5)';
             case 'enthalpyColor': return dark ? 'rgba(255, 165, 0, 0.7)' : 'rgba(255, 99, 71, 0.7)';
+            case 'specificVolumeColor': return dark ? 'rgba(186, 104, 200, 0.6)' : 'rgba(123, 31, 162, 0.5)';
+            case 'dewPointColor': return dark ? 'rgba(77, 208, 225, 0.6)' : 'rgba(0, 131, 143, 0.5)';
+            case 'absoluteHumidityColor': return dark ? 'rgba(174, 213, 129, 0.6)' : 'rgba(85, 139, 47, 0.5)';
             default: return '#000000';
         }
     }
@@ -1157,6 +2927,42 @@ class PsychrometricChartEditor extends i {
                     },
                 },
             },
+            {
+                name: 'unitSystem',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: [
+                            { value: 'si', label: this.t('unitSystemSi') },
+                            { value: 'ip', label: this.t('unitSystemIp') },
+                            { value: 'mixed', label: this.t('unitSystemMixed') },
+                        ],
+                    },
+                },
+            },
+            {
+                type: 'grid',
+                name: '',
+                schema: [
+                    {
+                        name: 'pressure',
+                        selector: { entity: { filter: { domain: SENSOR_DOMAINS, device_class: 'pressure' } } },
+                    },
+                    { name: 'elevation', selector: { number: { min: -500, max: 6000, step: 1, mode: 'box', unit_of_measurement: 'm' } } },
+                ],
+            },
+            {
+                name: 'saturationFormula',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: SATURATION_FORMULAS.map(formula => ({
+                            value: formula,
+                            label: this.t(`formula${formula.charAt(0).toUpperCase()}${formula.slice(1)}`),
+                        })),
+                    },
+                },
+            },
         ];
     }
 
@@ -1172,53 +2978,245 @@ class PsychrometricChartEditor extends i {
                 ],
             },
             {
-                type: 'grid',
+                type: 'expandable',
                 name: '',
+                flatten: true,
+                title: this.t('pointSources'),
                 schema: [
-                    { name: 'icon', selector: { icon: {} } },
-                    { name: 'color', selector: { color_rgb: {} } },
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: EXTRA_POINT_SOURCES.map(name => ({
+                            name,
+                            selector: { entity: { filter: { domain: SENSOR_DOMAINS } } },
+                        })),
+                    },
                 ],
             },
             {
-                name: 'details',
-                selector: {
-                    select: {
-                        multiple: true,
-                        mode: 'list',
-                        options: DETAIL_FIELDS.map(field => ({ value: field, label: this.t(field) })),
+                // Champs vides : réglages PMV de la carte. Sur un point, vitesse d'air et
+                // température radiante viennent le plus souvent de capteurs.
+                type: 'expandable',
+                name: 'pmv',
+                title: this.t('pmv'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            { name: 'clo', selector: { number: { min: 0, max: 2, step: 0.05, mode: 'box', unit_of_measurement: 'clo' } } },
+                            { name: 'met', selector: { number: { min: 0.8, max: 4, step: 0.1, mode: 'box', unit_of_measurement: 'met' } } },
+                            { name: 'vel', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                            { name: 'tr', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                        ],
                     },
-                },
+                ],
             },
-        ];
-    }
-
-    _comfortSchema() {
-        const pct = { min: 0, max: 100, step: 1, mode: 'box', unit_of_measurement: '%' };
-        return [
             {
                 type: 'expandable',
-                name: 'comfortRange',
-                title: this.t('comfortRange'),
+                name: 'utci',
+                title: this.t('utciInputs'),
                 schema: [
                     {
                         type: 'grid',
                         name: '',
                         schema: [
-                            { name: 'tempMin', selector: { number: { min: 0, max: 40, step: 0.5, mode: 'box' } } },
-                            { name: 'tempMax', selector: { number: { min: 0, max: 40, step: 0.5, mode: 'box' } } },
-                            { name: 'rhMin', selector: { number: pct } },
-                            { name: 'rhMax', selector: { number: pct } },
+                            { name: 'windSpeed', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                            { name: 'tr', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
                         ],
                     },
                 ],
             },
+            { name: 'outdoor', selector: { boolean: {} } },
+            { name: 'surfaces', selector: { entity: { multiple: true, filter: { domain: SENSOR_DOMAINS } } } },
             {
-                name: 'massFlowRate',
-                selector: { number: { min: 0.01, max: 20, step: 0.01, mode: 'box', unit_of_measurement: 'kg/s' } },
+                // Renseignés ensemble, ils remplacent le débit massique de la carte pour ce point.
+                type: 'grid',
+                name: '',
+                schema: [
+                    { name: 'volume', selector: { number: { min: 0, max: 10000, step: 1, mode: 'box', unit_of_measurement: 'm³' } } },
+                    { name: 'airChangesPerHour', selector: { number: { min: 0, max: 50, step: 0.1, mode: 'box', unit_of_measurement: '1/h' } } },
+                ],
             },
-        ];
-    }
-
+            {
+                // Un débit volumique prime sur le volume de la pièce ; une entité s'écrit en YAML.
+                type: 'grid',
+                name: '',
+                schema: [
+                    { name: 'airflow', selector: { number: { min: 0, max: 100000, step: 1, mode: 'box' } } },
+                    {
+                        name: 'airflowUnit',
+                        selector: {
+                            select: {
+                                mode: 'dropdown',
+                                options: AIRFLOW_UNITS.map(unit => ({ value: unit, label: unit })),
+                            },
+                        },
+                    },
+                ],
+            },
+            {
+                type: 'grid',
+                name: '',
+                schema: [
+                    { name: 'icon', selector: { icon: {} } },
+                    { name: 'color', selector: { color_rgb: {} } },
+                ],
+            },
+            {
+                name: 'details',
+                selector: {
+                    select: {
+                        multiple: true,
+                        mode: 'list',
+                        options: DETAIL_FIELDS.map(field => ({ value: field, label: this.t(field) })),
+                    },
+                },
+            },
+        ];
+    }
+
+    _comfortSchema() {
+        const pct = { min: 0, max: 100, step: 1, mode: 'box', unit_of_measurement: '%' };
+        return [
+            {
+                type: 'expandable',
+                name: 'comfortRange',
+                title: this.t('comfortRange'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            { name: 'tempMin', selector: { number: { min: 0, max: 40, step: 0.5, mode: 'box' } } },
+                            { name: 'tempMax', selector: { number: { min: 0, max: 40, step: 0.5, mode: 'box' } } },
+                            { name: 'rhMin', selector: { number: pct } },
+                            { name: 'rhMax', selector: { number: pct } },
+                        ],
+                    },
+                ],
+            },
+            {
+                name: 'comfortModel',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: [
+                            { value: 'static', label: this.t('comfortStatic') },
+                            { value: 'adaptive', label: this.t('comfortAdaptive') },
+                            { value: 'pmv', label: this.t('comfortPmv') },
+                        ],
+                    },
+                },
+            },
+            ...(this._config?.comfortModel === 'adaptive' ? [this._adaptiveComfortSchema()] : []),
+            {
+                type: 'expandable',
+                name: 'pmv',
+                title: this.t('pmv'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            { name: 'clo', selector: { number: { min: 0, max: 2, step: 0.05, mode: 'box', unit_of_measurement: 'clo' } } },
+                            { name: 'met', selector: { number: { min: 0.8, max: 4, step: 0.1, mode: 'box', unit_of_measurement: 'met' } } },
+                            { name: 'vel', selector: { number: { min: 0, max: 2, step: 0.05, mode: 'box', unit_of_measurement: 'm/s' } } },
+                            { name: 'tr', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                        ],
+                    },
+                ],
+            },
+            {
+                name: 'massFlowRate',
+                selector: { number: { min: 0.01, max: 20, step: 0.01, mode: 'box', unit_of_measurement: 'kg/s' } },
+            },
+            {
+                name: 'moldIndexDays',
+                selector: { number: { min: 1, max: 60, step: 1, mode: 'box', unit_of_measurement: 'd' } },
+            },
+            {
+                type: 'expandable',
+                name: 'energy',
+                title: this.t('energy'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            {
+                                name: 'period',
+                                selector: {
+                                    select: {
+                                        mode: 'dropdown',
+                                        options: Object.keys(ENERGY_PERIODS).map(value => ({ value, label: this.t(`period_${value}`) })),
+                                    },
+                                },
+                            },
+                            { name: 'price', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                            { name: 'heatingCop', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                            { name: 'coolingEer', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                            { name: 'humidificationCop', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                            { name: 'dehumidificationCop', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                        ],
+                    },
+                ],
+            },
+        ];
+    }
+
+    /**
+     * Réglages du confort adaptatif. Le point extérieur se choisit parmi les libellés
+     * des points, qui sont la référence lue par la carte ; les catégories proposées
+     * sont celles de la norme retenue.
+     * @returns {Object} Schéma ha-form
+     */
+    _adaptiveComfortSchema() {
+        const standard = this._formData().adaptiveComfort.standard;
+        const labels = this._points.map(point => point.label).filter(Boolean);
+        return {
+            type: 'expandable',
+            name: 'adaptiveComfort',
+            title: this.t('adaptiveComfort'),
+            schema: [
+                {
+                    name: 'outdoorPoint',
+                    selector: { select: { mode: 'dropdown', custom_value: true, options: labels } },
+                },
+                {
+                    type: 'grid',
+                    name: '',
+                    schema: [
+                        {
+                            name: 'standard',
+                            selector: {
+                                select: {
+                                    mode: 'dropdown',
+                                    options: Object.keys(ADAPTIVE_COMFORT_STANDARDS).map(key => ({
+                                        value: key,
+                                        label: this.t(`standard${key.charAt(0).toUpperCase()}${key.slice(1)}`),
+                                    })),
+                                },
+                            },
+                        },
+                        {
+                            name: 'category',
+                            selector: {
+                                select: {
+                                    mode: 'dropdown',
+                                    options: Object.keys(ADAPTIVE_COMFORT_STANDARDS[standard].categories).map(key => ({
+                                        value: key,
+                                        label: standard === 'ashrae55' ? `${key} %` : key,
+                                    })),
+                                },
+                            },
+                        },
+                    ],
+                },
+            ],
+        };
+    }
+
     _displaySchema() {
         return [
             {
@@ -1260,6 +3258,49 @@ class PsychrometricChartEditor extends i {
                     },
                 },
             },
+            {
+                name: 'chartType',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: CHART_TYPES.map(type => ({
+                            value: type,
+                            label: this.t(`chartType${type.charAt(0).toUpperCase()}${type.slice(1)}`),
+                        })),
+                    },
+                },
+            },
+            // Le Mollier porte la température en ordonnée : ces échelles n'y ont pas cours.
+            ...(this._config?.chartType === 'mollier' ? [] : [{
+                type: 'grid',
+                name: '',
+                schema: [
+                    {
+                        name: 'yAxis',
+                        selector: {
+                            select: {
+                                mode: 'dropdown',
+                                options: Y_AXES.map(axis => ({
+                                    value: axis,
+                                    label: this.t(`axis${axis.charAt(0).toUpperCase()}${axis.slice(1)}`),
+                                })),
+                            },
+                        },
+                    },
+                    {
+                        name: 'secondaryAxis',
+                        selector: {
+                            select: {
+                                mode: 'dropdown',
+                                options: SECONDARY_AXES.map(axis => ({
+                                    value: axis,
+                                    label: this.t(`axis${axis.charAt(0).toUpperCase()}${axis.slice(1)}`),
+                                })),
+                            },
+                        },
+                    },
+                ],
+            }]),
             { name: 'showChart', selector: { boolean: {} } },
             {
                 type: 'grid',
@@ -1272,12 +3313,30 @@ class PsychrometricChartEditor extends i {
                         { name: 'showVaporPressure', selector: { boolean: {} } },
                         { name: 'showDewPoint', selector: { boolean: {} } },
                         { name: 'showWetBulb', selector: { boolean: {} } },
+                        { name: 'showSpecificVolumeLines', selector: { boolean: {} } },
+                        { name: 'showDewPointLines', selector: { boolean: {} } },
+                        { name: 'showAbsoluteHumidityLines', selector: { boolean: {} } },
                         { name: 'showPointLabels', selector: { boolean: {} } },
                         { name: 'showLegend', selector: { boolean: {} } },
+                        { name: 'showCursorReadout', selector: { boolean: {} } },
+                        { name: 'showCrosshair', selector: { boolean: {} } },
+                        { name: 'showTrails', selector: { boolean: {} } },
+                        { name: 'showHeatmap', selector: { boolean: {} } },
                     ]),
                     { name: 'showCalculatedData', selector: { boolean: {} } },
                 ],
             },
+            ...(this._config?.showChart === false || this._config?.showTrails !== true ? [] : [{
+                type: 'grid',
+                name: '',
+                schema: [
+                    { name: 'trailHours', selector: { number: { min: 1, max: 168, step: 1, mode: 'box', unit_of_measurement: 'h' } } },
+                    { name: 'trailStep', selector: { number: { min: 1, max: 240, step: 1, mode: 'box', unit_of_measurement: 'min' } } },
+                ],
+            }]),
+            ...(this._config?.showChart === false || this._config?.showHeatmap !== true ? [] : [
+                { name: 'heatmapDays', selector: { number: { min: 1, max: 60, step: 1, mode: 'box', unit_of_measurement: 'd' } } },
+            ]),
         ];
     }
 
@@ -1310,6 +3369,7 @@ class PsychrometricChartEditor extends i {
 
     _zoomSchema() {
         return [
+            { name: 'interactiveZoom', selector: { boolean: {} } },
             {
                 type: 'grid',
                 name: '',
@@ -1348,22 +3408,58 @@ class PsychrometricChartEditor extends i {
             chartTitle: config.chartTitle ?? 'Diagramme Psychrométrique',
             language: config.language ?? 'fr',
             temperatureUnit: config.temperatureUnit ?? 'auto',
+            unitSystem: config.unitSystem ?? 'si',
+            saturationFormula: config.saturationFormula ?? 'magnus',
             theme: config.theme ?? 'modern',
             themeMode: config.themeMode ?? 'auto',
             // `standard` est l'ancien nom de `custom` : le normaliser ici évite un
             // sélecteur vide sur une config existante, et fait disparaître la valeur
             // périmée du YAML dès la première modification dans l'éditeur.
+            chartType: config.chartType ?? 'psychrometric',
+            yAxis: config.yAxis ?? 'vaporPressure',
+            secondaryAxis: config.secondaryAxis ?? 'none',
             displayMode: config.displayMode === 'standard' ? 'custom' : (config.displayMode ?? 'custom'),
             massFlowRate: config.massFlowRate ?? 0.5,
+            moldIndexDays: config.moldIndexDays ?? 14,
             showChart: config.showChart !== false,
             comfortRange: { ...DEFAULT_COMFORT_RANGE, ...(config.comfortRange || {}) },
+            comfortModel: config.comfortModel ?? 'static',
+            pmv: { ...DEFAULT_PMV, ...(config.pmv || {}) },
+            ...(config.comfortModel === 'adaptive' ? { adaptiveComfort: this._adaptiveComfortData(config.adaptiveComfort) } : {}),
             showEnthalpy: config.showEnthalpy !== false,
             showVaporPressure: config.showVaporPressure !== false,
             showDewPoint: config.showDewPoint !== false,
             showWetBulb: config.showWetBulb !== false,
+            showSpecificVolumeLines: config.showSpecificVolumeLines === true,
+            showDewPointLines: config.showDewPointLines === true,
+            showAbsoluteHumidityLines: config.showAbsoluteHumidityLines === true,
             showPointLabels: config.showPointLabels !== false,
             showLegend: config.showLegend !== false,
+            showCursorReadout: config.showCursorReadout !== false,
+            showCrosshair: config.showCrosshair === true,
+            showTrails: config.showTrails === true,
+            ...(config.showTrails === true ? { trailHours: config.trailHours ?? 6, trailStep: config.trailStep ?? 10 } : {}),
+            showHeatmap: config.showHeatmap === true,
+            ...(config.showHeatmap === true ? { heatmapDays: config.heatmapDays ?? 7 } : {}),
             showCalculatedData: config.showCalculatedData !== false,
+            interactiveZoom: config.interactiveZoom !== false,
+        };
+    }
+
+    /**
+     * Réglages du confort adaptatif pré-remplis avec ce que la carte applique : norme
+     * EN 16798-1 et catégorie par défaut de la norme, y compris quand la catégorie
+     * enregistrée n'existe pas dans la norme qui vient d'être choisie.
+     * @param {Object} [settings] - `adaptiveComfort` de la configuration
+     * @returns {Object} Données du formulaire
+     */
+    _adaptiveComfortData(settings = {}) {
+        const standard = ADAPTIVE_COMFORT_STANDARDS[settings.standard] ? settings.standard : 'en16798';
+        const { categories, defaultCategory } = ADAPTIVE_COMFORT_STANDARDS[standard];
+        return {
+            ...settings,
+            standard,
+            category: categories[settings.category] ? String(settings.category) : defaultCategory,
         };
     }
 
@@ -1420,7 +3516,14 @@ class PsychrometricChartEditor extends i {
     _valueChanged(ev) {
         ev.stopPropagation();
         if (!this._config) return;
-        this._emit(ev.detail.value);
+        const value = { ...ev.detail.value };
+        // Un bloc `energy` présent active l'intégration : vidé, il doit disparaître.
+        if (value.energy) {
+            const energy = this._clean(value.energy);
+            if (Object.keys(energy).length) value.energy = energy;
+            else delete value.energy;
+        }
+        this._emit(value);
     }
 
     _pointChanged(index, ev) {
@@ -1428,6 +3531,19 @@ class PsychrometricChartEditor extends i {
         if (!this._config) return;
         const value = { ...ev.detail.value };
         value.color = PsychrometricCalculations.rgbToHex(value.color);
+        // Un bloc `pmv` vidé hérite de la carte : inutile de laisser `pmv: {}` dans le YAML.
+        if (value.pmv) {
+            const pmv = this._clean(value.pmv);
+            if (Object.keys(pmv).length) value.pmv = pmv;
+            else delete value.pmv;
+        }
+        if (value.utci) {
+            const utci = this._clean(value.utci);
+            if (Object.keys(utci).length) value.utci = utci;
+            else delete value.utci;
+        }
+        if (Array.isArray(value.surfaces) && !value.surfaces.length) delete value.surfaces;
+        if (value.outdoor === false) delete value.outdoor;
         const points = [...this._points];
         points[index] = value;
         this._emit({ ...this._formData(), points });
@@ -1496,6 +3612,15 @@ class PsychrometricChartEditor extends i {
         });
     }
 
+    /**
+     * Enregistre la vue zoomée de l'aperçu comme bornes du graphique.
+     */
+    _useLiveView() {
+        if (!this._liveView) return;
+        this._emit({ ...this._formData(), ...this._liveView });
+        this._liveView = null;
+    }
+
     _addPoint() {
         const points = [...this._points, { temp: '', humidity: '', label: this.t('newPoint') }];
         this._emit({ ...this._formData(), points });
@@ -1567,6 +3692,7 @@ class PsychrometricChartEditor extends i {
                         .data=${this._pointFormData(point)}
                         .schema=${this._pointSchema()}
                         .computeLabel=${this._computeLabel}
+                        .computeHelper=${this._computeHelper}
                         @value-changed=${(ev) => this._pointChanged(index, ev)}
                     ></ha-form>
                     <div class="point-actions">
@@ -1667,8 +3793,18 @@ class PsychrometricChartEditor extends i {
                         .data=${data}
                         .schema=${this._zoomSchema()}
                         .computeLabel=${this._computeLabel}
+                        .computeHelper=${this._computeHelper}
                         @value-changed=${this._valueChanged}
                     ></ha-form>
+                    ${data.interactiveZoom ? b`
+                        <div class="actions">
+                            <ha-button .disabled=${!this._liveView} @click=${this._useLiveView}>
+                                <ha-icon icon="mdi:magnify-scan" slot="icon"></ha-icon>
+                                ${this.t('useCurrentView')}
+                            </ha-button>
+                        </div>
+                        ${this._liveView ? '' : b`<div class="empty">${this.t('useCurrentViewHint')}</div>`}
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -1791,8 +3927,24 @@ class PsychrometricChartEnhanced extends i {
             _canvasHeight: { state: true },
             /** Point currently hovered on the canvas, if any */
             _hoveredPoint: { state: true },
+            /** Air state under the cursor when it hovers empty chart space */
+            _cursorState: { state: true },
             /** Viewport position of the tooltip */
             _tooltipPos: { state: true },
+            /** Daily mean outdoor temperatures feeding the adaptive comfort model */
+            _outdoorDailyMeans: { state: true },
+            /** VTT mold indexes computed from each point's history, by entity pair */
+            _moldIndexes: { state: true },
+            /** Energy and cost integrated over each point's history, by entity pair */
+            _energyTotals: { state: true },
+            /** Recent states of each point, resampled for the trails, by entity pair */
+            _trails: { state: true },
+            /** Past states and time in comfort of each point, for the time-in-zone heatmap */
+            _heatmap: { state: true },
+            /** Axis windows set by interactive zoom and pan, null while the chart follows the config bounds */
+            _view: { state: true },
+            /** Box zoom selection being drawn, in chart container pixels */
+            _zoomBox: { state: true },
         };
     }
 
@@ -1829,6 +3981,28 @@ class PsychrometricChartEnhanced extends i {
                 max-width: 100%;
                 cursor: crosshair;
             }
+            .zoom-reset {
+                position: absolute;
+                top: 10px;
+                left: 10px;
+                padding: 4px 10px;
+                border: 1px solid var(--divider-color, rgba(127, 127, 127, 0.35));
+                border-radius: 8px;
+                font: inherit;
+                font-size: 12px;
+                cursor: pointer;
+                background: rgba(127, 127, 127, 0.2);
+                color: inherit;
+            }
+            .zoom-reset:hover {
+                background: rgba(127, 127, 127, 0.35);
+            }
+            .zoom-box {
+                position: absolute;
+                pointer-events: none;
+                border: 1px dashed currentColor;
+                background: rgba(127, 127, 127, 0.15);
+            }
             
             /* Enhanced Data Display Styles */
             .psychro-data {
@@ -1911,6 +4085,25 @@ class PsychrometricChartEnhanced extends i {
                 font-weight: bold;
             }
 
+            .load-bar {
+                display: flex;
+                height: 6px;
+                margin: 4px 0 6px;
+                border-radius: 3px;
+                overflow: hidden;
+                background: var(--divider-color, rgba(127, 127, 127, 0.2));
+            }
+
+            .process-step {
+                padding: 5px 0;
+                font-size: 0.9em;
+            }
+
+            .process-loads {
+                opacity: 0.8;
+                font-size: 0.9em;
+            }
+
             /* Animations */
             @keyframes fadeInUp {
                 from {
@@ -2005,6 +4198,14 @@ class PsychrometricChartEnhanced extends i {
                 text-align: center;
                 opacity: 0.8;
             }
+            .crosshair {
+                position: fixed;
+                border-left: 1px dashed rgba(127, 127, 127, 0.8);
+                border-top: 1px dashed rgba(127, 127, 127, 0.8);
+                pointer-events: none;
+                z-index: 9999;
+            }
+
             .tooltip {
                 position: fixed;
                 background: rgba(0, 0, 0, 0.9);
@@ -2136,12 +4337,30 @@ class PsychrometricChartEnhanced extends i {
         this._language = 'fr';
         this._temperatureUnit = null;
         this._currentPoints = [];
+        this._currentProcesses = [];
+        this._currentHrv = null;
+        // Classe de calcul liée à la pression du site et à la formulation de saturation,
+        // recalculée à chaque cycle.
+        this._psychro = PsychrometricCalculations;
         this._hoveredPoint = null;
+        this._cursorState = null;
         this._tooltipPos = { x: 0, y: 0 };
         // Références stables pour pouvoir retirer les écouteurs au démontage.
         this._onMouseMove = this._handleMouseMove.bind(this);
         this._onMouseLeave = this._handleMouseLeave.bind(this);
         this._onCanvasClick = this._handleCanvasClick.bind(this);
+        this._onMouseDown = this._handleMouseDown.bind(this);
+        this._onMouseUp = this._handleMouseUp.bind(this);
+        this._onTouchStart = this._handleTouchStart.bind(this);
+        this._onTouchEnd = this._handleTouchEnd.bind(this);
+        // Écouteurs actifs : ils doivent pouvoir empêcher le défilement de la page.
+        this._onWheel = { handleEvent: e => this._handleWheel(e), passive: false };
+        this._onTouchMove = { handleEvent: e => this._handleTouchMove(e), passive: false };
+        this._view = null;
+        this._zoomBox = null;
+        this._drag = null;
+        this._touches = null;
+        this._suppressClick = false;
 
         this.translations = {
             fr: {
@@ -2150,18 +4369,53 @@ class PsychrometricChartEnhanced extends i {
                 temperature: 'Température',
                 humidity: 'Humidité',
                 dewPoint: 'Point de rosée',
+                frostPoint: 'Point de givre',
                 enthalpy: 'Enthalpie',
                 absHumidity: 'Humidité abs.',
                 waterContent: 'Teneur en eau',
+                vaporPressure: 'Pression de vapeur',
                 specificVolume: 'Volume spécifique',
                 pmvIndex: 'Indice PMV',
                 apparentTemp: 'Temp. ressentie',
+                humidex: 'Humidex',
+                heatIndex: 'Indice de chaleur',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Temp. humide',
                 moldRisk: 'Moisissure',
                 action: 'Action',
                 power: 'Puissance totale',
                 humidification: 'Humidification',
                 dehumidification: 'Déshumidification',
+                hrv: 'Échangeur double flux',
+                hrvSupplyStream: 'Air neuf → soufflage',
+                hrvExhaustStream: 'Reprise → rejet',
+                hrvEffectiveness_sensible: 'Rendement sensible',
+                hrvEffectiveness_latent: 'Rendement latent',
+                hrvEffectiveness_total: 'Rendement enthalpique',
+                recoveredPower: 'Puissance récupérée',
+                hrvAlert_frost: 'Givrage de l\'échangeur : air rejeté sous 0 °C',
+                hrvAlert_bypass: 'Bypass resté ouvert ? Air soufflé presque à la température extérieure',
+                hrvAlert_lowEffectiveness: 'Rendement dégradé (encrassement, dégivrage)',
+                hrvAlert_imbalance: 'Rendements soufflage / rejet incohérents : débits déséquilibrés ou sonde défaillante',
+                ventilate: 'Aérer',
+                keepClosed: 'Garder fermé',
+                notNeeded: 'Aération inutile',
+                outdoorAir: 'air extérieur',
+                ventilation_drying: 'assèche',
+                ventilation_humidifying: 'humidifie',
+                ventilation_cooling: 'rafraîchit',
+                ventilation_heating: 'réchauffe',
+                heating: 'Chauffage',
+                cooling: 'Refroidissement',
+                energy: 'Énergie',
+                period_day: '24 h',
+                period_week: '7 j',
+                period_month: '30 j',
+                waterToAdd: 'Eau à apporter',
+                waterToRemove: 'Eau à retirer',
+                day: 'jour',
+                roomAir: 'air de la pièce',
                 idealSetpoint: 'Consigne idéale',
                 comfortOptimal: 'Confort optimal',
                 comfortTooHot: 'Trop chaud',
@@ -2172,6 +4426,8 @@ class PsychrometricChartEnhanced extends i {
                 comfortZone: 'Zone de confort',
                 legend: 'Légende',
                 clickToViewHistory: 'Cliquez pour voir l\'historique',
+                cursorReadout: 'Air sous le curseur',
+                resetZoom: 'Réinitialiser le zoom',
                 warm: 'Réchauffer',
                 cool: 'Refroidir',
                 andHumidify: 'et Humidifier',
@@ -2188,7 +4444,33 @@ class PsychrometricChartEnhanced extends i {
                 moldRiskModerate: 'Modéré',
                 moldRiskHigh: 'Élevé',
                 moldRiskVeryHigh: 'Très élevé',
-                moldRiskCritical: 'Critique'
+                moldRiskCritical: 'Critique',
+                dewPointMargin: 'marge / rosée',
+                condensation: 'condensation',
+                condensationRisk: 'risque de condensation',
+                moldIndex: 'Indice moisissure (VTT)',
+                hoursAboveIsopleth: '{hours} h au-dessus de l\'isoplèthe sur {days} j',
+                timeInComfort: 'Temps en confort',
+                comfortHoursOf: '{hours} h sur {total} h en {days} j',
+                heatmapMax: 'Temps passé : jusqu\'à {hours} h par case',
+                heatStressNone: 'Aucune contrainte',
+                heatStressCaution: 'Vigilance',
+                heatStressExtremeCaution: 'Vigilance renforcée',
+                heatStressDanger: 'Danger',
+                heatStressExtremeDanger: 'Danger extrême',
+                processHeating: 'Chauffage',
+                processCooling: 'Refroidissement',
+                processCoolingCoil: 'Batterie froide',
+                processAdiabatic: 'Humidification adiabatique',
+                processSteam: 'Humidification vapeur',
+                processMeasured: 'Transformation',
+                mixing: 'Mélange',
+                adaptiveComfort: 'adaptatif',
+                runningMean: 'θ moy. ext.',
+                sensibleLoad: 'Sensible',
+                latentLoad: 'Latente',
+                totalLoad: 'Puissance échangée',
+                shr: 'FCS'
             },
             en: {
                 noPointsConfigured: 'No points or entities configured in the card!',
@@ -2196,18 +4478,53 @@ class PsychrometricChartEnhanced extends i {
                 temperature: 'Temperature',
                 humidity: 'Humidity',
                 dewPoint: 'Dew point',
+                frostPoint: 'Frost point',
                 enthalpy: 'Enthalpy',
                 absHumidity: 'Abs. humidity',
                 waterContent: 'Water content',
+                vaporPressure: 'Vapor pressure',
                 specificVolume: 'Specific volume',
                 pmvIndex: 'PMV Index',
                 apparentTemp: 'Feels like',
+                humidex: 'Humidex',
+                heatIndex: 'Heat index',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Wet bulb',
                 moldRisk: 'Mold risk',
                 action: 'Action',
                 power: 'Total power',
                 humidification: 'Humidification',
                 dehumidification: 'Dehumidification',
+                hrv: 'Heat recovery ventilator',
+                hrvSupplyStream: 'Outdoor → supply',
+                hrvExhaustStream: 'Extract → exhaust',
+                hrvEffectiveness_sensible: 'Sensible effectiveness',
+                hrvEffectiveness_latent: 'Latent effectiveness',
+                hrvEffectiveness_total: 'Total effectiveness',
+                recoveredPower: 'Recovered power',
+                hrvAlert_frost: 'Core frosting: exhaust air below 0 °C',
+                hrvAlert_bypass: 'Bypass stuck open? Supply air close to outdoor temperature',
+                hrvAlert_lowEffectiveness: 'Low effectiveness (fouling, defrost)',
+                hrvAlert_imbalance: 'Supply and exhaust effectiveness disagree: unbalanced flows or faulty sensor',
+                ventilate: 'Ventilate',
+                keepClosed: 'Keep closed',
+                notNeeded: 'No ventilation needed',
+                outdoorAir: 'outdoor air',
+                ventilation_drying: 'dries',
+                ventilation_humidifying: 'humidifies',
+                ventilation_cooling: 'cools',
+                ventilation_heating: 'warms',
+                heating: 'Heating',
+                cooling: 'Cooling',
+                energy: 'Energy',
+                period_day: '24 h',
+                period_week: '7 d',
+                period_month: '30 d',
+                waterToAdd: 'Water to add',
+                waterToRemove: 'Water to remove',
+                day: 'day',
+                roomAir: 'room air',
                 idealSetpoint: 'Ideal setpoint',
                 comfortOptimal: 'Optimal comfort',
                 comfortTooHot: 'Too hot',
@@ -2218,6 +4535,8 @@ class PsychrometricChartEnhanced extends i {
                 comfortZone: 'Comfort zone',
                 legend: 'Legend',
                 clickToViewHistory: 'Click to view history',
+                cursorReadout: 'Air under the cursor',
+                resetZoom: 'Reset zoom',
                 warm: 'Warm up',
                 cool: 'Cool down',
                 andHumidify: 'and Humidify',
@@ -2234,7 +4553,33 @@ class PsychrometricChartEnhanced extends i {
                 moldRiskModerate: 'Moderate',
                 moldRiskHigh: 'High',
                 moldRiskVeryHigh: 'Very high',
-                moldRiskCritical: 'Critical'
+                moldRiskCritical: 'Critical',
+                dewPointMargin: 'dew point margin',
+                condensation: 'condensation',
+                condensationRisk: 'condensation risk',
+                moldIndex: 'Mold index (VTT)',
+                hoursAboveIsopleth: '{hours} h above isopleth in {days} d',
+                timeInComfort: 'Time in comfort',
+                comfortHoursOf: '{hours} h of {total} h in {days} d',
+                heatmapMax: 'Time spent: up to {hours} h per cell',
+                heatStressNone: 'No heat stress',
+                heatStressCaution: 'Caution',
+                heatStressExtremeCaution: 'Extreme caution',
+                heatStressDanger: 'Danger',
+                heatStressExtremeDanger: 'Extreme danger',
+                processHeating: 'Heating',
+                processCooling: 'Cooling',
+                processCoolingCoil: 'Cooling coil',
+                processAdiabatic: 'Adiabatic humidification',
+                processSteam: 'Steam humidification',
+                processMeasured: 'Process',
+                mixing: 'Mix',
+                adaptiveComfort: 'adaptive',
+                runningMean: 'θ running mean',
+                sensibleLoad: 'Sensible',
+                latentLoad: 'Latent',
+                totalLoad: 'Total load',
+                shr: 'SHR'
             },
             es: {
                 noPointsConfigured: '¡No hay puntos o entidades configuradas en la tarjeta!',
@@ -2242,18 +4587,53 @@ class PsychrometricChartEnhanced extends i {
                 temperature: 'Temperatura',
                 humidity: 'Humedad',
                 dewPoint: 'Punto de rocío',
+                frostPoint: 'Punto de escarcha',
                 enthalpy: 'Entalpía',
                 absHumidity: 'Humedad abs.',
                 waterContent: 'Contenido de agua',
+                vaporPressure: 'Presión de vapor',
                 specificVolume: 'Volumen específico',
                 pmvIndex: 'Índice PMV',
                 apparentTemp: 'Sensación térmica',
+                humidex: 'Humidex',
+                heatIndex: 'Índice de calor',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Temp. húmeda',
                 moldRisk: 'Moho',
                 action: 'Acción',
                 power: 'Potencia total',
                 humidification: 'Humidificación',
                 dehumidification: 'Deshumidificación',
+                hrv: 'Recuperador de calor',
+                hrvSupplyStream: 'Aire exterior → impulsión',
+                hrvExhaustStream: 'Extracción → expulsión',
+                hrvEffectiveness_sensible: 'Eficiencia sensible',
+                hrvEffectiveness_latent: 'Eficiencia latente',
+                hrvEffectiveness_total: 'Eficiencia entálpica',
+                recoveredPower: 'Potencia recuperada',
+                hrvAlert_frost: 'Congelación del intercambiador: aire expulsado bajo 0 °C',
+                hrvAlert_bypass: '¿Bypass abierto? Aire de impulsión casi a la temperatura exterior',
+                hrvAlert_lowEffectiveness: 'Eficiencia degradada (suciedad, desescarche)',
+                hrvAlert_imbalance: 'Eficiencias de impulsión y expulsión incoherentes: caudales desequilibrados o sonda defectuosa',
+                ventilate: 'Ventilar',
+                keepClosed: 'Mantener cerrado',
+                notNeeded: 'Ventilación innecesaria',
+                outdoorAir: 'aire exterior',
+                ventilation_drying: 'seca',
+                ventilation_humidifying: 'humidifica',
+                ventilation_cooling: 'refresca',
+                ventilation_heating: 'calienta',
+                heating: 'Calefacción',
+                cooling: 'Refrigeración',
+                energy: 'Energía',
+                period_day: '24 h',
+                period_week: '7 d',
+                period_month: '30 d',
+                waterToAdd: 'Agua a aportar',
+                waterToRemove: 'Agua a retirar',
+                day: 'día',
+                roomAir: 'aire de la sala',
                 idealSetpoint: 'Consigna ideal',
                 comfortOptimal: 'Confort óptimo',
                 comfortTooHot: 'Demasiado calor',
@@ -2264,6 +4644,8 @@ class PsychrometricChartEnhanced extends i {
                 comfortZone: 'Zona de confort',
                 legend: 'Leyenda',
                 clickToViewHistory: 'Haga clic para ver el historial',
+                cursorReadout: 'Aire bajo el cursor',
+                resetZoom: 'Restablecer el zoom',
                 warm: 'Calentar',
                 cool: 'Enfriar',
                 andHumidify: 'y Humidificar',
@@ -2280,7 +4662,33 @@ class PsychrometricChartEnhanced extends i {
                 moldRiskModerate: 'Moderado',
                 moldRiskHigh: 'Alto',
                 moldRiskVeryHigh: 'Muy alto',
-                moldRiskCritical: 'Crítico'
+                moldRiskCritical: 'Crítico',
+                dewPointMargin: 'margen / rocío',
+                condensation: 'condensación',
+                condensationRisk: 'riesgo de condensación',
+                moldIndex: 'Índice de moho (VTT)',
+                hoursAboveIsopleth: '{hours} h sobre la isopleta en {days} d',
+                timeInComfort: 'Tiempo en confort',
+                comfortHoursOf: '{hours} h de {total} h en {days} d',
+                heatmapMax: 'Tiempo pasado: hasta {hours} h por celda',
+                heatStressNone: 'Sin estrés térmico',
+                heatStressCaution: 'Precaución',
+                heatStressExtremeCaution: 'Precaución extrema',
+                heatStressDanger: 'Peligro',
+                heatStressExtremeDanger: 'Peligro extremo',
+                processHeating: 'Calentamiento',
+                processCooling: 'Enfriamiento',
+                processCoolingCoil: 'Batería de frío',
+                processAdiabatic: 'Humidificación adiabática',
+                processSteam: 'Humidificación por vapor',
+                processMeasured: 'Proceso',
+                mixing: 'Mezcla',
+                adaptiveComfort: 'adaptativo',
+                runningMean: 'θ media ext.',
+                sensibleLoad: 'Sensible',
+                latentLoad: 'Latente',
+                totalLoad: 'Potencia total',
+                shr: 'FCS'
             },
             de: {
                 noPointsConfigured: 'Keine Punkte oder Entitäten in der Karte konfiguriert!',
@@ -2288,18 +4696,53 @@ class PsychrometricChartEnhanced extends i {
                 temperature: 'Temperatur',
                 humidity: 'Luftfeuchtigkeit',
                 dewPoint: 'Taupunkt',
+                frostPoint: 'Reifpunkt',
                 enthalpy: 'Enthalpie',
                 absHumidity: 'Abs. Feuchtigkeit',
                 waterContent: 'Wassergehalt',
+                vaporPressure: 'Dampfdruck',
                 specificVolume: 'Spezifisches Volumen',
                 pmvIndex: 'PMV-Index',
                 apparentTemp: 'Gefühlte Temp.',
+                humidex: 'Humidex',
+                heatIndex: 'Hitzeindex',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Feuchtkugeltemp.',
                 moldRisk: 'Schimmel',
                 action: 'Aktion',
                 power: 'Gesamtleistung',
                 humidification: 'Befeuchtung',
                 dehumidification: 'Entfeuchtung',
+                hrv: 'Wärmerückgewinnung',
+                hrvSupplyStream: 'Außenluft → Zuluft',
+                hrvExhaustStream: 'Abluft → Fortluft',
+                hrvEffectiveness_sensible: 'Sensibler Wirkungsgrad',
+                hrvEffectiveness_latent: 'Latenter Wirkungsgrad',
+                hrvEffectiveness_total: 'Enthalpie-Wirkungsgrad',
+                recoveredPower: 'Rückgewonnene Leistung',
+                hrvAlert_frost: 'Vereisung des Wärmetauschers: Fortluft unter 0 °C',
+                hrvAlert_bypass: 'Bypass offen geblieben? Zuluft nahe der Außentemperatur',
+                hrvAlert_lowEffectiveness: 'Verminderter Wirkungsgrad (Verschmutzung, Abtauung)',
+                hrvAlert_imbalance: 'Wirkungsgrade Zu-/Fortluft widersprüchlich: unausgeglichene Volumenströme oder defekter Sensor',
+                ventilate: 'Lüften',
+                keepClosed: 'Geschlossen halten',
+                notNeeded: 'Lüften nicht nötig',
+                outdoorAir: 'Außenluft',
+                ventilation_drying: 'trocknet',
+                ventilation_humidifying: 'befeuchtet',
+                ventilation_cooling: 'kühlt',
+                ventilation_heating: 'wärmt',
+                heating: 'Heizen',
+                cooling: 'Kühlen',
+                energy: 'Energie',
+                period_day: '24 h',
+                period_week: '7 T',
+                period_month: '30 T',
+                waterToAdd: 'Zuzuführendes Wasser',
+                waterToRemove: 'Zu entfernendes Wasser',
+                day: 'Tag',
+                roomAir: 'Raumluft',
                 idealSetpoint: 'Idealer Sollwert',
                 comfortOptimal: 'Optimaler Komfort',
                 comfortTooHot: 'Zu heiß',
@@ -2310,6 +4753,8 @@ class PsychrometricChartEnhanced extends i {
                 comfortZone: 'Komfortzone',
                 legend: 'Legende',
                 clickToViewHistory: 'Zum Anzeigen des Verlaufs klicken',
+                cursorReadout: 'Luft unter dem Cursor',
+                resetZoom: 'Zoom zurücksetzen',
                 warm: 'Erwärmen',
                 cool: 'Abkühlen',
                 andHumidify: 'und Befeuchten',
@@ -2326,7 +4771,33 @@ class PsychrometricChartEnhanced extends i {
                 moldRiskModerate: 'Mäßig',
                 moldRiskHigh: 'Hoch',
                 moldRiskVeryHigh: 'Sehr hoch',
-                moldRiskCritical: 'Kritisch'
+                moldRiskCritical: 'Kritisch',
+                dewPointMargin: 'Taupunktabstand',
+                condensation: 'Kondensation',
+                condensationRisk: 'Kondensationsgefahr',
+                moldIndex: 'Schimmelindex (VTT)',
+                hoursAboveIsopleth: '{hours} h über der Isoplethe in {days} T',
+                timeInComfort: 'Zeit im Komfort',
+                comfortHoursOf: '{hours} h von {total} h in {days} T',
+                heatmapMax: 'Verweildauer: bis {hours} h pro Zelle',
+                heatStressNone: 'Keine Hitzebelastung',
+                heatStressCaution: 'Vorsicht',
+                heatStressExtremeCaution: 'Erhöhte Vorsicht',
+                heatStressDanger: 'Gefahr',
+                heatStressExtremeDanger: 'Extreme Gefahr',
+                processHeating: 'Heizen',
+                processCooling: 'Kühlen',
+                processCoolingCoil: 'Kühlregister',
+                processAdiabatic: 'Adiabate Befeuchtung',
+                processSteam: 'Dampfbefeuchtung',
+                processMeasured: 'Prozess',
+                mixing: 'Mischung',
+                adaptiveComfort: 'adaptiv',
+                runningMean: 'θ gleit. Mittel',
+                sensibleLoad: 'Sensibel',
+                latentLoad: 'Latent',
+                totalLoad: 'Gesamtleistung',
+                shr: 'SHR'
             }
         };
     }
@@ -2343,6 +4814,40 @@ class PsychrometricChartEnhanced extends i {
         // de réglage : render() affiche alors `noPointsConfigured` plutôt qu'une erreur
         // rouge, ce qui est aussi l'état du stub servi au sélecteur de cartes.
 
+        if (config.processes !== undefined && !Array.isArray(config.processes)) {
+            throw new Error("`processes` doit être une liste. / `processes` must be a list.");
+        }
+        // Une faute de frappe sur un type d'étape couperait la chaîne sans bruit : autant
+        // la signaler à l'enregistrement. Une étape `to` est mesurée, son type est libre.
+        (config.processes ?? []).forEach((process, i) => {
+            (process?.steps ?? []).forEach((step, j) => {
+                if (step?.to === undefined && !PROCESS_TYPES.includes(step?.type)) {
+                    throw new Error(`processes[${i}].steps[${j}].type (${step?.type}) doit valoir ${PROCESS_TYPES.join(', ')}.`);
+                }
+            });
+        });
+
+        if (config.mixes !== undefined && !Array.isArray(config.mixes)) {
+            throw new Error("`mixes` doit être une liste. / `mixes` must be a list.");
+        }
+        (config.mixes ?? []).forEach((mix, i) => {
+            if (!Array.isArray(mix?.points) || mix.points.length !== 2) {
+                throw new Error(`mixes[${i}].points doit désigner exactement deux points par leur libellé.`);
+            }
+            // Sans fraction lisible, le mélange disparaîtrait du graphique sans explication.
+            if (!PsychrometricCalculations.isMixRatio(mix.ratio)) {
+                throw new Error(`mixes[${i}].ratio (${mix.ratio}) doit être une fraction de 0 à 1 ou une entité.`);
+            }
+        });
+
+        if (config.hrv !== undefined && !['outdoor', 'supply', 'extract', 'exhaust'].every(key => config.hrv?.[key] !== undefined)) {
+            throw new Error("`hrv` doit désigner les points `outdoor`, `supply`, `extract` et `exhaust`. / `hrv` must map `outdoor`, `supply`, `extract` and `exhaust`.");
+        }
+
+        if (config.comfortModel === 'adaptive' && !config.adaptiveComfort?.outdoorPoint) {
+            throw new Error("`comfortModel: adaptive` demande `adaptiveComfort.outdoorPoint`, le libellé du point extérieur.");
+        }
+
         const language = config.language || 'fr';
         // Une langue inconnue ne doit pas faire planter chaque appel à t().
         this._language = this.translations[language] ? language : 'fr';
@@ -2355,10 +4860,49 @@ class PsychrometricChartEnhanced extends i {
             throw new Error(`zoom_humidity_min (${bounds.minHum}) doit être strictement inférieur à zoom_humidity_max (${bounds.maxHum}).`);
         }
 
+        // Une pression fixe hors de toute plage atmosphérique trahit une erreur d'unité
+        // (Pa, inHg…) : mieux vaut le dire que fausser silencieusement tous les calculs.
+        if (this._isFixedPressure(config.pressure)) {
+            const pressure = PsychrometricCalculations.toKilopascals(parseFloat(config.pressure));
+            if (!(pressure >= 30 && pressure <= 110)) {
+                throw new Error(`pressure (${config.pressure}) doit être une pression atmosphérique en kPa ou en hPa.`);
+            }
+        }
+        if (config.saturationFormula !== undefined && !SATURATION_FORMULAS.includes(config.saturationFormula)) {
+            throw new Error(`saturationFormula (${config.saturationFormula}) doit valoir ${SATURATION_FORMULAS.join(', ')}.`);
+        }
+        if (config.chartType !== undefined && !CHART_TYPES.includes(config.chartType)) {
+            throw new Error(`chartType (${config.chartType}) doit valoir ${CHART_TYPES.join(', ')}.`);
+        }
+        if (config.yAxis !== undefined && !Y_AXES.includes(config.yAxis)) {
+            throw new Error(`yAxis (${config.yAxis}) doit valoir ${Y_AXES.join(', ')}.`);
+        }
+        if (config.secondaryAxis !== undefined && !SECONDARY_AXES.includes(config.secondaryAxis)) {
+            throw new Error(`secondaryAxis (${config.secondaryAxis}) doit valoir ${SECONDARY_AXES.join(', ')}.`);
+        }
+        if (config.unitSystem !== undefined && !UNIT_SYSTEMS.includes(config.unitSystem)) {
+            throw new Error(`unitSystem (${config.unitSystem}) doit valoir ${UNIT_SYSTEMS.join(', ')}.`);
+        }
+        // Un débit constant dans une unité inconnue serait pris en m³/h sans prévenir.
+        for (const settings of [...(config.points ?? []), ...(config.processes ?? []), config.hrv]) {
+            if (settings?.airflowUnit !== undefined && !AIRFLOW_UNITS.includes(settings.airflowUnit)) {
+                throw new Error(`airflowUnit (${settings.airflowUnit}) doit valoir ${AIRFLOW_UNITS.join(', ')}.`);
+            }
+        }
+
+        // Une vue zoomée se rapporte aux bornes et au type de diagramme sous lesquels elle
+        // a été prise : s'ils changent (ou que le zoom interactif est coupé), on repart
+        // de la configuration. La réinitialisation suit l'affectation : l'événement émis
+        // doit porter la nouvelle configuration, celle que l'éditeur tient déjà.
         this.config = config;
+        const viewKey = JSON.stringify([bounds, config.chartType, config.interactiveZoom]);
+        if (viewKey !== this._viewKey && this._view) this._setView(null);
+        this._viewKey = viewKey;
+
         // L'unité peut changer avec la config : forcer une nouvelle détection.
         this._temperatureUnit = null;
         this._wetBulbCache = null;
+        this._isolineCache = new Map();
     }
 
     /**
@@ -2423,6 +4967,7 @@ class PsychrometricChartEnhanced extends i {
         clearTimeout(this._resizeDebounceTimer);
         this._resizeDebounceTimer = null;
         this._hoveredPoint = null;
+        this._cursorState = null;
     }
 
     /**
@@ -2456,12 +5001,164 @@ class PsychrometricChartEnhanced extends i {
         if (!this.config?.points) return [];
         const ids = [];
         for (const point of this.config.points) {
-            if (point.temp) ids.push(point.temp);
-            if (point.humidity) ids.push(point.humidity);
+            ids.push(...this._pointEntityIds(point));
+        }
+        if (this._isEntityId(this.config.pressure)) ids.push(this.config.pressure);
+        if (this._isEntityId(this.config.energy?.price)) ids.push(this.config.energy.price);
+        for (const mix of this.config.mixes ?? []) {
+            if (this._isEntityId(mix.ratio)) ids.push(mix.ratio);
+        }
+        for (const point of this.config.points) {
+            ids.push(...this._surfaceEntityIds(point));
+        }
+        for (const settings of [...this.config.points, ...(this.config.processes ?? []), this.config.hrv]) {
+            if (this._isEntityId(settings?.airflow)) ids.push(settings.airflow);
+        }
+        for (const settings of [
+            this.config.pmv, this.config.utci,
+            ...this.config.points.flatMap(point => [point.pmv, point.utci]),
+        ]) {
+            ids.push(...Object.values(settings ?? {}).filter(value => this._isEntityId(value)));
         }
         return ids;
     }
 
+    /**
+     * Entities a point is defined from, in POINT_SOURCES order.
+     * @param {Object} point - Point configuration
+     * @returns {string[]} Configured entity IDs
+     */
+    _pointEntityIds(point) {
+        return Object.keys(POINT_SOURCES).filter(key => point[key]).map(key => point[key]);
+    }
+
+    /**
+     * Dry air mass flow behind a point's powers.
+     *
+     * Par ordre de priorité : le débit volumique du point, puis le volume de la pièce
+     * et son taux de renouvellement, enfin le débit massique de la carte.
+     * @param {Object} point - Point configuration
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number} Mass flow rate in kg/s
+     */
+    _pointMassFlow(point, temp, humidity) {
+        const airflow = this._airflowMassFlow(point, temp, humidity);
+        if (airflow !== null) return airflow;
+        const volume = parseFloat(point.volume);
+        const airChangesPerHour = parseFloat(point.airChangesPerHour);
+        return volume > 0 && airChangesPerHour > 0
+            ? this._psychro.calculateRoomMassFlow(volume, airChangesPerHour, temp, humidity)
+            : (this.config.massFlowRate ?? 0.5);
+    }
+
+    /**
+     * Dry air mass flow of a volumetric `airflow`, constant or entity.
+     *
+     * Une constante est exprimée en `airflowUnit` (m³/h par défaut) ; une entité dans
+     * sa propre unité. Un débit nul reste valable : ventilateur à l'arrêt, aucune puissance.
+     * @param {Object} settings - Point, process or HRV configuration
+     * @param {number} temp - Temperature of the air the flow is measured in, in Celsius
+     * @param {number} humidity - Its relative humidity in %
+     * @returns {number|null} Mass flow rate in kg/s, null when unset or unavailable
+     */
+    _airflowMassFlow(settings, temp, humidity) {
+        const value = settings?.airflow;
+        if (value === undefined || value === null || value === '') return null;
+        let reading = parseFloat(value);
+        let unit = settings.airflowUnit;
+        if (this._isEntityId(value)) {
+            const entity = this.hass?.states[value];
+            reading = parseFloat(entity?.state);
+            unit = entity?.attributes?.unit_of_measurement ?? unit;
+        }
+        if (!Number.isFinite(reading) || reading < 0) return null;
+        return this._psychro.calculateAirflowMassFlow(this._psychro.toCubicMetersPerHour(reading, unit), temp, humidity);
+    }
+
+    /**
+     * Powers needed to bring an air state back into the comfort range, by action.
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @param {number} massFlowRate - Mass flow rate in kg/s
+     * @returns {{heating: number, cooling: number, humidification: number, dehumidification: number}} Powers in W
+     */
+    _actionPowers(temp, humidity, comfortRange, massFlowRate) {
+        const powers = { heating: 0, cooling: 0, humidification: 0, dehumidification: 0 };
+        const { sensible, latent, target } = this._comfortActions(temp, humidity, comfortRange);
+        if (sensible === 'heating') {
+            powers.heating = this._psychro.calculateHeatingPower(temp, target.temp, massFlowRate);
+        } else if (sensible === 'cooling') {
+            powers.cooling = this._psychro.calculateCoolingPower(temp, target.temp, massFlowRate);
+        }
+        // Une part latente de signe contraire à l'action n'est pas à fournir : elle est écartée.
+        const latentPower = latent
+            ? this._psychro.calculateHumidityPower(temp, humidity, target.humidity, massFlowRate, target.temp)
+            : 0;
+        if (latent === 'humidification' && latentPower > 0) powers.humidification = latentPower;
+        if (latent === 'dehumidification' && latentPower < 0) powers.dehumidification = -latentPower;
+        return powers;
+    }
+
+    /**
+     * Actions bringing an air state back into the comfort range, and their common target.
+     *
+     * La cible est la consigne idéale : la température est ramenée à la borne franchie,
+     * puis l'humidité est jugée à cette température. Texte d'action, puissances, débit
+     * d'eau et transition partent tous de cette même cible.
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @returns {{sensible: string|null, latent: string|null, target: {temp: number, humidity: number}}}
+     *   `heating` or `cooling`, `humidification` or `dehumidification`, and the ideal setpoint
+     */
+    _comfortActions(temp, humidity, comfortRange) {
+        const target = this._psychro.calculateIdealSetpoint(temp, humidity, comfortRange);
+        let sensible = null;
+        if (temp < comfortRange.tempMin) sensible = 'heating';
+        else if (temp > comfortRange.tempMax) sensible = 'cooling';
+        const targetTemp = Math.min(comfortRange.tempMax, Math.max(comfortRange.tempMin, temp));
+        const humidityAtTarget = this._psychro.calculateRelativeHumidityAt(temp, humidity, targetTemp);
+        let latent = null;
+        if (humidityAtTarget < comfortRange.rhMin) latent = 'humidification';
+        else if (humidityAtTarget > comfortRange.rhMax) latent = 'dehumidification';
+        return { sensible, latent, target };
+    }
+
+    /**
+     * Surface temperature entities of a point: a list, or a single entity in YAML.
+     * @param {Object} point - Point configuration
+     * @returns {string[]} Entity IDs
+     */
+    _surfaceEntityIds(point) {
+        return [].concat(point.surfaces ?? []).filter(id => this._isEntityId(id));
+    }
+
+    /**
+     * Condensation check of each surface a point references.
+     *
+     * Une sonde indisponible est omise, comme pour les grandeurs du point.
+     * @param {Object} point - Point configuration
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Air relative humidity in %
+     * @returns {Array<Object>} { entityId, label, temp, margin, surfaceHumidity, status }
+     */
+    _describeSurfaces(point, temp, humidity) {
+        return this._surfaceEntityIds(point).map(entityId => {
+            const entity = this.hass.states[entityId];
+            const reading = parseFloat(entity?.state);
+            if (!Number.isFinite(reading)) return null;
+            const surfaceTemp = this.toInternalTemp(reading);
+            return {
+                entityId,
+                label: entity.attributes?.friendly_name || entityId,
+                temp: surfaceTemp,
+                ...this._psychro.calculateSurfaceCondensation(temp, humidity, surfaceTemp),
+            };
+        }).filter(surface => surface !== null);
+    }
+
     /**
      * Home Assistant replaces `hass` on every state change of *any* entity in the
      * installation. Without this gate the whole chart would be recomputed and
@@ -2491,13 +5188,37 @@ class PsychrometricChartEnhanced extends i {
      * @param {Map} changedProperties - Map of changed properties
      */
     willUpdate(changedProperties) {
-        if (changedProperties.has('hass') || changedProperties.has('config') || !this._currentPoints) {
+        if (changedProperties.has('hass') || changedProperties.has('config')) {
+            this._refreshOutdoorHistory();
+            this._refreshMoldHistory();
+            this._refreshTrailHistory();
+            this._refreshEnergyHistory();
+            this._refreshHeatmapHistory();
+        }
+        if (changedProperties.has('hass') || changedProperties.has('config')
+            || changedProperties.has('_outdoorDailyMeans') || changedProperties.has('_moldIndexes') || changedProperties.has('_energyTotals')
+            || changedProperties.has('_trails') || changedProperties.has('_heatmap') || !this._currentPoints) {
+            this._psychro = PsychrometricCalculations.withConditions({
+                pressure: this._resolvePressure(),
+                saturation: this.config?.saturationFormula,
+            });
+            // L'unité doit être connue avant toute conversion, bornes de confort comprises.
+            if (this.hass && this._temperatureUnit === null) {
+                this._temperatureUnit = this.detectTemperatureUnit(this.hass);
+            }
+            this._currentComfortRange = this._comfortRange();
+            // Rejoués avant les points, qui affichent leur énergie et leur temps en confort.
+            this._integrateEnergyHistory();
+            this._evaluateHeatmapHistory();
             this._currentPoints = this._calculatePoints();
+            this._currentProcesses = this._calculateProcesses(this._currentPoints);
+            this._currentHrv = this._calculateHrv(this._currentPoints);
         }
         // Masquer le graphique retire le canvas sous le curseur : sans cela, une
         // infobulle ouverte à cet instant resterait affichée faute de `mouseleave`.
-        if (changedProperties.has('config') && this.config?.showChart === false && this._hoveredPoint) {
+        if (changedProperties.has('config') && this.config?.showChart === false && (this._hoveredPoint || this._cursorState)) {
             this._hoveredPoint = null;
+            this._cursorState = null;
         }
     }
 
@@ -2507,7 +5228,8 @@ class PsychrometricChartEnhanced extends i {
      * @param {Map} changedProperties - Map of changed properties
      */
     updated(changedProperties) {
-        if (changedProperties.has('hass') || changedProperties.has('config')
+        if (changedProperties.has('hass') || changedProperties.has('config') || changedProperties.has('_outdoorDailyMeans')
+            || changedProperties.has('_trails') || changedProperties.has('_heatmap') || changedProperties.has('_view')
             || changedProperties.has('_canvasWidth') || changedProperties.has('_canvasHeight')) {
             this._drawChart();
         }
@@ -2604,8 +5326,22 @@ class PsychrometricChartEnhanced extends i {
             comfort: resolve('comfortColor', dark ? 'rgba(100, 200, 100, 0.3)' : 'rgba(144, 238, 144, 0.5)'),
             enthalpy: resolve('enthalpyColor', dark ? 'rgba(255, 165, 0, 0.7)' : 'rgba(255, 99, 71, 0.7)'),
             wetBulb: dark ? 'rgba(0, 255, 255, 0.4)' : 'rgba(0, 100, 255, 0.4)',
+            specificVolume: resolve('specificVolumeColor', dark ? 'rgba(186, 104, 200, 0.6)' : 'rgba(123, 31, 162, 0.5)'),
+            dewPoint: resolve('dewPointColor', dark ? 'rgba(77, 208, 225, 0.6)' : 'rgba(0, 131, 143, 0.5)'),
+            absoluteHumidity: resolve('absoluteHumidityColor', dark ? 'rgba(174, 213, 129, 0.6)' : 'rgba(85, 139, 47, 0.5)'),
             saturation: dark ? 'rgba(80, 180, 255, 0.9)' : 'rgba(30, 144, 255, 0.8)',
             pointOutline: dark ? '#ffffff' : '#000000',
+            process: dark ? '#ffb74d' : '#e65100',
+            condensation: dark ? '#ef5350' : '#c62828',
+            condensationRisk: dark ? '#ffa726' : '#ef6c00',
+            hrv: dark ? '#4db6ac' : '#00796b',
+            ventilate: dark ? '#66bb6a' : '#2e7d32',
+            keepClosed: dark ? '#ef5350' : '#c62828',
+            sensibleHeat: dark ? '#ef5350' : '#e53935',
+            sensibleCool: dark ? '#42a5f5' : '#1e88e5',
+            latentAdd: dark ? '#4dd0e1' : '#00acc1',
+            latentRemove: dark ? '#ba68c8' : '#8e24aa',
+            heatmap: dark ? '#ff7043' : '#d84315',
         };
     }
 
@@ -2702,33 +5438,636 @@ class PsychrometricChartEnhanced extends i {
     }
 
     /**
-     * Check if a point is within the comfort zone.
-     * @param {number} temp - Temperature in Celsius
-     * @param {number} humidity - Humidity in %
-     * @param {Object} comfortRange - Comfort range definition
-     * @returns {boolean} True if in comfort zone
+     * Unit system of the derived quantities, 'si' unless configured.
+     * @returns {string} One of UNIT_SYSTEMS
      */
-    isInComfortZone(temp, humidity, comfortRange) {
-        return (
-            temp >= comfortRange.tempMin &&
-            temp <= comfortRange.tempMax &&
-            humidity >= comfortRange.rhMin &&
-            humidity <= comfortRange.rhMax
-        );
+    _unitSystem() {
+        return UNIT_SYSTEMS.includes(this.config?.unitSystem) ? this.config.unitSystem : 'si';
     }
 
     /**
-     * Describe *why* a point sits outside the comfort zone.
-     * Temperature takes precedence over humidity, being the dominant sensation.
-     * @param {number} temp - Temperature in Celsius
-     * @param {number} humidity - Humidity in %
-     * @param {Object} comfortRange - Comfort range definition
+     * Format a derived quantity in the configured unit system.
+     * @param {string} quantity - Quantity key ('enthalpy', 'humidityRatio', 'power', …)
+     * @param {number} value - Value in SI units (humidity ratio in g/kg)
+     * @param {number} [decimals=1] - Number of decimal places
+     * @param {Object} [options]
+     * @param {boolean} [options.signed=false] - Value is a difference, shown with its sign
+     * @returns {string} Formatted value with unit
+     */
+    formatQuantity(quantity, value, decimals = 1, { signed = false } = {}) {
+        const converted = this._psychro.convertUnit(quantity, value, this._unitSystem(), signed);
+        const text = signed ? this._signed(converted.value, decimals) : converted.value.toFixed(decimals);
+        return `${text} ${converted.unit}`;
+    }
+
+    /**
+     * Format a signed number, with an explicit plus sign for positive values.
+     * @param {number} value - Value
+     * @param {number} [decimals=1] - Number of decimal places
+     * @returns {string}
+     */
+    _signed(value, decimals = 1) {
+        return (value > 0 ? '+' : '') + value.toFixed(decimals);
+    }
+
+    /**
+     * Format a temperature difference for display with unit.
+     * @param {number} deltaC - Difference in kelvins
+     * @param {number} [decimals=1] - Number of decimal places
+     * @returns {string} Formatted difference
+     */
+    formatTempDelta(deltaC, decimals = 1) {
+        if (this._temperatureUnit === '°F') {
+            return (deltaC * 1.8).toFixed(decimals) + '°F';
+        }
+        return deltaC.toFixed(decimals) + '°C';
+    }
+
+    /**
+     * Whether a config value designates an entity rather than a constant.
+     * @param {*} value - Raw config value
+     * @returns {boolean} True for an entity ID such as `sensor.barometer`
+     */
+    _isEntityId(value) {
+        return PsychrometricCalculations.isEntityId(value);
+    }
+
+    /**
+     * Whether `pressure` is configured as a fixed value.
+     * @param {*} value - Raw `pressure` option
+     * @returns {boolean} True for a number, or a numeric string
+     */
+    _isFixedPressure(value) {
+        return value !== undefined && value !== null && value !== '' && !this._isEntityId(value);
+    }
+
+    /**
+     * Atmospheric pressure the calculations run at.
+     *
+     * Ordre de priorité : `pressure` (valeur fixe ou baromètre), puis `elevation`
+     * (altitude en mètres, ou `auto` pour celle déclarée dans Home Assistant), puis la
+     * pression normale au niveau de la mer. Un baromètre indisponible retombe sur
+     * l'altitude plutôt que de rendre tous les points invalides.
+     * @returns {number} Pressure in kPa
+     */
+    _resolvePressure() {
+        const { pressure, elevation } = this.config || {};
+
+        if (this._isEntityId(pressure)) {
+            const state = this.hass?.states?.[pressure.trim()];
+            const value = parseFloat(state?.state);
+            if (Number.isFinite(value) && value > 0) {
+                return PsychrometricCalculations.toKilopascals(value, state.attributes?.unit_of_measurement);
+            }
+        } else if (this._isFixedPressure(pressure)) {
+            const value = parseFloat(pressure);
+            if (value > 0) return PsychrometricCalculations.toKilopascals(value);
+        }
+
+        const altitude = elevation === 'auto' ? this.hass?.config?.elevation : parseFloat(elevation);
+        if (Number.isFinite(altitude)) return PsychrometricCalculations.pressureFromAltitude(altitude);
+
+        return PsychrometricCalculations.ATMOSPHERIC_PRESSURE;
+    }
+
+    /**
+     * Comfort range applied to every point, in Celsius.
+     *
+     * En mode adaptatif, les bornes de température viennent de la moyenne glissante
+     * de la température extérieure (historique du point extérieur, à défaut sa valeur
+     * courante) ; les bornes d'humidité restent celles de `comfortRange`, les modèles
+     * adaptatifs n'en fixant pas. Tant qu'aucune température extérieure n'est connue,
+     * la zone fixe s'applique. En mode PMV, voir `_pmvComfortRange`.
+     * @returns {Object} { tempMin, tempMax, rhMin, rhMax, adaptive?, pmv?, region? }
+     */
+    _comfortRange() {
+        const range = this.config?.comfortRange ? {
+            tempMin: this.toInternalTemp(this.config.comfortRange.tempMin),
+            tempMax: this.toInternalTemp(this.config.comfortRange.tempMax),
+            rhMin: this.config.comfortRange.rhMin,
+            rhMax: this.config.comfortRange.rhMax
+        } : { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+        if (this.config?.comfortModel === 'pmv') return this._pmvComfortRange(range);
+        if (this.config?.comfortModel !== 'adaptive' || !this.hass) return range;
+
+        const { outdoorPoint, standard = 'en16798', category } = this.config.adaptiveComfort ?? {};
+        const outdoor = this.config.points?.find(point => point.label === outdoorPoint);
+        if (!outdoor) return range;
+
+        const history = this._outdoorDailyMeans?.entityId === outdoor.temp ? this._outdoorDailyMeans.means : [];
+        const runningMean = PsychrometricCalculations.calculateRunningMeanTemperature(history)
+            ?? this._psychro.solveState(this._pointReadings(outdoor))?.temp;
+        if (!Number.isFinite(runningMean)) return range;
+
+        const model = ADAPTIVE_COMFORT_STANDARDS[standard] ?? ADAPTIVE_COMFORT_STANDARDS.en16798;
+        const selected = model.categories[category] ? String(category) : model.defaultCategory;
+        const band = PsychrometricCalculations.calculateAdaptiveComfort(runningMean, standard, selected);
+        return {
+            ...range,
+            tempMin: band.tempMin,
+            tempMax: band.tempMax,
+            adaptive: {
+                runningMean,
+                category: selected,
+                bands: Object.keys(model.categories).map(key => ({
+                    category: key,
+                    ...PsychrometricCalculations.calculateAdaptiveComfort(runningMean, standard, key),
+                })),
+            },
+        };
+    }
+
+    /**
+     * PMV comfort range: the chart region where |PMV| ≤ 0.5 between the humidity bounds.
+     *
+     * `tempMin` / `tempMax`, qui servent à la consigne idéale et aux puissances, sont
+     * pris à l'humidité médiane de la zone ; le verdict de confort évalue, lui, le PMV
+     * du point lui-même (voir isInComfortZone).
+     * @param {Object} range - Fixed comfort range, for its humidity bounds
+     * @returns {Object} Comfort range carrying the PMV parameters and the region polygon
+     */
+    _pmvComfortRange(range) {
+        const options = this._pmvOptions();
+        const region = this._psychro.calculatePMVComfortRegion(options, range.rhMin, range.rhMax);
+        if (!region) return range;
+        const rh = (range.rhMin + range.rhMax) / 2;
+        return {
+            ...range,
+            tempMin: this._psychro.calculatePMVTemperature(-0.5, rh, options),
+            tempMax: this._psychro.calculatePMVTemperature(0.5, rh, options),
+            pmv: options,
+            region,
+        };
+    }
+
+    /**
+     * PMV parameters of a point: its own `pmv` settings, then the card's, then defaults.
+     *
+     * Chaque paramètre est une constante ou une entité (sonde de globe pour `tr`,
+     * anémomètre pour `vel`…) ; une entité indisponible laisse la main au niveau
+     * suivant. Sans habillement configuré, la valeur de saison s'applique. Sans `tr`,
+     * la température radiante suit celle de l'air.
+     * @param {Object} [point] - Point configuration, omitted for the card-level parameters
+     * @returns {Object} Options for calculatePMV
+     */
+    _pmvOptions(point) {
+        const options = {};
+        for (const key of ['clo', 'met', 'vel', 'tr']) {
+            const value = this._pmvInput(key, point?.pmv?.[key]) ?? this._pmvInput(key, this.config?.pmv?.[key]);
+            if (value !== null) options[key] = value;
+        }
+        options.clo ??= PsychrometricCalculations.seasonalClothing(new Date(), this.hass?.config?.latitude < 0);
+        return options;
+    }
+
+    /**
+     * UTCI inputs of a point: its own `utci` settings, then the card's.
+     *
+     * Vent et température radiante sont des constantes ou des entités, lues comme la
+     * vitesse d'air et la température radiante du PMV. Sans `tr` dédiée, celle du PMV
+     * sert ; sans vent, calculateUTCI retient le minimum de l'indice.
+     * @param {Object} point - Point configuration
+     * @param {Object} pmvOptions - PMV parameters of the point
+     * @returns {{windSpeed: (number|undefined), tr: (number|undefined)}} Options for calculateUTCI
+     */
+    _utciOptions(point, pmvOptions) {
+        const windSpeed = this._pmvInput('vel', point?.utci?.windSpeed) ?? this._pmvInput('vel', this.config?.utci?.windSpeed);
+        const tr = this._pmvInput('tr', point?.utci?.tr) ?? this._pmvInput('tr', this.config?.utci?.tr) ?? pmvOptions.tr;
+        return { windSpeed: windSpeed ?? undefined, tr };
+    }
+
+    /**
+     * Read one PMV parameter, constant or entity, in the unit calculatePMV expects.
+     * @param {string} key - 'clo', 'met', 'vel' or 'tr'
+     * @param {number|string} value - Configured constant or entity ID
+     * @returns {number|null} Value (clo, met, m/s, °C), null when unset or unavailable
+     */
+    _pmvInput(key, value) {
+        if (value === undefined || value === null || value === '') return null;
+        let reading = parseFloat(value);
+        let unit;
+        if (this._isEntityId(value)) {
+            const entity = this.hass?.states[value];
+            reading = parseFloat(entity?.state);
+            unit = entity?.attributes?.unit_of_measurement;
+        }
+        if (!Number.isFinite(reading)) return null;
+        if (key === 'tr') return this.toInternalTemp(reading);
+        if (key === 'vel') return PsychrometricCalculations.toMetersPerSecond(reading, unit);
+        return reading;
+    }
+
+    /**
+     * Fetch the outdoor temperature history behind the adaptive running mean.
+     *
+     * Sept jours civils suffisent : avec α = 0.8, le huitième pèserait moins de 5 %.
+     * Les moyennes journalières ne bougent qu'une fois par jour, d'où une requête au
+     * plus par heure et par entité, le reste des cycles réutilisant le résultat.
+     */
+    async _refreshOutdoorHistory() {
+        if (this.config?.comfortModel !== 'adaptive' || !this.hass?.callApi) return;
+        const { outdoorPoint } = this.config.adaptiveComfort ?? {};
+        const entityId = this.config.points?.find(point => point.label === outdoorPoint)?.temp;
+        if (!entityId) return;
+
+        const now = Date.now();
+        const last = this._outdoorHistoryRequest;
+        if (last?.entityId === entityId && now - last.time < 60 * 60 * 1000) return;
+        this._outdoorHistoryRequest = { entityId, time: now };
+
+        const endTime = new Date(now);
+        const startTime = new Date(endTime);
+        startTime.setHours(0, 0, 0, 0);
+        startTime.setDate(startTime.getDate() - 7);
+
+        try {
+            // Le filtre « changement significatif » suffit ici : il ne déplace les
+            // moyennes journalières que de quelques centièmes de degré.
+            const url = `history/period/${startTime.toISOString()}`
+                + `?filter_entity_id=${encodeURIComponent(entityId)}`
+                + `&end_time=${encodeURIComponent(endTime.toISOString())}`
+                + `&minimal_response&no_attributes`;
+            const response = await this.hass.callApi('GET', url);
+            // Les états sont dans l'unité d'affichage, comme pour la modale d'historique.
+            const samples = (response?.[0] ?? [])
+                .map(entry => ({ time: new Date(entry.last_changed).getTime(), value: parseFloat(entry.state) }))
+                .filter(sample => Number.isFinite(sample.value))
+                .map(sample => ({ ...sample, value: this.toInternalTemp(sample.value) }));
+            this._outdoorDailyMeans = {
+                entityId,
+                means: PsychrometricCalculations.timeWeightedDailyMeans(samples, endTime, 7),
+            };
+        } catch (error) {
+            // Sans historique, la valeur extérieure courante tient lieu de moyenne glissante.
+            console.error('Outdoor history error:', error);
+        }
+    }
+
+    /**
+     * Clé d'un point dans les résultats tirés de l'historique (`_moldIndexes`,
+     * `_energyTotals`, `_trails`, `_heatmap`) : la paire d'entités dont l'historique est lu.
+     * @param {Object} point - Point configuration
+     * @returns {string}
+     */
+    _historyKey(point) {
+        return `${point.temp}|${point.humidity}`;
+    }
+
+    /**
+     * Points whose state history can be replayed: defined by a temperature entity and
+     * a humidity entity, the two quantities the recorder keeps for them.
+     * @returns {Array<Object>} Point configurations
+     */
+    _historyPoints() {
+        return (this.config?.points ?? []).filter(point => this._isEntityId(point.temp) && this._isEntityId(point.humidity));
+    }
+
+    /**
+     * Fetch the history of several entities, resampled at a fixed step.
+     *
+     * Avec minimal_response, seul le premier état de chaque série porte l'entity_id.
+     * Les valeurs restent dans l'unité de l'entité.
+     * @param {string[]} entityIds - Entities to fetch
+     * @param {number} start - Start of the range (ms)
+     * @param {number} end - End of the range (ms), excluded from the resampling
+     * @param {number} step - Resampling step (ms)
+     * @returns {Promise<Object<string, Array<number|null>>>} Resampled values by entity
+     */
+    async _fetchResampledHistory(entityIds, start, end, step) {
+        const url = `history/period/${new Date(start).toISOString()}`
+            + `?filter_entity_id=${encodeURIComponent(entityIds.join(','))}`
+            + `&end_time=${encodeURIComponent(new Date(end).toISOString())}`
+            + `&minimal_response&no_attributes`;
+        const response = await this.hass.callApi('GET', url);
+        const series = {};
+        for (const history of response ?? []) {
+            const entityId = history[0]?.entity_id;
+            if (!entityId) continue;
+            series[entityId] = PsychrometricCalculations.resampleHistory(
+                history
+                    .map(entry => ({ time: new Date(entry.last_changed).getTime(), value: parseFloat(entry.state) }))
+                    .filter(sample => Number.isFinite(sample.value)),
+                start, end, step);
+        }
+        return series;
+    }
+
+    /**
+     * Past states of a point, paired step by step from its resampled history.
+     * @param {Object} point - Point configuration
+     * @param {Object} series - Output of _fetchResampledHistory
+     * @returns {Array<{temp: number, humidity: number}|null>|null} States, null where a sensor is unknown; null without history
+     */
+    _historyStates(point, series) {
+        const temps = series[point.temp];
+        const humidities = series[point.humidity];
+        if (!temps || !humidities) return null;
+        return temps.map((temp, i) => (temp !== null && humidities[i] !== null
+            ? { temp: this.toInternalTemp(temp), humidity: Math.min(100, Math.max(0.01, humidities[i])) }
+            : null));
+    }
+
+    /**
+     * Fetch temperature and humidity history of the points showing the mold index.
+     *
+     * Seuls les points définis par une sonde de température et une d'humidité sont
+     * concernés : l'isoplèthe porte sur ces deux grandeurs. Les deux historiques sont
+     * rééchantillonnés à l'heure puis appariés. L'indice n'évolue qu'à l'échelle de
+     * l'heure, d'où une requête au plus par heure pour une même configuration.
+     */
+    async _refreshMoldHistory() {
+        if (!this.hass?.callApi) return;
+        const points = this._historyPoints().filter(point => this._shouldShowField(point, 'moldIndex'));
+        if (!points.length) return;
+
+        const days = this.config.moldIndexDays ?? 14;
+        const entityIds = [...new Set(points.flatMap(point => [point.temp, point.humidity]))];
+        const signature = `${days}:${entityIds.join(',')}`;
+        const now = Date.now();
+        const last = this._moldHistoryRequest;
+        if (last?.signature === signature && now - last.time < 60 * 60 * 1000) return;
+        this._moldHistoryRequest = { signature, time: now };
+
+        const hour = 60 * 60 * 1000;
+        const end = Math.floor(now / hour) * hour;
+        const start = end - days * 24 * hour;
+
+        try {
+            const series = await this._fetchResampledHistory(entityIds, start, end, hour);
+            const indexes = {};
+            for (const point of points) {
+                const states = this._historyStates(point, series);
+                if (!states) continue;
+                indexes[this._historyKey(point)] = { ...PsychrometricCalculations.calculateMoldIndex(states), days };
+            }
+            this._moldIndexes = indexes;
+        } catch (error) {
+            // Sans historique, seul le risque instantané reste affiché.
+            console.error('Mold history error:', error);
+        }
+    }
+
+    /**
+     * Duration and sampling step of the state trails.
+     * @returns {{hours: number, minutes: number}} Hours of history, minutes between two trail samples
+     */
+    _trailSettings() {
+        const hours = parseFloat(this.config?.trailHours);
+        const minutes = parseFloat(this.config?.trailStep);
+        // Bornés pour que la requête et le tracé restent légers : au plus une semaine,
+        // un échantillon par minute au mieux.
+        return {
+            hours: Number.isFinite(hours) ? Math.min(168, Math.max(1, hours)) : 6,
+            minutes: Number.isFinite(minutes) ? Math.min(240, Math.max(1, minutes)) : 10,
+        };
+    }
+
+    /**
+     * Fetch the recent history of every point, for the trails drawn behind them.
+     *
+     * Températures et humidités sont rééchantillonnées au même pas puis appariées,
+     * ce qui sous-échantillonne du même coup les capteurs bavards. La fenêtre glisse
+     * d'un pas à la fois : une requête au plus par pas pour une même configuration.
+     */
+    async _refreshTrailHistory() {
+        if (this.config?.showTrails !== true || !this.hass?.callApi) return;
+        const points = this._historyPoints();
+        if (!points.length) return;
+
+        const { hours, minutes } = this._trailSettings();
+        const step = minutes * 60 * 1000;
+        const end = Math.floor(Date.now() / step) * step;
+        const entityIds = [...new Set(points.flatMap(point => [point.temp, point.humidity]))];
+        const signature = `${hours}:${minutes}:${end}:${entityIds.join(',')}`;
+        if (this._trailHistoryRequest === signature) return;
+        this._trailHistoryRequest = signature;
+
+        try {
+            const series = await this._fetchResampledHistory(entityIds, end - hours * 60 * 60 * 1000, end, step);
+            const trails = {};
+            for (const point of points) {
+                const states = this._historyStates(point, series);
+                if (states) trails[this._historyKey(point)] = states;
+            }
+            this._trails = trails;
+        } catch (error) {
+            // Sans historique, les points restent affichés sans leur trace.
+            console.error('Trail history error:', error);
+        }
+    }
+
+    /**
+     * Fetch each point's history for the time-in-zone heatmap and its time in comfort.
+     *
+     * La requête ne dépend que de la durée et des entités : une au plus par heure. La
+     * série rééchantillonnée reste en cache, et _evaluateHeatmapHistory en rejuge le
+     * confort quand la zone bouge. Pas d'un quart d'heure jusqu'à deux jours, d'une
+     * heure au-delà.
+     */
+    async _refreshHeatmapHistory() {
+        if (this.config?.showHeatmap !== true || !this.hass?.callApi) return;
+        const points = this._historyPoints();
+        if (!points.length) return;
+
+        const parsedDays = parseFloat(this.config.heatmapDays);
+        const days = Number.isFinite(parsedDays) ? Math.min(60, Math.max(1, parsedDays)) : 7;
+        const entityIds = [...new Set(points.flatMap(point => [point.temp, point.humidity]))];
+        const signature = `${days}:${entityIds.join(',')}`;
+        const now = Date.now();
+        const last = this._heatmapHistoryRequest;
+        if (last?.signature === signature && now - last.time < 60 * 60 * 1000) return;
+        this._heatmapHistoryRequest = { signature, time: now };
+
+        const hour = 60 * 60 * 1000;
+        const step = days <= 2 ? hour / 4 : hour;
+        const end = Math.floor(now / step) * step;
+        const start = end - days * 24 * hour;
+
+        try {
+            const series = await this._fetchResampledHistory(entityIds, start, end, step);
+            const states = {};
+            for (const point of points) {
+                const pointStates = this._historyStates(point, series);
+                if (pointStates) states[this._historyKey(point)] = pointStates.filter(Boolean);
+            }
+            this._heatmapHistory = { days, stepHours: step / hour, points, states };
+            this._evaluateHeatmapHistory();
+        } catch (error) {
+            // Sans historique, la carte garde son affichage instantané.
+            console.error('Heatmap history error:', error);
+        }
+    }
+
+    /**
+     * Judge the cached heatmap history against the current comfort zone.
+     *
+     * Le temps en confort est jugé avec la zone actuelle et, en mode PMV, avec les
+     * paramètres du point, comme son verdict courant. Rien n'est refait tant que
+     * l'historique et ces zones sont inchangés.
+     */
+    _evaluateHeatmapHistory() {
+        const history = this._heatmapHistory;
+        const comfortRange = this._currentComfortRange;
+        if (!history || !comfortRange) return;
+        const ranges = history.points.map(point => (comfortRange.pmv ? { ...comfortRange, pmv: this._pmvOptions(point) } : comfortRange));
+        const key = JSON.stringify(ranges);
+        if (this._heatmapEvaluation?.history === history && this._heatmapEvaluation.key === key) return;
+        this._heatmapEvaluation = { history, key };
+
+        const { days, stepHours } = history;
+        const heatmapPoints = {};
+        history.points.forEach((point, i) => {
+            const known = history.states[this._historyKey(point)];
+            if (!known) return;
+            const inside = known.filter(state => this.isInComfortZone(state.temp, state.humidity, ranges[i])).length;
+            heatmapPoints[this._historyKey(point)] = {
+                states: known,
+                comfort: known.length
+                    ? { percent: (inside / known.length) * 100, hours: inside * stepHours, total: known.length * stepHours, days }
+                    : null,
+            };
+        });
+        this._heatmap = { stepHours, points: heatmapPoints };
+    }
+
+    /**
+     * Fetch each point's history for its energy and cost over the configured period.
+     *
+     * La requête ne dépend que de la configuration et de l'heure : une au plus par
+     * heure. La zone de confort, elle, bouge avec les capteurs (PMV, mode adaptatif) ;
+     * l'historique reste en cache et _integrateEnergyHistory le rejoue localement.
+     * Pas d'un quart d'heure sur une journée, d'une heure au-delà.
+     */
+    async _refreshEnergyHistory() {
+        const energy = this.config?.energy;
+        if (!energy || !this.hass?.callApi) return;
+        const points = this._historyPoints();
+        if (!points.length) return;
+
+        const days = ENERGY_PERIODS[energy.period] ?? ENERGY_PERIODS.day;
+        const priceEntity = this._isEntityId(energy.price) ? energy.price : null;
+        const entityIds = [...new Set([...points.flatMap(point => [point.temp, point.humidity]), ...(priceEntity ? [priceEntity] : [])])];
+        const signature = `${JSON.stringify(energy)}:${entityIds.join(',')}`;
+        const now = Date.now();
+        const last = this._energyHistoryRequest;
+        if (last?.signature === signature && now - last.time < 60 * 60 * 1000) return;
+        this._energyHistoryRequest = { signature, time: now };
+
+        const hour = 60 * 60 * 1000;
+        const step = days === 1 ? hour / 4 : hour;
+        const end = Math.floor(now / step) * step;
+        const start = end - days * 24 * hour;
+
+        try {
+            const series = await this._fetchResampledHistory(entityIds, start, end, step);
+            this._energyHistory = { energy, points, priceEntity, step, series };
+            this._integrateEnergyHistory();
+        } catch (error) {
+            // Sans historique, seule la puissance instantanée reste affichée.
+            console.error('Energy history error:', error);
+        }
+    }
+
+    /**
+     * Integrate each point's action powers over the cached history, into energy and cost.
+     *
+     * Les puissances passées sont recalculées comme la puissance courante, avec la zone
+     * de confort actuelle. Le prix suit l'historique de son entité quand c'en est une,
+     * la valeur courante comblant le début de la fenêtre s'il manque. Rien n'est refait
+     * tant que l'historique, la zone et le prix courant sont inchangés.
+     */
+    _integrateEnergyHistory() {
+        const history = this._energyHistory;
+        const comfortRange = this._currentComfortRange;
+        if (!history || !comfortRange) return;
+        const currentPrice = this._energyPrice();
+        const key = `${JSON.stringify(comfortRange)}:${currentPrice}`;
+        if (this._energyIntegration?.history === history && this._energyIntegration.key === key) return;
+        this._energyIntegration = { history, key };
+
+        const { energy, points, priceEntity, step, series } = history;
+        const efficiencies = {
+            heating: energy.heatingCop,
+            cooling: energy.coolingEer,
+            humidification: energy.humidificationCop,
+            dehumidification: energy.dehumidificationCop,
+        };
+        const prices = priceEntity && series[priceEntity]
+            ? series[priceEntity].map(price => price ?? currentPrice)
+            : currentPrice;
+        const hour = 60 * 60 * 1000;
+
+        const totals = {};
+        for (const point of points) {
+            const states = this._historyStates(point, series);
+            if (!states) continue;
+            const powers = states.map(state => state && this._actionPowers(
+                state.temp, state.humidity, comfortRange, this._pointMassFlow(point, state.temp, state.humidity)));
+            totals[this._historyKey(point)] = {
+                ...PsychrometricCalculations.integrateEnergy(powers, step / hour, efficiencies, prices),
+                period: ENERGY_PERIODS[energy.period] ? energy.period : 'day',
+            };
+        }
+        this._energyTotals = totals;
+    }
+
+    /**
+     * Current electricity price, from an entity or a constant.
+     * @returns {number|null} Price per kWh, null when unknown
+     */
+    _energyPrice() {
+        const price = this.config.energy?.price;
+        const value = parseFloat(this._isEntityId(price) ? this.hass.states[price]?.state : price);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Currency of the electricity price: the numerator of the price entity's unit
+     * (`EUR/kWh`), or the currency of the Home Assistant installation.
+     * @returns {string}
+     */
+    _energyCurrency() {
+        const price = this.config.energy?.price;
+        const unit = this._isEntityId(price) ? this.hass.states[price]?.attributes?.unit_of_measurement : null;
+        return unit ? unit.split('/')[0].trim() : (this.hass.config?.currency ?? '');
+    }
+
+    /**
+     * Check if a point is within the comfort zone.
+     * @param {number} temp - Temperature in Celsius
+     * @param {number} humidity - Humidity in %
+     * @param {Object} comfortRange - Comfort range definition
+     * @returns {boolean} True if in comfort zone
+     */
+    isInComfortZone(temp, humidity, comfortRange) {
+        // Zone PMV : le polygone tracé est exactement |PMV| ≤ 0.5 entre les bornes d'humidité.
+        if (comfortRange.pmv) {
+            return Math.abs(this._psychro.calculatePMV(temp, humidity, comfortRange.pmv)) <= 0.5
+                && humidity >= comfortRange.rhMin
+                && humidity <= comfortRange.rhMax;
+        }
+        return (
+            temp >= comfortRange.tempMin &&
+            temp <= comfortRange.tempMax &&
+            humidity >= comfortRange.rhMin &&
+            humidity <= comfortRange.rhMax
+        );
+    }
+
+    /**
+     * Describe *why* a point sits outside the comfort zone.
+     * Temperature takes precedence over humidity, being the dominant sensation.
+     * @param {number} temp - Temperature in Celsius
+     * @param {number} humidity - Humidity in %
+     * @param {Object} comfortRange - Comfort range definition
      * @returns {string} Translation key describing the comfort status
      */
     getComfortStatus(temp, humidity, comfortRange) {
         if (this.isInComfortZone(temp, humidity, comfortRange)) return 'comfortOptimal';
-        if (temp > comfortRange.tempMax) return 'comfortTooHot';
-        if (temp < comfortRange.tempMin) return 'comfortTooCold';
+        // En zone PMV, c'est l'indice qui dit trop chaud ou trop froid, pas la température seule.
+        const pmv = comfortRange.pmv ? this._psychro.calculatePMV(temp, humidity, comfortRange.pmv) : null;
+        if (pmv !== null ? pmv > 0.5 : temp > comfortRange.tempMax) return 'comfortTooHot';
+        if (pmv !== null ? pmv < -0.5 : temp < comfortRange.tempMin) return 'comfortTooCold';
         if (humidity > comfortRange.rhMax) return 'comfortTooHumid';
         if (humidity < comfortRange.rhMin) return 'comfortTooDry';
         return 'outOfComfort';
@@ -2757,6 +6096,117 @@ class PsychrometricChartEnhanced extends i {
         return this.t(keys[Math.min(Math.floor(riskLevel), 6)]);
     }
 
+    /**
+     * Flèche de tendance de l'indice de moisissure sur les dernières 24 h. Sous 0.01
+     * par jour, l'évolution n'est pas lisible à deux décimales : l'indice est stable.
+     * @param {number} trend - Index change over 24 h
+     * @returns {string}
+     */
+    _moldTrendArrow(trend) {
+        if (trend > 0.01) return '↗';
+        if (trend < -0.01) return '↘';
+        return '→';
+    }
+
+    /**
+     * Get color for a heat stress level.
+     * @param {number} level - Heat stress level (0-4)
+     * @param {boolean} darkMode - Whether dark mode is enabled
+     * @returns {string} Color hex code
+     */
+    getHeatStressColor(level, darkMode) {
+        const colors = darkMode ?
+            ["#4CAF50", "#FFEB3B", "#FF9800", "#FF5722", "#E040FB"] :
+            ["#2E7D32", "#F9A825", "#EF6C00", "#C62828", "#6A1B9A"];
+        return colors[level];
+    }
+
+    /**
+     * Get text description for a heat stress level.
+     * @param {number} level - Heat stress level (0-4)
+     * @returns {string} Localized level description
+     */
+    getHeatStressText(level) {
+        const keys = ['heatStressNone', 'heatStressCaution', 'heatStressExtremeCaution', 'heatStressDanger', 'heatStressExtremeDanger'];
+        return this.t(keys[level]);
+    }
+
+    /**
+     * Puissance de passage à la consigne idéale, ses parts sensible et latente, et
+     * une barre empilée de leurs poids respectifs.
+     * @param {{total: number, sensible: number, latent: number, shr: number|null}} loads - Loads in W
+     * @param {Object} palette - Resolved palette
+     * @returns {TemplateResult}
+     */
+    _renderTransition(loads, palette) {
+        const magnitude = Math.abs(loads.sensible) + Math.abs(loads.latent);
+        const share = (value) => (magnitude > 0 ? (Math.abs(value) / magnitude) * 100 : 0);
+        const sensible = this.formatQuantity('power', loads.sensible, 0, { signed: true });
+        const latent = this.formatQuantity('power', loads.latent, 0, { signed: true });
+        return b`
+            <div>
+                <span class="action-icon">🔥</span>${this.t('power')}:
+                <strong>${this.formatQuantity('power', loads.total, 0, { signed: true })}</strong>
+                (${this.t('sensibleLoad')} ${sensible} · ${this.t('latentLoad')} ${latent} ·
+                ${this.t('shr')} ${loads.shr === null ? '—' : loads.shr.toFixed(2)})
+            </div>
+            <div class="load-bar" title="${this.t('sensibleLoad')} ${sensible} · ${this.t('latentLoad')} ${latent}">
+                <span style="width: ${share(loads.sensible)}%; background: ${loads.sensible >= 0 ? palette.sensibleHeat : palette.sensibleCool}"></span>
+                <span style="width: ${share(loads.latent)}%; background: ${loads.latent >= 0 ? palette.latentAdd : palette.latentRemove}"></span>
+            </div>
+        `;
+    }
+
+    /**
+     * Ligne d'un indice de contrainte thermique, colorée selon son niveau.
+     * @param {string} index - 'humidex', 'heatIndex', 'wbgt' or 'utci'
+     * @param {number} value - Index value
+     * @param {string} text - Formatted value
+     * @param {boolean} darkMode - Whether dark mode is enabled
+     * @returns {TemplateResult}
+     */
+    _renderHeatStress(index, value, text, darkMode) {
+        const level = PsychrometricCalculations.getHeatStressLevel(index, value);
+        return b`
+            <div>${this.t(index)}: <span style="color: ${this.getHeatStressColor(level, darkMode)}; font-weight: 600;" title="${this.getHeatStressText(level)}">${text}</span></div>
+        `;
+    }
+
+    /**
+     * Read the sensors a point is defined from, in the solver's units.
+     *
+     * Un capteur en 'unavailable' / 'unknown' donne NaN : il est simplement omis, sans
+     * quoi le NaN se propagerait dans tous les calculs et s'afficherait tel quel. Le
+     * point reste défini tant que deux grandeurs valides demeurent.
+     * @param {Object} point - Point configuration
+     * @returns {Object} Readings keyed by STATE_PROPERTIES (°C, %, kg/kg, kJ/kg, g/m³)
+     */
+    _pointReadings(point) {
+        const readings = {};
+        for (const [key, property] of Object.entries(POINT_SOURCES)) {
+            const entity = point[key] ? this.hass.states[point[key]] : undefined;
+            const value = parseFloat(entity?.state);
+            if (!Number.isFinite(value)) continue;
+
+            switch (property) {
+                case 'temp':
+                case 'dewPoint':
+                case 'wetBulb':
+                    readings[property] = this.toInternalTemp(value);
+                    break;
+                case 'waterContent': {
+                    // Les capteurs publient en g/kg ; kg/kg et grains/lb restent acceptés.
+                    const unit = String(entity.attributes?.unit_of_measurement ?? '').toLowerCase();
+                    readings[property] = unit === 'kg/kg' ? value : value / (unit === 'gr/lb' ? 7000 : 1000);
+                    break;
+                }
+                default:
+                    readings[property] = value;
+            }
+        }
+        return readings;
+    }
+
     /**
      * Calculate all psychrometric properties for configured points.
      * @returns {Array} List of calculated point objects
@@ -2764,94 +6214,292 @@ class PsychrometricChartEnhanced extends i {
     _calculatePoints() {
         if (!this.hass || !this.config || !this.config.points) return [];
 
-        if (this._temperatureUnit === null) {
-            this._temperatureUnit = this.detectTemperatureUnit(this.hass);
-        }
+        const comfortRange = this._currentComfortRange;
+
+        const points = this.config.points.map(point => {
+            // Deux grandeurs quelconques suffisent : température et humidité relative,
+            // mais aussi point de rosée, temp. humide, teneur en eau…
+            const state = this._psychro.solveState(this._pointReadings(point));
+            if (!state) return null;
+            return this._describePoint(point, state, comfortRange, `${point.temp}_${point.humidity}`);
+        }).filter(p => p !== null);
 
-        return this.config.points.map(point => {
-            const tempState = this.hass.states[point.temp];
-            const humState = this.hass.states[point.humidity];
+        // Conseil d'aération des points intérieurs, face au point extérieur de référence.
+        const outdoor = points.find(point => point.outdoor);
+        if (outdoor) {
+            for (const point of points.filter(point => !point.outdoor)) {
+                point.ventilation = PsychrometricCalculations.calculateVentilationAdvice(point, outdoor, comfortRange);
+                // Sens de l'évolution : l'état de la pièce glisse sur la droite de mélange
+                // vers l'extérieur à mesure que l'air est renouvelé.
+                point.ventilation.towards = this._psychro.calculateMixing(point, outdoor, 0.3);
+            }
+        }
 
-            if (!tempState || !humState) return null;
+        return [...points, ...this._calculateMixes(points, comfortRange)];
+    }
 
-            const tempRaw = parseFloat(tempState.state);
-            const humidityRaw = parseFloat(humState.state);
+    /**
+     * Virtual points mixing two configured points.
+     *
+     * Le mélange est un point à part entière (cadre de données, confort, puissances),
+     * calculé par bilan d'enthalpie et de teneur en eau. Il ne suit que des points
+     * mesurés, désignés par leur libellé : un mélange de mélanges n'est pas résolu.
+     * @param {Array} points - Calculated configured points
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @returns {Array} Calculated mixed points, each carrying a `mix` description
+     */
+    _calculateMixes(points, comfortRange) {
+        if (!Array.isArray(this.config.mixes)) return [];
+
+        return this.config.mixes.map(mix => {
+            const [firstLabel, secondLabel] = mix.points;
+            const first = points.find(p => p.label === firstLabel);
+            const second = points.find(p => p.label === secondLabel);
+            const fraction = this._mixFraction(mix.ratio);
+            if (!first || !second || fraction === null) return null;
+
+            const state = this._psychro.calculateMixing(first, second, fraction);
+            if (!state) return null;
+            const point = this._describePoint(
+                { icon: 'mdi:call-merge', ...mix, label: mix.label || `${firstLabel} + ${secondLabel}` },
+                state, comfortRange, `${firstLabel}_${secondLabel}`
+            );
+            return { ...point, mix: { first, second, fraction } };
+        }).filter(p => p !== null);
+    }
 
-            // Un capteur en 'unavailable' / 'unknown' donne NaN : sans cette garde le
-            // NaN se propage dans tous les calculs et s'affiche tel quel sur la carte.
-            if (!Number.isFinite(tempRaw) || !Number.isFinite(humidityRaw)) return null;
+    /**
+     * Mass fraction of the second stream of a mix.
+     *
+     * Une entité est lue comme une position de registre : en %, ou en fraction 0-1 si
+     * elle ne déclare pas d'unité en %. Assimiler l'ouverture au débit d'air neuf reste
+     * une approximation, que seul un débitmètre lèverait.
+     * @param {number|string} ratio - Fixed fraction (0-1) or entity ID
+     * @returns {number|null} Fraction between 0 and 1, null when unavailable
+     */
+    _mixFraction(ratio) {
+        let value = parseFloat(ratio);
+        if (this._isEntityId(ratio)) {
+            const entity = this.hass.states[ratio];
+            value = parseFloat(entity?.state);
+            if (entity?.attributes?.unit_of_measurement === '%') value /= 100;
+        }
+        return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null;
+    }
 
-            const temp = this.toInternalTemp(tempRaw);
-            // Une humidité nulle rendrait le point de rosée infini (log(0)).
-            const humidity = Math.min(100, Math.max(0.01, humidityRaw));
+    /**
+     * Derive every displayed property of a point from its air state.
+     * @param {Object} point - Point configuration (label, icon, color, details…)
+     * @param {{temp: number, humidity: number}} state - Solved air state (°C, %)
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @param {string} colorSeed - Seed of the default color
+     * @returns {Object} Calculated point
+     */
+    _describePoint(point, state, comfortRange, colorSeed) {
+        const temp = state.temp;
+        // Une humidité nulle rendrait le point de rosée infini (log(0)) ; au-delà de
+        // 100 %, deux capteurs légèrement incohérents décriraient un air sursaturé.
+        const humidity = Math.min(100, Math.max(0.01, state.humidity));
+
+        const massFlowRate = this._pointMassFlow(point, temp, humidity);
+        const volume = parseFloat(point.volume);
+        const {
+            heating: heatingPower, cooling: coolingPower,
+            humidification: humidificationPower, dehumidification: dehumidificationPower,
+        } = this._actionPowers(temp, humidity, comfortRange, massFlowRate);
+        const power = heatingPower + coolingPower + humidificationPower + dehumidificationPower;
+
+        let action = "";
+        let waterRate = 0;
+        let roomWater = null;
+        // L'eau à apporter ou retirer se compte jusqu'à la consigne idéale, température
+        // comprise : réchauffer un air sec fait encore baisser son humidité relative.
+        const { sensible, latent, target: idealSetpoint } = this._comfortActions(temp, humidity, comfortRange);
+
+        if (sensible === 'heating') {
+            action = this.t('warm');
+        } else if (sensible === 'cooling') {
+            action = this.t('cool');
+        }
 
-            const comfortRange = this.config.comfortRange ? {
-                tempMin: this.toInternalTemp(this.config.comfortRange.tempMin),
-                tempMax: this.toInternalTemp(this.config.comfortRange.tempMax),
-                rhMin: this.config.comfortRange.rhMin,
-                rhMax: this.config.comfortRange.rhMax
-            } : { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+        if (latent) {
+            if (latent === 'humidification') {
+                action = action ? action + " " + this.t('andHumidify') : this.t('humidification');
+            } else {
+                action = action ? action + " " + this.t('andDehumidify') : this.t('dehumidification');
+            }
+            waterRate = this._psychro.calculateWaterRate(temp, humidity, idealSetpoint.humidity, massFlowRate, idealSetpoint.temp);
+            if (volume > 0) roomWater = this._psychro.calculateRoomWater(volume, temp, humidity, idealSetpoint.humidity, idealSetpoint.temp);
+        }
 
-            const { massFlowRate = 0.5 } = this.config;
+        const dewPoint = this._psychro.calculateDewPoint(temp, humidity);
+        // Sous 0 °C avec une formulation « glace », c'est un point de givre.
+        const frostPoint = this._psychro.saturatesOverIce(dewPoint);
+        const waterContent = this._psychro.calculateWaterContent(temp, humidity);
+        const enthalpy = this._psychro.calculateEnthalpy(temp, waterContent);
+        const absoluteHumidity = this._psychro.calculateAbsoluteHumidity(temp, humidity);
+        const wetBulbTemp = this._psychro.calculateWetBulbTemp(temp, humidity);
+        const specificVolume = this._psychro.calculateSpecificVolume(temp, humidity);
+        const moldRisk = this._psychro.calculateMoldRisk(temp, humidity);
+        const pmvOptions = this._pmvOptions(point);
+        const pmv = this._psychro.calculatePMV(temp, humidity, pmvOptions);
+        const ppd = PsychrometricCalculations.calculatePPD(pmv);
+        const apparentTemp = this._psychro.calculateApparentTemperature(temp, humidity);
+        const humidex = this._psychro.calculateHumidex(temp, humidity);
+        const heatIndex = this._psychro.calculateHeatIndex(temp, humidity);
+        // Le globe noir d'un WBGT intérieur est approché par la température radiante
+        // saisie pour le PMV, quand il y en a une.
+        const wbgt = this._psychro.calculateWBGT(temp, humidity, { tr: pmvOptions.tr });
+        const utci = this._psychro.calculateUTCI(temp, humidity, this._utciOptions(point, pmvOptions));
+        // Hors de la zone, le passage à la consigne idéale est détaillé en écart d'enthalpie,
+        // parts sensible et latente comprises.
+        const transition = action
+            ? this._psychro.calculateProcessLoads({ temp, humidity }, idealSetpoint, massFlowRate)
+            : null;
+        // La zone PMV est tracée avec les paramètres de la carte, mais le verdict d'un
+        // point retient les siens : c'est le PMV affiché dans son cadre qui tranche.
+        const pointComfortRange = comfortRange.pmv ? { ...comfortRange, pmv: pmvOptions } : comfortRange;
+
+        // Normalisation en hex : le dessin concatène `color + '40'` pour le halo et
+        // le rendu interpole `${color}15` dans un dégradé — un rgba() hérité d'une
+        // ancienne config y produirait une couleur invalide, silencieusement ignorée.
+        const rawColor = point.color || PsychrometricCalculations.generateColorFromHash(colorSeed);
+        const color = PsychrometricCalculations.rgbToHex(PsychrometricCalculations.colorToRgb(rawColor));
 
-            // Calculations
-            let action = "";
-            let power = 0;
-            let heatingPower = 0;
-            let coolingPower = 0;
-            let humidificationPower = 0;
-            let dehumidificationPower = 0;
+        return {
+            temp, humidity, action, power, heatingPower, coolingPower, humidificationPower, dehumidificationPower,
+            massFlowRate, waterRate, roomWater,
+            dewPoint, frostPoint, waterContent, enthalpy, absoluteHumidity, wetBulbTemp, specificVolume, moldRisk, pmv, ppd, apparentTemp, idealSetpoint,
+            transition, humidex, heatIndex, wbgt, utci,
+            moldIndex: this._moldIndexes?.[this._historyKey(point)] ?? null,
+            surfaces: this._describeSurfaces(point, temp, humidity),
+            energy: this._energyTotals?.[this._historyKey(point)] ?? null,
+            trail: this._trails?.[this._historyKey(point)] ?? null,
+            timeInComfort: this._heatmap?.points[this._historyKey(point)]?.comfort ?? null,
+            outdoor: point.outdoor === true,
+            ventilation: null,
+            color,
+            label: point.label || this._pointEntityIds(point).join(' & '),
+            icon: point.icon || "mdi:thermometer",
+            inComfortZone: this.isInComfortZone(temp, humidity, pointComfortRange),
+            comfortStatus: this.getComfortStatus(temp, humidity, pointComfortRange),
+            tempEntityId: point.temp,
+            humidityEntityId: point.humidity,
+            details: point.details // Pass through details config
+        };
+    }
 
-            if (temp < comfortRange.tempMin) {
-                action = this.t('warm');
-                heatingPower = PsychrometricCalculations.calculateHeatingPower(temp, comfortRange.tempMin, massFlowRate);
-                power += heatingPower;
-            } else if (temp > comfortRange.tempMax) {
-                action = this.t('cool');
-                coolingPower = PsychrometricCalculations.calculateCoolingPower(temp, comfortRange.tempMax, massFlowRate);
-                power += coolingPower;
+    /**
+     * Resolve the configured air-handling processes into chained states and loads.
+     *
+     * Chaque process part d'un point de la carte (désigné par son libellé) ou d'un état
+     * fixe `{ temp, humidity }`, puis enchaîne ses étapes : calculée (`type` parmi
+     * PROCESS_TYPES) ou mesurée (`to`, autre point ou état fixe — la sortie réelle
+     * d'une batterie par exemple). Une étape impossible interrompt la chaîne : les
+     * suivantes n'auraient plus d'état d'entrée.
+     * @param {Array} points - Calculated points
+     * @returns {Array} Processes { label, color, steps: [{ label, from, to, loads }] }
+     */
+    _calculateProcesses(points) {
+        if (!Array.isArray(this.config?.processes)) return [];
+        const labels = {
+            heating: 'processHeating',
+            cooling: 'processCooling',
+            cooling_coil: 'processCoolingCoil',
+            adiabatic: 'processAdiabatic',
+            steam: 'processSteam',
+        };
+        /**
+         * Converts a step temperature from the display unit, leaving absent values alone.
+         * @param {*} value - Configured temperature
+         * @returns {number|undefined} Temperature in Celsius
+         */
+        const temperature = (value) => (value === undefined ? undefined : this.toInternalTemp(parseFloat(value)));
+
+        return this.config.processes.map((process, index) => {
+            const steps = [];
+            let state = this._processState(process.from, points);
+            // La masse d'air sec se conserve le long du traitement : un débit volumique se
+            // convertit une fois, à l'état d'entrée.
+            const massFlowRate = (state && this._airflowMassFlow(process, state.temp, state.humidity))
+                ?? process.massFlowRate ?? this.config.massFlowRate ?? 0.5;
+
+            for (const step of process.steps ?? []) {
+                if (!state) break;
+                const next = step.to !== undefined
+                    ? this._processState(step.to, points)
+                    : this._psychro.calculateProcessStep(state, {
+                        type: step.type,
+                        temp: temperature(step.temp),
+                        adp: temperature(step.adp),
+                        bypassFactor: step.bypassFactor,
+                        humidity: step.humidity,
+                        efficiency: step.efficiency,
+                    });
+                if (!next) break;
+                steps.push({
+                    label: step.label || this.t(labels[step.type] ?? 'processMeasured'),
+                    from: state,
+                    to: next,
+                    loads: this._psychro.calculateProcessLoads(state, next, massFlowRate),
+                });
+                state = next;
             }
 
-            if (humidity < comfortRange.rhMin) {
-                action = action ? action + " " + this.t('andHumidify') : this.t('humidification');
-                humidificationPower = PsychrometricCalculations.calculateHumidityPower(temp, humidity, comfortRange.rhMin, massFlowRate);
-                power += humidificationPower;
-            } else if (humidity > comfortRange.rhMax) {
-                action = action ? action + " " + this.t('andDehumidify') : this.t('dehumidification');
-                dehumidificationPower = PsychrometricCalculations.calculateHumidityPower(temp, humidity, comfortRange.rhMax, massFlowRate);
-                power += dehumidificationPower;
-            }
-
-            const dewPoint = PsychrometricCalculations.calculateDewPoint(temp, humidity);
-            const waterContent = PsychrometricCalculations.calculateWaterContent(temp, humidity);
-            const enthalpy = PsychrometricCalculations.calculateEnthalpy(temp, waterContent);
-            const absoluteHumidity = PsychrometricCalculations.calculateAbsoluteHumidity(temp, humidity);
-            const wetBulbTemp = PsychrometricCalculations.calculateWetBulbTemp(temp, humidity);
-            const specificVolume = PsychrometricCalculations.calculateSpecificVolume(temp, humidity);
-            const moldRisk = PsychrometricCalculations.calculateMoldRisk(temp, humidity);
-            const pmv = PsychrometricCalculations.calculatePMV(temp, humidity);
-            const apparentTemp = PsychrometricCalculations.calculateApparentTemperature(temp, humidity);
-            const idealSetpoint = PsychrometricCalculations.calculateIdealSetpoint(temp, humidity, comfortRange);
-
-            // Normalisation en hex : le dessin concatène `color + '40'` pour le halo et
-            // le rendu interpole `${color}15` dans un dégradé — un rgba() hérité d'une
-            // ancienne config y produirait une couleur invalide, silencieusement ignorée.
-            const rawColor = point.color || PsychrometricCalculations.generateColorFromHash(`${point.temp}_${point.humidity}`);
-            const color = PsychrometricCalculations.rgbToHex(PsychrometricCalculations.colorToRgb(rawColor));
-
             return {
-                temp, humidity, action, power, heatingPower, coolingPower, humidificationPower, dehumidificationPower,
-                dewPoint, waterContent, enthalpy, absoluteHumidity, wetBulbTemp, specificVolume, moldRisk, pmv, apparentTemp, idealSetpoint,
-                color,
-                label: point.label || `${point.temp} & ${point.humidity}`,
-                icon: point.icon || "mdi:thermometer",
-                inComfortZone: this.isInComfortZone(temp, humidity, comfortRange),
-                comfortStatus: this.getComfortStatus(temp, humidity, comfortRange),
-                tempEntityId: point.temp,
-                humidityEntityId: point.humidity,
-                details: point.details // Pass through details config
+                label: process.label || `${this.t('processMeasured')} ${index + 1}`,
+                color: process.color || this._palette().process,
+                steps,
             };
-        }).filter(p => p !== null);
+        }).filter(process => process.steps.length > 0);
+    }
+
+    /**
+     * Resolve the heat recovery ventilator block.
+     *
+     * Les quatre piquages (air neuf, soufflage, reprise, rejet) se désignent comme les
+     * états d'un process : libellé d'un point ou état fixe. Les deux flux sont tracés
+     * comme des étapes de process, air neuf → soufflage et reprise → rejet.
+     * @param {Array} points - Calculated points
+     * @returns {Object|null} { label, color, streams, sensible, latent, total, exhaustSensible, loads, alerts }
+     */
+    _calculateHrv(points) {
+        const hrv = this.config?.hrv;
+        if (!hrv) return null;
+        const states = {};
+        for (const key of ['outdoor', 'supply', 'extract', 'exhaust']) {
+            states[key] = this._processState(hrv[key], points);
+            if (!states[key]) return null;
+        }
+        // Le débit se mesure le plus souvent au soufflage, sur le flux d'air neuf.
+        const massFlowRate = this._airflowMassFlow(hrv, states.supply.temp, states.supply.humidity)
+            ?? hrv.massFlowRate ?? this.config.massFlowRate ?? 0.5;
+        return {
+            label: hrv.label || this.t('hrv'),
+            color: hrv.color || this._palette().hrv,
+            streams: [
+                { label: this.t('hrvSupplyStream'), from: states.outdoor, to: states.supply },
+                { label: this.t('hrvExhaustStream'), from: states.extract, to: states.exhaust },
+            ],
+            ...this._psychro.calculateHeatRecovery(states, massFlowRate, { minEffectiveness: hrv.minEffectiveness }),
+        };
+    }
+
+    /**
+     * Air state designated in a process: a point label, or a fixed `{ temp, humidity }`.
+     * @param {string|Object} ref - Point label, or fixed state in the display unit
+     * @param {Array} points - Calculated points
+     * @returns {{temp: number, humidity: number}|null} State in Celsius and %, null if unknown
+     */
+    _processState(ref, points) {
+        if (typeof ref === 'string') {
+            const point = points.find(p => p.label === ref);
+            return point ? { temp: point.temp, humidity: point.humidity } : null;
+        }
+        const temp = parseFloat(ref?.temp);
+        const humidity = parseFloat(ref?.humidity);
+        if (!Number.isFinite(temp) || !Number.isFinite(humidity)) return null;
+        return { temp: this.toInternalTemp(temp), humidity: Math.min(100, Math.max(0.01, humidity)) };
     }
 
     /**
@@ -2883,16 +6531,39 @@ class PsychrometricChartEnhanced extends i {
      * Calculate chart boundaries based on config.
      * The Y axis maps vapor pressure, so the humidity bounds are converted into a
      * pressure window taken at `maxTemp` — the warmest column of the chart.
-     * @returns {Object} Bounds object { minTemp, maxTemp, minHum, maxHum, minPv, maxPv }
+     * La pression atmosphérique et la formulation de saturation y sont reportées : les
+     * courbes tracées à partir d'une teneur en eau (enthalpie, temp. humide) en
+     * dépendent, et leur cache aussi.
+     * @returns {Object} Bounds object { minTemp, maxTemp, minHum, maxHum, minPv, maxPv, pressure, saturation }
      */
-    _calculateChartBounds() {
+    _configuredChartBounds() {
         const { minTemp, maxTemp, minHum, maxHum } = this._resolveBounds(this.config);
 
-        const P_sat_max = PsychrometricCalculations.calculateSaturationPressure(maxTemp);
+        const P_sat_max = this._psychro.calculateSaturationPressure(maxTemp);
         const minPv = (minHum / 100) * P_sat_max;
         const maxPv = (maxHum / 100) * P_sat_max;
+        const pressure = this._psychro.ATMOSPHERIC_PRESSURE;
+        const saturation = this._psychro.SATURATION_FORMULA;
+        // Fenêtre de teneur en eau. En ordonnée du diagramme psychrométrique, elle se prend
+        // à maxTemp comme la pression de vapeur. En abscisse du Mollier, elle s'arrête,
+        // comme sur les abaques imprimés, à la saturation aux deux tiers de l'échelle des
+        // températures : aller jusqu'à maxTemp tasserait tout l'air intérieur contre l'axe.
+        const waterContentTemp = this._isMollier() ? minTemp + (2 / 3) * (maxTemp - minTemp) : maxTemp;
+        const minW = this._psychro.calculateWaterContent(waterContentTemp, minHum);
+        const maxW = this._psychro.calculateWaterContent(waterContentTemp, maxHum);
+
+        return { minTemp, maxTemp, minHum, maxHum, minPv, maxPv, minW, maxW, pressure, saturation };
+    }
 
-        return { minTemp, maxTemp, minHum, maxHum, minPv, maxPv };
+    /**
+     * Chart boundaries currently drawn.
+     * Le zoom et le déplacement interactifs remplacent les fenêtres des axes ; les bornes
+     * d'humidité, qui décident des courbes à tracer, restent celles de la configuration.
+     * @returns {Object} Bounds object, see _configuredChartBounds
+     */
+    _calculateChartBounds() {
+        const bounds = this._configuredChartBounds();
+        return this._view ? { ...bounds, ...this._view } : bounds;
     }
 
     /**
@@ -2913,6 +6584,10 @@ class PsychrometricChartEnhanced extends i {
         canvas.height = Math.round(height * dpr);
         canvas.style.width = `${width}px`;
         canvas.style.height = `${height}px`;
+        // Le pincement revient toujours à la carte ; un doigt seul ne déplace la vue qu'une
+        // fois zoomée, avant quoi il fait défiler la page.
+        if (this._interactiveZoom()) canvas.style.touchAction = this._view ? 'none' : 'pan-x pan-y';
+        else canvas.style.touchAction = '';
         ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
         const points = this._currentPoints || [];
@@ -2935,12 +6610,7 @@ class PsychrometricChartEnhanced extends i {
         const actualComfortColor = palette.comfort;
         const actualEnthalpyColor = palette.enthalpy;
 
-        const comfortRange = this.config.comfortRange ? {
-            tempMin: this.toInternalTemp(this.config.comfortRange.tempMin),
-            tempMax: this.toInternalTemp(this.config.comfortRange.tempMax),
-            rhMin: this.config.comfortRange.rhMin,
-            rhMax: this.config.comfortRange.rhMax
-        } : { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+        const comfortRange = this._currentComfortRange ?? this._comfortRange();
 
         const bounds = this._calculateChartBounds();
         this._currentBounds = bounds; // Store for coordinate conversion
@@ -2964,74 +6634,81 @@ class PsychrometricChartEnhanced extends i {
         ctx.lineWidth = 1 * scale;
         ctx.setLineDash(this._lineDash('gridLineStyle', scale));
 
-        // Vertical grid (vapor pressure)
-        if (showVaporPressure !== false) {
-            ctx.font = `${Math.max(10, 12 * scale)}px Arial`;
-            // Determine step size based on maxPv
-            let pvStep = 0.5;
-            if (bounds.maxPv < 1) pvStep = 0.1;
-            else if (bounds.maxPv > 5) pvStep = 1;
-
-            for (let i = 0; i <= bounds.maxPv + pvStep; i += pvStep) {
-                // L'axe Y porte la pression de vapeur : on la convertit en humidité
-                // relative à la température de référence (maxTemp) pour réutiliser
-                // humidityToY, qui est la seule projection Pv -> Y du graphique.
-                const P_sat_ref = PsychrometricCalculations.calculateSaturationPressure(bounds.maxTemp);
-                const rh = (i / P_sat_ref) * 100;
-                const y = this.humidityToY(bounds.maxTemp, rh);
-
-                if (y > topPadding && y < bottomEdge) {
+        const mollier = this._isMollier();
+        // Présentation des abaques d'ingénierie : teneur en eau en ordonnée, échelles
+        // de rosée et d'enthalpie portées par la courbe de saturation.
+        const engineering = !mollier && this._yAxis() === 'humidityRatio';
+        /**
+         * Whether a projected position falls inside the chart frame.
+         * @param {{x: number, y: number}} p - Canvas position
+         * @param {number} [margin=0] - Inset from the frame edges
+         * @returns {boolean}
+         */
+        const inside = (p, margin = 0) => p.x >= leftPadding + margin && p.x <= rightEdge - margin
+            && p.y >= topPadding + margin && p.y <= bottomEdge - margin;
+
+        if (mollier) {
+            this._drawMollierGrid(ctx, bounds, palette, scale, showVaporPressure !== false);
+        } else {
+            // Humidity grid (vapor pressure or humidity ratio)
+            if (showVaporPressure !== false) {
+                ctx.font = `${Math.max(10, 12 * scale)}px Arial`;
+                for (const { y, label } of this._humidityTicks(this._yAxis())) {
                     ctx.beginPath();
                     ctx.moveTo(leftPadding, y);
                     ctx.lineTo(rightEdge, y);
                     ctx.stroke();
                     ctx.fillStyle = actualTextColor;
-                    ctx.fillText(`${i.toFixed(1)} kPa`, 10 * scaleX, y + 5 * scaleY);
+                    ctx.fillText(label, 10 * scaleX, y + 5 * scaleY);
                 }
             }
-        }
 
-        // Horizontal grid (temperature)
-        const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
-        // Adjust start/end to be multiples of step
-        const startT = Math.ceil(bounds.minTemp / tempStep) * tempStep;
-        const endT = Math.floor(bounds.maxTemp / tempStep) * tempStep;
+            if (SECONDARY_AXES.includes(this.config.secondaryAxis) && this.config.secondaryAxis !== 'none') {
+                this._drawSecondaryAxis(ctx, this.config.secondaryAxis, palette, scale);
+            }
 
-        // Sous-multiples : traits intermédiaires entre deux graduations, tracés avant
-        // elles pour rester dessous, plus fins et atténués, et jamais étiquetés — les
-        // étiquettes se chevaucheraient et l'axe deviendrait illisible.
-        const subdivisions = this._tempSubdivisions();
-        if (subdivisions > 1) {
-            ctx.save();
-            ctx.globalAlpha = 0.45;
-            ctx.lineWidth = 0.5 * scale;
-            // Boucle indexée plutôt qu'un incrément de `tempStep / subdivisions` :
-            // l'accumulation de flottants décalerait les derniers traits.
-            for (let major = startT - tempStep; major < endT + tempStep; major += tempStep) {
-                for (let k = 1; k < subdivisions; k++) {
-                    const displayTemp = major + (k * tempStep) / subdivisions;
-                    const x = this.tempToX(this.toInternalTemp(displayTemp));
-                    if (x < leftPadding || x > rightEdge) continue;
+            // Horizontal grid (temperature)
+            const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+            // Adjust start/end to be multiples of step
+            const startT = Math.ceil(bounds.minTemp / tempStep) * tempStep;
+            const endT = Math.floor(bounds.maxTemp / tempStep) * tempStep;
+
+            // Sous-multiples : traits intermédiaires entre deux graduations, tracés avant
+            // elles pour rester dessous, plus fins et atténués, et jamais étiquetés — les
+            // étiquettes se chevaucheraient et l'axe deviendrait illisible.
+            const subdivisions = this._tempSubdivisions();
+            if (subdivisions > 1) {
+                ctx.save();
+                ctx.globalAlpha = 0.45;
+                ctx.lineWidth = 0.5 * scale;
+                // Boucle indexée plutôt qu'un incrément de `tempStep / subdivisions` :
+                // l'accumulation de flottants décalerait les derniers traits.
+                for (let major = startT - tempStep; major < endT + tempStep; major += tempStep) {
+                    for (let k = 1; k < subdivisions; k++) {
+                        const displayTemp = major + (k * tempStep) / subdivisions;
+                        const x = this.tempToX(this.toInternalTemp(displayTemp));
+                        if (x < leftPadding || x > rightEdge) continue;
+                        ctx.beginPath();
+                        ctx.moveTo(x, bottomEdge);
+                        ctx.lineTo(x, topPadding);
+                        ctx.stroke();
+                    }
+                }
+                ctx.restore();
+            }
+
+            for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
+                const tempC = this.toInternalTemp(displayTemp);
+                const x = this.tempToX(tempC);
+                if (x >= leftPadding && x <= rightEdge) {
                     ctx.beginPath();
                     ctx.moveTo(x, bottomEdge);
                     ctx.lineTo(x, topPadding);
                     ctx.stroke();
+                    ctx.fillStyle = actualTextColor;
+                    ctx.fillText(`${displayTemp}${this.getTempUnit()}`, x - 15 * scaleX, bottomEdge + 20 * scaleY);
                 }
             }
-            ctx.restore();
-        }
-
-        for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
-            const tempC = this.toInternalTemp(displayTemp);
-            const x = this.tempToX(tempC);
-            if (x >= leftPadding && x <= rightEdge) {
-                ctx.beginPath();
-                ctx.moveTo(x, bottomEdge);
-                ctx.lineTo(x, topPadding);
-                ctx.stroke();
-                ctx.fillStyle = actualTextColor;
-                ctx.fillText(`${displayTemp}${this.getTempUnit()}`, x - 15 * scaleX, bottomEdge + 20 * scaleY);
-            }
         }
 
         // Draw relative humidity curves
@@ -3047,12 +6724,11 @@ class PsychrometricChartEnhanced extends i {
             ctx.lineWidth = (rh % 20 === 0 ? 1.5 : 0.8) * scale;
 
             let firstPoint = true;
-            for (let t = bounds.minTemp; t <= bounds.maxTemp; t += 0.5) {
-                const x = this.tempToX(t);
-                const y = this.humidityToY(t, rh);
+            for (const t of this._curveTemperatures(bounds)) {
+                const { x, y } = this._project(t, rh);
 
                 // Clip to bounds
-                if (y < topPadding || y > bottomEdge) continue;
+                if (!inside({ x, y })) continue;
 
                 if (firstPoint) {
                     ctx.moveTo(x, y);
@@ -3064,18 +6740,18 @@ class PsychrometricChartEnhanced extends i {
             ctx.stroke();
 
             // Label
-            // Dynamic positioning: find the rightmost visible point
+            // Dynamic positioning: find the warmest visible point
             let labelX = -1;
             let labelY = -1;
 
-            // Search from right to left (maxTemp to minTemp)
+            // Search from maxTemp down to minTemp
             for (let t = bounds.maxTemp; t >= bounds.minTemp; t -= 0.5) {
-                const y = this.humidityToY(t, rh);
-                // Check if y is within visible bounds (with some padding)
-                if (y >= topPadding + 10 && y <= bottomEdge - 10) {
-                    labelX = this.tempToX(t);
-                    labelY = y;
-                    break; // Found the rightmost visible point
+                const position = this._project(t, rh);
+                // Check if the point is within visible bounds (with some padding)
+                if (inside(position, 10)) {
+                    labelX = position.x;
+                    labelY = position.y;
+                    break; // Found the warmest visible point
                 }
             }
 
@@ -3085,22 +6761,66 @@ class PsychrometricChartEnhanced extends i {
             }
         }
 
+        if (engineering && showDewPoint && !minimal) {
+            this._drawDewPointScale(ctx, bounds, palette, scale);
+        }
+
         // Draw enthalpy curves
         if (showEnthalpy && !minimal) {
             ctx.setLineDash(this._lineDash('enthalpyLineStyle', scale));
             ctx.strokeStyle = actualEnthalpyColor;
 
-            for (let h = 0; h <= 150; h += 10) {
+            /**
+             * Relative humidity along an enthalpy line.
+             * @param {number} h - Enthalpy in kJ/kg
+             * @param {number} t - Dry bulb temperature in Celsius
+             * @returns {number} Relative humidity in %, NaN below zero water content
+             */
+            const enthalpyRh = (h, t) => {
+                const W = (h - 1.006 * t) / (2501 + 1.84 * t);
+                if (W < 0) return NaN;
+                return (this._psychro.waterContentToVaporPressure(W) / this._psychro.calculateSaturationPressure(t)) * 100;
+            };
+
+            // Droites à valeurs rondes dans l'unité affichée (10 kJ/kg, 5 Btu/lb), dont
+            // les graduations restent lisibles ; le tracé les reconvertit en kJ/kg.
+            const displayEnthalpy = h => this._psychro.convertUnit('enthalpy', h, this._unitSystem()).value;
+            const enthalpyAxis = PsychrometricCalculations.niceScale(displayEnthalpy(0), displayEnthalpy(150), 16);
+            const enthalpies = [];
+            for (let index = 0; enthalpyAxis.min + index * enthalpyAxis.step <= enthalpyAxis.max; index++) {
+                const value = enthalpyAxis.min + index * enthalpyAxis.step;
+                enthalpies.push((value - displayEnthalpy(0)) / (displayEnthalpy(1) - displayEnthalpy(0)));
+            }
+
+            for (const h of enthalpies) {
                 let enthalpy_points = [];
+                let saturated = false;
                 for (let t = bounds.minTemp; t <= bounds.maxTemp; t += 0.5) {
-                    const W = (h - 1.006 * t) / (2501 + 1.84 * t);
-                    if (W < 0) continue;
-                    const P_v = PsychrometricCalculations.waterContentToVaporPressure(W);
-                    const rh = (P_v / PsychrometricCalculations.calculateSaturationPressure(t)) * 100;
-
-                    const y = this.humidityToY(t, rh);
-                    if (y >= topPadding && y <= bottomEdge) {
-                        enthalpy_points.push({ x: this.tempToX(t), y });
+                    const rh = enthalpyRh(h, t);
+                    if (!Number.isFinite(rh)) continue;
+                    // Présentation ingénierie : la droite s'arrête sur la courbe de
+                    // saturation, où elle reçoit sa graduation ; le point de départ est
+                    // affiné par dichotomie pour que le trait touche la courbe.
+                    if (engineering && rh > 100) {
+                        saturated = true;
+                        continue;
+                    }
+                    if (engineering && saturated && enthalpy_points.length === 0) {
+                        let low = t - 0.5;
+                        let high = t;
+                        for (let i = 0; i < 20; i++) {
+                            const mid = (low + high) / 2;
+                            if (enthalpyRh(h, mid) > 100) low = mid;
+                            else high = mid;
+                        }
+                        const edge = this._project(high, 100);
+                        if (inside(edge)) enthalpy_points.push(edge);
+                        else saturated = false;
+                    }
+
+                    const position = this._project(t, rh);
+                    if (inside(position)) {
+                        enthalpy_points.push(position);
                     }
                 }
 
@@ -3116,6 +6836,32 @@ class PsychrometricChartEnhanced extends i {
                     const beforeLast = enthalpy_points[enthalpy_points.length - 2];
                     ctx.quadraticCurveTo(beforeLast.x, beforeLast.y, last.x, last.y);
                     ctx.stroke();
+                    // Sur le Mollier, les isenthalpes obliques se lisent à leur extrémité
+                    // chaude, en haut à gauche, comme sur les abaques imprimés.
+                    if (mollier) {
+                        ctx.fillStyle = actualEnthalpyColor;
+                        ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+                        ctx.fillText(this._psychro.convertUnit('enthalpy', h, this._unitSystem()).value.toFixed(0),
+                            last.x + 2 * scale, last.y - 2 * scale);
+                    }
+                    // L'échelle d'enthalpie prolonge chaque droite au-delà de la saturation,
+                    // en diagonale, assez loin pour laisser la place à l'échelle de rosée.
+                    if (engineering && saturated) {
+                        const [first, second] = enthalpy_points;
+                        const length = Math.hypot(first.x - second.x, first.y - second.y) || 1;
+                        const label = {
+                            x: first.x + ((first.x - second.x) / length) * 24 * scale,
+                            y: first.y + ((first.y - second.y) / length) * 24 * scale,
+                        };
+                        if (inside(label)) {
+                            ctx.fillStyle = actualEnthalpyColor;
+                            ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+                            ctx.textAlign = 'center';
+                            ctx.fillText(this._psychro.convertUnit('enthalpy', h, this._unitSystem()).value.toFixed(0),
+                                label.x, label.y + 3 * scale);
+                            ctx.textAlign = 'left';
+                        }
+                    }
                 }
             }
             ctx.setLineDash([]);
@@ -3130,12 +6876,11 @@ class PsychrometricChartEnhanced extends i {
                 let started = false;
                 ctx.beginPath();
                 for (const { temp, rh } of line) {
-                    const y = this.humidityToY(temp, rh);
-                    if (y < topPadding || y > bottomEdge) {
+                    const { x, y } = this._project(temp, rh);
+                    if (!inside({ x, y })) {
                         started = false;
                         continue;
                     }
-                    const x = this.tempToX(temp);
                     if (started) {
                         ctx.lineTo(x, y);
                     } else {
@@ -3148,12 +6893,21 @@ class PsychrometricChartEnhanced extends i {
             ctx.setLineDash([]);
         }
 
+        if (!minimal) {
+            this._drawIsolines(ctx, bounds, palette, scale, points);
+        }
+
+        if (mollier && !minimal) {
+            this._drawProtractor(ctx, bounds, palette, scale);
+        }
+
         // Draw comfort zone
         // Le motif est posé explicitement : les blocs précédents sont conditionnels,
         // sans quoi le contour hériterait du pointillé du dernier tracé dessiné.
         ctx.setLineDash(this._lineDash('comfortLineStyle', scale));
         ctx.beginPath();
-        const comfortPoints = [
+        // En mode PMV, le contour est la région |PMV| ≤ 0.5, et non un rectangle.
+        const comfortPoints = comfortRange.region ?? [
             { temp: comfortRange.tempMin, rh: comfortRange.rhMin },
             { temp: comfortRange.tempMax, rh: comfortRange.rhMin },
             { temp: comfortRange.tempMax, rh: comfortRange.rhMax },
@@ -3161,17 +6915,17 @@ class PsychrometricChartEnhanced extends i {
         ];
 
         comfortPoints.forEach((point, index) => {
-            const x = this.tempToX(point.temp);
-            const y = this.humidityToY(point.temp, point.rh);
+            const { x, y } = this._project(point.temp, point.rh);
             if (index === 0) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
         });
         ctx.closePath();
 
+        // Le dégradé suit l'axe de l'humidité : vertical ici, horizontal sur le Mollier.
         const avgTemp = (comfortRange.tempMin + comfortRange.tempMax) / 2;
-        const yTop = this.humidityToY(avgTemp, comfortRange.rhMax);
-        const yBottom = this.humidityToY(avgTemp, comfortRange.rhMin);
-        const gradient = ctx.createLinearGradient(0, yTop, 0, yBottom);
+        const humid = this._project(avgTemp, comfortRange.rhMax);
+        const dry = this._project(avgTemp, comfortRange.rhMin);
+        const gradient = ctx.createLinearGradient(humid.x, humid.y, dry.x, dry.y);
 
         let startColor = actualComfortColor;
         let endColor = actualComfortColor;
@@ -3190,13 +6944,111 @@ class PsychrometricChartEnhanced extends i {
         ctx.strokeStyle = actualComfortColor;
         ctx.stroke();
 
+        // Adaptive comfort categories
+        // Toutes les catégories de la norme, en contour seul autour de la zone retenue :
+        // un point hors confort se situe ainsi face aux exigences moins strictes.
+        if (comfortRange.adaptive) {
+            ctx.setLineDash(LINE_STYLES.dotted.map(segment => segment * scale));
+            ctx.strokeStyle = actualTextColor;
+            ctx.fillStyle = actualTextColor;
+            ctx.lineWidth = 1 * scale;
+            ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+            for (const band of comfortRange.adaptive.bands) {
+                const corners = [
+                    this._project(band.tempMin, comfortRange.rhMin),
+                    this._project(band.tempMax, comfortRange.rhMin),
+                    this._project(band.tempMax, comfortRange.rhMax),
+                    this._project(band.tempMin, comfortRange.rhMax),
+                ];
+                ctx.beginPath();
+                corners.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.closePath();
+                ctx.stroke();
+                ctx.fillText(band.category, corners[2].x + 2 * scale, corners[2].y - 2 * scale);
+            }
+        }
+
+        // Draw mixing lines and processes
+        // Sous les pastilles, qui restent ainsi cliquables et lisibles aux extrémités ;
+        // découpés au cadre du graphique, où un flux hors zoom les ferait déborder.
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(leftPadding, topPadding, rightEdge - leftPadding, bottomEdge - topPadding);
+        ctx.clip();
+
+        if (this.config.showHeatmap === true && this._heatmap) {
+            this._drawHeatmap(ctx, palette, scale);
+        }
+        if (this.config.showTrails === true) {
+            this._drawTrails(ctx, points, scale);
+        }
+
+        // Un mélange se trouve toujours sur le segment qui relie ses deux flux : ce
+        // segment, en pointillé, rend visible la part de chacun.
+        ctx.setLineDash(this._lineDash('pointLineStyle', scale));
+        ctx.lineWidth = 1.5 * scale;
+        points.filter(point => point.mix).forEach(({ mix, color }) => {
+            ctx.strokeStyle = color;
+            const first = this._project(mix.first.temp, mix.first.humidity);
+            const second = this._project(mix.second.temp, mix.second.humidity);
+            ctx.beginPath();
+            ctx.moveTo(first.x, first.y);
+            ctx.lineTo(second.x, second.y);
+            ctx.stroke();
+        });
+
+        // Sonde de surface : isotherme à sa température, de l'air sec jusqu'à la
+        // saturation. Elle passe sous le point de rosée du point dès que la surface condense.
+        ctx.lineWidth = 2 * scale;
+        ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+        points.forEach(point => (point.surfaces ?? []).forEach(surface => {
+            const base = this._project(surface.temp, 0);
+            const top = this._project(surface.temp, 100);
+            const length = Math.hypot(top.x - base.x, top.y - base.y) || 1;
+            // Trait d'arrêt perpendiculaire à l'isotherme, quelle que soit son orientation.
+            const tickX = ((base.y - top.y) / length) * 4 * scale;
+            const tickY = ((top.x - base.x) / length) * 4 * scale;
+            const color = surface.status === 'condensation' ? palette.condensation
+                : (surface.status === 'risk' ? palette.condensationRisk : point.color);
+            ctx.strokeStyle = color;
+            ctx.setLineDash([2 * scale, 3 * scale]);
+            ctx.beginPath();
+            ctx.moveTo(base.x, base.y);
+            ctx.lineTo(top.x, top.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(top.x - tickX, top.y - tickY);
+            ctx.lineTo(top.x + tickX, top.y + tickY);
+            ctx.stroke();
+            ctx.fillStyle = color;
+            ctx.fillText(surface.label, top.x + 3 * scale, top.y - 3 * scale);
+        }));
+
+        // Conseil d'aération : flèche pointillée vers l'état que prendrait la pièce.
+        ctx.setLineDash([6 * scale, 4 * scale]);
+        points.filter(point => point.ventilation?.towards && point.ventilation.recommendation !== 'notNeeded').forEach(point => {
+            this._drawProcessArrow(ctx, { label: '', from: point, to: point.ventilation.towards },
+                palette[point.ventilation.recommendation], scale);
+        });
+
+        ctx.setLineDash([]);
+        for (const process of this._currentProcesses || []) {
+            for (const step of process.steps) {
+                this._drawProcessArrow(ctx, step, process.color, scale);
+            }
+        }
+        for (const stream of this._currentHrv?.streams ?? []) {
+            this._drawProcessArrow(ctx, stream, this._currentHrv.color, scale);
+        }
+        ctx.restore();
+
         // Draw points
         // Les pastilles et leur halo restent toujours pleins, quel que soit le style
         // choisi pour le contour de la zone de confort dessinée juste avant.
         ctx.setLineDash([]);
         points.forEach(point => {
-            const x = this.tempToX(point.temp);
-            const y = this.humidityToY(point.temp, point.humidity);
+            const { x, y } = this._project(point.temp, point.humidity);
 
             // Only draw if within visible area (roughly)
             if (x < leftPadding - 20 || x > rightEdge + 20 || y < topPadding - 20 || y > bottomEdge + 20) return;
@@ -3232,8 +7084,7 @@ class PsychrometricChartEnhanced extends i {
 
             // Dew point
             if (showDewPoint && !minimal) {
-                const dewX = this.tempToX(point.dewPoint);
-                const dewY = this.humidityToY(point.dewPoint, 100);
+                const { x: dewX, y: dewY } = this._project(point.dewPoint, 100);
 
                 if (dewX >= leftPadding && dewX <= rightEdge && dewY >= topPadding && dewY <= bottomEdge) {
                     ctx.beginPath();
@@ -3258,17 +7109,436 @@ class PsychrometricChartEnhanced extends i {
         });
     }
 
+    /**
+     * Draw the grid of the Mollier diagram: horizontal isotherms and vertical lines of
+     * constant water content.
+     *
+     * Les isothermes reprennent le pas et les sous-multiples de l'axe des températures
+     * du diagramme psychrométrique ; la teneur en eau se gradue dans l'unité affichée.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     * @param {boolean} showWaterContent - Whether to draw the water content grid
+     */
+    _drawMollierGrid(ctx, bounds, palette, scale, showWaterContent) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const scaleX = this._canvasWidth / 800;
+        const scaleY = this._canvasHeight / 600;
+        ctx.font = `${Math.max(10, 12 * scale)}px Arial`;
+
+        const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+        const startT = Math.ceil(bounds.minTemp / tempStep) * tempStep;
+        const endT = Math.floor(bounds.maxTemp / tempStep) * tempStep;
+
+        const subdivisions = this._tempSubdivisions();
+        if (subdivisions > 1) {
+            ctx.save();
+            ctx.globalAlpha = 0.45;
+            ctx.lineWidth = 0.5 * scale;
+            for (let major = startT - tempStep; major < endT + tempStep; major += tempStep) {
+                for (let k = 1; k < subdivisions; k++) {
+                    const y = this.tempToY(this.toInternalTemp(major + (k * tempStep) / subdivisions));
+                    if (y < top || y > bottom) continue;
+                    ctx.beginPath();
+                    ctx.moveTo(left, y);
+                    ctx.lineTo(right, y);
+                    ctx.stroke();
+                }
+            }
+            ctx.restore();
+        }
+
+        for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
+            const y = this.tempToY(this.toInternalTemp(displayTemp));
+            if (y < top || y > bottom) continue;
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+            ctx.stroke();
+            ctx.fillStyle = palette.text;
+            ctx.fillText(`${displayTemp}${this.getTempUnit()}`, 10 * scaleX, y + 5 * scaleY);
+        }
+
+        if (!showWaterContent) return;
+        // Graduations rondes dans l'unité affichée (g/kg ou gr/lb), ramenées en kg/kg.
+        const factor = this._psychro.convertUnit('humidityRatio', 1, this._unitSystem()).value;
+        const axis = PsychrometricCalculations.niceScale(bounds.minW * 1000 * factor, bounds.maxW * 1000 * factor, 7);
+        ctx.textAlign = 'center';
+        for (let index = 0; axis.min + index * axis.step <= axis.max; index++) {
+            const value = axis.min + index * axis.step;
+            const x = this.waterContentToX(value / factor / 1000);
+            if (x < left || x > right) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, bottom);
+            ctx.lineTo(x, top);
+            ctx.stroke();
+            ctx.fillStyle = palette.text;
+            ctx.fillText(this.formatQuantity('humidityRatio', value / factor, axis.decimals), x, bottom + 20 * scaleY);
+        }
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Ticks of a humidity scale along the Y axis of the psychrometric chart.
+     *
+     * Le pas se choisit dans l'unité affichée, pour des graduations rondes en inHg comme
+     * en kPa, en gr/lb comme en g/kg ; chaque graduation est ramenée à une pression de
+     * vapeur, que vaporPressureToY place quelle que soit la grandeur de l'axe.
+     * @param {string} quantity - 'vaporPressure', 'humidityRatio' or 'dewPoint'
+     * @returns {Array<{y: number, label: string, value: string}>} Ticks strictly inside the
+     *   chart frame, labelled with and without their unit
+     */
+    _humidityTicks(quantity) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { top, bottom } = this._chartFrame();
+        const unitSystem = this._unitSystem();
+        const minPv = Math.max(0, this.yToVaporPressure(bottom));
+        const maxPv = this.yToVaporPressure(top);
+        /**
+         * Values of a niceScale axis.
+         * @param {{min: number, max: number, step: number}} axis - Axis definition
+         * @returns {number[]} Tick values
+         */
+        const values = (axis) => {
+            const list = [];
+            for (let index = 0; axis.min + index * axis.step <= axis.max; index++) list.push(axis.min + index * axis.step);
+            return list;
+        };
+
+        let ticks;
+        if (quantity === 'humidityRatio') {
+            const factor = this._psychro.convertUnit('humidityRatio', 1, unitSystem).value;
+            const saturationRef = this._psychro.calculateSaturationPressure(bounds.maxTemp);
+            const toDisplay = pv => this._psychro.calculateWaterContent(bounds.maxTemp, (pv / saturationRef) * 100) * 1000 * factor;
+            const axis = PsychrometricCalculations.niceScale(toDisplay(minPv), toDisplay(maxPv), 10);
+            ticks = values(axis).map(value => ({
+                pv: this._psychro.waterContentToVaporPressure(value / factor / 1000),
+                label: this.formatQuantity('humidityRatio', value / factor, axis.decimals),
+                value: value.toFixed(axis.decimals),
+            }));
+        } else if (quantity === 'dewPoint') {
+            // Quand la pression tend vers 0, les points de rosée filent vers -∞ et
+            // s'entasseraient au bas de l'échelle : elle s'arrête à minTemp.
+            const low = minPv > 0
+                ? Math.max(bounds.minTemp, this._psychro.calculateSaturationTemperature(minPv))
+                : bounds.minTemp;
+            const high = this._psychro.calculateSaturationTemperature(maxPv);
+            const axis = PsychrometricCalculations.niceScale(this.toDisplayTemp(low), this.toDisplayTemp(high), 8);
+            ticks = values(axis).map(value => ({
+                pv: this._psychro.calculateSaturationPressure(this.toInternalTemp(value)),
+                label: `${value.toFixed(axis.decimals)}${this.getTempUnit()}`,
+                value: value.toFixed(axis.decimals),
+            }));
+        } else {
+            const factor = this._psychro.convertUnit('pressure', 1, unitSystem).value;
+            const maxDisplayPv = maxPv * factor;
+            let step = 0.5;
+            if (maxDisplayPv < 1) step = 0.1;
+            else if (maxDisplayPv > 5) step = 1;
+            // Un diagramme courant monte à 1,2 inHg : un pas de 0,5 n'y tracerait que deux lignes.
+            else if (factor !== 1 && maxDisplayPv < 2.5) step = 0.2;
+            const decimals = factor === 1 ? 1 : 2;
+            ticks = values({ min: 0, max: maxDisplayPv + step, step }).map(value => ({
+                pv: value / factor,
+                label: this.formatQuantity('pressure', value / factor, decimals),
+                value: value.toFixed(decimals),
+            }));
+        }
+
+        return ticks
+            .map(({ pv, label, value }) => ({ y: this.vaporPressureToY(pv), label, value }))
+            .filter(({ y }) => y > top && y < bottom);
+    }
+
+    /**
+     * Draw the secondary humidity scale along the right edge of the psychrometric chart.
+     * La marge droite est étroite : les graduations n'y portent que leur valeur, l'unité
+     * coiffe l'échelle.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {string} quantity - 'vaporPressure', 'humidityRatio' or 'dewPoint'
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawSecondaryAxis(ctx, quantity, palette, scale) {
+        const { right, top, bottom } = this._chartFrame();
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.strokeStyle = palette.text;
+        ctx.fillStyle = palette.text;
+        ctx.lineWidth = 1 * scale;
+        ctx.font = `${Math.max(9, 10 * scale)}px Arial`;
+        ctx.beginPath();
+        ctx.moveTo(right, top);
+        ctx.lineTo(right, bottom);
+        for (const { y } of this._humidityTicks(quantity)) {
+            ctx.moveTo(right, y);
+            ctx.lineTo(right + 4 * scale, y);
+        }
+        ctx.stroke();
+        for (const { y, value } of this._humidityTicks(quantity)) {
+            ctx.fillText(value, right + 6 * scale, y + 3 * scale);
+        }
+        const unit = quantity === 'dewPoint'
+            ? this.getTempUnit()
+            : this._psychro.convertUnit(quantity === 'humidityRatio' ? 'humidityRatio' : 'pressure', 0, this._unitSystem()).unit;
+        const title = { dewPoint: 'dewPoint', humidityRatio: 'waterContent', vaporPressure: 'vaporPressure' }[quantity];
+        ctx.textAlign = 'right';
+        ctx.fillText(`${this.t(title)} (${unit})`, this._canvasWidth - 4 * scale, top - 8 * scale);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the dew point scale along the saturation curve.
+     *
+     * Sur la courbe de saturation, température sèche, humide et de rosée se confondent :
+     * les graduations s'y lisent directement, puis se reportent à l'horizontale (teneur
+     * en eau constante) jusqu'à l'état étudié, comme sur les abaques d'ingénierie.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawDewPointScale(ctx, bounds, palette, scale) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+        const startT = Math.ceil(this.toDisplayTemp(bounds.minTemp) / tempStep) * tempStep;
+        const endT = Math.floor(this.toDisplayTemp(bounds.maxTemp) / tempStep) * tempStep;
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.strokeStyle = palette.saturation;
+        ctx.fillStyle = palette.text;
+        ctx.lineWidth = 1 * scale;
+        ctx.font = `${Math.max(8, 9 * scale)}px Arial`;
+        ctx.textAlign = 'right';
+        for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
+            const temp = this.toInternalTemp(displayTemp);
+            const p = this._project(temp, 100);
+            if (p.x < left || p.x > right || p.y < top || p.y > bottom) continue;
+            // Normale sortante de la courbe, vers le haut et la gauche.
+            const next = this._project(temp + 0.1, 100);
+            const length = Math.hypot(next.x - p.x, next.y - p.y) || 1;
+            const nx = (next.y - p.y) / length;
+            const ny = -(next.x - p.x) / length;
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(p.x + nx * 4 * scale, p.y + ny * 4 * scale);
+            ctx.stroke();
+            ctx.fillText(`${displayTemp}`, p.x + nx * 6 * scale, p.y + ny * 6 * scale + 3 * scale);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw the time-in-zone heatmap: hours spent by all points in each chart cell.
+     *
+     * Les cases suivent le graphique affiché (type, axe vertical, zoom) : les états
+     * passés sont projetés comme les points, puis regroupés en cases d'environ 20 px.
+     * L'opacité croît avec les heures passées, la case la plus fréquentée étant la plus
+     * soutenue ; la légende rappelle à combien d'heures elle correspond.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context, clipped to the chart frame
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawHeatmap(ctx, palette, scale) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const width = right - left;
+        const height = bottom - top;
+        const columns = Math.max(1, Math.round(width / (20 * scale)));
+        const rows = Math.max(1, Math.round(height / (20 * scale)));
+        const positions = Object.values(this._heatmap.points).flatMap(({ states }) => states.map(state => {
+            const { x, y } = this._project(state.temp, state.humidity);
+            return { u: (x - left) / width, v: (y - top) / height };
+        }));
+        const { cells, max } = PsychrometricCalculations.binPositions(positions, columns, rows, this._heatmap.stepHours);
+        if (!max) return;
+
+        const rgb = PsychrometricCalculations.colorToRgb(palette.heatmap);
+        const cellWidth = width / columns;
+        const cellHeight = height / rows;
+        ctx.save();
+        cells.forEach((row, rowIndex) => row.forEach((hours, column) => {
+            if (!hours) return;
+            ctx.fillStyle = PsychrometricCalculations.rgbToCss(rgb, 0.1 + 0.6 * (hours / max));
+            ctx.fillRect(left + column * cellWidth, top + rowIndex * cellHeight, cellWidth, cellHeight);
+        }));
+        ctx.fillStyle = palette.text;
+        ctx.font = `${Math.max(9, 10 * scale)}px Arial`;
+        ctx.fillText(this.t('heatmapMax').replace('{hours}', max < 10 ? max.toFixed(1) : Math.round(max)),
+            left + 6 * scale, top + 14 * scale);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the trail of each point: its recent states, fading with age.
+     *
+     * Chaque segment prend l'opacité de son âge, de presque transparent au début de
+     * la fenêtre à presque plein contre le point ; un trou dans l'historique coupe la trace.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context, clipped to the chart frame
+     * @param {Array<Object>} points - Displayed points
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawTrails(ctx, points, scale) {
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.lineWidth = 2 * scale;
+        ctx.lineCap = 'round';
+        for (const point of points) {
+            if (!point.trail?.length) continue;
+            // L'état courant ferme la trace : elle rejoint toujours la pastille.
+            const states = [...point.trail, { temp: point.temp, humidity: point.humidity }];
+            ctx.strokeStyle = point.color;
+            let previous = null;
+            states.forEach((state, index) => {
+                const position = state && this._project(state.temp, state.humidity);
+                if (previous && position) {
+                    ctx.globalAlpha = 0.05 + 0.75 * (index / (states.length - 1));
+                    ctx.beginPath();
+                    ctx.moveTo(previous.x, previous.y);
+                    ctx.lineTo(position.x, position.y);
+                    ctx.stroke();
+                }
+                previous = position;
+            });
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw the edge protractor of the Mollier diagram.
+     *
+     * Chaque rayon donne la direction d'une évolution qui échange Δh/Δx kJ par kg
+     * d'eau ajoutée : 0 suit une isenthalpe (humidification adiabatique), 2501 une
+     * isotherme (vapeur à 0 °C), ±∞ la verticale du chauffage ou du refroidissement
+     * sensible. Pour lire un process, on reporte son rayon parallèlement.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawProtractor(ctx, bounds, palette, scale) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const radius = 45 * scale;
+        // Coin inférieur droit : la zone de brouillard, sous la saturation, reste vide.
+        const cx = right - 12 * scale;
+        const cy = bottom - radius - 20 * scale;
+        const pxPerW = (right - left) / (bounds.maxW - bounds.minW);
+        const pxPerK = (bottom - top) / (bounds.maxTemp - bounds.minTemp);
+        const system = this._unitSystem();
+
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 0.75;
+        ctx.strokeStyle = palette.text;
+        ctx.fillStyle = palette.text;
+        ctx.lineWidth = 1 * scale;
+        ctx.font = `${Math.max(8, 8 * scale)}px Arial`;
+        ctx.textAlign = 'center';
+
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, Math.PI / 2, (3 * Math.PI) / 2);
+        ctx.moveTo(cx, cy - radius);
+        ctx.lineTo(cx, cy + radius);
+        ctx.stroke();
+        ctx.fillText('±∞', cx, cy - radius - 4 * scale);
+
+        for (const ratio of [-2e3, 0, 1000, 2500, 4000, 6000, 10000]) {
+            // Direction vers les teneurs en eau décroissantes, pour rester dans le
+            // demi-cercle gauche.
+            const dW = -1e-3;
+            const dx = dW * pxPerW;
+            const dy = -PsychrometricCalculations.calculateProtractorSlope(ratio) * dW * pxPerK;
+            const length = Math.hypot(dx, dy);
+            const ux = dx / length;
+            const uy = dy / length;
+            ctx.beginPath();
+            ctx.moveTo(cx + ux * radius * 0.75, cy + uy * radius * 0.75);
+            ctx.lineTo(cx + ux * radius, cy + uy * radius);
+            ctx.stroke();
+            ctx.fillText(this._psychro.convertUnit('enthalpy', ratio, system, true).value.toFixed(0),
+                cx + ux * (radius + 12 * scale), cy + uy * (radius + 12 * scale) + 3 * scale);
+        }
+
+        const unit = this._psychro.convertUnit('enthalpy', 0, system, true).unit;
+        ctx.textAlign = 'right';
+        ctx.fillText(`Δh/Δx (${unit})`, cx - 10 * scale, cy - radius - 16 * scale);
+        ctx.restore();
+    }
+
+    /**
+     * Draw one process step as a labeled arrow between its two states.
+     *
+     * Le segment est droit : les transformations sont linéaires en teneur en eau, abscisse
+     * du Mollier, et la pression de vapeur de l'axe Y lui est quasi proportionnelle à ces échelles.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} step - Process step { label, from, to }
+     * @param {string} color - Arrow color
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawProcessArrow(ctx, step, color, scale) {
+        const { x: x1, y: y1 } = this._project(step.from.temp, step.from.humidity);
+        const { x: x2, y: y2 } = this._project(step.to.temp, step.to.humidity);
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length < 1) return;
+
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const head = Math.min(10 * scale, length / 2);
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2 * scale;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+
+        // Libellé au milieu, décalé perpendiculairement pour ne pas chevaucher la flèche.
+        const offset = 10 * scale;
+        ctx.font = `${Math.max(10, 10 * scale)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.fillText(step.label,
+            (x1 + x2) / 2 + Math.sin(angle) * offset,
+            (y1 + y2) / 2 - Math.cos(angle) * offset);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Temperatures sampled along the relative humidity curves.
+     *
+     * Un pas régulier de 0.5 °C, plus 0 °C lui-même : avec une formulation « glace »,
+     * la courbe de saturation y change de pente (glace en dessous, eau au-dessus), et
+     * un échantillonnage qui l'enjamberait arrondirait ce coude.
+     * @param {Object} bounds - Chart bounds
+     * @returns {number[]} Increasing temperatures in Celsius
+     */
+    _curveTemperatures(bounds) {
+        const temps = [];
+        for (let t = bounds.minTemp; t <= bounds.maxTemp; t += 0.5) temps.push(t);
+        if (bounds.minTemp < 0 && bounds.maxTemp > 0 && !temps.includes(0)) {
+            const index = temps.findIndex(t => t > 0);
+            temps.splice(index === -1 ? temps.length : index, 0, 0);
+        }
+        return temps;
+    }
+
     /**
      * Build the constant-wet-bulb lines as (temp, rh) samples.
      *
-     * These lines only depend on the temperature bounds, never on the entity states,
-     * so they are cached: the previous implementation re-ran a nested search calling
+     * These lines only depend on the temperature bounds, the atmospheric pressure and
+     * the saturation formulation, never on the entity states, so they are cached: the previous implementation re-ran a nested search calling
      * `calculateWetBulbTemp` ~18 800 times on every redraw.
      * @param {Object} bounds - Chart bounds
      * @returns {Array<Array<{temp: number, rh: number}>>} One sample list per line
      */
     _wetBulbLines(bounds) {
-        const key = `${bounds.minTemp}/${bounds.maxTemp}`;
+        const key = `${bounds.minTemp}/${bounds.maxTemp}/${bounds.pressure}/${bounds.saturation}`;
         if (this._wetBulbCache?.key === key) return this._wetBulbCache.lines;
 
         const lines = [];
@@ -3280,20 +7550,193 @@ class PsychrometricChartEnhanced extends i {
             // La ligne part de la saturation (t = tw) et s'étend vers les températures
             // sèches croissantes ; la teneur en eau y est donnée en forme close.
             for (let t = tw; t <= bounds.maxTemp; t += 0.5) {
-                const W = PsychrometricCalculations.calculateWaterContentFromWetBulb(t, tw);
+                const W = this._psychro.calculateWaterContentFromWetBulb(t, tw);
                 if (W <= 0) break;
-                const P_v = PsychrometricCalculations.waterContentToVaporPressure(W);
-                const rh = (P_v / PsychrometricCalculations.calculateSaturationPressure(t)) * 100;
+                const P_v = this._psychro.waterContentToVaporPressure(W);
+                const rh = (P_v / this._psychro.calculateSaturationPressure(t)) * 100;
                 if (rh <= 0) break;
                 samples.push({ temp: t, rh });
             }
-            if (samples.length > 1) lines.push(samples);
+            if (samples.length > 1) lines.push(samples);
+        }
+
+        this._wetBulbCache = { key, lines };
+        return lines;
+    }
+
+    /**
+     * Build the lines of one optional isoline family as labelled (temp, rh) samples.
+     *
+     * Chaque ligne part de la courbe de saturation, point de départ affiné par
+     * dichotomie, et court vers les températures sèches croissantes tant que l'air
+     * garde une humidité. Les valeurs sont rondes dans l'unité affichée ; comme pour
+     * les temp. humides, le résultat ne dépend pas des états et reste en cache.
+     * @param {string} family - 'specificVolume', 'dewPoint' or 'absoluteHumidity'
+     * @param {Object} bounds - Chart bounds
+     * @returns {Array<{label: string, samples: Array<{temp: number, rh: number}>}>} One entry per line
+     */
+    _isolines(family, bounds) {
+        const unitSystem = this._unitSystem();
+        const key = `${bounds.minTemp}/${bounds.maxTemp}/${bounds.pressure}/${bounds.saturation}/${unitSystem}/${this.getTempUnit()}`;
+        const cached = this._isolineCache.get(family);
+        if (cached?.key === key) return cached.lines;
+
+        /**
+         * Round values of a quantity between two SI values, in display units.
+         * @param {string} quantity - Quantity known to convertUnit
+         * @param {number} min - Smallest SI value
+         * @param {number} max - Largest SI value
+         * @returns {Array<{value: number, label: string}>} SI values with their label
+         */
+        const roundValues = (quantity, min, max) => {
+            const factor = this._psychro.convertUnit(quantity, 1, unitSystem).value;
+            const axis = PsychrometricCalculations.niceScale(min * factor, max * factor, 10);
+            const list = [];
+            for (let index = 0; axis.min + index * axis.step <= axis.max; index++) {
+                const value = (axis.min + index * axis.step) / factor;
+                if (value > 0) list.push({ value, label: this.formatQuantity(quantity, value, axis.decimals) });
+            }
+            return list;
+        };
+
+        let values;
+        let waterContentAt;
+        if (family === 'specificVolume') {
+            values = roundValues('specificVolume',
+                this._psychro.calculateSpecificVolume(bounds.minTemp, 0), this._psychro.calculateSpecificVolume(bounds.maxTemp, 100));
+            waterContentAt = (value, t) => this._psychro.calculateWaterContentFromSpecificVolume(t, value);
+        } else if (family === 'absoluteHumidity') {
+            values = roundValues('absoluteHumidity', 0, this._psychro.calculateAbsoluteHumidity(bounds.maxTemp, 100));
+            waterContentAt = (value, t) => this._psychro.calculateWaterContentFrom('absoluteHumidity', value, t);
+        } else {
+            const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+            values = [];
+            for (let displayTemp = Math.ceil(this.toDisplayTemp(bounds.minTemp) / tempStep) * tempStep;
+                displayTemp <= this.toDisplayTemp(bounds.maxTemp); displayTemp += tempStep) {
+                values.push({ value: this.toInternalTemp(displayTemp), label: `${displayTemp}${this.getTempUnit()}` });
+            }
+            waterContentAt = (value, t) => this._psychro.calculateWaterContentFrom('dewPoint', value, t);
+        }
+
+        /**
+         * Relative humidity on a line at a dry bulb temperature.
+         * @param {number} value - Line value in SI units
+         * @param {number} t - Dry bulb temperature in Celsius
+         * @returns {number} Relative humidity in %, NaN without water vapor
+         */
+        const rhAt = (value, t) => {
+            const W = waterContentAt(value, t);
+            if (!(W > 0)) return NaN;
+            return (this._psychro.waterContentToVaporPressure(W) / this._psychro.calculateSaturationPressure(t)) * 100;
+        };
+
+        const lines = [];
+        for (const { value, label } of values) {
+            const samples = [];
+            let saturated = false;
+            for (let index = 0; bounds.minTemp + index * 0.5 <= bounds.maxTemp; index++) {
+                const t = bounds.minTemp + index * 0.5;
+                const rh = rhAt(value, t);
+                if (!(rh > 0)) {
+                    if (samples.length) break;
+                    continue;
+                }
+                if (rh > 100) {
+                    saturated = true;
+                    continue;
+                }
+                if (saturated && !samples.length) {
+                    let low = t - 0.5;
+                    let high = t;
+                    for (let i = 0; i < 20; i++) {
+                        const mid = (low + high) / 2;
+                        if (rhAt(value, mid) > 100) low = mid;
+                        else high = mid;
+                    }
+                    samples.push({ temp: high, rh: 100 });
+                }
+                samples.push({ temp: t, rh });
+            }
+            if (samples.length > 1) lines.push({ label, samples });
         }
 
-        this._wetBulbCache = { key, lines };
+        this._isolineCache.set(family, { key, lines });
         return lines;
     }
 
+    /**
+     * Draw the optional isoline families: specific volume, dew point, absolute humidity.
+     *
+     * Les étiquettes évitent de se chevaucher et de masquer les points : chacune essaie
+     * plusieurs positions le long de sa ligne, du milieu vers les extrémités, et n'est
+     * pas écrite si aucune n'est libre.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     * @param {Array<Object>} points - Displayed points
+     */
+    _drawIsolines(ctx, bounds, palette, scale, points) {
+        const families = [
+            { name: 'specificVolume', toggle: 'showSpecificVolumeLines' },
+            { name: 'dewPoint', toggle: 'showDewPointLines' },
+            { name: 'absoluteHumidity', toggle: 'showAbsoluteHumidityLines' },
+        ].filter(({ toggle }) => this.config?.[toggle] === true);
+        if (!families.length) return;
+
+        const { left, right, top, bottom } = this._chartFrame();
+        const inside = ({ x, y }) => x >= left && x <= right && y >= top && y <= bottom;
+        const fontSize = Math.max(8, 9 * scale);
+        const occupied = points.map(point => {
+            const { x, y } = this._project(point.temp, point.humidity);
+            const radius = 10 * scale;
+            return { x0: x - radius, y0: y - radius, x1: x + radius, y1: y + radius };
+        });
+        const overlaps = (box) => occupied.some(other =>
+            box.x0 < other.x1 && box.x1 > other.x0 && box.y0 < other.y1 && box.y1 > other.y0);
+
+        ctx.save();
+        ctx.lineWidth = 0.8 * scale;
+        ctx.font = `${fontSize}px Arial`;
+        ctx.textAlign = 'center';
+        for (const { name } of families) {
+            ctx.setLineDash(this._lineDash(`${name}LineStyle`, scale));
+            ctx.strokeStyle = palette[name];
+            for (const { label, samples } of this._isolines(name, bounds)) {
+                const positions = samples.map(({ temp, rh }) => this._project(temp, rh));
+                let started = false;
+                ctx.beginPath();
+                for (const position of positions) {
+                    if (!inside(position)) {
+                        started = false;
+                        continue;
+                    }
+                    if (started) ctx.lineTo(position.x, position.y);
+                    else ctx.moveTo(position.x, position.y);
+                    started = true;
+                }
+                ctx.stroke();
+
+                const visible = positions.filter(inside);
+                if (visible.length < 2) continue;
+                const width = ctx.measureText(label).width + 4 * scale;
+                for (const fraction of [0.5, 0.35, 0.65, 0.2, 0.8]) {
+                    const { x, y } = visible[Math.round(fraction * (visible.length - 1))];
+                    const box = { x0: x - width / 2, y0: y - fontSize / 2 - 1, x1: x + width / 2, y1: y + fontSize / 2 + 1 };
+                    if (box.x0 < left || box.x1 > right || box.y0 < top || box.y1 > bottom || overlaps(box)) continue;
+                    occupied.push(box);
+                    // Fond de la couleur du graphique : l'étiquette coupe la ligne au lieu de la chevaucher.
+                    ctx.fillStyle = palette.bg;
+                    ctx.fillRect(box.x0, box.y0, box.x1 - box.x0, box.y1 - box.y0);
+                    ctx.fillStyle = palette[name];
+                    ctx.fillText(label, x, y + fontSize / 3);
+                    break;
+                }
+            }
+        }
+        ctx.restore();
+    }
+
     /**
      * Convert temperature to X coordinate.
      * @param {number} temp - Temperature in Celsius
@@ -3311,9 +7754,18 @@ class PsychrometricChartEnhanced extends i {
         return leftPadding + ((temp - bounds.minTemp) / tempRange) * chartWidth;
     }
 
+    /**
+     * Quantity carried by the Y axis of the psychrometric chart.
+     * @returns {string} One of Y_AXES
+     */
+    _yAxis() {
+        return Y_AXES.includes(this.config?.yAxis) ? this.config.yAxis : 'vaporPressure';
+    }
+
     /**
      * Convert humidity to Y coordinate.
-     * The Y axis carries vapor pressure: minPv sits on the bottom edge, maxPv on top.
+     * The Y axis carries vapor pressure (minPv on the bottom edge, maxPv on top) or,
+     * with `yAxis: humidityRatio`, water content between minW and maxW.
      * @param {number} temp - Temperature in Celsius
      * @param {number} humidity - Relative humidity in %
      * @returns {number} Y coordinate
@@ -3326,12 +7778,208 @@ class PsychrometricChartEnhanced extends i {
         const bottomEdge = 550 * scaleY;
         const chartHeight = bottomEdge - topPadding;
 
-        const P_v = PsychrometricCalculations.calculateVaporPressure(temp, humidity);
+        if (this._yAxis() === 'humidityRatio') {
+            const W = this._psychro.calculateWaterContent(temp, humidity);
+            return bottomEdge - ((W - bounds.minW) / (bounds.maxW - bounds.minW)) * chartHeight;
+        }
+
+        const P_v = this._psychro.calculateVaporPressure(temp, humidity);
         const pvRange = bounds.maxPv - bounds.minPv;
 
         return bottomEdge - ((P_v - bounds.minPv) / pvRange) * chartHeight;
     }
 
+    /**
+     * Convert an X coordinate back to a temperature, inverse of tempToX.
+     * @param {number} x - X coordinate
+     * @returns {number} Temperature in Celsius
+     */
+    xToTemp(x) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const leftPadding = this.tempToX(bounds.minTemp);
+        const rightEdge = this.tempToX(bounds.maxTemp);
+        return bounds.minTemp + ((x - leftPadding) / (rightEdge - leftPadding)) * (bounds.maxTemp - bounds.minTemp);
+    }
+
+    /**
+     * Convert a Y coordinate back to a vapor pressure, inverse of humidityToY.
+     * L'humidité relative s'en déduit ensuite à la température lue sur l'axe X.
+     * @param {number} y - Y coordinate
+     * @returns {number} Vapor pressure in kPa
+     */
+    yToVaporPressure(y) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const scaleY = this._canvasHeight / 600;
+
+        const topPadding = 50 * scaleY;
+        const bottomEdge = 550 * scaleY;
+        const ratio = (bottomEdge - y) / (bottomEdge - topPadding);
+        if (this._yAxis() === 'humidityRatio') {
+            return this._psychro.waterContentToVaporPressure(bounds.minW + ratio * (bounds.maxW - bounds.minW));
+        }
+        return bounds.minPv + ratio * (bounds.maxPv - bounds.minPv);
+    }
+
+    /**
+     * Y coordinate of a vapor pressure, whatever the quantity on the Y axis.
+     * @param {number} vaporPressure - Vapor pressure in kPa
+     * @returns {number} Y coordinate
+     */
+    vaporPressureToY(vaporPressure) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        // L'humidité relative à maxTemp peut dépasser 100 % : seule compte la pression
+        // qu'elle représente, que humidityToY reprojette sur l'axe configuré.
+        const rh = (vaporPressure / this._psychro.calculateSaturationPressure(bounds.maxTemp)) * 100;
+        return this.humidityToY(bounds.maxTemp, rh);
+    }
+
+    /**
+     * Whether the card draws a Mollier (h-x) diagram instead of the psychrometric chart.
+     * @returns {boolean}
+     */
+    _isMollier() {
+        return this.config?.chartType === 'mollier';
+    }
+
+    /**
+     * Edges of the chart frame, in canvas CSS pixels.
+     * @returns {{left: number, right: number, top: number, bottom: number}}
+     */
+    _chartFrame() {
+        const scaleX = this._canvasWidth / 800;
+        const scaleY = this._canvasHeight / 600;
+        return { left: 50 * scaleX, right: 750 * scaleX, top: 50 * scaleY, bottom: 550 * scaleY };
+    }
+
+    /**
+     * Convert a water content to the X coordinate of the Mollier diagram.
+     * @param {number} waterContent - Water content in kg/kg
+     * @returns {number} X coordinate
+     */
+    waterContentToX(waterContent) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { left, right } = this._chartFrame();
+        return left + ((waterContent - bounds.minW) / (bounds.maxW - bounds.minW)) * (right - left);
+    }
+
+    /**
+     * Convert an X coordinate of the Mollier diagram back to a water content.
+     * @param {number} x - X coordinate
+     * @returns {number} Water content in kg/kg
+     */
+    xToWaterContent(x) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { left, right } = this._chartFrame();
+        return bounds.minW + ((x - left) / (right - left)) * (bounds.maxW - bounds.minW);
+    }
+
+    /**
+     * Convert a temperature to the Y coordinate of the Mollier diagram.
+     * @param {number} temp - Temperature in Celsius
+     * @returns {number} Y coordinate
+     */
+    tempToY(temp) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { top, bottom } = this._chartFrame();
+        return bottom - ((temp - bounds.minTemp) / (bounds.maxTemp - bounds.minTemp)) * (bottom - top);
+    }
+
+    /**
+     * Convert a Y coordinate of the Mollier diagram back to a temperature.
+     * @param {number} y - Y coordinate
+     * @returns {number} Temperature in Celsius
+     */
+    yToTemp(y) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { top, bottom } = this._chartFrame();
+        return bounds.minTemp + ((bottom - y) / (bottom - top)) * (bounds.maxTemp - bounds.minTemp);
+    }
+
+    /**
+     * Project an air state onto the canvas, whatever the chart type.
+     *
+     * Tout ce qui se dessine à partir d'un état (courbes, zone, points, flèches) passe
+     * par ici : le Mollier n'est que le même diagramme, axes permutés et ordonnée en
+     * teneur en eau plutôt qu'en pression de vapeur.
+     * @param {number} temp - Temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {{x: number, y: number}} Canvas position
+     */
+    _project(temp, humidity) {
+        if (!this._isMollier()) return { x: this.tempToX(temp), y: this.humidityToY(temp, humidity) };
+        return { x: this.waterContentToX(this._psychro.calculateWaterContent(temp, humidity)), y: this.tempToY(temp) };
+    }
+
+    /**
+     * Air state at a canvas position, inverse of _project.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {{temp: number, humidity: number}} Temperature in Celsius and relative humidity in %
+     */
+    _unproject(x, y) {
+        const temp = this._isMollier() ? this.yToTemp(y) : this.xToTemp(x);
+        const vaporPressure = this._isMollier()
+            ? this._psychro.waterContentToVaporPressure(this.xToWaterContent(x))
+            : this.yToVaporPressure(y);
+        return { temp, humidity: (vaporPressure / this._psychro.calculateSaturationPressure(temp)) * 100 };
+    }
+
+    /**
+     * Pointer position in the canvas drawing space.
+     * @param {MouseEvent} e - Mouse event
+     * @returns {{x: number, y: number, rect: DOMRect}|null} CSS pixel position, null without a laid out canvas
+     */
+    _canvasPosition(e) {
+        const canvas = this.shadowRoot.getElementById('psychroChart');
+        if (!canvas) return null;
+        // Le contexte dessine en pixels CSS : ramener le pointeur dans ce repère.
+        const rect = canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        return {
+            x: (e.clientX - rect.left) * (this._canvasWidth / rect.width),
+            y: (e.clientY - rect.top) * (this._canvasHeight / rect.height),
+            rect,
+        };
+    }
+
+    /**
+     * Full air state under the pointer, for the cursor readout.
+     *
+     * Le pointeur donne la température et la pression de vapeur ou la teneur en eau,
+     * selon le type de diagramme et son axe vertical ; toutes les autres grandeurs en
+     * découlent. Au-delà de la courbe de saturation ou hors du cadre, il n'y a pas
+     * d'air à décrire.
+     * @param {MouseEvent} e - Mouse event
+     * @returns {Object|null} State in Celsius, %, kg/kg, kJ/kg and m³/kg, with the
+     *   viewport coordinates of the axes for the crosshair; null outside the air domain
+     */
+    _stateAt(e) {
+        const position = this._canvasPosition(e);
+        if (!position) return null;
+        const { left, right, top, bottom } = this._chartFrame();
+        if (position.x < left || position.x > right || position.y < top || position.y > bottom) return null;
+
+        const { temp, humidity } = this._unproject(position.x, position.y);
+        if (!(humidity > 0 && humidity <= 100)) return null;
+
+        const waterContent = this._psychro.calculateWaterContent(temp, humidity);
+        const dewPoint = this._psychro.calculateDewPoint(temp, humidity);
+        return {
+            temp,
+            humidity,
+            dewPoint,
+            frostPoint: this._psychro.saturatesOverIce(dewPoint),
+            wetBulbTemp: this._psychro.calculateWetBulbTemp(temp, humidity),
+            waterContent,
+            enthalpy: this._psychro.calculateEnthalpy(temp, waterContent),
+            specificVolume: this._psychro.calculateSpecificVolume(temp, humidity),
+            clientX: e.clientX,
+            clientY: e.clientY,
+            axisLeft: position.rect.left + left * (position.rect.width / this._canvasWidth),
+            axisBottom: position.rect.top + bottom * (position.rect.height / this._canvasHeight),
+        };
+    }
+
     /**
      * Handle mouse move event on canvas.
      * @param {MouseEvent} e - Mouse event
@@ -3339,11 +7987,17 @@ class PsychrometricChartEnhanced extends i {
     _handleMouseMove(e) {
         const canvas = this.shadowRoot.getElementById('psychroChart');
         if (!canvas) return;
+        if (this._drag) {
+            this._dragTo(e, canvas);
+            return;
+        }
 
         const point = this._pointAt(e);
         canvas.style.cursor = point ? 'pointer' : 'crosshair';
         this._hoveredPoint = point;
-        if (point) this._tooltipPos = { x: e.clientX + 15, y: e.clientY + 15 };
+        // Hors des points, la carte devient un calculateur psychrométrique.
+        this._cursorState = !point && this.config?.showCursorReadout !== false ? this._stateAt(e) : null;
+        if (point || this._cursorState) this._tooltipPos = { x: e.clientX + 15, y: e.clientY + 15 };
     }
 
     /**
@@ -3351,6 +8005,9 @@ class PsychrometricChartEnhanced extends i {
      */
     _handleMouseLeave() {
         this._hoveredPoint = null;
+        this._cursorState = null;
+        this._drag = null;
+        this._zoomBox = null;
     }
 
     /**
@@ -3358,8 +8015,290 @@ class PsychrometricChartEnhanced extends i {
      * @param {MouseEvent} e - Mouse event
      */
     _handleCanvasClick(e) {
+        // Le clic qui termine un glisser n'en est pas un.
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            return;
+        }
         const point = this._pointAt(e);
-        if (point) this._openHistory(point.tempEntityId, 'temperature');
+        if (point?.tempEntityId) this._openHistory(point.tempEntityId, 'temperature');
+    }
+
+    /**
+     * Whether the chart can be zoomed and panned with the mouse and touch gestures.
+     * @returns {boolean}
+     */
+    _interactiveZoom() {
+        return this.config?.interactiveZoom !== false;
+    }
+
+    /**
+     * Handle mouse down on canvas: start panning, or a box zoom with Shift held.
+     * @param {MouseEvent} e - Mouse event
+     */
+    _handleMouseDown(e) {
+        if (e.button !== 0 || !this._interactiveZoom()) return;
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        this._suppressClick = false;
+        this._drag = { startX: position.x, startY: position.y, x: position.x, y: position.y, box: e.shiftKey, moved: false };
+    }
+
+    /**
+     * Follow the mouse while a button is held: pan the view or stretch the zoom box.
+     * @param {MouseEvent} e - Mouse event
+     * @param {HTMLCanvasElement} canvas - Chart canvas
+     */
+    _dragTo(e, canvas) {
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        const drag = this._drag;
+        // Quelques pixels de tolérance : un clic un peu tremblé reste un clic.
+        if (!drag.moved && Math.hypot(position.x - drag.startX, position.y - drag.startY) < 4) return;
+        drag.moved = true;
+        this._hoveredPoint = null;
+        this._cursorState = null;
+        canvas.style.cursor = drag.box ? 'crosshair' : 'grabbing';
+
+        if (drag.box) {
+            const container = canvas.parentElement.getBoundingClientRect();
+            const ratioX = position.rect.width / this._canvasWidth;
+            const ratioY = position.rect.height / this._canvasHeight;
+            this._zoomBox = {
+                left: position.rect.left - container.left + Math.min(drag.startX, position.x) * ratioX,
+                top: position.rect.top - container.top + Math.min(drag.startY, position.y) * ratioY,
+                width: Math.abs(position.x - drag.startX) * ratioX,
+                height: Math.abs(position.y - drag.startY) * ratioY,
+            };
+        } else {
+            const { left, right, top, bottom } = this._chartFrame();
+            const dx = position.x - drag.x;
+            const dy = position.y - drag.y;
+            this._showFrameRect({ left: left - dx, right: right - dx, top: top - dy, bottom: bottom - dy });
+        }
+        drag.x = position.x;
+        drag.y = position.y;
+    }
+
+    /**
+     * Handle mouse up on canvas: end the pan, or zoom into the box just drawn.
+     * @param {MouseEvent} e - Mouse event
+     */
+    _handleMouseUp(e) {
+        const drag = this._drag;
+        if (!drag) return;
+        this._drag = null;
+        this._zoomBox = null;
+        this._suppressClick = drag.moved;
+        if (!drag.moved || !drag.box) return;
+
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        const { left, right, top, bottom } = this._chartFrame();
+        const clampX = x => Math.min(right, Math.max(left, x));
+        const clampY = y => Math.min(bottom, Math.max(top, y));
+        const box = {
+            left: clampX(Math.min(drag.startX, position.x)),
+            right: clampX(Math.max(drag.startX, position.x)),
+            top: clampY(Math.min(drag.startY, position.y)),
+            bottom: clampY(Math.max(drag.startY, position.y)),
+        };
+        // Une boîte écrasée contre un bord ou réduite à un trait ne dit rien de la vue voulue.
+        if (box.right - box.left >= 8 && box.bottom - box.top >= 8) this._showFrameRect(box);
+    }
+
+    /**
+     * Handle wheel on canvas: zoom around the pointer.
+     * @param {WheelEvent} e - Wheel event
+     */
+    _handleWheel(e) {
+        // La molette seule fait défiler le tableau de bord : zoomer à chaque passage sur la
+        // carte piégerait le défilement. Ctrl + molette est aussi ce qu'envoie le navigateur
+        // pour un pincement sur pavé tactile.
+        if (!this._interactiveZoom() || !(e.ctrlKey || e.metaKey)) return;
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        e.preventDefault();
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        const factor = Math.min(2, Math.max(0.5, Math.exp(delta * 0.002)));
+        this._zoomAround(position.x, position.y, factor);
+    }
+
+    /**
+     * Touch positions in the canvas drawing space.
+     * @param {TouchList} touches - Touches of a touch event
+     * @returns {Array<{x: number, y: number}>} Positions, in the order of the list
+     */
+    _touchPositions(touches) {
+        return Array.from(touches, touch => this._canvasPosition(touch)).filter(Boolean);
+    }
+
+    /**
+     * Handle touch start on canvas: remember the fingers for the coming gesture.
+     * @param {TouchEvent} e - Touch event
+     */
+    _handleTouchStart(e) {
+        if (!this._interactiveZoom()) return;
+        this._touches = this._touchPositions(e.touches);
+    }
+
+    /**
+     * Handle touch move on canvas: pinch to zoom, and drag with one finger once zoomed.
+     * @param {TouchEvent} e - Touch event
+     */
+    _handleTouchMove(e) {
+        const previous = this._touches;
+        if (!previous) return;
+        const current = this._touchPositions(e.touches);
+        this._touches = current;
+        if (current.length !== previous.length) return;
+
+        const { left, right, top, bottom } = this._chartFrame();
+        if (current.length === 1) {
+            // Tant que la vue suit la configuration, un doigt fait défiler la page.
+            if (!this._view) return;
+            e.preventDefault();
+            const dx = current[0].x - previous[0].x;
+            const dy = current[0].y - previous[0].y;
+            this._showFrameRect({ left: left - dx, right: right - dx, top: top - dy, bottom: bottom - dy });
+            return;
+        }
+        if (current.length !== 2) return;
+        e.preventDefault();
+
+        const middle = ([a, b]) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const spread = ([a, b]) => Math.hypot(a.x - b.x, a.y - b.y);
+        const before = middle(previous);
+        const after = middle(current);
+        const factor = spread(previous) / Math.max(1, spread(current));
+        // Zoom autour du milieu des doigts, puis déplacement du même milieu : le point
+        // pincé reste sous les doigts.
+        const xs = PsychrometricCalculations.zoomInterval(left, right, before.x, factor);
+        const ys = PsychrometricCalculations.zoomInterval(top, bottom, before.y, factor);
+        const dx = (after.x - before.x) * factor;
+        const dy = (after.y - before.y) * factor;
+        this._showFrameRect({ left: xs.min - dx, right: xs.max - dx, top: ys.min - dy, bottom: ys.max - dy });
+    }
+
+    /**
+     * Handle touch end on canvas: go on with the fingers still down, if any.
+     * @param {TouchEvent} e - Touch event
+     */
+    _handleTouchEnd(e) {
+        this._touches = e.touches.length ? this._touchPositions(e.touches) : null;
+    }
+
+    /**
+     * Zoom the view around a canvas position, which stays in place.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out
+     */
+    _zoomAround(x, y, factor) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const xs = PsychrometricCalculations.zoomInterval(left, right, x, factor);
+        const ys = PsychrometricCalculations.zoomInterval(top, bottom, y, factor);
+        this._showFrameRect({ left: xs.min, right: xs.max, top: ys.min, bottom: ys.max });
+    }
+
+    /**
+     * Make a rectangle of the canvas, in the current view, the new chart frame.
+     *
+     * Zoom, boîte et déplacement se ramènent tous à ce rectangle : chaque fenêtre d'axe
+     * s'en déduit par interpolation linéaire dans la vue actuelle, puisque les deux axes
+     * sont linéaires dans leur grandeur (température, pression de vapeur ou teneur en
+     * eau). Les fenêtres de pression de vapeur et de teneur en eau restent cohérentes
+     * entre elles, quel que soit l'axe que l'on manipule.
+     * @param {{left: number, right: number, top: number, bottom: number}} rect - Canvas rectangle
+     */
+    _showFrameRect(rect) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const frame = this._chartFrame();
+        const u = x => (x - frame.left) / (frame.right - frame.left);
+        const v = y => (frame.bottom - y) / (frame.bottom - frame.top);
+        const lerp = (min, max, f) => min + (max - min) * f;
+        const mollier = this._isMollier();
+
+        const minTemp = mollier ? lerp(bounds.minTemp, bounds.maxTemp, v(rect.bottom)) : lerp(bounds.minTemp, bounds.maxTemp, u(rect.left));
+        const maxTemp = mollier ? lerp(bounds.minTemp, bounds.maxTemp, v(rect.top)) : lerp(bounds.minTemp, bounds.maxTemp, u(rect.right));
+        const low = mollier ? u(rect.left) : v(rect.bottom);
+        const high = mollier ? u(rect.right) : v(rect.top);
+        const saturation = this._psychro.calculateSaturationPressure(maxTemp);
+        const toWaterContent = pv => this._psychro.calculateWaterContent(maxTemp, (pv / saturation) * 100);
+
+        let minW, maxW, minPv, maxPv;
+        if (mollier || this._yAxis() === 'humidityRatio') {
+            minW = lerp(bounds.minW, bounds.maxW, low);
+            maxW = lerp(bounds.minW, bounds.maxW, high);
+            minPv = this._psychro.waterContentToVaporPressure(minW);
+            maxPv = this._psychro.waterContentToVaporPressure(maxW);
+        } else {
+            minPv = lerp(bounds.minPv, bounds.maxPv, low);
+            maxPv = lerp(bounds.minPv, bounds.maxPv, high);
+            minW = toWaterContent(minPv);
+            maxW = toWaterContent(maxPv);
+        }
+
+        // Ni loupe sur quelques centièmes de degré, ni vue où le diagramme configuré ne
+        // serait plus qu'un timbre-poste.
+        const configured = this._configuredChartBounds();
+        const ratios = [
+            (maxTemp - minTemp) / (configured.maxTemp - configured.minTemp),
+            (maxW - minW) / (configured.maxW - configured.minW),
+        ];
+        if (!ratios.every(ratio => ratio >= 0.02 && ratio <= 4)) return;
+
+        this._setView({ minTemp, maxTemp, minPv, maxPv, minW, maxW });
+    }
+
+    /**
+     * Reset the view to the configured bounds.
+     */
+    _resetView() {
+        this._setView(null);
+    }
+
+    /**
+     * Apply a view and announce it, converted into `zoom_*` bounds, to the editor.
+     *
+     * L'événement part de la carte elle-même et porte sa configuration : l'éditeur
+     * reconnaît ainsi son aperçu parmi les autres cartes de la page.
+     * @param {Object|null} view - Axis windows, null to follow the config bounds
+     */
+    _setView(view) {
+        this._view = view;
+        this.dispatchEvent(new CustomEvent(VIEW_CHANGED_EVENT, {
+            bubbles: true,
+            composed: true,
+            detail: { config: view ? this._viewToZoomConfig(view) : null, cardConfig: this.config },
+        }));
+    }
+
+    /**
+     * Express a view with the `zoom_*` config keys.
+     *
+     * Inverse de _configuredChartBounds : les bornes d'humidité sont les fenêtres de
+     * pression de vapeur rapportées à la saturation à maxTemp (aux deux tiers de
+     * l'échelle sur le Mollier). Elles sont ramenées à 0–100 % : une vue poussée
+     * au-delà de la saturation ne s'enregistre qu'en partie.
+     * @param {Object} view - Axis windows
+     * @returns {Object|null} Config bounds, null when the view cannot be expressed
+     */
+    _viewToZoomConfig(view) {
+        const round = value => Math.round(value * 10) / 10;
+        const waterContentTemp = this._isMollier()
+            ? view.minTemp + (2 / 3) * (view.maxTemp - view.minTemp)
+            : view.maxTemp;
+        const saturation = this._psychro.calculateSaturationPressure(waterContentTemp);
+        const humidity = pv => round(Math.min(100, Math.max(0, (pv / saturation) * 100)));
+        const config = {
+            zoom_temp_min: round(view.minTemp),
+            zoom_temp_max: round(view.maxTemp),
+            zoom_humidity_min: humidity(view.minPv),
+            zoom_humidity_max: humidity(view.maxPv),
+        };
+        if (config.zoom_temp_min >= config.zoom_temp_max || config.zoom_humidity_min >= config.zoom_humidity_max) return null;
+        return config;
     }
 
     /**
@@ -3368,19 +8307,16 @@ class PsychrometricChartEnhanced extends i {
      * @returns {Object|null} Point data, or null when the pointer is over empty space
      */
     _pointAt(e) {
-        const canvas = this.shadowRoot.getElementById('psychroChart');
-        if (!canvas || !this._currentPoints?.length) return null;
-
-        // Le contexte dessine en pixels CSS : ramener le pointeur dans ce repère.
-        const rect = canvas.getBoundingClientRect();
-        if (!rect.width || !rect.height) return null;
-        const x = (e.clientX - rect.left) * (this._canvasWidth / rect.width);
-        const y = (e.clientY - rect.top) * (this._canvasHeight / rect.height);
+        if (!this._currentPoints?.length) return null;
+        const position = this._canvasPosition(e);
+        if (!position) return null;
+        const { x, y } = position;
 
         let found = null;
         this._currentPoints.forEach((point, index) => {
-            const dx = x - this.tempToX(point.temp);
-            const dy = y - this.humidityToY(point.temp, point.humidity);
+            const position = this._project(point.temp, point.humidity);
+            const dx = x - position.x;
+            const dy = y - position.y;
             if (Math.sqrt(dx * dx + dy * dy) < 15) found = { ...point, index };
         });
         return found;
@@ -3395,14 +8331,43 @@ class PsychrometricChartEnhanced extends i {
      */
     renderTooltip() {
         const point = this._hoveredPoint;
-        if (!point) return '';
+        if (!point) return this._renderCursorReadout();
         return b`
             <div class="tooltip"
                  style="left: ${this._tooltipPos.x}px; top: ${this._tooltipPos.y}px; border-left-color: ${point.color}">
                 <div class="tooltip-title" style="color: ${point.color}">${point.label}</div>
                 <div>🌡️ ${this.t('temperature')}: <strong>${this.formatTemp(point.temp)}</strong></div>
                 <div>💧 ${this.t('humidity')}: <strong>${point.humidity.toFixed(1)}%</strong></div>
-                <div class="tooltip-hint">${this.t('clickToViewHistory')}</div>
+                ${Number.isFinite(point.waterContent) ? b`<div>${this.t('waterContent')}: <strong>${this.formatQuantity('humidityRatio', point.waterContent * 1000)}</strong></div>` : ''}
+                ${Number.isFinite(point.enthalpy) ? b`<div>${this.t('enthalpy')}: <strong>${this.formatQuantity('enthalpy', point.enthalpy)}</strong></div>` : ''}
+                ${point.tempEntityId ? b`<div class="tooltip-hint">${this.t('clickToViewHistory')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the air state under the cursor, and the optional crosshair guides.
+     * Les guides sont des traits HTML posés sur le canvas : redessiner tout le
+     * diagramme à chaque mouvement de souris coûterait bien plus cher.
+     * @returns {TemplateResult|string} HTML template
+     */
+    _renderCursorReadout() {
+        const state = this._cursorState;
+        if (!state) return '';
+        return b`
+            ${this.config?.showCrosshair ? b`
+                <div class="crosshair" style="left: ${state.axisLeft}px; top: ${state.clientY}px; width: ${Math.max(0, state.clientX - state.axisLeft)}px; height: 0"></div>
+                <div class="crosshair" style="left: ${state.clientX}px; top: ${state.clientY}px; width: 0; height: ${Math.max(0, state.axisBottom - state.clientY)}px"></div>
+            ` : ''}
+            <div class="tooltip" style="left: ${this._tooltipPos.x}px; top: ${this._tooltipPos.y}px">
+                <div class="tooltip-title">${this.t('cursorReadout')}</div>
+                <div>🌡️ ${this.t('temperature')}: <strong>${this.formatTemp(state.temp)}</strong></div>
+                <div>💧 ${this.t('humidity')}: <strong>${state.humidity.toFixed(1)}%</strong></div>
+                <div>${this.t(state.frostPoint ? 'frostPoint' : 'dewPoint')}: <strong>${this.formatTemp(state.dewPoint)}</strong></div>
+                <div>${this.t('wetBulb')}: <strong>${this.formatTemp(state.wetBulbTemp)}</strong></div>
+                <div>${this.t('waterContent')}: <strong>${this.formatQuantity('humidityRatio', state.waterContent * 1000)}</strong></div>
+                <div>${this.t('enthalpy')}: <strong>${this.formatQuantity('enthalpy', state.enthalpy)}</strong></div>
+                <div>${this.t('specificVolume')}: <strong>${this.formatQuantity('specificVolume', state.specificVolume, 3)}</strong></div>
             </div>
         `;
     }
@@ -3681,6 +8646,32 @@ class PsychrometricChartEnhanced extends i {
         }
     }
 
+    /**
+     * Render a temperature or humidity row of a data box.
+     *
+     * La ligne n'ouvre l'historique que si la grandeur vient d'un capteur : un point
+     * défini par son point de rosée n'a pas d'entité d'humidité, et sa valeur
+     * affichée est calculée.
+     * @param {string|undefined} entityId - Entity measuring this quantity, if any
+     * @param {string} type - 'temperature' or 'humidity'
+     * @param {TemplateResult} content - Row content
+     * @returns {TemplateResult} HTML template
+     */
+    _renderMeasureRow(entityId, type, content) {
+        if (!entityId) return b`<div class="data-row">${content}</div>`;
+        return b`
+            <div class="data-row"
+                 @click="${() => this._openHistory(entityId, type)}"
+                 @keydown="${(e) => this._handleKeyDown(e, entityId, type)}"
+                 tabindex="0"
+                 role="button"
+                 aria-label="${this.t('historyLast24h')} - ${this.t(type)}"
+                 style="cursor: pointer">
+                ${content}
+            </div>
+        `;
+    }
+
     /**
      * Main render method.
      * @returns {TemplateResult} HTML template
@@ -3731,6 +8722,9 @@ class PsychrometricChartEnhanced extends i {
         if (!this.config || !this.hass) return b``;
 
         const points = this._currentPoints || [];
+        const processes = this._currentProcesses || [];
+        const hrv = this._currentHrv;
+        const comfortRange = this._currentComfortRange ?? {};
         const {
             chartTitle = "Diagramme Psychrométrique",
             showChart = true,
@@ -3796,9 +8790,22 @@ class PsychrometricChartEnhanced extends i {
                     <canvas id="psychroChart" role="img" aria-label="${chartDescription}"
                             @mousemove="${this._onMouseMove}"
                             @mouseleave="${this._onMouseLeave}"
+                            @mousedown="${this._onMouseDown}"
+                            @mouseup="${this._onMouseUp}"
+                            @wheel="${this._onWheel}"
+                            @touchstart="${this._onTouchStart}"
+                            @touchmove="${this._onTouchMove}"
+                            @touchend="${this._onTouchEnd}"
+                            @touchcancel="${this._onTouchEnd}"
                             @click="${this._onCanvasClick}">
                         ${chartDescription}
                     </canvas>
+                    ${this._zoomBox ? b`
+                        <div class="zoom-box" style="left: ${this._zoomBox.left}px; top: ${this._zoomBox.top}px; width: ${this._zoomBox.width}px; height: ${this._zoomBox.height}px"></div>
+                    ` : ''}
+                    ${this._view ? b`
+                        <button class="zoom-reset" @click="${this._resetView}">⟲ ${this.t('resetZoom')}</button>
+                    ` : ''}
                     ${showLegend ? b`
                         <div class="legend-box" style="background: ${legendBg}">
                             <div class="legend-title">📍 ${this.t('legend')}</div>
@@ -3811,7 +8818,9 @@ class PsychrometricChartEnhanced extends i {
                             <div class="legend-item">
                                 <span class="legend-color legend-comfort"
                                       style="background-color: ${palette.comfort}"></span>
-                                <span>${this.t('comfortZone')}</span>
+                                <span>${this.t('comfortZone')}${comfortRange.adaptive ? b`
+                                    (${this.t('adaptiveComfort')} ${comfortRange.adaptive.category},
+                                    ${this.t('runningMean')} ${this.formatTemp(comfortRange.adaptive.runningMean)})` : ''}</span>
                             </div>
                         </div>
                     ` : ''}
@@ -3847,33 +8856,28 @@ class PsychrometricChartEnhanced extends i {
                                     </div>
                                     
                                     <div class="data-grid">
-                                        <div class="data-row" 
-                                             @click="${() => this._openHistory(point.tempEntityId, 'temperature')}" 
-                                             @keydown="${(e) => this._handleKeyDown(e, point.tempEntityId, 'temperature')}"
-                                             tabindex="0" 
-                                             role="button" 
-                                             aria-label="${this.t('historyLast24h')} - ${this.t('temperature')}"
-                                             style="cursor: pointer">
+                                        ${point.mix ? b`
+                                            <div style="grid-column: span 2;">🔀 ${this.t('mixing')}: ${Math.round((1 - point.mix.fraction) * 100)} % ${point.mix.first.label} + ${Math.round(point.mix.fraction * 100)} % ${point.mix.second.label}</div>
+                                        ` : ''}
+                                        ${this._renderMeasureRow(point.tempEntityId, 'temperature', b`
                                             <span>🌡️ ${this.t('temperature')}: <span style="color: ${point.color}; font-weight: 600;">${this.formatTemp(point.temp)}</span></span>
-                                        </div>
-                                        <div class="data-row" 
-                                             @click="${() => this._openHistory(point.humidityEntityId, 'humidity')}" 
-                                             @keydown="${(e) => this._handleKeyDown(e, point.humidityEntityId, 'humidity')}"
-                                             tabindex="0" 
-                                             role="button" 
-                                             aria-label="${this.t('historyLast24h')} - ${this.t('humidity')}"
-                                             style="cursor: pointer">
+                                        `)}
+                                        ${this._renderMeasureRow(point.humidityEntityId, 'humidity', b`
                                             <span>💧 ${this.t('humidity')}: <span style="color: ${point.color}; font-weight: 600;">${point.humidity.toFixed(1)}%</span></span>
-                                        </div>
+                                        `)}
                                         
-                                        ${this._shouldShowField(point, 'dewPoint') ? b`<div>${this.t('dewPoint')}: ${this.formatTemp(point.dewPoint)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'dewPoint') ? b`<div>${this.t(point.frostPoint ? 'frostPoint' : 'dewPoint')}: ${this.formatTemp(point.dewPoint)}</div>` : ''}
                                         ${this._shouldShowField(point, 'wetBulb') ? b`<div>${this.t('wetBulb')}: ${this.formatTemp(point.wetBulbTemp)}</div>` : ''}
                                         ${this._shouldShowField(point, 'apparentTemp') ? b`<div>${this.t('apparentTemp')}: ${this.formatTemp(point.apparentTemp)}</div>` : ''}
-                                        ${this._shouldShowField(point, 'enthalpy') ? b`<div>${this.t('enthalpy')}: ${point.enthalpy.toFixed(1)} kJ/kg</div>` : ''}
-                                        ${this._shouldShowField(point, 'absHumidity') ? b`<div>${this.t('absHumidity')}: ${point.absoluteHumidity.toFixed(2)} g/m³</div>` : ''}
-                                        ${this._shouldShowField(point, 'waterContent') ? b`<div>${this.t('waterContent')}: ${(point.waterContent * 1000).toFixed(1)} g/kg</div>` : ''}
-                                        ${this._shouldShowField(point, 'specificVolume') ? b`<div>${this.t('specificVolume')}: ${point.specificVolume.toFixed(3)} m³/kg</div>` : ''}
-                                        ${this._shouldShowField(point, 'pmvIndex') ? b`<div>${this.t('pmvIndex')}: ${point.pmv.toFixed(2)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'enthalpy') ? b`<div>${this.t('enthalpy')}: ${this.formatQuantity('enthalpy', point.enthalpy)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'absHumidity') ? b`<div>${this.t('absHumidity')}: ${this.formatQuantity('absoluteHumidity', point.absoluteHumidity, 2)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'waterContent') ? b`<div>${this.t('waterContent')}: ${this.formatQuantity('humidityRatio', point.waterContent * 1000)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'specificVolume') ? b`<div>${this.t('specificVolume')}: ${this.formatQuantity('specificVolume', point.specificVolume, 3)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'pmvIndex') ? b`<div>${this.t('pmvIndex')}: ${point.pmv.toFixed(2)} (PPD ${point.ppd.toFixed(0)} %)</div>` : ''}
+                                        ${this._shouldShowField(point, 'humidex') ? this._renderHeatStress('humidex', point.humidex, point.humidex.toFixed(1), darkMode) : ''}
+                                        ${this._shouldShowField(point, 'heatIndex') ? this._renderHeatStress('heatIndex', point.heatIndex, this.formatTemp(point.heatIndex), darkMode) : ''}
+                                        ${this._shouldShowField(point, 'wbgt') ? this._renderHeatStress('wbgt', point.wbgt, this.formatTemp(point.wbgt), darkMode) : ''}
+                                        ${this._shouldShowField(point, 'utci') && point.utci !== null ? this._renderHeatStress('utci', point.utci, this.formatTemp(point.utci), darkMode) : ''}
                                         
                                         ${this._shouldShowField(point, 'moldRisk') ? b`
                                             <div style="grid-column: span 2; display: flex; align-items: center; gap: 5px;">
@@ -3883,18 +8887,123 @@ class PsychrometricChartEnhanced extends i {
                                                 </span>
                                             </div>
                                         ` : ''}
+                                        ${point.surfaces.length && this._displayMode() !== 'minimal' ? point.surfaces.map(surface => b`
+                                            <div style="grid-column: span 2; color: ${surface.status === 'condensation' ? palette.condensation : (surface.status === 'risk' ? palette.condensationRisk : 'inherit')}">
+                                                ${surface.status === 'ok' ? '🧱' : '⚠️'} ${surface.label}: ${this.formatTemp(surface.temp)},
+                                                ${this.t('dewPointMargin')} ${this.formatTempDelta(surface.margin)}
+                                                (${surface.surfaceHumidity.toFixed(0)}%)${surface.status === 'ok' ? '' : ` — ${this.t(surface.status === 'condensation' ? 'condensation' : 'condensationRisk')}`}
+                                            </div>
+                                        `) : ''}
+                                        ${point.ventilation && this._displayMode() !== 'minimal' ? b`
+                                            <div style="grid-column: span 2">
+                                                🪟 <strong style="color: ${point.ventilation.recommendation === 'notNeeded' ? 'inherit' : palette[point.ventilation.recommendation]}">${this.t(point.ventilation.recommendation)}</strong>
+                                                — ${this.t('outdoorAir')} : ΔW ${this.formatQuantity('humidityRatio', point.ventilation.deltaW * 1000, 1, { signed: true })},
+                                                Δh ${this.formatQuantity('enthalpy', point.ventilation.deltaH, 1, { signed: true })}${point.ventilation.reasons.length
+                                                    ? ` (${point.ventilation.reasons.map(reason => this.t(`ventilation_${reason}`)).join(', ')})` : ''}
+                                            </div>
+                                        ` : ''}
+                                        ${point.energy && this._displayMode() !== 'minimal' ? b`
+                                            <div style="grid-column: span 2" title="${Object.entries(point.energy.electrical)
+                                                .filter(([, kWh]) => kWh > 0)
+                                                .map(([action, kWh]) => `${this.t(action)}: ${kWh.toFixed(1)} kWh`)
+                                                .join(' · ')}">
+                                                🔌 ${this.t('energy')} (${this.t('period_' + point.energy.period)}): <strong>${point.energy.total.toFixed(1)} kWh</strong>${point.energy.cost !== null
+                                                    ? ` — ${point.energy.cost.toFixed(2)} ${this._energyCurrency()}` : ''}
+                                            </div>
+                                        ` : ''}
+                                        ${point.timeInComfort && this._displayMode() !== 'minimal' ? b`
+                                            <div style="grid-column: span 2">
+                                                ⏱️ ${this.t('timeInComfort')}: <strong>${point.timeInComfort.percent.toFixed(0)} %</strong>
+                                                (${this.t('comfortHoursOf')
+                                                    .replace('{hours}', Math.round(point.timeInComfort.hours))
+                                                    .replace('{total}', Math.round(point.timeInComfort.total))
+                                                    .replace('{days}', point.timeInComfort.days)})
+                                            </div>
+                                        ` : ''}
+                                        ${this._shouldShowField(point, 'moldIndex') && point.moldIndex ? b`
+                                            <div style="grid-column: span 2; display: flex; align-items: center; gap: 5px;">
+                                                <span>🧫 ${this.t('moldIndex')}:</span>
+                                                <span style="color: ${this.getMoldRiskColor(point.moldIndex.index, darkMode)}; font-weight: bold">
+                                                    ${point.moldIndex.index.toFixed(2)} ${this._moldTrendArrow(point.moldIndex.trend)}
+                                                </span>
+                                                <span>(${this.t('hoursAboveIsopleth')
+                                                    .replace('{hours}', Math.round(point.moldIndex.hoursAbove))
+                                                    .replace('{days}', point.moldIndex.days)})</span>
+                                            </div>
+                                        ` : ''}
                                     </div>
 
-                                    ${(point.action || point.power > 0) && this._shouldShowField(point, 'action') ? b`
+                                    ${point.action && this._shouldShowField(point, 'action') ? b`
                                         <div class="action-box" style="border-top-color: ${darkMode ? '#555' : '#ddd'}">
                                             ${point.action ? b`<div><span class="action-icon">⚡</span>${this.t('action')}: ${point.action}</div>` : ''}
-                                            ${point.power > 0 ? b`<div><span class="action-icon">🔥</span>${this.t('power')}: <span style="color: ${point.color}; font-weight: 600;">${point.power.toFixed(1)} W</span></div>` : ''}
+                                            ${point.transition ? this._renderTransition(point.transition, palette) : ''}
+                                            ${point.waterRate !== 0 ? b`<div><span class="action-icon">💧</span>${this.t(point.waterRate > 0 ? 'waterToAdd' : 'waterToRemove')}: ${this.formatQuantity('waterRate', Math.abs(point.waterRate), 2)} (${this.formatQuantity('waterVolume', Math.abs(point.waterRate) * 24)}/${this.t('day')})${point.roomWater !== null ? b`, ${this.t('roomAir')} ${this.formatQuantity('waterVolume', Math.abs(point.roomWater), 2)}` : ''}</div>` : ''}
                                             <div><span class="action-icon">🎯</span>${this.t('idealSetpoint')}: ${this.formatTemp(point.idealSetpoint.temp)}, ${point.idealSetpoint.humidity.toFixed(0)}%</div>
                                         </div>
                                     ` : ''}
                                 </div>
                             </div>
                         `)}
+                        ${processes.map((process, index) => b`
+                            <div class="data-box"
+                                 style="
+                                    background: ${dataBoxBg};
+                                    border-left-color: ${process.color};
+                                    box-shadow: ${dataBoxBoxShadow};
+                                    animation: ${isClassic ? 'none' : `fadeInUp 0.5s ease-out ${(points.length + index) * 0.1}s backwards`};
+                                 ">
+                                <div class="data-header" style="color: ${process.color}">
+                                    <span>🔀 ${process.label}</span>
+                                </div>
+                                ${process.steps.map((step, stepIndex) => b`
+                                    <div class="process-step">
+                                        <div><strong>${stepIndex + 1}. ${step.label}</strong> : ${this.formatTemp(step.from.temp)}, ${step.from.humidity.toFixed(0)}% → ${this.formatTemp(step.to.temp)}, ${step.to.humidity.toFixed(0)}%</div>
+                                        <div class="process-loads">
+                                            ${this.t('sensibleLoad')}: ${this.formatQuantity('power', step.loads.sensible, 0)} ·
+                                            ${this.t('latentLoad')}: ${this.formatQuantity('power', step.loads.latent, 0)} ·
+                                            ${this.t('shr')}: ${step.loads.shr === null ? '—' : step.loads.shr.toFixed(2)}
+                                        </div>
+                                    </div>
+                                `)}
+                                <div class="action-box">
+                                    <span class="action-icon">🔥</span>${this.t('totalLoad')}:
+                                    <span style="color: ${process.color}; font-weight: 600;">${this.formatQuantity('power', process.steps.reduce((sum, step) => sum + step.loads.total, 0), 0)}</span>
+                                </div>
+                            </div>
+                        `)}
+                        ${hrv ? b`
+                            <div class="data-box"
+                                 style="
+                                    background: ${dataBoxBg};
+                                    border-left-color: ${hrv.color};
+                                    box-shadow: ${dataBoxBoxShadow};
+                                    animation: ${isClassic ? 'none' : `fadeInUp 0.5s ease-out ${(points.length + processes.length) * 0.1}s backwards`};
+                                 ">
+                                <div class="data-header" style="color: ${hrv.color}">
+                                    <span>♻️ ${hrv.label}</span>
+                                </div>
+                                ${hrv.streams.map(stream => b`
+                                    <div class="process-step">
+                                        <strong>${stream.label}</strong> : ${this.formatTemp(stream.from.temp)}, ${stream.from.humidity.toFixed(0)}% → ${this.formatTemp(stream.to.temp)}, ${stream.to.humidity.toFixed(0)}%
+                                    </div>
+                                `)}
+                                <div class="process-loads">
+                                    ${['sensible', 'latent', 'total'].map(kind => b`
+                                        <div>${this.t(`hrvEffectiveness_${kind}`)}: ${hrv[kind] === null ? '—' : `${(hrv[kind] * 100).toFixed(0)} %`}</div>
+                                    `)}
+                                </div>
+                                <div class="action-box">
+                                    <div>
+                                        <span class="action-icon">🔥</span>${this.t('recoveredPower')}:
+                                        <span style="color: ${hrv.color}; font-weight: 600;">${this.formatQuantity('power', hrv.loads.total, 0)}</span>
+                                        (${this.t('sensibleLoad')} ${this.formatQuantity('power', hrv.loads.sensible, 0)} · ${this.t('latentLoad')} ${this.formatQuantity('power', hrv.loads.latent, 0)})
+                                    </div>
+                                    ${hrv.alerts.map(alert => b`
+                                        <div style="color: ${palette.condensation}">⚠️ ${this.t(`hrvAlert_${alert}`)}</div>
+                                    `)}
+                                </div>
+                            </div>
+                        ` : ''}
                     </div>
                 ` : ''}
             </ha-card>
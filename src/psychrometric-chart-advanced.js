@@ -1,5 +1,8 @@
 import { LitElement, html, css } from 'lit';
-import { PsychrometricCalculations, LINE_STYLES, DEFAULT_LINE_STYLES } from "./psychrometric-helpers.js";
+import {
+    PsychrometricCalculations, LINE_STYLES, DEFAULT_LINE_STYLES, SATURATION_FORMULAS, POINT_SOURCES, PROCESS_TYPES, ADAPTIVE_COMFORT_STANDARDS,
+    ENERGY_PERIODS, UNIT_SYSTEMS, AIRFLOW_UNITS, CHART_TYPES, Y_AXES, SECONDARY_AXES, VIEW_CHANGED_EVENT,
+} from "./psychrometric-helpers.js";
 import "./psychrometric-chart-editor.js";
 
 /**
@@ -28,8 +31,24 @@ class PsychrometricChartEnhanced extends LitElement {
             _canvasHeight: { state: true },
             /** Point currently hovered on the canvas, if any */
             _hoveredPoint: { state: true },
+            /** Air state under the cursor when it hovers empty chart space */
+            _cursorState: { state: true },
             /** Viewport position of the tooltip */
             _tooltipPos: { state: true },
+            /** Daily mean outdoor temperatures feeding the adaptive comfort model */
+            _outdoorDailyMeans: { state: true },
+            /** VTT mold indexes computed from each point's history, by entity pair */
+            _moldIndexes: { state: true },
+            /** Energy and cost integrated over each point's history, by entity pair */
+            _energyTotals: { state: true },
+            /** Recent states of each point, resampled for the trails, by entity pair */
+            _trails: { state: true },
+            /** Past states and time in comfort of each point, for the time-in-zone heatmap */
+            _heatmap: { state: true },
+            /** Axis windows set by interactive zoom and pan, null while the chart follows the config bounds */
+            _view: { state: true },
+            /** Box zoom selection being drawn, in chart container pixels */
+            _zoomBox: { state: true },
         };
     }
 
@@ -66,6 +85,28 @@ class PsychrometricChartEnhanced extends LitElement {
                 max-width: 100%;
                 cursor: crosshair;
             }
+            .zoom-reset {
+                position: absolute;
+                top: 10px;
+                left: 10px;
+                padding: 4px 10px;
+                border: 1px solid var(--divider-color, rgba(127, 127, 127, 0.35));
+                border-radius: 8px;
+                font: inherit;
+                font-size: 12px;
+                cursor: pointer;
+                background: rgba(127, 127, 127, 0.2);
+                color: inherit;
+            }
+            .zoom-reset:hover {
+                background: rgba(127, 127, 127, 0.35);
+            }
+            .zoom-box {
+                position: absolute;
+                pointer-events: none;
+                border: 1px dashed currentColor;
+                background: rgba(127, 127, 127, 0.15);
+            }
             
             /* Enhanced Data Display Styles */
             .psychro-data {
@@ -148,6 +189,25 @@ class PsychrometricChartEnhanced extends LitElement {
                 font-weight: bold;
             }
 
+            .load-bar {
+                display: flex;
+                height: 6px;
+                margin: 4px 0 6px;
+                border-radius: 3px;
+                overflow: hidden;
+                background: var(--divider-color, rgba(127, 127, 127, 0.2));
+            }
+
+            .process-step {
+                padding: 5px 0;
+                font-size: 0.9em;
+            }
+
+            .process-loads {
+                opacity: 0.8;
+                font-size: 0.9em;
+            }
+
             /* Animations */
             @keyframes fadeInUp {
                 from {
@@ -242,6 +302,14 @@ class PsychrometricChartEnhanced extends LitElement {
                 text-align: center;
                 opacity: 0.8;
             }
+            .crosshair {
+                position: fixed;
+                border-left: 1px dashed rgba(127, 127, 127, 0.8);
+                border-top: 1px dashed rgba(127, 127, 127, 0.8);
+                pointer-events: none;
+                z-index: 9999;
+            }
+
             .tooltip {
                 position: fixed;
                 background: rgba(0, 0, 0, 0.9);
@@ -373,12 +441,30 @@ class PsychrometricChartEnhanced extends LitElement {
         this._language = 'fr';
         this._temperatureUnit = null;
         this._currentPoints = [];
+        this._currentProcesses = [];
+        this._currentHrv = null;
+        // Classe de calcul liée à la pression du site et à la formulation de saturation,
+        // recalculée à chaque cycle.
+        this._psychro = PsychrometricCalculations;
         this._hoveredPoint = null;
+        this._cursorState = null;
         this._tooltipPos = { x: 0, y: 0 };
         // Références stables pour pouvoir retirer les écouteurs au démontage.
         this._onMouseMove = this._handleMouseMove.bind(this);
         this._onMouseLeave = this._handleMouseLeave.bind(this);
         this._onCanvasClick = this._handleCanvasClick.bind(this);
+        this._onMouseDown = this._handleMouseDown.bind(this);
+        this._onMouseUp = this._handleMouseUp.bind(this);
+        this._onTouchStart = this._handleTouchStart.bind(this);
+        this._onTouchEnd = this._handleTouchEnd.bind(this);
+        // Écouteurs actifs : ils doivent pouvoir empêcher le défilement de la page.
+        this._onWheel = { handleEvent: e => this._handleWheel(e), passive: false };
+        this._onTouchMove = { handleEvent: e => this._handleTouchMove(e), passive: false };
+        this._view = null;
+        this._zoomBox = null;
+        this._drag = null;
+        this._touches = null;
+        this._suppressClick = false;
 
         this.translations = {
             fr: {
@@ -387,18 +473,53 @@ class PsychrometricChartEnhanced extends LitElement {
                 temperature: 'Température',
                 humidity: 'Humidité',
                 dewPoint: 'Point de rosée',
+                frostPoint: 'Point de givre',
                 enthalpy: 'Enthalpie',
                 absHumidity: 'Humidité abs.',
                 waterContent: 'Teneur en eau',
+                vaporPressure: 'Pression de vapeur',
                 specificVolume: 'Volume spécifique',
                 pmvIndex: 'Indice PMV',
                 apparentTemp: 'Temp. ressentie',
+                humidex: 'Humidex',
+                heatIndex: 'Indice de chaleur',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Temp. humide',
                 moldRisk: 'Moisissure',
                 action: 'Action',
                 power: 'Puissance totale',
                 humidification: 'Humidification',
                 dehumidification: 'Déshumidification',
+                hrv: 'Échangeur double flux',
+                hrvSupplyStream: 'Air neuf → soufflage',
+                hrvExhaustStream: 'Reprise → rejet',
+                hrvEffectiveness_sensible: 'Rendement sensible',
+                hrvEffectiveness_latent: 'Rendement latent',
+                hrvEffectiveness_total: 'Rendement enthalpique',
+                recoveredPower: 'Puissance récupérée',
+                hrvAlert_frost: 'Givrage de l\'échangeur : air rejeté sous 0 °C',
+                hrvAlert_bypass: 'Bypass resté ouvert ? Air soufflé presque à la température extérieure',
+                hrvAlert_lowEffectiveness: 'Rendement dégradé (encrassement, dégivrage)',
+                hrvAlert_imbalance: 'Rendements soufflage / rejet incohérents : débits déséquilibrés ou sonde défaillante',
+                ventilate: 'Aérer',
+                keepClosed: 'Garder fermé',
+                notNeeded: 'Aération inutile',
+                outdoorAir: 'air extérieur',
+                ventilation_drying: 'assèche',
+                ventilation_humidifying: 'humidifie',
+                ventilation_cooling: 'rafraîchit',
+                ventilation_heating: 'réchauffe',
+                heating: 'Chauffage',
+                cooling: 'Refroidissement',
+                energy: 'Énergie',
+                period_day: '24 h',
+                period_week: '7 j',
+                period_month: '30 j',
+                waterToAdd: 'Eau à apporter',
+                waterToRemove: 'Eau à retirer',
+                day: 'jour',
+                roomAir: 'air de la pièce',
                 idealSetpoint: 'Consigne idéale',
                 comfortOptimal: 'Confort optimal',
                 comfortTooHot: 'Trop chaud',
@@ -409,6 +530,8 @@ class PsychrometricChartEnhanced extends LitElement {
                 comfortZone: 'Zone de confort',
                 legend: 'Légende',
                 clickToViewHistory: 'Cliquez pour voir l\'historique',
+                cursorReadout: 'Air sous le curseur',
+                resetZoom: 'Réinitialiser le zoom',
                 warm: 'Réchauffer',
                 cool: 'Refroidir',
                 andHumidify: 'et Humidifier',
@@ -425,7 +548,33 @@ class PsychrometricChartEnhanced extends LitElement {
                 moldRiskModerate: 'Modéré',
                 moldRiskHigh: 'Élevé',
                 moldRiskVeryHigh: 'Très élevé',
-                moldRiskCritical: 'Critique'
+                moldRiskCritical: 'Critique',
+                dewPointMargin: 'marge / rosée',
+                condensation: 'condensation',
+                condensationRisk: 'risque de condensation',
+                moldIndex: 'Indice moisissure (VTT)',
+                hoursAboveIsopleth: '{hours} h au-dessus de l\'isoplèthe sur {days} j',
+                timeInComfort: 'Temps en confort',
+                comfortHoursOf: '{hours} h sur {total} h en {days} j',
+                heatmapMax: 'Temps passé : jusqu\'à {hours} h par case',
+                heatStressNone: 'Aucune contrainte',
+                heatStressCaution: 'Vigilance',
+                heatStressExtremeCaution: 'Vigilance renforcée',
+                heatStressDanger: 'Danger',
+                heatStressExtremeDanger: 'Danger extrême',
+                processHeating: 'Chauffage',
+                processCooling: 'Refroidissement',
+                processCoolingCoil: 'Batterie froide',
+                processAdiabatic: 'Humidification adiabatique',
+                processSteam: 'Humidification vapeur',
+                processMeasured: 'Transformation',
+                mixing: 'Mélange',
+                adaptiveComfort: 'adaptatif',
+                runningMean: 'θ moy. ext.',
+                sensibleLoad: 'Sensible',
+                latentLoad: 'Latente',
+                totalLoad: 'Puissance échangée',
+                shr: 'FCS'
             },
             en: {
                 noPointsConfigured: 'No points or entities configured in the card!',
@@ -433,18 +582,53 @@ class PsychrometricChartEnhanced extends LitElement {
                 temperature: 'Temperature',
                 humidity: 'Humidity',
                 dewPoint: 'Dew point',
+                frostPoint: 'Frost point',
                 enthalpy: 'Enthalpy',
                 absHumidity: 'Abs. humidity',
                 waterContent: 'Water content',
+                vaporPressure: 'Vapor pressure',
                 specificVolume: 'Specific volume',
                 pmvIndex: 'PMV Index',
                 apparentTemp: 'Feels like',
+                humidex: 'Humidex',
+                heatIndex: 'Heat index',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Wet bulb',
                 moldRisk: 'Mold risk',
                 action: 'Action',
                 power: 'Total power',
                 humidification: 'Humidification',
                 dehumidification: 'Dehumidification',
+                hrv: 'Heat recovery ventilator',
+                hrvSupplyStream: 'Outdoor → supply',
+                hrvExhaustStream: 'Extract → exhaust',
+                hrvEffectiveness_sensible: 'Sensible effectiveness',
+                hrvEffectiveness_latent: 'Latent effectiveness',
+                hrvEffectiveness_total: 'Total effectiveness',
+                recoveredPower: 'Recovered power',
+                hrvAlert_frost: 'Core frosting: exhaust air below 0 °C',
+                hrvAlert_bypass: 'Bypass stuck open? Supply air close to outdoor temperature',
+                hrvAlert_lowEffectiveness: 'Low effectiveness (fouling, defrost)',
+                hrvAlert_imbalance: 'Supply and exhaust effectiveness disagree: unbalanced flows or faulty sensor',
+                ventilate: 'Ventilate',
+                keepClosed: 'Keep closed',
+                notNeeded: 'No ventilation needed',
+                outdoorAir: 'outdoor air',
+                ventilation_drying: 'dries',
+                ventilation_humidifying: 'humidifies',
+                ventilation_cooling: 'cools',
+                ventilation_heating: 'warms',
+                heating: 'Heating',
+                cooling: 'Cooling',
+                energy: 'Energy',
+                period_day: '24 h',
+                period_week: '7 d',
+                period_month: '30 d',
+                waterToAdd: 'Water to add',
+                waterToRemove: 'Water to remove',
+                day: 'day',
+                roomAir: 'room air',
                 idealSetpoint: 'Ideal setpoint',
                 comfortOptimal: 'Optimal comfort',
                 comfortTooHot: 'Too hot',
@@ -455,6 +639,8 @@ class PsychrometricChartEnhanced extends LitElement {
                 comfortZone: 'Comfort zone',
                 legend: 'Legend',
                 clickToViewHistory: 'Click to view history',
+                cursorReadout: 'Air under the cursor',
+                resetZoom: 'Reset zoom',
                 warm: 'Warm up',
                 cool: 'Cool down',
                 andHumidify: 'and Humidify',
@@ -471,7 +657,33 @@ class PsychrometricChartEnhanced extends LitElement {
                 moldRiskModerate: 'Moderate',
                 moldRiskHigh: 'High',
                 moldRiskVeryHigh: 'Very high',
-                moldRiskCritical: 'Critical'
+                moldRiskCritical: 'Critical',
+                dewPointMargin: 'dew point margin',
+                condensation: 'condensation',
+                condensationRisk: 'condensation risk',
+                moldIndex: 'Mold index (VTT)',
+                hoursAboveIsopleth: '{hours} h above isopleth in {days} d',
+                timeInComfort: 'Time in comfort',
+                comfortHoursOf: '{hours} h of {total} h in {days} d',
+                heatmapMax: 'Time spent: up to {hours} h per cell',
+                heatStressNone: 'No heat stress',
+                heatStressCaution: 'Caution',
+                heatStressExtremeCaution: 'Extreme caution',
+                heatStressDanger: 'Danger',
+                heatStressExtremeDanger: 'Extreme danger',
+                processHeating: 'Heating',
+                processCooling: 'Cooling',
+                processCoolingCoil: 'Cooling coil',
+                processAdiabatic: 'Adiabatic humidification',
+                processSteam: 'Steam humidification',
+                processMeasured: 'Process',
+                mixing: 'Mix',
+                adaptiveComfort: 'adaptive',
+                runningMean: 'θ running mean',
+                sensibleLoad: 'Sensible',
+                latentLoad: 'Latent',
+                totalLoad: 'Total load',
+                shr: 'SHR'
             },
             es: {
                 noPointsConfigured: '¡No hay puntos o entidades configuradas en la tarjeta!',
@@ -479,18 +691,53 @@ class PsychrometricChartEnhanced extends LitElement {
                 temperature: 'Temperatura',
                 humidity: 'Humedad',
                 dewPoint: 'Punto de rocío',
+                frostPoint: 'Punto de escarcha',
                 enthalpy: 'Entalpía',
                 absHumidity: 'Humedad abs.',
                 waterContent: 'Contenido de agua',
+                vaporPressure: 'Presión de vapor',
                 specificVolume: 'Volumen específico',
                 pmvIndex: 'Índice PMV',
                 apparentTemp: 'Sensación térmica',
+                humidex: 'Humidex',
+                heatIndex: 'Índice de calor',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Temp. húmeda',
                 moldRisk: 'Moho',
                 action: 'Acción',
                 power: 'Potencia total',
                 humidification: 'Humidificación',
                 dehumidification: 'Deshumidificación',
+                hrv: 'Recuperador de calor',
+                hrvSupplyStream: 'Aire exterior → impulsión',
+                hrvExhaustStream: 'Extracción → expulsión',
+                hrvEffectiveness_sensible: 'Eficiencia sensible',
+                hrvEffectiveness_latent: 'Eficiencia latente',
+                hrvEffectiveness_total: 'Eficiencia entálpica',
+                recoveredPower: 'Potencia recuperada',
+                hrvAlert_frost: 'Congelación del intercambiador: aire expulsado bajo 0 °C',
+                hrvAlert_bypass: '¿Bypass abierto? Aire de impulsión casi a la temperatura exterior',
+                hrvAlert_lowEffectiveness: 'Eficiencia degradada (suciedad, desescarche)',
+                hrvAlert_imbalance: 'Eficiencias de impulsión y expulsión incoherentes: caudales desequilibrados o sonda defectuosa',
+                ventilate: 'Ventilar',
+                keepClosed: 'Mantener cerrado',
+                notNeeded: 'Ventilación innecesaria',
+                outdoorAir: 'aire exterior',
+                ventilation_drying: 'seca',
+                ventilation_humidifying: 'humidifica',
+                ventilation_cooling: 'refresca',
+                ventilation_heating: 'calienta',
+                heating: 'Calefacción',
+                cooling: 'Refrigeración',
+                energy: 'Energía',
+                period_day: '24 h',
+                period_week: '7 d',
+                period_month: '30 d',
+                waterToAdd: 'Agua a aportar',
+                waterToRemove: 'Agua a retirar',
+                day: 'día',
+                roomAir: 'aire de la sala',
                 idealSetpoint: 'Consigna ideal',
                 comfortOptimal: 'Confort óptimo',
                 comfortTooHot: 'Demasiado calor',
@@ -501,6 +748,8 @@ class PsychrometricChartEnhanced extends LitElement {
                 comfortZone: 'Zona de confort',
                 legend: 'Leyenda',
                 clickToViewHistory: 'Haga clic para ver el historial',
+                cursorReadout: 'Aire bajo el cursor',
+                resetZoom: 'Restablecer el zoom',
                 warm: 'Calentar',
                 cool: 'Enfriar',
                 andHumidify: 'y Humidificar',
@@ -517,7 +766,33 @@ class PsychrometricChartEnhanced extends LitElement {
                 moldRiskModerate: 'Moderado',
                 moldRiskHigh: 'Alto',
                 moldRiskVeryHigh: 'Muy alto',
-                moldRiskCritical: 'Crítico'
+                moldRiskCritical: 'Crítico',
+                dewPointMargin: 'margen / rocío',
+                condensation: 'condensación',
+                condensationRisk: 'riesgo de condensación',
+                moldIndex: 'Índice de moho (VTT)',
+                hoursAboveIsopleth: '{hours} h sobre la isopleta en {days} d',
+                timeInComfort: 'Tiempo en confort',
+                comfortHoursOf: '{hours} h de {total} h en {days} d',
+                heatmapMax: 'Tiempo pasado: hasta {hours} h por celda',
+                heatStressNone: 'Sin estrés térmico',
+                heatStressCaution: 'Precaución',
+                heatStressExtremeCaution: 'Precaución extrema',
+                heatStressDanger: 'Peligro',
+                heatStressExtremeDanger: 'Peligro extremo',
+                processHeating: 'Calentamiento',
+                processCooling: 'Enfriamiento',
+                processCoolingCoil: 'Batería de frío',
+                processAdiabatic: 'Humidificación adiabática',
+                processSteam: 'Humidificación por vapor',
+                processMeasured: 'Proceso',
+                mixing: 'Mezcla',
+                adaptiveComfort: 'adaptativo',
+                runningMean: 'θ media ext.',
+                sensibleLoad: 'Sensible',
+                latentLoad: 'Latente',
+                totalLoad: 'Potencia total',
+                shr: 'FCS'
             },
             de: {
                 noPointsConfigured: 'Keine Punkte oder Entitäten in der Karte konfiguriert!',
@@ -525,18 +800,53 @@ class PsychrometricChartEnhanced extends LitElement {
                 temperature: 'Temperatur',
                 humidity: 'Luftfeuchtigkeit',
                 dewPoint: 'Taupunkt',
+                frostPoint: 'Reifpunkt',
                 enthalpy: 'Enthalpie',
                 absHumidity: 'Abs. Feuchtigkeit',
                 waterContent: 'Wassergehalt',
+                vaporPressure: 'Dampfdruck',
                 specificVolume: 'Spezifisches Volumen',
                 pmvIndex: 'PMV-Index',
                 apparentTemp: 'Gefühlte Temp.',
+                humidex: 'Humidex',
+                heatIndex: 'Hitzeindex',
+                wbgt: 'WBGT',
+                utci: 'UTCI',
                 wetBulb: 'Feuchtkugeltemp.',
                 moldRisk: 'Schimmel',
                 action: 'Aktion',
                 power: 'Gesamtleistung',
                 humidification: 'Befeuchtung',
                 dehumidification: 'Entfeuchtung',
+                hrv: 'Wärmerückgewinnung',
+                hrvSupplyStream: 'Außenluft → Zuluft',
+                hrvExhaustStream: 'Abluft → Fortluft',
+                hrvEffectiveness_sensible: 'Sensibler Wirkungsgrad',
+                hrvEffectiveness_latent: 'Latenter Wirkungsgrad',
+                hrvEffectiveness_total: 'Enthalpie-Wirkungsgrad',
+                recoveredPower: 'Rückgewonnene Leistung',
+                hrvAlert_frost: 'Vereisung des Wärmetauschers: Fortluft unter 0 °C',
+                hrvAlert_bypass: 'Bypass offen geblieben? Zuluft nahe der Außentemperatur',
+                hrvAlert_lowEffectiveness: 'Verminderter Wirkungsgrad (Verschmutzung, Abtauung)',
+                hrvAlert_imbalance: 'Wirkungsgrade Zu-/Fortluft widersprüchlich: unausgeglichene Volumenströme oder defekter Sensor',
+                ventilate: 'Lüften',
+                keepClosed: 'Geschlossen halten',
+                notNeeded: 'Lüften nicht nötig',
+                outdoorAir: 'Außenluft',
+                ventilation_drying: 'trocknet',
+                ventilation_humidifying: 'befeuchtet',
+                ventilation_cooling: 'kühlt',
+                ventilation_heating: 'wärmt',
+                heating: 'Heizen',
+                cooling: 'Kühlen',
+                energy: 'Energie',
+                period_day: '24 h',
+                period_week: '7 T',
+                period_month: '30 T',
+                waterToAdd: 'Zuzuführendes Wasser',
+                waterToRemove: 'Zu entfernendes Wasser',
+                day: 'Tag',
+                roomAir: 'Raumluft',
                 idealSetpoint: 'Idealer Sollwert',
                 comfortOptimal: 'Optimaler Komfort',
                 comfortTooHot: 'Zu heiß',
@@ -547,6 +857,8 @@ class PsychrometricChartEnhanced extends LitElement {
                 comfortZone: 'Komfortzone',
                 legend: 'Legende',
                 clickToViewHistory: 'Zum Anzeigen des Verlaufs klicken',
+                cursorReadout: 'Luft unter dem Cursor',
+                resetZoom: 'Zoom zurücksetzen',
                 warm: 'Erwärmen',
                 cool: 'Abkühlen',
                 andHumidify: 'und Befeuchten',
@@ -563,7 +875,33 @@ class PsychrometricChartEnhanced extends LitElement {
                 moldRiskModerate: 'Mäßig',
                 moldRiskHigh: 'Hoch',
                 moldRiskVeryHigh: 'Sehr hoch',
-                moldRiskCritical: 'Kritisch'
+                moldRiskCritical: 'Kritisch',
+                dewPointMargin: 'Taupunktabstand',
+                condensation: 'Kondensation',
+                condensationRisk: 'Kondensationsgefahr',
+                moldIndex: 'Schimmelindex (VTT)',
+                hoursAboveIsopleth: '{hours} h über der Isoplethe in {days} T',
+                timeInComfort: 'Zeit im Komfort',
+                comfortHoursOf: '{hours} h von {total} h in {days} T',
+                heatmapMax: 'Verweildauer: bis {hours} h pro Zelle',
+                heatStressNone: 'Keine Hitzebelastung',
+                heatStressCaution: 'Vorsicht',
+                heatStressExtremeCaution: 'Erhöhte Vorsicht',
+                heatStressDanger: 'Gefahr',
+                heatStressExtremeDanger: 'Extreme Gefahr',
+                processHeating: 'Heizen',
+                processCooling: 'Kühlen',
+                processCoolingCoil: 'Kühlregister',
+                processAdiabatic: 'Adiabate Befeuchtung',
+                processSteam: 'Dampfbefeuchtung',
+                processMeasured: 'Prozess',
+                mixing: 'Mischung',
+                adaptiveComfort: 'adaptiv',
+                runningMean: 'θ gleit. Mittel',
+                sensibleLoad: 'Sensibel',
+                latentLoad: 'Latent',
+                totalLoad: 'Gesamtleistung',
+                shr: 'SHR'
             }
         };
     }
@@ -580,6 +918,40 @@ class PsychrometricChartEnhanced extends LitElement {
         // de réglage : render() affiche alors `noPointsConfigured` plutôt qu'une erreur
         // rouge, ce qui est aussi l'état du stub servi au sélecteur de cartes.
 
+        if (config.processes !== undefined && !Array.isArray(config.processes)) {
+            throw new Error("`processes` doit être une liste. / `processes` must be a list.");
+        }
+        // Une faute de frappe sur un type d'étape couperait la chaîne sans bruit : autant
+        // la signaler à l'enregistrement. Une étape `to` est mesurée, son type est libre.
+        (config.processes ?? []).forEach((process, i) => {
+            (process?.steps ?? []).forEach((step, j) => {
+                if (step?.to === undefined && !PROCESS_TYPES.includes(step?.type)) {
+                    throw new Error(`processes[${i}].steps[${j}].type (${step?.type}) doit valoir ${PROCESS_TYPES.join(', ')}.`);
+                }
+            });
+        });
+
+        if (config.mixes !== undefined && !Array.isArray(config.mixes)) {
+            throw new Error("`mixes` doit être une liste. / `mixes` must be a list.");
+        }
+        (config.mixes ?? []).forEach((mix, i) => {
+            if (!Array.isArray(mix?.points) || mix.points.length !== 2) {
+                throw new Error(`mixes[${i}].points doit désigner exactement deux points par leur libellé.`);
+            }
+            // Sans fraction lisible, le mélange disparaîtrait du graphique sans explication.
+            if (!PsychrometricCalculations.isMixRatio(mix.ratio)) {
+                throw new Error(`mixes[${i}].ratio (${mix.ratio}) doit être une fraction de 0 à 1 ou une entité.`);
+            }
+        });
+
+        if (config.hrv !== undefined && !['outdoor', 'supply', 'extract', 'exhaust'].every(key => config.hrv?.[key] !== undefined)) {
+            throw new Error("`hrv` doit désigner les points `outdoor`, `supply`, `extract` et `exhaust`. / `hrv` must map `outdoor`, `supply`, `extract` and `exhaust`.");
+        }
+
+        if (config.comfortModel === 'adaptive' && !config.adaptiveComfort?.outdoorPoint) {
+            throw new Error("`comfortModel: adaptive` demande `adaptiveComfort.outdoorPoint`, le libellé du point extérieur.");
+        }
+
         const language = config.language || 'fr';
         // Une langue inconnue ne doit pas faire planter chaque appel à t().
         this._language = this.translations[language] ? language : 'fr';
@@ -592,10 +964,49 @@ class PsychrometricChartEnhanced extends LitElement {
             throw new Error(`zoom_humidity_min (${bounds.minHum}) doit être strictement inférieur à zoom_humidity_max (${bounds.maxHum}).`);
         }
 
+        // Une pression fixe hors de toute plage atmosphérique trahit une erreur d'unité
+        // (Pa, inHg…) : mieux vaut le dire que fausser silencieusement tous les calculs.
+        if (this._isFixedPressure(config.pressure)) {
+            const pressure = PsychrometricCalculations.toKilopascals(parseFloat(config.pressure));
+            if (!(pressure >= 30 && pressure <= 110)) {
+                throw new Error(`pressure (${config.pressure}) doit être une pression atmosphérique en kPa ou en hPa.`);
+            }
+        }
+        if (config.saturationFormula !== undefined && !SATURATION_FORMULAS.includes(config.saturationFormula)) {
+            throw new Error(`saturationFormula (${config.saturationFormula}) doit valoir ${SATURATION_FORMULAS.join(', ')}.`);
+        }
+        if (config.chartType !== undefined && !CHART_TYPES.includes(config.chartType)) {
+            throw new Error(`chartType (${config.chartType}) doit valoir ${CHART_TYPES.join(', ')}.`);
+        }
+        if (config.yAxis !== undefined && !Y_AXES.includes(config.yAxis)) {
+            throw new Error(`yAxis (${config.yAxis}) doit valoir ${Y_AXES.join(', ')}.`);
+        }
+        if (config.secondaryAxis !== undefined && !SECONDARY_AXES.includes(config.secondaryAxis)) {
+            throw new Error(`secondaryAxis (${config.secondaryAxis}) doit valoir ${SECONDARY_AXES.join(', ')}.`);
+        }
+        if (config.unitSystem !== undefined && !UNIT_SYSTEMS.includes(config.unitSystem)) {
+            throw new Error(`unitSystem (${config.unitSystem}) doit valoir ${UNIT_SYSTEMS.join(', ')}.`);
+        }
+        // Un débit constant dans une unité inconnue serait pris en m³/h sans prévenir.
+        for (const settings of [...(config.points ?? []), ...(config.processes ?? []), config.hrv]) {
+            if (settings?.airflowUnit !== undefined && !AIRFLOW_UNITS.includes(settings.airflowUnit)) {
+                throw new Error(`airflowUnit (${settings.airflowUnit}) doit valoir ${AIRFLOW_UNITS.join(', ')}.`);
+            }
+        }
+
+        // Une vue zoomée se rapporte aux bornes et au type de diagramme sous lesquels elle
+        // a été prise : s'ils changent (ou que le zoom interactif est coupé), on repart
+        // de la configuration. La réinitialisation suit l'affectation : l'événement émis
+        // doit porter la nouvelle configuration, celle que l'éditeur tient déjà.
         this.config = config;
+        const viewKey = JSON.stringify([bounds, config.chartType, config.interactiveZoom]);
+        if (viewKey !== this._viewKey && this._view) this._setView(null);
+        this._viewKey = viewKey;
+
         // L'unité peut changer avec la config : forcer une nouvelle détection.
         this._temperatureUnit = null;
         this._wetBulbCache = null;
+        this._isolineCache = new Map();
     }
 
     /**
@@ -660,6 +1071,7 @@ class PsychrometricChartEnhanced extends LitElement {
         clearTimeout(this._resizeDebounceTimer);
         this._resizeDebounceTimer = null;
         this._hoveredPoint = null;
+        this._cursorState = null;
     }
 
     /**
@@ -693,12 +1105,164 @@ class PsychrometricChartEnhanced extends LitElement {
         if (!this.config?.points) return [];
         const ids = [];
         for (const point of this.config.points) {
-            if (point.temp) ids.push(point.temp);
-            if (point.humidity) ids.push(point.humidity);
+            ids.push(...this._pointEntityIds(point));
+        }
+        if (this._isEntityId(this.config.pressure)) ids.push(this.config.pressure);
+        if (this._isEntityId(this.config.energy?.price)) ids.push(this.config.energy.price);
+        for (const mix of this.config.mixes ?? []) {
+            if (this._isEntityId(mix.ratio)) ids.push(mix.ratio);
+        }
+        for (const point of this.config.points) {
+            ids.push(...this._surfaceEntityIds(point));
+        }
+        for (const settings of [...this.config.points, ...(this.config.processes ?? []), this.config.hrv]) {
+            if (this._isEntityId(settings?.airflow)) ids.push(settings.airflow);
+        }
+        for (const settings of [
+            this.config.pmv, this.config.utci,
+            ...this.config.points.flatMap(point => [point.pmv, point.utci]),
+        ]) {
+            ids.push(...Object.values(settings ?? {}).filter(value => this._isEntityId(value)));
         }
         return ids;
     }
 
+    /**
+     * Entities a point is defined from, in POINT_SOURCES order.
+     * @param {Object} point - Point configuration
+     * @returns {string[]} Configured entity IDs
+     */
+    _pointEntityIds(point) {
+        return Object.keys(POINT_SOURCES).filter(key => point[key]).map(key => point[key]);
+    }
+
+    /**
+     * Dry air mass flow behind a point's powers.
+     *
+     * Par ordre de priorité : le débit volumique du point, puis le volume de la pièce
+     * et son taux de renouvellement, enfin le débit massique de la carte.
+     * @param {Object} point - Point configuration
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number} Mass flow rate in kg/s
+     */
+    _pointMassFlow(point, temp, humidity) {
+        const airflow = this._airflowMassFlow(point, temp, humidity);
+        if (airflow !== null) return airflow;
+        const volume = parseFloat(point.volume);
+        const airChangesPerHour = parseFloat(point.airChangesPerHour);
+        return volume > 0 && airChangesPerHour > 0
+            ? this._psychro.calculateRoomMassFlow(volume, airChangesPerHour, temp, humidity)
+            : (this.config.massFlowRate ?? 0.5);
+    }
+
+    /**
+     * Dry air mass flow of a volumetric `airflow`, constant or entity.
+     *
+     * Une constante est exprimée en `airflowUnit` (m³/h par défaut) ; une entité dans
+     * sa propre unité. Un débit nul reste valable : ventilateur à l'arrêt, aucune puissance.
+     * @param {Object} settings - Point, process or HRV configuration
+     * @param {number} temp - Temperature of the air the flow is measured in, in Celsius
+     * @param {number} humidity - Its relative humidity in %
+     * @returns {number|null} Mass flow rate in kg/s, null when unset or unavailable
+     */
+    _airflowMassFlow(settings, temp, humidity) {
+        const value = settings?.airflow;
+        if (value === undefined || value === null || value === '') return null;
+        let reading = parseFloat(value);
+        let unit = settings.airflowUnit;
+        if (this._isEntityId(value)) {
+            const entity = this.hass?.states[value];
+            reading = parseFloat(entity?.state);
+            unit = entity?.attributes?.unit_of_measurement ?? unit;
+        }
+        if (!Number.isFinite(reading) || reading < 0) return null;
+        return this._psychro.calculateAirflowMassFlow(this._psychro.toCubicMetersPerHour(reading, unit), temp, humidity);
+    }
+
+    /**
+     * Powers needed to bring an air state back into the comfort range, by action.
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @param {number} massFlowRate - Mass flow rate in kg/s
+     * @returns {{heating: number, cooling: number, humidification: number, dehumidification: number}} Powers in W
+     */
+    _actionPowers(temp, humidity, comfortRange, massFlowRate) {
+        const powers = { heating: 0, cooling: 0, humidification: 0, dehumidification: 0 };
+        const { sensible, latent, target } = this._comfortActions(temp, humidity, comfortRange);
+        if (sensible === 'heating') {
+            powers.heating = this._psychro.calculateHeatingPower(temp, target.temp, massFlowRate);
+        } else if (sensible === 'cooling') {
+            powers.cooling = this._psychro.calculateCoolingPower(temp, target.temp, massFlowRate);
+        }
+        // Une part latente de signe contraire à l'action n'est pas à fournir : elle est écartée.
+        const latentPower = latent
+            ? this._psychro.calculateHumidityPower(temp, humidity, target.humidity, massFlowRate, target.temp)
+            : 0;
+        if (latent === 'humidification' && latentPower > 0) powers.humidification = latentPower;
+        if (latent === 'dehumidification' && latentPower < 0) powers.dehumidification = -latentPower;
+        return powers;
+    }
+
+    /**
+     * Actions bringing an air state back into the comfort range, and their common target.
+     *
+     * La cible est la consigne idéale : la température est ramenée à la borne franchie,
+     * puis l'humidité est jugée à cette température. Texte d'action, puissances, débit
+     * d'eau et transition partent tous de cette même cible.
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @returns {{sensible: string|null, latent: string|null, target: {temp: number, humidity: number}}}
+     *   `heating` or `cooling`, `humidification` or `dehumidification`, and the ideal setpoint
+     */
+    _comfortActions(temp, humidity, comfortRange) {
+        const target = this._psychro.calculateIdealSetpoint(temp, humidity, comfortRange);
+        let sensible = null;
+        if (temp < comfortRange.tempMin) sensible = 'heating';
+        else if (temp > comfortRange.tempMax) sensible = 'cooling';
+        const targetTemp = Math.min(comfortRange.tempMax, Math.max(comfortRange.tempMin, temp));
+        const humidityAtTarget = this._psychro.calculateRelativeHumidityAt(temp, humidity, targetTemp);
+        let latent = null;
+        if (humidityAtTarget < comfortRange.rhMin) latent = 'humidification';
+        else if (humidityAtTarget > comfortRange.rhMax) latent = 'dehumidification';
+        return { sensible, latent, target };
+    }
+
+    /**
+     * Surface temperature entities of a point: a list, or a single entity in YAML.
+     * @param {Object} point - Point configuration
+     * @returns {string[]} Entity IDs
+     */
+    _surfaceEntityIds(point) {
+        return [].concat(point.surfaces ?? []).filter(id => this._isEntityId(id));
+    }
+
+    /**
+     * Condensation check of each surface a point references.
+     *
+     * Une sonde indisponible est omise, comme pour les grandeurs du point.
+     * @param {Object} point - Point configuration
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Air relative humidity in %
+     * @returns {Array<Object>} { entityId, label, temp, margin, surfaceHumidity, status }
+     */
+    _describeSurfaces(point, temp, humidity) {
+        return this._surfaceEntityIds(point).map(entityId => {
+            const entity = this.hass.states[entityId];
+            const reading = parseFloat(entity?.state);
+            if (!Number.isFinite(reading)) return null;
+            const surfaceTemp = this.toInternalTemp(reading);
+            return {
+                entityId,
+                label: entity.attributes?.friendly_name || entityId,
+                temp: surfaceTemp,
+                ...this._psychro.calculateSurfaceCondensation(temp, humidity, surfaceTemp),
+            };
+        }).filter(surface => surface !== null);
+    }
+
     /**
      * Home Assistant replaces `hass` on every state change of *any* entity in the
      * installation. Without this gate the whole chart would be recomputed and
@@ -728,13 +1292,37 @@ class PsychrometricChartEnhanced extends LitElement {
      * @param {Map} changedProperties - Map of changed properties
      */
     willUpdate(changedProperties) {
-        if (changedProperties.has('hass') || changedProperties.has('config') || !this._currentPoints) {
+        if (changedProperties.has('hass') || changedProperties.has('config')) {
+            this._refreshOutdoorHistory();
+            this._refreshMoldHistory();
+            this._refreshTrailHistory();
+            this._refreshEnergyHistory();
+            this._refreshHeatmapHistory();
+        }
+        if (changedProperties.has('hass') || changedProperties.has('config')
+            || changedProperties.has('_outdoorDailyMeans') || changedProperties.has('_moldIndexes') || changedProperties.has('_energyTotals')
+            || changedProperties.has('_trails') || changedProperties.has('_heatmap') || !this._currentPoints) {
+            this._psychro = PsychrometricCalculations.withConditions({
+                pressure: this._resolvePressure(),
+                saturation: this.config?.saturationFormula,
+            });
+            // L'unité doit être connue avant toute conversion, bornes de confort comprises.
+            if (this.hass && this._temperatureUnit === null) {
+                this._temperatureUnit = this.detectTemperatureUnit(this.hass);
+            }
+            this._currentComfortRange = this._comfortRange();
+            // Rejoués avant les points, qui affichent leur énergie et leur temps en confort.
+            this._integrateEnergyHistory();
+            this._evaluateHeatmapHistory();
             this._currentPoints = this._calculatePoints();
+            this._currentProcesses = this._calculateProcesses(this._currentPoints);
+            this._currentHrv = this._calculateHrv(this._currentPoints);
         }
         // Masquer le graphique retire le canvas sous le curseur : sans cela, une
         // infobulle ouverte à cet instant resterait affichée faute de `mouseleave`.
-        if (changedProperties.has('config') && this.config?.showChart === false && this._hoveredPoint) {
+        if (changedProperties.has('config') && this.config?.showChart === false && (this._hoveredPoint || this._cursorState)) {
             this._hoveredPoint = null;
+            this._cursorState = null;
         }
     }
 
@@ -744,7 +1332,8 @@ class PsychrometricChartEnhanced extends LitElement {
      * @param {Map} changedProperties - Map of changed properties
      */
     updated(changedProperties) {
-        if (changedProperties.has('hass') || changedProperties.has('config')
+        if (changedProperties.has('hass') || changedProperties.has('config') || changedProperties.has('_outdoorDailyMeans')
+            || changedProperties.has('_trails') || changedProperties.has('_heatmap') || changedProperties.has('_view')
             || changedProperties.has('_canvasWidth') || changedProperties.has('_canvasHeight')) {
             this._drawChart();
         }
@@ -841,8 +1430,22 @@ class PsychrometricChartEnhanced extends LitElement {
             comfort: resolve('comfortColor', dark ? 'rgba(100, 200, 100, 0.3)' : 'rgba(144, 238, 144, 0.5)'),
             enthalpy: resolve('enthalpyColor', dark ? 'rgba(255, 165, 0, 0.7)' : 'rgba(255, 99, 71, 0.7)'),
             wetBulb: dark ? 'rgba(0, 255, 255, 0.4)' : 'rgba(0, 100, 255, 0.4)',
+            specificVolume: resolve('specificVolumeColor', dark ? 'rgba(186, 104, 200, 0.6)' : 'rgba(123, 31, 162, 0.5)'),
+            dewPoint: resolve('dewPointColor', dark ? 'rgba(77, 208, 225, 0.6)' : 'rgba(0, 131, 143, 0.5)'),
+            absoluteHumidity: resolve('absoluteHumidityColor', dark ? 'rgba(174, 213, 129, 0.6)' : 'rgba(85, 139, 47, 0.5)'),
             saturation: dark ? 'rgba(80, 180, 255, 0.9)' : 'rgba(30, 144, 255, 0.8)',
             pointOutline: dark ? '#ffffff' : '#000000',
+            process: dark ? '#ffb74d' : '#e65100',
+            condensation: dark ? '#ef5350' : '#c62828',
+            condensationRisk: dark ? '#ffa726' : '#ef6c00',
+            hrv: dark ? '#4db6ac' : '#00796b',
+            ventilate: dark ? '#66bb6a' : '#2e7d32',
+            keepClosed: dark ? '#ef5350' : '#c62828',
+            sensibleHeat: dark ? '#ef5350' : '#e53935',
+            sensibleCool: dark ? '#42a5f5' : '#1e88e5',
+            latentAdd: dark ? '#4dd0e1' : '#00acc1',
+            latentRemove: dark ? '#ba68c8' : '#8e24aa',
+            heatmap: dark ? '#ff7043' : '#d84315',
         };
     }
 
@@ -939,217 +1542,1156 @@ class PsychrometricChartEnhanced extends LitElement {
     }
 
     /**
-     * Check if a point is within the comfort zone.
-     * @param {number} temp - Temperature in Celsius
-     * @param {number} humidity - Humidity in %
-     * @param {Object} comfortRange - Comfort range definition
-     * @returns {boolean} True if in comfort zone
+     * Unit system of the derived quantities, 'si' unless configured.
+     * @returns {string} One of UNIT_SYSTEMS
      */
-    isInComfortZone(temp, humidity, comfortRange) {
-        return (
-            temp >= comfortRange.tempMin &&
-            temp <= comfortRange.tempMax &&
-            humidity >= comfortRange.rhMin &&
-            humidity <= comfortRange.rhMax
-        );
+    _unitSystem() {
+        return UNIT_SYSTEMS.includes(this.config?.unitSystem) ? this.config.unitSystem : 'si';
     }
 
     /**
-     * Describe *why* a point sits outside the comfort zone.
-     * Temperature takes precedence over humidity, being the dominant sensation.
-     * @param {number} temp - Temperature in Celsius
-     * @param {number} humidity - Humidity in %
-     * @param {Object} comfortRange - Comfort range definition
-     * @returns {string} Translation key describing the comfort status
+     * Format a derived quantity in the configured unit system.
+     * @param {string} quantity - Quantity key ('enthalpy', 'humidityRatio', 'power', …)
+     * @param {number} value - Value in SI units (humidity ratio in g/kg)
+     * @param {number} [decimals=1] - Number of decimal places
+     * @param {Object} [options]
+     * @param {boolean} [options.signed=false] - Value is a difference, shown with its sign
+     * @returns {string} Formatted value with unit
      */
-    getComfortStatus(temp, humidity, comfortRange) {
-        if (this.isInComfortZone(temp, humidity, comfortRange)) return 'comfortOptimal';
-        if (temp > comfortRange.tempMax) return 'comfortTooHot';
-        if (temp < comfortRange.tempMin) return 'comfortTooCold';
-        if (humidity > comfortRange.rhMax) return 'comfortTooHumid';
-        if (humidity < comfortRange.rhMin) return 'comfortTooDry';
-        return 'outOfComfort';
+    formatQuantity(quantity, value, decimals = 1, { signed = false } = {}) {
+        const converted = this._psychro.convertUnit(quantity, value, this._unitSystem(), signed);
+        const text = signed ? this._signed(converted.value, decimals) : converted.value.toFixed(decimals);
+        return `${text} ${converted.unit}`;
     }
 
     /**
-     * Get color for mold risk level.
-     * @param {number} riskLevel - Risk level (0-6)
-     * @param {boolean} darkMode - Whether dark mode is enabled
-     * @returns {string} Color hex code
+     * Format a signed number, with an explicit plus sign for positive values.
+     * @param {number} value - Value
+     * @param {number} [decimals=1] - Number of decimal places
+     * @returns {string}
      */
-    getMoldRiskColor(riskLevel, darkMode) {
-        const colors = darkMode ?
-            ["#4CAF50", "#8BC34A", "#CDDC39", "#FFEB3B", "#FFC107", "#FF9800", "#FF5722"] :
-            ["#2E7D32", "#558B2F", "#9E9D24", "#F9A825", "#EF6C00", "#E65100", "#C62828"];
-        return colors[Math.min(Math.floor(riskLevel), 6)];
+    _signed(value, decimals = 1) {
+        return (value > 0 ? '+' : '') + value.toFixed(decimals);
     }
 
     /**
-     * Get text description for mold risk level.
-     * @param {number} riskLevel - Risk level (0-6)
-     * @returns {string} Localized risk description
+     * Format a temperature difference for display with unit.
+     * @param {number} deltaC - Difference in kelvins
+     * @param {number} [decimals=1] - Number of decimal places
+     * @returns {string} Formatted difference
      */
-    getMoldRiskText(riskLevel) {
-        const keys = ['moldRiskNone', 'moldRiskVeryLow', 'moldRiskLow', 'moldRiskModerate', 'moldRiskHigh', 'moldRiskVeryHigh', 'moldRiskCritical'];
-        return this.t(keys[Math.min(Math.floor(riskLevel), 6)]);
+    formatTempDelta(deltaC, decimals = 1) {
+        if (this._temperatureUnit === '°F') {
+            return (deltaC * 1.8).toFixed(decimals) + '°F';
+        }
+        return deltaC.toFixed(decimals) + '°C';
     }
 
     /**
-     * Calculate all psychrometric properties for configured points.
-     * @returns {Array} List of calculated point objects
+     * Whether a config value designates an entity rather than a constant.
+     * @param {*} value - Raw config value
+     * @returns {boolean} True for an entity ID such as `sensor.barometer`
      */
-    _calculatePoints() {
-        if (!this.hass || !this.config || !this.config.points) return [];
+    _isEntityId(value) {
+        return PsychrometricCalculations.isEntityId(value);
+    }
 
-        if (this._temperatureUnit === null) {
-            this._temperatureUnit = this.detectTemperatureUnit(this.hass);
-        }
+    /**
+     * Whether `pressure` is configured as a fixed value.
+     * @param {*} value - Raw `pressure` option
+     * @returns {boolean} True for a number, or a numeric string
+     */
+    _isFixedPressure(value) {
+        return value !== undefined && value !== null && value !== '' && !this._isEntityId(value);
+    }
 
-        return this.config.points.map(point => {
-            const tempState = this.hass.states[point.temp];
-            const humState = this.hass.states[point.humidity];
+    /**
+     * Atmospheric pressure the calculations run at.
+     *
+     * Ordre de priorité : `pressure` (valeur fixe ou baromètre), puis `elevation`
+     * (altitude en mètres, ou `auto` pour celle déclarée dans Home Assistant), puis la
+     * pression normale au niveau de la mer. Un baromètre indisponible retombe sur
+     * l'altitude plutôt que de rendre tous les points invalides.
+     * @returns {number} Pressure in kPa
+     */
+    _resolvePressure() {
+        const { pressure, elevation } = this.config || {};
+
+        if (this._isEntityId(pressure)) {
+            const state = this.hass?.states?.[pressure.trim()];
+            const value = parseFloat(state?.state);
+            if (Number.isFinite(value) && value > 0) {
+                return PsychrometricCalculations.toKilopascals(value, state.attributes?.unit_of_measurement);
+            }
+        } else if (this._isFixedPressure(pressure)) {
+            const value = parseFloat(pressure);
+            if (value > 0) return PsychrometricCalculations.toKilopascals(value);
+        }
 
-            if (!tempState || !humState) return null;
+        const altitude = elevation === 'auto' ? this.hass?.config?.elevation : parseFloat(elevation);
+        if (Number.isFinite(altitude)) return PsychrometricCalculations.pressureFromAltitude(altitude);
 
-            const tempRaw = parseFloat(tempState.state);
-            const humidityRaw = parseFloat(humState.state);
+        return PsychrometricCalculations.ATMOSPHERIC_PRESSURE;
+    }
 
-            // Un capteur en 'unavailable' / 'unknown' donne NaN : sans cette garde le
-            // NaN se propage dans tous les calculs et s'affiche tel quel sur la carte.
-            if (!Number.isFinite(tempRaw) || !Number.isFinite(humidityRaw)) return null;
+    /**
+     * Comfort range applied to every point, in Celsius.
+     *
+     * En mode adaptatif, les bornes de température viennent de la moyenne glissante
+     * de la température extérieure (historique du point extérieur, à défaut sa valeur
+     * courante) ; les bornes d'humidité restent celles de `comfortRange`, les modèles
+     * adaptatifs n'en fixant pas. Tant qu'aucune température extérieure n'est connue,
+     * la zone fixe s'applique. En mode PMV, voir `_pmvComfortRange`.
+     * @returns {Object} { tempMin, tempMax, rhMin, rhMax, adaptive?, pmv?, region? }
+     */
+    _comfortRange() {
+        const range = this.config?.comfortRange ? {
+            tempMin: this.toInternalTemp(this.config.comfortRange.tempMin),
+            tempMax: this.toInternalTemp(this.config.comfortRange.tempMax),
+            rhMin: this.config.comfortRange.rhMin,
+            rhMax: this.config.comfortRange.rhMax
+        } : { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+        if (this.config?.comfortModel === 'pmv') return this._pmvComfortRange(range);
+        if (this.config?.comfortModel !== 'adaptive' || !this.hass) return range;
 
-            const temp = this.toInternalTemp(tempRaw);
-            // Une humidité nulle rendrait le point de rosée infini (log(0)).
-            const humidity = Math.min(100, Math.max(0.01, humidityRaw));
+        const { outdoorPoint, standard = 'en16798', category } = this.config.adaptiveComfort ?? {};
+        const outdoor = this.config.points?.find(point => point.label === outdoorPoint);
+        if (!outdoor) return range;
 
-            const comfortRange = this.config.comfortRange ? {
-                tempMin: this.toInternalTemp(this.config.comfortRange.tempMin),
-                tempMax: this.toInternalTemp(this.config.comfortRange.tempMax),
-                rhMin: this.config.comfortRange.rhMin,
-                rhMax: this.config.comfortRange.rhMax
-            } : { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+        const history = this._outdoorDailyMeans?.entityId === outdoor.temp ? this._outdoorDailyMeans.means : [];
+        const runningMean = PsychrometricCalculations.calculateRunningMeanTemperature(history)
+            ?? this._psychro.solveState(this._pointReadings(outdoor))?.temp;
+        if (!Number.isFinite(runningMean)) return range;
 
-            const { massFlowRate = 0.5 } = this.config;
+        const model = ADAPTIVE_COMFORT_STANDARDS[standard] ?? ADAPTIVE_COMFORT_STANDARDS.en16798;
+        const selected = model.categories[category] ? String(category) : model.defaultCategory;
+        const band = PsychrometricCalculations.calculateAdaptiveComfort(runningMean, standard, selected);
+        return {
+            ...range,
+            tempMin: band.tempMin,
+            tempMax: band.tempMax,
+            adaptive: {
+                runningMean,
+                category: selected,
+                bands: Object.keys(model.categories).map(key => ({
+                    category: key,
+                    ...PsychrometricCalculations.calculateAdaptiveComfort(runningMean, standard, key),
+                })),
+            },
+        };
+    }
 
-            // Calculations
-            let action = "";
-            let power = 0;
-            let heatingPower = 0;
-            let coolingPower = 0;
-            let humidificationPower = 0;
-            let dehumidificationPower = 0;
+    /**
+     * PMV comfort range: the chart region where |PMV| ≤ 0.5 between the humidity bounds.
+     *
+     * `tempMin` / `tempMax`, qui servent à la consigne idéale et aux puissances, sont
+     * pris à l'humidité médiane de la zone ; le verdict de confort évalue, lui, le PMV
+     * du point lui-même (voir isInComfortZone).
+     * @param {Object} range - Fixed comfort range, for its humidity bounds
+     * @returns {Object} Comfort range carrying the PMV parameters and the region polygon
+     */
+    _pmvComfortRange(range) {
+        const options = this._pmvOptions();
+        const region = this._psychro.calculatePMVComfortRegion(options, range.rhMin, range.rhMax);
+        if (!region) return range;
+        const rh = (range.rhMin + range.rhMax) / 2;
+        return {
+            ...range,
+            tempMin: this._psychro.calculatePMVTemperature(-0.5, rh, options),
+            tempMax: this._psychro.calculatePMVTemperature(0.5, rh, options),
+            pmv: options,
+            region,
+        };
+    }
 
-            if (temp < comfortRange.tempMin) {
-                action = this.t('warm');
-                heatingPower = PsychrometricCalculations.calculateHeatingPower(temp, comfortRange.tempMin, massFlowRate);
-                power += heatingPower;
-            } else if (temp > comfortRange.tempMax) {
-                action = this.t('cool');
-                coolingPower = PsychrometricCalculations.calculateCoolingPower(temp, comfortRange.tempMax, massFlowRate);
-                power += coolingPower;
-            }
+    /**
+     * PMV parameters of a point: its own `pmv` settings, then the card's, then defaults.
+     *
+     * Chaque paramètre est une constante ou une entité (sonde de globe pour `tr`,
+     * anémomètre pour `vel`…) ; une entité indisponible laisse la main au niveau
+     * suivant. Sans habillement configuré, la valeur de saison s'applique. Sans `tr`,
+     * la température radiante suit celle de l'air.
+     * @param {Object} [point] - Point configuration, omitted for the card-level parameters
+     * @returns {Object} Options for calculatePMV
+     */
+    _pmvOptions(point) {
+        const options = {};
+        for (const key of ['clo', 'met', 'vel', 'tr']) {
+            const value = this._pmvInput(key, point?.pmv?.[key]) ?? this._pmvInput(key, this.config?.pmv?.[key]);
+            if (value !== null) options[key] = value;
+        }
+        options.clo ??= PsychrometricCalculations.seasonalClothing(new Date(), this.hass?.config?.latitude < 0);
+        return options;
+    }
 
-            if (humidity < comfortRange.rhMin) {
-                action = action ? action + " " + this.t('andHumidify') : this.t('humidification');
-                humidificationPower = PsychrometricCalculations.calculateHumidityPower(temp, humidity, comfortRange.rhMin, massFlowRate);
-                power += humidificationPower;
-            } else if (humidity > comfortRange.rhMax) {
-                action = action ? action + " " + this.t('andDehumidify') : this.t('dehumidification');
-                dehumidificationPower = PsychrometricCalculations.calculateHumidityPower(temp, humidity, comfortRange.rhMax, massFlowRate);
-                power += dehumidificationPower;
-            }
-
-            const dewPoint = PsychrometricCalculations.calculateDewPoint(temp, humidity);
-            const waterContent = PsychrometricCalculations.calculateWaterContent(temp, humidity);
-            const enthalpy = PsychrometricCalculations.calculateEnthalpy(temp, waterContent);
-            const absoluteHumidity = PsychrometricCalculations.calculateAbsoluteHumidity(temp, humidity);
-            const wetBulbTemp = PsychrometricCalculations.calculateWetBulbTemp(temp, humidity);
-            const specificVolume = PsychrometricCalculations.calculateSpecificVolume(temp, humidity);
-            const moldRisk = PsychrometricCalculations.calculateMoldRisk(temp, humidity);
-            const pmv = PsychrometricCalculations.calculatePMV(temp, humidity);
-            const apparentTemp = PsychrometricCalculations.calculateApparentTemperature(temp, humidity);
-            const idealSetpoint = PsychrometricCalculations.calculateIdealSetpoint(temp, humidity, comfortRange);
-
-            // Normalisation en hex : le dessin concatène `color + '40'` pour le halo et
-            // le rendu interpole `${color}15` dans un dégradé — un rgba() hérité d'une
-            // ancienne config y produirait une couleur invalide, silencieusement ignorée.
-            const rawColor = point.color || PsychrometricCalculations.generateColorFromHash(`${point.temp}_${point.humidity}`);
-            const color = PsychrometricCalculations.rgbToHex(PsychrometricCalculations.colorToRgb(rawColor));
+    /**
+     * UTCI inputs of a point: its own `utci` settings, then the card's.
+     *
+     * Vent et température radiante sont des constantes ou des entités, lues comme la
+     * vitesse d'air et la température radiante du PMV. Sans `tr` dédiée, celle du PMV
+     * sert ; sans vent, calculateUTCI retient le minimum de l'indice.
+     * @param {Object} point - Point configuration
+     * @param {Object} pmvOptions - PMV parameters of the point
+     * @returns {{windSpeed: (number|undefined), tr: (number|undefined)}} Options for calculateUTCI
+     */
+    _utciOptions(point, pmvOptions) {
+        const windSpeed = this._pmvInput('vel', point?.utci?.windSpeed) ?? this._pmvInput('vel', this.config?.utci?.windSpeed);
+        const tr = this._pmvInput('tr', point?.utci?.tr) ?? this._pmvInput('tr', this.config?.utci?.tr) ?? pmvOptions.tr;
+        return { windSpeed: windSpeed ?? undefined, tr };
+    }
 
-            return {
-                temp, humidity, action, power, heatingPower, coolingPower, humidificationPower, dehumidificationPower,
-                dewPoint, waterContent, enthalpy, absoluteHumidity, wetBulbTemp, specificVolume, moldRisk, pmv, apparentTemp, idealSetpoint,
-                color,
-                label: point.label || `${point.temp} & ${point.humidity}`,
-                icon: point.icon || "mdi:thermometer",
-                inComfortZone: this.isInComfortZone(temp, humidity, comfortRange),
-                comfortStatus: this.getComfortStatus(temp, humidity, comfortRange),
-                tempEntityId: point.temp,
-                humidityEntityId: point.humidity,
-                details: point.details // Pass through details config
-            };
-        }).filter(p => p !== null);
+    /**
+     * Read one PMV parameter, constant or entity, in the unit calculatePMV expects.
+     * @param {string} key - 'clo', 'met', 'vel' or 'tr'
+     * @param {number|string} value - Configured constant or entity ID
+     * @returns {number|null} Value (clo, met, m/s, °C), null when unset or unavailable
+     */
+    _pmvInput(key, value) {
+        if (value === undefined || value === null || value === '') return null;
+        let reading = parseFloat(value);
+        let unit;
+        if (this._isEntityId(value)) {
+            const entity = this.hass?.states[value];
+            reading = parseFloat(entity?.state);
+            unit = entity?.attributes?.unit_of_measurement;
+        }
+        if (!Number.isFinite(reading)) return null;
+        if (key === 'tr') return this.toInternalTemp(reading);
+        if (key === 'vel') return PsychrometricCalculations.toMetersPerSecond(reading, unit);
+        return reading;
     }
 
     /**
-     * Calculate chart boundaries based on config.
-     * @returns {Object} Bounds object { minTemp, maxTemp, minHum, maxHum, maxPv }
+     * Fetch the outdoor temperature history behind the adaptive running mean.
+     *
+     * Sept jours civils suffisent : avec α = 0.8, le huitième pèserait moins de 5 %.
+     * Les moyennes journalières ne bougent qu'une fois par jour, d'où une requête au
+     * plus par heure et par entité, le reste des cycles réutilisant le résultat.
      */
-    _resolveBounds(config) {
-        /**
-         * Reads one numeric bound, falling back to the default when absent or unparseable.
-         * @param {*} value - Raw config value
-         * @param {number} fallback - Default bound
-         * @returns {number} Resolved bound
-         */
-        const read = (value, fallback) => {
-            if (value === undefined || value === null || value === '') return fallback;
-            const parsed = parseFloat(value);
-            return Number.isFinite(parsed) ? parsed : fallback;
-        };
+    async _refreshOutdoorHistory() {
+        if (this.config?.comfortModel !== 'adaptive' || !this.hass?.callApi) return;
+        const { outdoorPoint } = this.config.adaptiveComfort ?? {};
+        const entityId = this.config.points?.find(point => point.label === outdoorPoint)?.temp;
+        if (!entityId) return;
+
+        const now = Date.now();
+        const last = this._outdoorHistoryRequest;
+        if (last?.entityId === entityId && now - last.time < 60 * 60 * 1000) return;
+        this._outdoorHistoryRequest = { entityId, time: now };
+
+        const endTime = new Date(now);
+        const startTime = new Date(endTime);
+        startTime.setHours(0, 0, 0, 0);
+        startTime.setDate(startTime.getDate() - 7);
 
-        return {
-            minTemp: read(config?.zoom_temp_min, -10),
-            maxTemp: read(config?.zoom_temp_max, 50),
-            minHum: read(config?.zoom_humidity_min, 0),
-            maxHum: read(config?.zoom_humidity_max, 100),
-        };
+        try {
+            // Le filtre « changement significatif » suffit ici : il ne déplace les
+            // moyennes journalières que de quelques centièmes de degré.
+            const url = `history/period/${startTime.toISOString()}`
+                + `?filter_entity_id=${encodeURIComponent(entityId)}`
+                + `&end_time=${encodeURIComponent(endTime.toISOString())}`
+                + `&minimal_response&no_attributes`;
+            const response = await this.hass.callApi('GET', url);
+            // Les états sont dans l'unité d'affichage, comme pour la modale d'historique.
+            const samples = (response?.[0] ?? [])
+                .map(entry => ({ time: new Date(entry.last_changed).getTime(), value: parseFloat(entry.state) }))
+                .filter(sample => Number.isFinite(sample.value))
+                .map(sample => ({ ...sample, value: this.toInternalTemp(sample.value) }));
+            this._outdoorDailyMeans = {
+                entityId,
+                means: PsychrometricCalculations.timeWeightedDailyMeans(samples, endTime, 7),
+            };
+        } catch (error) {
+            // Sans historique, la valeur extérieure courante tient lieu de moyenne glissante.
+            console.error('Outdoor history error:', error);
+        }
     }
 
     /**
-     * Calculate chart boundaries based on config.
-     * The Y axis maps vapor pressure, so the humidity bounds are converted into a
-     * pressure window taken at `maxTemp` — the warmest column of the chart.
-     * @returns {Object} Bounds object { minTemp, maxTemp, minHum, maxHum, minPv, maxPv }
+     * Clé d'un point dans les résultats tirés de l'historique (`_moldIndexes`,
+     * `_energyTotals`, `_trails`, `_heatmap`) : la paire d'entités dont l'historique est lu.
+     * @param {Object} point - Point configuration
+     * @returns {string}
      */
-    _calculateChartBounds() {
-        const { minTemp, maxTemp, minHum, maxHum } = this._resolveBounds(this.config);
+    _historyKey(point) {
+        return `${point.temp}|${point.humidity}`;
+    }
 
-        const P_sat_max = PsychrometricCalculations.calculateSaturationPressure(maxTemp);
-        const minPv = (minHum / 100) * P_sat_max;
-        const maxPv = (maxHum / 100) * P_sat_max;
+    /**
+     * Points whose state history can be replayed: defined by a temperature entity and
+     * a humidity entity, the two quantities the recorder keeps for them.
+     * @returns {Array<Object>} Point configurations
+     */
+    _historyPoints() {
+        return (this.config?.points ?? []).filter(point => this._isEntityId(point.temp) && this._isEntityId(point.humidity));
+    }
 
-        return { minTemp, maxTemp, minHum, maxHum, minPv, maxPv };
+    /**
+     * Fetch the history of several entities, resampled at a fixed step.
+     *
+     * Avec minimal_response, seul le premier état de chaque série porte l'entity_id.
+     * Les valeurs restent dans l'unité de l'entité.
+     * @param {string[]} entityIds - Entities to fetch
+     * @param {number} start - Start of the range (ms)
+     * @param {number} end - End of the range (ms), excluded from the resampling
+     * @param {number} step - Resampling step (ms)
+     * @returns {Promise<Object<string, Array<number|null>>>} Resampled values by entity
+     */
+    async _fetchResampledHistory(entityIds, start, end, step) {
+        const url = `history/period/${new Date(start).toISOString()}`
+            + `?filter_entity_id=${encodeURIComponent(entityIds.join(','))}`
+            + `&end_time=${encodeURIComponent(new Date(end).toISOString())}`
+            + `&minimal_response&no_attributes`;
+        const response = await this.hass.callApi('GET', url);
+        const series = {};
+        for (const history of response ?? []) {
+            const entityId = history[0]?.entity_id;
+            if (!entityId) continue;
+            series[entityId] = PsychrometricCalculations.resampleHistory(
+                history
+                    .map(entry => ({ time: new Date(entry.last_changed).getTime(), value: parseFloat(entry.state) }))
+                    .filter(sample => Number.isFinite(sample.value)),
+                start, end, step);
+        }
+        return series;
     }
 
     /**
-     * Draw the psychrometric chart on the canvas.
+     * Past states of a point, paired step by step from its resampled history.
+     * @param {Object} point - Point configuration
+     * @param {Object} series - Output of _fetchResampledHistory
+     * @returns {Array<{temp: number, humidity: number}|null>|null} States, null where a sensor is unknown; null without history
      */
-    _drawChart() {
-        const canvas = this.shadowRoot.getElementById('psychroChart');
-        if (!canvas) return;
+    _historyStates(point, series) {
+        const temps = series[point.temp];
+        const humidities = series[point.humidity];
+        if (!temps || !humidities) return null;
+        return temps.map((temp, i) => (temp !== null && humidities[i] !== null
+            ? { temp: this.toInternalTemp(temp), humidity: Math.min(100, Math.max(0.01, humidities[i])) }
+            : null));
+    }
 
-        const ctx = canvas.getContext("2d");
-        const width = this._canvasWidth;
-        const height = this._canvasHeight;
+    /**
+     * Fetch temperature and humidity history of the points showing the mold index.
+     *
+     * Seuls les points définis par une sonde de température et une d'humidité sont
+     * concernés : l'isoplèthe porte sur ces deux grandeurs. Les deux historiques sont
+     * rééchantillonnés à l'heure puis appariés. L'indice n'évolue qu'à l'échelle de
+     * l'heure, d'où une requête au plus par heure pour une même configuration.
+     */
+    async _refreshMoldHistory() {
+        if (!this.hass?.callApi) return;
+        const points = this._historyPoints().filter(point => this._shouldShowField(point, 'moldIndex'));
+        if (!points.length) return;
+
+        const days = this.config.moldIndexDays ?? 14;
+        const entityIds = [...new Set(points.flatMap(point => [point.temp, point.humidity]))];
+        const signature = `${days}:${entityIds.join(',')}`;
+        const now = Date.now();
+        const last = this._moldHistoryRequest;
+        if (last?.signature === signature && now - last.time < 60 * 60 * 1000) return;
+        this._moldHistoryRequest = { signature, time: now };
+
+        const hour = 60 * 60 * 1000;
+        const end = Math.floor(now / hour) * hour;
+        const start = end - days * 24 * hour;
 
-        // Rendu net sur écrans HiDPI : le canvas travaille en pixels physiques,
-        // la transformation ramène toutes les coordonnées de dessin en pixels CSS.
+        try {
+            const series = await this._fetchResampledHistory(entityIds, start, end, hour);
+            const indexes = {};
+            for (const point of points) {
+                const states = this._historyStates(point, series);
+                if (!states) continue;
+                indexes[this._historyKey(point)] = { ...PsychrometricCalculations.calculateMoldIndex(states), days };
+            }
+            this._moldIndexes = indexes;
+        } catch (error) {
+            // Sans historique, seul le risque instantané reste affiché.
+            console.error('Mold history error:', error);
+        }
+    }
+
+    /**
+     * Duration and sampling step of the state trails.
+     * @returns {{hours: number, minutes: number}} Hours of history, minutes between two trail samples
+     */
+    _trailSettings() {
+        const hours = parseFloat(this.config?.trailHours);
+        const minutes = parseFloat(this.config?.trailStep);
+        // Bornés pour que la requête et le tracé restent légers : au plus une semaine,
+        // un échantillon par minute au mieux.
+        return {
+            hours: Number.isFinite(hours) ? Math.min(168, Math.max(1, hours)) : 6,
+            minutes: Number.isFinite(minutes) ? Math.min(240, Math.max(1, minutes)) : 10,
+        };
+    }
+
+    /**
+     * Fetch the recent history of every point, for the trails drawn behind them.
+     *
+     * Températures et humidités sont rééchantillonnées au même pas puis appariées,
+     * ce qui sous-échantillonne du même coup les capteurs bavards. La fenêtre glisse
+     * d'un pas à la fois : une requête au plus par pas pour une même configuration.
+     */
+    async _refreshTrailHistory() {
+        if (this.config?.showTrails !== true || !this.hass?.callApi) return;
+        const points = this._historyPoints();
+        if (!points.length) return;
+
+        const { hours, minutes } = this._trailSettings();
+        const step = minutes * 60 * 1000;
+        const end = Math.floor(Date.now() / step) * step;
+        const entityIds = [...new Set(points.flatMap(point => [point.temp, point.humidity]))];
+        const signature = `${hours}:${minutes}:${end}:${entityIds.join(',')}`;
+        if (this._trailHistoryRequest === signature) return;
+        this._trailHistoryRequest = signature;
+
+        try {
+            const series = await this._fetchResampledHistory(entityIds, end - hours * 60 * 60 * 1000, end, step);
+            const trails = {};
+            for (const point of points) {
+                const states = this._historyStates(point, series);
+                if (states) trails[this._historyKey(point)] = states;
+            }
+            this._trails = trails;
+        } catch (error) {
+            // Sans historique, les points restent affichés sans leur trace.
+            console.error('Trail history error:', error);
+        }
+    }
+
+    /**
+     * Fetch each point's history for the time-in-zone heatmap and its time in comfort.
+     *
+     * La requête ne dépend que de la durée et des entités : une au plus par heure. La
+     * série rééchantillonnée reste en cache, et _evaluateHeatmapHistory en rejuge le
+     * confort quand la zone bouge. Pas d'un quart d'heure jusqu'à deux jours, d'une
+     * heure au-delà.
+     */
+    async _refreshHeatmapHistory() {
+        if (this.config?.showHeatmap !== true || !this.hass?.callApi) return;
+        const points = this._historyPoints();
+        if (!points.length) return;
+
+        const parsedDays = parseFloat(this.config.heatmapDays);
+        const days = Number.isFinite(parsedDays) ? Math.min(60, Math.max(1, parsedDays)) : 7;
+        const entityIds = [...new Set(points.flatMap(point => [point.temp, point.humidity]))];
+        const signature = `${days}:${entityIds.join(',')}`;
+        const now = Date.now();
+        const last = this._heatmapHistoryRequest;
+        if (last?.signature === signature && now - last.time < 60 * 60 * 1000) return;
+        this._heatmapHistoryRequest = { signature, time: now };
+
+        const hour = 60 * 60 * 1000;
+        const step = days <= 2 ? hour / 4 : hour;
+        const end = Math.floor(now / step) * step;
+        const start = end - days * 24 * hour;
+
+        try {
+            const series = await this._fetchResampledHistory(entityIds, start, end, step);
+            const states = {};
+            for (const point of points) {
+                const pointStates = this._historyStates(point, series);
+                if (pointStates) states[this._historyKey(point)] = pointStates.filter(Boolean);
+            }
+            this._heatmapHistory = { days, stepHours: step / hour, points, states };
+            this._evaluateHeatmapHistory();
+        } catch (error) {
+            // Sans historique, la carte garde son affichage instantané.
+            console.error('Heatmap history error:', error);
+        }
+    }
+
+    /**
+     * Judge the cached heatmap history against the current comfort zone.
+     *
+     * Le temps en confort est jugé avec la zone actuelle et, en mode PMV, avec les
+     * paramètres du point, comme son verdict courant. Rien n'est refait tant que
+     * l'historique et ces zones sont inchangés.
+     */
+    _evaluateHeatmapHistory() {
+        const history = this._heatmapHistory;
+        const comfortRange = this._currentComfortRange;
+        if (!history || !comfortRange) return;
+        const ranges = history.points.map(point => (comfortRange.pmv ? { ...comfortRange, pmv: this._pmvOptions(point) } : comfortRange));
+        const key = JSON.stringify(ranges);
+        if (this._heatmapEvaluation?.history === history && this._heatmapEvaluation.key === key) return;
+        this._heatmapEvaluation = { history, key };
+
+        const { days, stepHours } = history;
+        const heatmapPoints = {};
+        history.points.forEach((point, i) => {
+            const known = history.states[this._historyKey(point)];
+            if (!known) return;
+            const inside = known.filter(state => this.isInComfortZone(state.temp, state.humidity, ranges[i])).length;
+            heatmapPoints[this._historyKey(point)] = {
+                states: known,
+                comfort: known.length
+                    ? { percent: (inside / known.length) * 100, hours: inside * stepHours, total: known.length * stepHours, days }
+                    : null,
+            };
+        });
+        this._heatmap = { stepHours, points: heatmapPoints };
+    }
+
+    /**
+     * Fetch each point's history for its energy and cost over the configured period.
+     *
+     * La requête ne dépend que de la configuration et de l'heure : une au plus par
+     * heure. La zone de confort, elle, bouge avec les capteurs (PMV, mode adaptatif) ;
+     * l'historique reste en cache et _integrateEnergyHistory le rejoue localement.
+     * Pas d'un quart d'heure sur une journée, d'une heure au-delà.
+     */
+    async _refreshEnergyHistory() {
+        const energy = this.config?.energy;
+        if (!energy || !this.hass?.callApi) return;
+        const points = this._historyPoints();
+        if (!points.length) return;
+
+        const days = ENERGY_PERIODS[energy.period] ?? ENERGY_PERIODS.day;
+        const priceEntity = this._isEntityId(energy.price) ? energy.price : null;
+        const entityIds = [...new Set([...points.flatMap(point => [point.temp, point.humidity]), ...(priceEntity ? [priceEntity] : [])])];
+        const signature = `${JSON.stringify(energy)}:${entityIds.join(',')}`;
+        const now = Date.now();
+        const last = this._energyHistoryRequest;
+        if (last?.signature === signature && now - last.time < 60 * 60 * 1000) return;
+        this._energyHistoryRequest = { signature, time: now };
+
+        const hour = 60 * 60 * 1000;
+        const step = days === 1 ? hour / 4 : hour;
+        const end = Math.floor(now / step) * step;
+        const start = end - days * 24 * hour;
+
+        try {
+            const series = await this._fetchResampledHistory(entityIds, start, end, step);
+            this._energyHistory = { energy, points, priceEntity, step, series };
+            this._integrateEnergyHistory();
+        } catch (error) {
+            // Sans historique, seule la puissance instantanée reste affichée.
+            console.error('Energy history error:', error);
+        }
+    }
+
+    /**
+     * Integrate each point's action powers over the cached history, into energy and cost.
+     *
+     * Les puissances passées sont recalculées comme la puissance courante, avec la zone
+     * de confort actuelle. Le prix suit l'historique de son entité quand c'en est une,
+     * la valeur courante comblant le début de la fenêtre s'il manque. Rien n'est refait
+     * tant que l'historique, la zone et le prix courant sont inchangés.
+     */
+    _integrateEnergyHistory() {
+        const history = this._energyHistory;
+        const comfortRange = this._currentComfortRange;
+        if (!history || !comfortRange) return;
+        const currentPrice = this._energyPrice();
+        const key = `${JSON.stringify(comfortRange)}:${currentPrice}`;
+        if (this._energyIntegration?.history === history && this._energyIntegration.key === key) return;
+        this._energyIntegration = { history, key };
+
+        const { energy, points, priceEntity, step, series } = history;
+        const efficiencies = {
+            heating: energy.heatingCop,
+            cooling: energy.coolingEer,
+            humidification: energy.humidificationCop,
+            dehumidification: energy.dehumidificationCop,
+        };
+        const prices = priceEntity && series[priceEntity]
+            ? series[priceEntity].map(price => price ?? currentPrice)
+            : currentPrice;
+        const hour = 60 * 60 * 1000;
+
+        const totals = {};
+        for (const point of points) {
+            const states = this._historyStates(point, series);
+            if (!states) continue;
+            const powers = states.map(state => state && this._actionPowers(
+                state.temp, state.humidity, comfortRange, this._pointMassFlow(point, state.temp, state.humidity)));
+            totals[this._historyKey(point)] = {
+                ...PsychrometricCalculations.integrateEnergy(powers, step / hour, efficiencies, prices),
+                period: ENERGY_PERIODS[energy.period] ? energy.period : 'day',
+            };
+        }
+        this._energyTotals = totals;
+    }
+
+    /**
+     * Current electricity price, from an entity or a constant.
+     * @returns {number|null} Price per kWh, null when unknown
+     */
+    _energyPrice() {
+        const price = this.config.energy?.price;
+        const value = parseFloat(this._isEntityId(price) ? this.hass.states[price]?.state : price);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Currency of the electricity price: the numerator of the price entity's unit
+     * (`EUR/kWh`), or the currency of the Home Assistant installation.
+     * @returns {string}
+     */
+    _energyCurrency() {
+        const price = this.config.energy?.price;
+        const unit = this._isEntityId(price) ? this.hass.states[price]?.attributes?.unit_of_measurement : null;
+        return unit ? unit.split('/')[0].trim() : (this.hass.config?.currency ?? '');
+    }
+
+    /**
+     * Check if a point is within the comfort zone.
+     * @param {number} temp - Temperature in Celsius
+     * @param {number} humidity - Humidity in %
+     * @param {Object} comfortRange - Comfort range definition
+     * @returns {boolean} True if in comfort zone
+     */
+    isInComfortZone(temp, humidity, comfortRange) {
+        // Zone PMV : le polygone tracé est exactement |PMV| ≤ 0.5 entre les bornes d'humidité.
+        if (comfortRange.pmv) {
+            return Math.abs(this._psychro.calculatePMV(temp, humidity, comfortRange.pmv)) <= 0.5
+                && humidity >= comfortRange.rhMin
+                && humidity <= comfortRange.rhMax;
+        }
+        return (
+            temp >= comfortRange.tempMin &&
+            temp <= comfortRange.tempMax &&
+            humidity >= comfortRange.rhMin &&
+            humidity <= comfortRange.rhMax
+        );
+    }
+
+    /**
+     * Describe *why* a point sits outside the comfort zone.
+     * Temperature takes precedence over humidity, being the dominant sensation.
+     * @param {number} temp - Temperature in Celsius
+     * @param {number} humidity - Humidity in %
+     * @param {Object} comfortRange - Comfort range definition
+     * @returns {string} Translation key describing the comfort status
+     */
+    getComfortStatus(temp, humidity, comfortRange) {
+        if (this.isInComfortZone(temp, humidity, comfortRange)) return 'comfortOptimal';
+        // En zone PMV, c'est l'indice qui dit trop chaud ou trop froid, pas la température seule.
+        const pmv = comfortRange.pmv ? this._psychro.calculatePMV(temp, humidity, comfortRange.pmv) : null;
+        if (pmv !== null ? pmv > 0.5 : temp > comfortRange.tempMax) return 'comfortTooHot';
+        if (pmv !== null ? pmv < -0.5 : temp < comfortRange.tempMin) return 'comfortTooCold';
+        if (humidity > comfortRange.rhMax) return 'comfortTooHumid';
+        if (humidity < comfortRange.rhMin) return 'comfortTooDry';
+        return 'outOfComfort';
+    }
+
+    /**
+     * Get color for mold risk level.
+     * @param {number} riskLevel - Risk level (0-6)
+     * @param {boolean} darkMode - Whether dark mode is enabled
+     * @returns {string} Color hex code
+     */
+    getMoldRiskColor(riskLevel, darkMode) {
+        const colors = darkMode ?
+            ["#4CAF50", "#8BC34A", "#CDDC39", "#FFEB3B", "#FFC107", "#FF9800", "#FF5722"] :
+            ["#2E7D32", "#558B2F", "#9E9D24", "#F9A825", "#EF6C00", "#E65100", "#C62828"];
+        return colors[Math.min(Math.floor(riskLevel), 6)];
+    }
+
+    /**
+     * Get text description for mold risk level.
+     * @param {number} riskLevel - Risk level (0-6)
+     * @returns {string} Localized risk description
+     */
+    getMoldRiskText(riskLevel) {
+        const keys = ['moldRiskNone', 'moldRiskVeryLow', 'moldRiskLow', 'moldRiskModerate', 'moldRiskHigh', 'moldRiskVeryHigh', 'moldRiskCritical'];
+        return this.t(keys[Math.min(Math.floor(riskLevel), 6)]);
+    }
+
+    /**
+     * Flèche de tendance de l'indice de moisissure sur les dernières 24 h. Sous 0.01
+     * par jour, l'évolution n'est pas lisible à deux décimales : l'indice est stable.
+     * @param {number} trend - Index change over 24 h
+     * @returns {string}
+     */
+    _moldTrendArrow(trend) {
+        if (trend > 0.01) return '↗';
+        if (trend < -0.01) return '↘';
+        return '→';
+    }
+
+    /**
+     * Get color for a heat stress level.
+     * @param {number} level - Heat stress level (0-4)
+     * @param {boolean} darkMode - Whether dark mode is enabled
+     * @returns {string} Color hex code
+     */
+    getHeatStressColor(level, darkMode) {
+        const colors = darkMode ?
+            ["#4CAF50", "#FFEB3B", "#FF9800", "#FF5722", "#E040FB"] :
+            ["#2E7D32", "#F9A825", "#EF6C00", "#C62828", "#6A1B9A"];
+        return colors[level];
+    }
+
+    /**
+     * Get text description for a heat stress level.
+     * @param {number} level - Heat stress level (0-4)
+     * @returns {string} Localized level description
+     */
+    getHeatStressText(level) {
+        const keys = ['heatStressNone', 'heatStressCaution', 'heatStressExtremeCaution', 'heatStressDanger', 'heatStressExtremeDanger'];
+        return this.t(keys[level]);
+    }
+
+    /**
+     * Puissance de passage à la consigne idéale, ses parts sensible et latente, et
+     * une barre empilée de leurs poids respectifs.
+     * @param {{total: number, sensible: number, latent: number, shr: number|null}} loads - Loads in W
+     * @param {Object} palette - Resolved palette
+     * @returns {TemplateResult}
+     */
+    _renderTransition(loads, palette) {
+        const magnitude = Math.abs(loads.sensible) + Math.abs(loads.latent);
+        const share = (value) => (magnitude > 0 ? (Math.abs(value) / magnitude) * 100 : 0);
+        const sensible = this.formatQuantity('power', loads.sensible, 0, { signed: true });
+        const latent = this.formatQuantity('power', loads.latent, 0, { signed: true });
+        return html`
+            <div>
+                <span class="action-icon">🔥</span>${this.t('power')}:
+                <strong>${this.formatQuantity('power', loads.total, 0, { signed: true })}</strong>
+                (${this.t('sensibleLoad')} ${sensible} · ${this.t('latentLoad')} ${latent} ·
+                ${this.t('shr')} ${loads.shr === null ? '—' : loads.shr.toFixed(2)})
+            </div>
+            <div class="load-bar" title="${this.t('sensibleLoad')} ${sensible} · ${this.t('latentLoad')} ${latent}">
+                <span style="width: ${share(loads.sensible)}%; background: ${loads.sensible >= 0 ? palette.sensibleHeat : palette.sensibleCool}"></span>
+                <span style="width: ${share(loads.latent)}%; background: ${loads.latent >= 0 ? palette.latentAdd : palette.latentRemove}"></span>
+            </div>
+        `;
+    }
+
+    /**
+     * Ligne d'un indice de contrainte thermique, colorée selon son niveau.
+     * @param {string} index - 'humidex', 'heatIndex', 'wbgt' or 'utci'
+     * @param {number} value - Index value
+     * @param {string} text - Formatted value
+     * @param {boolean} darkMode - Whether dark mode is enabled
+     * @returns {TemplateResult}
+     */
+    _renderHeatStress(index, value, text, darkMode) {
+        const level = PsychrometricCalculations.getHeatStressLevel(index, value);
+        return html`
+            <div>${this.t(index)}: <span style="color: ${this.getHeatStressColor(level, darkMode)}; font-weight: 600;" title="${this.getHeatStressText(level)}">${text}</span></div>
+        `;
+    }
+
+    /**
+     * Read the sensors a point is defined from, in the solver's units.
+     *
+     * Un capteur en 'unavailable' / 'unknown' donne NaN : il est simplement omis, sans
+     * quoi le NaN se propagerait dans tous les calculs et s'afficherait tel quel. Le
+     * point reste défini tant que deux grandeurs valides demeurent.
+     * @param {Object} point - Point configuration
+     * @returns {Object} Readings keyed by STATE_PROPERTIES (°C, %, kg/kg, kJ/kg, g/m³)
+     */
+    _pointReadings(point) {
+        const readings = {};
+        for (const [key, property] of Object.entries(POINT_SOURCES)) {
+            const entity = point[key] ? this.hass.states[point[key]] : undefined;
+            const value = parseFloat(entity?.state);
+            if (!Number.isFinite(value)) continue;
+
+            switch (property) {
+                case 'temp':
+                case 'dewPoint':
+                case 'wetBulb':
+                    readings[property] = this.toInternalTemp(value);
+                    break;
+                case 'waterContent': {
+                    // Les capteurs publient en g/kg ; kg/kg et grains/lb restent acceptés.
+                    const unit = String(entity.attributes?.unit_of_measurement ?? '').toLowerCase();
+                    readings[property] = unit === 'kg/kg' ? value : value / (unit === 'gr/lb' ? 7000 : 1000);
+                    break;
+                }
+                default:
+                    readings[property] = value;
+            }
+        }
+        return readings;
+    }
+
+    /**
+     * Calculate all psychrometric properties for configured points.
+     * @returns {Array} List of calculated point objects
+     */
+    _calculatePoints() {
+        if (!this.hass || !this.config || !this.config.points) return [];
+
+        const comfortRange = this._currentComfortRange;
+
+        const points = this.config.points.map(point => {
+            // Deux grandeurs quelconques suffisent : température et humidité relative,
+            // mais aussi point de rosée, temp. humide, teneur en eau…
+            const state = this._psychro.solveState(this._pointReadings(point));
+            if (!state) return null;
+            return this._describePoint(point, state, comfortRange, `${point.temp}_${point.humidity}`);
+        }).filter(p => p !== null);
+
+        // Conseil d'aération des points intérieurs, face au point extérieur de référence.
+        const outdoor = points.find(point => point.outdoor);
+        if (outdoor) {
+            for (const point of points.filter(point => !point.outdoor)) {
+                point.ventilation = PsychrometricCalculations.calculateVentilationAdvice(point, outdoor, comfortRange);
+                // Sens de l'évolution : l'état de la pièce glisse sur la droite de mélange
+                // vers l'extérieur à mesure que l'air est renouvelé.
+                point.ventilation.towards = this._psychro.calculateMixing(point, outdoor, 0.3);
+            }
+        }
+
+        return [...points, ...this._calculateMixes(points, comfortRange)];
+    }
+
+    /**
+     * Virtual points mixing two configured points.
+     *
+     * Le mélange est un point à part entière (cadre de données, confort, puissances),
+     * calculé par bilan d'enthalpie et de teneur en eau. Il ne suit que des points
+     * mesurés, désignés par leur libellé : un mélange de mélanges n'est pas résolu.
+     * @param {Array} points - Calculated configured points
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @returns {Array} Calculated mixed points, each carrying a `mix` description
+     */
+    _calculateMixes(points, comfortRange) {
+        if (!Array.isArray(this.config.mixes)) return [];
+
+        return this.config.mixes.map(mix => {
+            const [firstLabel, secondLabel] = mix.points;
+            const first = points.find(p => p.label === firstLabel);
+            const second = points.find(p => p.label === secondLabel);
+            const fraction = this._mixFraction(mix.ratio);
+            if (!first || !second || fraction === null) return null;
+
+            const state = this._psychro.calculateMixing(first, second, fraction);
+            if (!state) return null;
+            const point = this._describePoint(
+                { icon: 'mdi:call-merge', ...mix, label: mix.label || `${firstLabel} + ${secondLabel}` },
+                state, comfortRange, `${firstLabel}_${secondLabel}`
+            );
+            return { ...point, mix: { first, second, fraction } };
+        }).filter(p => p !== null);
+    }
+
+    /**
+     * Mass fraction of the second stream of a mix.
+     *
+     * Une entité est lue comme une position de registre : en %, ou en fraction 0-1 si
+     * elle ne déclare pas d'unité en %. Assimiler l'ouverture au débit d'air neuf reste
+     * une approximation, que seul un débitmètre lèverait.
+     * @param {number|string} ratio - Fixed fraction (0-1) or entity ID
+     * @returns {number|null} Fraction between 0 and 1, null when unavailable
+     */
+    _mixFraction(ratio) {
+        let value = parseFloat(ratio);
+        if (this._isEntityId(ratio)) {
+            const entity = this.hass.states[ratio];
+            value = parseFloat(entity?.state);
+            if (entity?.attributes?.unit_of_measurement === '%') value /= 100;
+        }
+        return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null;
+    }
+
+    /**
+     * Derive every displayed property of a point from its air state.
+     * @param {Object} point - Point configuration (label, icon, color, details…)
+     * @param {{temp: number, humidity: number}} state - Solved air state (°C, %)
+     * @param {Object} comfortRange - Comfort range in Celsius
+     * @param {string} colorSeed - Seed of the default color
+     * @returns {Object} Calculated point
+     */
+    _describePoint(point, state, comfortRange, colorSeed) {
+        const temp = state.temp;
+        // Une humidité nulle rendrait le point de rosée infini (log(0)) ; au-delà de
+        // 100 %, deux capteurs légèrement incohérents décriraient un air sursaturé.
+        const humidity = Math.min(100, Math.max(0.01, state.humidity));
+
+        const massFlowRate = this._pointMassFlow(point, temp, humidity);
+        const volume = parseFloat(point.volume);
+        const {
+            heating: heatingPower, cooling: coolingPower,
+            humidification: humidificationPower, dehumidification: dehumidificationPower,
+        } = this._actionPowers(temp, humidity, comfortRange, massFlowRate);
+        const power = heatingPower + coolingPower + humidificationPower + dehumidificationPower;
+
+        let action = "";
+        let waterRate = 0;
+        let roomWater = null;
+        // L'eau à apporter ou retirer se compte jusqu'à la consigne idéale, température
+        // comprise : réchauffer un air sec fait encore baisser son humidité relative.
+        const { sensible, latent, target: idealSetpoint } = this._comfortActions(temp, humidity, comfortRange);
+
+        if (sensible === 'heating') {
+            action = this.t('warm');
+        } else if (sensible === 'cooling') {
+            action = this.t('cool');
+        }
+
+        if (latent) {
+            if (latent === 'humidification') {
+                action = action ? action + " " + this.t('andHumidify') : this.t('humidification');
+            } else {
+                action = action ? action + " " + this.t('andDehumidify') : this.t('dehumidification');
+            }
+            waterRate = this._psychro.calculateWaterRate(temp, humidity, idealSetpoint.humidity, massFlowRate, idealSetpoint.temp);
+            if (volume > 0) roomWater = this._psychro.calculateRoomWater(volume, temp, humidity, idealSetpoint.humidity, idealSetpoint.temp);
+        }
+
+        const dewPoint = this._psychro.calculateDewPoint(temp, humidity);
+        // Sous 0 °C avec une formulation « glace », c'est un point de givre.
+        const frostPoint = this._psychro.saturatesOverIce(dewPoint);
+        const waterContent = this._psychro.calculateWaterContent(temp, humidity);
+        const enthalpy = this._psychro.calculateEnthalpy(temp, waterContent);
+        const absoluteHumidity = this._psychro.calculateAbsoluteHumidity(temp, humidity);
+        const wetBulbTemp = this._psychro.calculateWetBulbTemp(temp, humidity);
+        const specificVolume = this._psychro.calculateSpecificVolume(temp, humidity);
+        const moldRisk = this._psychro.calculateMoldRisk(temp, humidity);
+        const pmvOptions = this._pmvOptions(point);
+        const pmv = this._psychro.calculatePMV(temp, humidity, pmvOptions);
+        const ppd = PsychrometricCalculations.calculatePPD(pmv);
+        const apparentTemp = this._psychro.calculateApparentTemperature(temp, humidity);
+        const humidex = this._psychro.calculateHumidex(temp, humidity);
+        const heatIndex = this._psychro.calculateHeatIndex(temp, humidity);
+        // Le globe noir d'un WBGT intérieur est approché par la température radiante
+        // saisie pour le PMV, quand il y en a une.
+        const wbgt = this._psychro.calculateWBGT(temp, humidity, { tr: pmvOptions.tr });
+        const utci = this._psychro.calculateUTCI(temp, humidity, this._utciOptions(point, pmvOptions));
+        // Hors de la zone, le passage à la consigne idéale est détaillé en écart d'enthalpie,
+        // parts sensible et latente comprises.
+        const transition = action
+            ? this._psychro.calculateProcessLoads({ temp, humidity }, idealSetpoint, massFlowRate)
+            : null;
+        // La zone PMV est tracée avec les paramètres de la carte, mais le verdict d'un
+        // point retient les siens : c'est le PMV affiché dans son cadre qui tranche.
+        const pointComfortRange = comfortRange.pmv ? { ...comfortRange, pmv: pmvOptions } : comfortRange;
+
+        // Normalisation en hex : le dessin concatène `color + '40'` pour le halo et
+        // le rendu interpole `${color}15` dans un dégradé — un rgba() hérité d'une
+        // ancienne config y produirait une couleur invalide, silencieusement ignorée.
+        const rawColor = point.color || PsychrometricCalculations.generateColorFromHash(colorSeed);
+        const color = PsychrometricCalculations.rgbToHex(PsychrometricCalculations.colorToRgb(rawColor));
+
+        return {
+            temp, humidity, action, power, heatingPower, coolingPower, humidificationPower, dehumidificationPower,
+            massFlowRate, waterRate, roomWater,
+            dewPoint, frostPoint, waterContent, enthalpy, absoluteHumidity, wetBulbTemp, specificVolume, moldRisk, pmv, ppd, apparentTemp, idealSetpoint,
+            transition, humidex, heatIndex, wbgt, utci,
+            moldIndex: this._moldIndexes?.[this._historyKey(point)] ?? null,
+            surfaces: this._describeSurfaces(point, temp, humidity),
+            energy: this._energyTotals?.[this._historyKey(point)] ?? null,
+            trail: this._trails?.[this._historyKey(point)] ?? null,
+            timeInComfort: this._heatmap?.points[this._historyKey(point)]?.comfort ?? null,
+            outdoor: point.outdoor === true,
+            ventilation: null,
+            color,
+            label: point.label || this._pointEntityIds(point).join(' & '),
+            icon: point.icon || "mdi:thermometer",
+            inComfortZone: this.isInComfortZone(temp, humidity, pointComfortRange),
+            comfortStatus: this.getComfortStatus(temp, humidity, pointComfortRange),
+            tempEntityId: point.temp,
+            humidityEntityId: point.humidity,
+            details: point.details // Pass through details config
+        };
+    }
+
+    /**
+     * Resolve the configured air-handling processes into chained states and loads.
+     *
+     * Chaque process part d'un point de la carte (désigné par son libellé) ou d'un état
+     * fixe `{ temp, humidity }`, puis enchaîne ses étapes : calculée (`type` parmi
+     * PROCESS_TYPES) ou mesurée (`to`, autre point ou état fixe — la sortie réelle
+     * d'une batterie par exemple). Une étape impossible interrompt la chaîne : les
+     * suivantes n'auraient plus d'état d'entrée.
+     * @param {Array} points - Calculated points
+     * @returns {Array} Processes { label, color, steps: [{ label, from, to, loads }] }
+     */
+    _calculateProcesses(points) {
+        if (!Array.isArray(this.config?.processes)) return [];
+        const labels = {
+            heating: 'processHeating',
+            cooling: 'processCooling',
+            cooling_coil: 'processCoolingCoil',
+            adiabatic: 'processAdiabatic',
+            steam: 'processSteam',
+        };
+        /**
+         * Converts a step temperature from the display unit, leaving absent values alone.
+         * @param {*} value - Configured temperature
+         * @returns {number|undefined} Temperature in Celsius
+         */
+        const temperature = (value) => (value === undefined ? undefined : this.toInternalTemp(parseFloat(value)));
+
+        return this.config.processes.map((process, index) => {
+            const steps = [];
+            let state = this._processState(process.from, points);
+            // La masse d'air sec se conserve le long du traitement : un débit volumique se
+            // convertit une fois, à l'état d'entrée.
+            const massFlowRate = (state && this._airflowMassFlow(process, state.temp, state.humidity))
+                ?? process.massFlowRate ?? this.config.massFlowRate ?? 0.5;
+
+            for (const step of process.steps ?? []) {
+                if (!state) break;
+                const next = step.to !== undefined
+                    ? this._processState(step.to, points)
+                    : this._psychro.calculateProcessStep(state, {
+                        type: step.type,
+                        temp: temperature(step.temp),
+                        adp: temperature(step.adp),
+                        bypassFactor: step.bypassFactor,
+                        humidity: step.humidity,
+                        efficiency: step.efficiency,
+                    });
+                if (!next) break;
+                steps.push({
+                    label: step.label || this.t(labels[step.type] ?? 'processMeasured'),
+                    from: state,
+                    to: next,
+                    loads: this._psychro.calculateProcessLoads(state, next, massFlowRate),
+                });
+                state = next;
+            }
+
+            return {
+                label: process.label || `${this.t('processMeasured')} ${index + 1}`,
+                color: process.color || this._palette().process,
+                steps,
+            };
+        }).filter(process => process.steps.length > 0);
+    }
+
+    /**
+     * Resolve the heat recovery ventilator block.
+     *
+     * Les quatre piquages (air neuf, soufflage, reprise, rejet) se désignent comme les
+     * états d'un process : libellé d'un point ou état fixe. Les deux flux sont tracés
+     * comme des étapes de process, air neuf → soufflage et reprise → rejet.
+     * @param {Array} points - Calculated points
+     * @returns {Object|null} { label, color, streams, sensible, latent, total, exhaustSensible, loads, alerts }
+     */
+    _calculateHrv(points) {
+        const hrv = this.config?.hrv;
+        if (!hrv) return null;
+        const states = {};
+        for (const key of ['outdoor', 'supply', 'extract', 'exhaust']) {
+            states[key] = this._processState(hrv[key], points);
+            if (!states[key]) return null;
+        }
+        // Le débit se mesure le plus souvent au soufflage, sur le flux d'air neuf.
+        const massFlowRate = this._airflowMassFlow(hrv, states.supply.temp, states.supply.humidity)
+            ?? hrv.massFlowRate ?? this.config.massFlowRate ?? 0.5;
+        return {
+            label: hrv.label || this.t('hrv'),
+            color: hrv.color || this._palette().hrv,
+            streams: [
+                { label: this.t('hrvSupplyStream'), from: states.outdoor, to: states.supply },
+                { label: this.t('hrvExhaustStream'), from: states.extract, to: states.exhaust },
+            ],
+            ...this._psychro.calculateHeatRecovery(states, massFlowRate, { minEffectiveness: hrv.minEffectiveness }),
+        };
+    }
+
+    /**
+     * Air state designated in a process: a point label, or a fixed `{ temp, humidity }`.
+     * @param {string|Object} ref - Point label, or fixed state in the display unit
+     * @param {Array} points - Calculated points
+     * @returns {{temp: number, humidity: number}|null} State in Celsius and %, null if unknown
+     */
+    _processState(ref, points) {
+        if (typeof ref === 'string') {
+            const point = points.find(p => p.label === ref);
+            return point ? { temp: point.temp, humidity: point.humidity } : null;
+        }
+        const temp = parseFloat(ref?.temp);
+        const humidity = parseFloat(ref?.humidity);
+        if (!Number.isFinite(temp) || !Number.isFinite(humidity)) return null;
+        return { temp: this.toInternalTemp(temp), humidity: Math.min(100, Math.max(0.01, humidity)) };
+    }
+
+    /**
+     * Calculate chart boundaries based on config.
+     * @returns {Object} Bounds object { minTemp, maxTemp, minHum, maxHum, maxPv }
+     */
+    _resolveBounds(config) {
+        /**
+         * Reads one numeric bound, falling back to the default when absent or unparseable.
+         * @param {*} value - Raw config value
+         * @param {number} fallback - Default bound
+         * @returns {number} Resolved bound
+         */
+        const read = (value, fallback) => {
+            if (value === undefined || value === null || value === '') return fallback;
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? parsed : fallback;
+        };
+
+        return {
+            minTemp: read(config?.zoom_temp_min, -10),
+            maxTemp: read(config?.zoom_temp_max, 50),
+            minHum: read(config?.zoom_humidity_min, 0),
+            maxHum: read(config?.zoom_humidity_max, 100),
+        };
+    }
+
+    /**
+     * Calculate chart boundaries based on config.
+     * The Y axis maps vapor pressure, so the humidity bounds are converted into a
+     * pressure window taken at `maxTemp` — the warmest column of the chart.
+     * La pression atmosphérique et la formulation de saturation y sont reportées : les
+     * courbes tracées à partir d'une teneur en eau (enthalpie, temp. humide) en
+     * dépendent, et leur cache aussi.
+     * @returns {Object} Bounds object { minTemp, maxTemp, minHum, maxHum, minPv, maxPv, pressure, saturation }
+     */
+    _configuredChartBounds() {
+        const { minTemp, maxTemp, minHum, maxHum } = this._resolveBounds(this.config);
+
+        const P_sat_max = this._psychro.calculateSaturationPressure(maxTemp);
+        const minPv = (minHum / 100) * P_sat_max;
+        const maxPv = (maxHum / 100) * P_sat_max;
+        const pressure = this._psychro.ATMOSPHERIC_PRESSURE;
+        const saturation = this._psychro.SATURATION_FORMULA;
+        // Fenêtre de teneur en eau. En ordonnée du diagramme psychrométrique, elle se prend
+        // à maxTemp comme la pression de vapeur. En abscisse du Mollier, elle s'arrête,
+        // comme sur les abaques imprimés, à la saturation aux deux tiers de l'échelle des
+        // températures : aller jusqu'à maxTemp tasserait tout l'air intérieur contre l'axe.
+        const waterContentTemp = this._isMollier() ? minTemp + (2 / 3) * (maxTemp - minTemp) : maxTemp;
+        const minW = this._psychro.calculateWaterContent(waterContentTemp, minHum);
+        const maxW = this._psychro.calculateWaterContent(waterContentTemp, maxHum);
+
+        return { minTemp, maxTemp, minHum, maxHum, minPv, maxPv, minW, maxW, pressure, saturation };
+    }
+
+    /**
+     * Chart boundaries currently drawn.
+     * Le zoom et le déplacement interactifs remplacent les fenêtres des axes ; les bornes
+     * d'humidité, qui décident des courbes à tracer, restent celles de la configuration.
+     * @returns {Object} Bounds object, see _configuredChartBounds
+     */
+    _calculateChartBounds() {
+        const bounds = this._configuredChartBounds();
+        return this._view ? { ...bounds, ...this._view } : bounds;
+    }
+
+    /**
+     * Draw the psychrometric chart on the canvas.
+     */
+    _drawChart() {
+        const canvas = this.shadowRoot.getElementById('psychroChart');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext("2d");
+        const width = this._canvasWidth;
+        const height = this._canvasHeight;
+
+        // Rendu net sur écrans HiDPI : le canvas travaille en pixels physiques,
+        // la transformation ramène toutes les coordonnées de dessin en pixels CSS.
         const dpr = window.devicePixelRatio || 1;
         canvas.width = Math.round(width * dpr);
         canvas.height = Math.round(height * dpr);
         canvas.style.width = `${width}px`;
         canvas.style.height = `${height}px`;
+        // Le pincement revient toujours à la carte ; un doigt seul ne déplace la vue qu'une
+        // fois zoomée, avant quoi il fait défiler la page.
+        if (this._interactiveZoom()) canvas.style.touchAction = this._view ? 'none' : 'pan-x pan-y';
+        else canvas.style.touchAction = '';
         ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
         const points = this._currentPoints || [];
@@ -1172,12 +2714,7 @@ class PsychrometricChartEnhanced extends LitElement {
         const actualComfortColor = palette.comfort;
         const actualEnthalpyColor = palette.enthalpy;
 
-        const comfortRange = this.config.comfortRange ? {
-            tempMin: this.toInternalTemp(this.config.comfortRange.tempMin),
-            tempMax: this.toInternalTemp(this.config.comfortRange.tempMax),
-            rhMin: this.config.comfortRange.rhMin,
-            rhMax: this.config.comfortRange.rhMax
-        } : { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+        const comfortRange = this._currentComfortRange ?? this._comfortRange();
 
         const bounds = this._calculateChartBounds();
         this._currentBounds = bounds; // Store for coordinate conversion
@@ -1201,74 +2738,81 @@ class PsychrometricChartEnhanced extends LitElement {
         ctx.lineWidth = 1 * scale;
         ctx.setLineDash(this._lineDash('gridLineStyle', scale));
 
-        // Vertical grid (vapor pressure)
-        if (showVaporPressure !== false) {
-            ctx.font = `${Math.max(10, 12 * scale)}px Arial`;
-            // Determine step size based on maxPv
-            let pvStep = 0.5;
-            if (bounds.maxPv < 1) pvStep = 0.1;
-            else if (bounds.maxPv > 5) pvStep = 1;
-
-            for (let i = 0; i <= bounds.maxPv + pvStep; i += pvStep) {
-                // L'axe Y porte la pression de vapeur : on la convertit en humidité
-                // relative à la température de référence (maxTemp) pour réutiliser
-                // humidityToY, qui est la seule projection Pv -> Y du graphique.
-                const P_sat_ref = PsychrometricCalculations.calculateSaturationPressure(bounds.maxTemp);
-                const rh = (i / P_sat_ref) * 100;
-                const y = this.humidityToY(bounds.maxTemp, rh);
-
-                if (y > topPadding && y < bottomEdge) {
+        const mollier = this._isMollier();
+        // Présentation des abaques d'ingénierie : teneur en eau en ordonnée, échelles
+        // de rosée et d'enthalpie portées par la courbe de saturation.
+        const engineering = !mollier && this._yAxis() === 'humidityRatio';
+        /**
+         * Whether a projected position falls inside the chart frame.
+         * @param {{x: number, y: number}} p - Canvas position
+         * @param {number} [margin=0] - Inset from the frame edges
+         * @returns {boolean}
+         */
+        const inside = (p, margin = 0) => p.x >= leftPadding + margin && p.x <= rightEdge - margin
+            && p.y >= topPadding + margin && p.y <= bottomEdge - margin;
+
+        if (mollier) {
+            this._drawMollierGrid(ctx, bounds, palette, scale, showVaporPressure !== false);
+        } else {
+            // Humidity grid (vapor pressure or humidity ratio)
+            if (showVaporPressure !== false) {
+                ctx.font = `${Math.max(10, 12 * scale)}px Arial`;
+                for (const { y, label } of this._humidityTicks(this._yAxis())) {
                     ctx.beginPath();
                     ctx.moveTo(leftPadding, y);
                     ctx.lineTo(rightEdge, y);
                     ctx.stroke();
                     ctx.fillStyle = actualTextColor;
-                    ctx.fillText(`${i.toFixed(1)} kPa`, 10 * scaleX, y + 5 * scaleY);
+                    ctx.fillText(label, 10 * scaleX, y + 5 * scaleY);
                 }
             }
-        }
 
-        // Horizontal grid (temperature)
-        const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
-        // Adjust start/end to be multiples of step
-        const startT = Math.ceil(bounds.minTemp / tempStep) * tempStep;
-        const endT = Math.floor(bounds.maxTemp / tempStep) * tempStep;
+            if (SECONDARY_AXES.includes(this.config.secondaryAxis) && this.config.secondaryAxis !== 'none') {
+                this._drawSecondaryAxis(ctx, this.config.secondaryAxis, palette, scale);
+            }
 
-        // Sous-multiples : traits intermédiaires entre deux graduations, tracés avant
-        // elles pour rester dessous, plus fins et atténués, et jamais étiquetés — les
-        // étiquettes se chevaucheraient et l'axe deviendrait illisible.
-        const subdivisions = this._tempSubdivisions();
-        if (subdivisions > 1) {
-            ctx.save();
-            ctx.globalAlpha = 0.45;
-            ctx.lineWidth = 0.5 * scale;
-            // Boucle indexée plutôt qu'un incrément de `tempStep / subdivisions` :
-            // l'accumulation de flottants décalerait les derniers traits.
-            for (let major = startT - tempStep; major < endT + tempStep; major += tempStep) {
-                for (let k = 1; k < subdivisions; k++) {
-                    const displayTemp = major + (k * tempStep) / subdivisions;
-                    const x = this.tempToX(this.toInternalTemp(displayTemp));
-                    if (x < leftPadding || x > rightEdge) continue;
+            // Horizontal grid (temperature)
+            const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+            // Adjust start/end to be multiples of step
+            const startT = Math.ceil(bounds.minTemp / tempStep) * tempStep;
+            const endT = Math.floor(bounds.maxTemp / tempStep) * tempStep;
+
+            // Sous-multiples : traits intermédiaires entre deux graduations, tracés avant
+            // elles pour rester dessous, plus fins et atténués, et jamais étiquetés — les
+            // étiquettes se chevaucheraient et l'axe deviendrait illisible.
+            const subdivisions = this._tempSubdivisions();
+            if (subdivisions > 1) {
+                ctx.save();
+                ctx.globalAlpha = 0.45;
+                ctx.lineWidth = 0.5 * scale;
+                // Boucle indexée plutôt qu'un incrément de `tempStep / subdivisions` :
+                // l'accumulation de flottants décalerait les derniers traits.
+                for (let major = startT - tempStep; major < endT + tempStep; major += tempStep) {
+                    for (let k = 1; k < subdivisions; k++) {
+                        const displayTemp = major + (k * tempStep) / subdivisions;
+                        const x = this.tempToX(this.toInternalTemp(displayTemp));
+                        if (x < leftPadding || x > rightEdge) continue;
+                        ctx.beginPath();
+                        ctx.moveTo(x, bottomEdge);
+                        ctx.lineTo(x, topPadding);
+                        ctx.stroke();
+                    }
+                }
+                ctx.restore();
+            }
+
+            for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
+                const tempC = this.toInternalTemp(displayTemp);
+                const x = this.tempToX(tempC);
+                if (x >= leftPadding && x <= rightEdge) {
                     ctx.beginPath();
                     ctx.moveTo(x, bottomEdge);
                     ctx.lineTo(x, topPadding);
                     ctx.stroke();
+                    ctx.fillStyle = actualTextColor;
+                    ctx.fillText(`${displayTemp}${this.getTempUnit()}`, x - 15 * scaleX, bottomEdge + 20 * scaleY);
                 }
             }
-            ctx.restore();
-        }
-
-        for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
-            const tempC = this.toInternalTemp(displayTemp);
-            const x = this.tempToX(tempC);
-            if (x >= leftPadding && x <= rightEdge) {
-                ctx.beginPath();
-                ctx.moveTo(x, bottomEdge);
-                ctx.lineTo(x, topPadding);
-                ctx.stroke();
-                ctx.fillStyle = actualTextColor;
-                ctx.fillText(`${displayTemp}${this.getTempUnit()}`, x - 15 * scaleX, bottomEdge + 20 * scaleY);
-            }
         }
 
         // Draw relative humidity curves
@@ -1284,12 +2828,11 @@ class PsychrometricChartEnhanced extends LitElement {
             ctx.lineWidth = (rh % 20 === 0 ? 1.5 : 0.8) * scale;
 
             let firstPoint = true;
-            for (let t = bounds.minTemp; t <= bounds.maxTemp; t += 0.5) {
-                const x = this.tempToX(t);
-                const y = this.humidityToY(t, rh);
+            for (const t of this._curveTemperatures(bounds)) {
+                const { x, y } = this._project(t, rh);
 
                 // Clip to bounds
-                if (y < topPadding || y > bottomEdge) continue;
+                if (!inside({ x, y })) continue;
 
                 if (firstPoint) {
                     ctx.moveTo(x, y);
@@ -1301,18 +2844,18 @@ class PsychrometricChartEnhanced extends LitElement {
             ctx.stroke();
 
             // Label
-            // Dynamic positioning: find the rightmost visible point
+            // Dynamic positioning: find the warmest visible point
             let labelX = -1;
             let labelY = -1;
 
-            // Search from right to left (maxTemp to minTemp)
+            // Search from maxTemp down to minTemp
             for (let t = bounds.maxTemp; t >= bounds.minTemp; t -= 0.5) {
-                const y = this.humidityToY(t, rh);
-                // Check if y is within visible bounds (with some padding)
-                if (y >= topPadding + 10 && y <= bottomEdge - 10) {
-                    labelX = this.tempToX(t);
-                    labelY = y;
-                    break; // Found the rightmost visible point
+                const position = this._project(t, rh);
+                // Check if the point is within visible bounds (with some padding)
+                if (inside(position, 10)) {
+                    labelX = position.x;
+                    labelY = position.y;
+                    break; // Found the warmest visible point
                 }
             }
 
@@ -1322,22 +2865,66 @@ class PsychrometricChartEnhanced extends LitElement {
             }
         }
 
+        if (engineering && showDewPoint && !minimal) {
+            this._drawDewPointScale(ctx, bounds, palette, scale);
+        }
+
         // Draw enthalpy curves
         if (showEnthalpy && !minimal) {
             ctx.setLineDash(this._lineDash('enthalpyLineStyle', scale));
             ctx.strokeStyle = actualEnthalpyColor;
 
-            for (let h = 0; h <= 150; h += 10) {
+            /**
+             * Relative humidity along an enthalpy line.
+             * @param {number} h - Enthalpy in kJ/kg
+             * @param {number} t - Dry bulb temperature in Celsius
+             * @returns {number} Relative humidity in %, NaN below zero water content
+             */
+            const enthalpyRh = (h, t) => {
+                const W = (h - 1.006 * t) / (2501 + 1.84 * t);
+                if (W < 0) return NaN;
+                return (this._psychro.waterContentToVaporPressure(W) / this._psychro.calculateSaturationPressure(t)) * 100;
+            };
+
+            // Droites à valeurs rondes dans l'unité affichée (10 kJ/kg, 5 Btu/lb), dont
+            // les graduations restent lisibles ; le tracé les reconvertit en kJ/kg.
+            const displayEnthalpy = h => this._psychro.convertUnit('enthalpy', h, this._unitSystem()).value;
+            const enthalpyAxis = PsychrometricCalculations.niceScale(displayEnthalpy(0), displayEnthalpy(150), 16);
+            const enthalpies = [];
+            for (let index = 0; enthalpyAxis.min + index * enthalpyAxis.step <= enthalpyAxis.max; index++) {
+                const value = enthalpyAxis.min + index * enthalpyAxis.step;
+                enthalpies.push((value - displayEnthalpy(0)) / (displayEnthalpy(1) - displayEnthalpy(0)));
+            }
+
+            for (const h of enthalpies) {
                 let enthalpy_points = [];
+                let saturated = false;
                 for (let t = bounds.minTemp; t <= bounds.maxTemp; t += 0.5) {
-                    const W = (h - 1.006 * t) / (2501 + 1.84 * t);
-                    if (W < 0) continue;
-                    const P_v = PsychrometricCalculations.waterContentToVaporPressure(W);
-                    const rh = (P_v / PsychrometricCalculations.calculateSaturationPressure(t)) * 100;
-
-                    const y = this.humidityToY(t, rh);
-                    if (y >= topPadding && y <= bottomEdge) {
-                        enthalpy_points.push({ x: this.tempToX(t), y });
+                    const rh = enthalpyRh(h, t);
+                    if (!Number.isFinite(rh)) continue;
+                    // Présentation ingénierie : la droite s'arrête sur la courbe de
+                    // saturation, où elle reçoit sa graduation ; le point de départ est
+                    // affiné par dichotomie pour que le trait touche la courbe.
+                    if (engineering && rh > 100) {
+                        saturated = true;
+                        continue;
+                    }
+                    if (engineering && saturated && enthalpy_points.length === 0) {
+                        let low = t - 0.5;
+                        let high = t;
+                        for (let i = 0; i < 20; i++) {
+                            const mid = (low + high) / 2;
+                            if (enthalpyRh(h, mid) > 100) low = mid;
+                            else high = mid;
+                        }
+                        const edge = this._project(high, 100);
+                        if (inside(edge)) enthalpy_points.push(edge);
+                        else saturated = false;
+                    }
+
+                    const position = this._project(t, rh);
+                    if (inside(position)) {
+                        enthalpy_points.push(position);
                     }
                 }
 
@@ -1353,6 +2940,32 @@ class PsychrometricChartEnhanced extends LitElement {
                     const beforeLast = enthalpy_points[enthalpy_points.length - 2];
                     ctx.quadraticCurveTo(beforeLast.x, beforeLast.y, last.x, last.y);
                     ctx.stroke();
+                    // Sur le Mollier, les isenthalpes obliques se lisent à leur extrémité
+                    // chaude, en haut à gauche, comme sur les abaques imprimés.
+                    if (mollier) {
+                        ctx.fillStyle = actualEnthalpyColor;
+                        ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+                        ctx.fillText(this._psychro.convertUnit('enthalpy', h, this._unitSystem()).value.toFixed(0),
+                            last.x + 2 * scale, last.y - 2 * scale);
+                    }
+                    // L'échelle d'enthalpie prolonge chaque droite au-delà de la saturation,
+                    // en diagonale, assez loin pour laisser la place à l'échelle de rosée.
+                    if (engineering && saturated) {
+                        const [first, second] = enthalpy_points;
+                        const length = Math.hypot(first.x - second.x, first.y - second.y) || 1;
+                        const label = {
+                            x: first.x + ((first.x - second.x) / length) * 24 * scale,
+                            y: first.y + ((first.y - second.y) / length) * 24 * scale,
+                        };
+                        if (inside(label)) {
+                            ctx.fillStyle = actualEnthalpyColor;
+                            ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+                            ctx.textAlign = 'center';
+                            ctx.fillText(this._psychro.convertUnit('enthalpy', h, this._unitSystem()).value.toFixed(0),
+                                label.x, label.y + 3 * scale);
+                            ctx.textAlign = 'left';
+                        }
+                    }
                 }
             }
             ctx.setLineDash([]);
@@ -1367,12 +2980,11 @@ class PsychrometricChartEnhanced extends LitElement {
                 let started = false;
                 ctx.beginPath();
                 for (const { temp, rh } of line) {
-                    const y = this.humidityToY(temp, rh);
-                    if (y < topPadding || y > bottomEdge) {
+                    const { x, y } = this._project(temp, rh);
+                    if (!inside({ x, y })) {
                         started = false;
                         continue;
                     }
-                    const x = this.tempToX(temp);
                     if (started) {
                         ctx.lineTo(x, y);
                     } else {
@@ -1385,12 +2997,21 @@ class PsychrometricChartEnhanced extends LitElement {
             ctx.setLineDash([]);
         }
 
+        if (!minimal) {
+            this._drawIsolines(ctx, bounds, palette, scale, points);
+        }
+
+        if (mollier && !minimal) {
+            this._drawProtractor(ctx, bounds, palette, scale);
+        }
+
         // Draw comfort zone
         // Le motif est posé explicitement : les blocs précédents sont conditionnels,
         // sans quoi le contour hériterait du pointillé du dernier tracé dessiné.
         ctx.setLineDash(this._lineDash('comfortLineStyle', scale));
         ctx.beginPath();
-        const comfortPoints = [
+        // En mode PMV, le contour est la région |PMV| ≤ 0.5, et non un rectangle.
+        const comfortPoints = comfortRange.region ?? [
             { temp: comfortRange.tempMin, rh: comfortRange.rhMin },
             { temp: comfortRange.tempMax, rh: comfortRange.rhMin },
             { temp: comfortRange.tempMax, rh: comfortRange.rhMax },
@@ -1398,17 +3019,17 @@ class PsychrometricChartEnhanced extends LitElement {
         ];
 
         comfortPoints.forEach((point, index) => {
-            const x = this.tempToX(point.temp);
-            const y = this.humidityToY(point.temp, point.rh);
+            const { x, y } = this._project(point.temp, point.rh);
             if (index === 0) ctx.moveTo(x, y);
             else ctx.lineTo(x, y);
         });
         ctx.closePath();
 
+        // Le dégradé suit l'axe de l'humidité : vertical ici, horizontal sur le Mollier.
         const avgTemp = (comfortRange.tempMin + comfortRange.tempMax) / 2;
-        const yTop = this.humidityToY(avgTemp, comfortRange.rhMax);
-        const yBottom = this.humidityToY(avgTemp, comfortRange.rhMin);
-        const gradient = ctx.createLinearGradient(0, yTop, 0, yBottom);
+        const humid = this._project(avgTemp, comfortRange.rhMax);
+        const dry = this._project(avgTemp, comfortRange.rhMin);
+        const gradient = ctx.createLinearGradient(humid.x, humid.y, dry.x, dry.y);
 
         let startColor = actualComfortColor;
         let endColor = actualComfortColor;
@@ -1427,13 +3048,111 @@ class PsychrometricChartEnhanced extends LitElement {
         ctx.strokeStyle = actualComfortColor;
         ctx.stroke();
 
+        // Adaptive comfort categories
+        // Toutes les catégories de la norme, en contour seul autour de la zone retenue :
+        // un point hors confort se situe ainsi face aux exigences moins strictes.
+        if (comfortRange.adaptive) {
+            ctx.setLineDash(LINE_STYLES.dotted.map(segment => segment * scale));
+            ctx.strokeStyle = actualTextColor;
+            ctx.fillStyle = actualTextColor;
+            ctx.lineWidth = 1 * scale;
+            ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+            for (const band of comfortRange.adaptive.bands) {
+                const corners = [
+                    this._project(band.tempMin, comfortRange.rhMin),
+                    this._project(band.tempMax, comfortRange.rhMin),
+                    this._project(band.tempMax, comfortRange.rhMax),
+                    this._project(band.tempMin, comfortRange.rhMax),
+                ];
+                ctx.beginPath();
+                corners.forEach(({ x, y }, index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.closePath();
+                ctx.stroke();
+                ctx.fillText(band.category, corners[2].x + 2 * scale, corners[2].y - 2 * scale);
+            }
+        }
+
+        // Draw mixing lines and processes
+        // Sous les pastilles, qui restent ainsi cliquables et lisibles aux extrémités ;
+        // découpés au cadre du graphique, où un flux hors zoom les ferait déborder.
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(leftPadding, topPadding, rightEdge - leftPadding, bottomEdge - topPadding);
+        ctx.clip();
+
+        if (this.config.showHeatmap === true && this._heatmap) {
+            this._drawHeatmap(ctx, palette, scale);
+        }
+        if (this.config.showTrails === true) {
+            this._drawTrails(ctx, points, scale);
+        }
+
+        // Un mélange se trouve toujours sur le segment qui relie ses deux flux : ce
+        // segment, en pointillé, rend visible la part de chacun.
+        ctx.setLineDash(this._lineDash('pointLineStyle', scale));
+        ctx.lineWidth = 1.5 * scale;
+        points.filter(point => point.mix).forEach(({ mix, color }) => {
+            ctx.strokeStyle = color;
+            const first = this._project(mix.first.temp, mix.first.humidity);
+            const second = this._project(mix.second.temp, mix.second.humidity);
+            ctx.beginPath();
+            ctx.moveTo(first.x, first.y);
+            ctx.lineTo(second.x, second.y);
+            ctx.stroke();
+        });
+
+        // Sonde de surface : isotherme à sa température, de l'air sec jusqu'à la
+        // saturation. Elle passe sous le point de rosée du point dès que la surface condense.
+        ctx.lineWidth = 2 * scale;
+        ctx.font = `${Math.max(9, 9 * scale)}px Arial`;
+        points.forEach(point => (point.surfaces ?? []).forEach(surface => {
+            const base = this._project(surface.temp, 0);
+            const top = this._project(surface.temp, 100);
+            const length = Math.hypot(top.x - base.x, top.y - base.y) || 1;
+            // Trait d'arrêt perpendiculaire à l'isotherme, quelle que soit son orientation.
+            const tickX = ((base.y - top.y) / length) * 4 * scale;
+            const tickY = ((top.x - base.x) / length) * 4 * scale;
+            const color = surface.status === 'condensation' ? palette.condensation
+                : (surface.status === 'risk' ? palette.condensationRisk : point.color);
+            ctx.strokeStyle = color;
+            ctx.setLineDash([2 * scale, 3 * scale]);
+            ctx.beginPath();
+            ctx.moveTo(base.x, base.y);
+            ctx.lineTo(top.x, top.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(top.x - tickX, top.y - tickY);
+            ctx.lineTo(top.x + tickX, top.y + tickY);
+            ctx.stroke();
+            ctx.fillStyle = color;
+            ctx.fillText(surface.label, top.x + 3 * scale, top.y - 3 * scale);
+        }));
+
+        // Conseil d'aération : flèche pointillée vers l'état que prendrait la pièce.
+        ctx.setLineDash([6 * scale, 4 * scale]);
+        points.filter(point => point.ventilation?.towards && point.ventilation.recommendation !== 'notNeeded').forEach(point => {
+            this._drawProcessArrow(ctx, { label: '', from: point, to: point.ventilation.towards },
+                palette[point.ventilation.recommendation], scale);
+        });
+
+        ctx.setLineDash([]);
+        for (const process of this._currentProcesses || []) {
+            for (const step of process.steps) {
+                this._drawProcessArrow(ctx, step, process.color, scale);
+            }
+        }
+        for (const stream of this._currentHrv?.streams ?? []) {
+            this._drawProcessArrow(ctx, stream, this._currentHrv.color, scale);
+        }
+        ctx.restore();
+
         // Draw points
         // Les pastilles et leur halo restent toujours pleins, quel que soit le style
         // choisi pour le contour de la zone de confort dessinée juste avant.
         ctx.setLineDash([]);
         points.forEach(point => {
-            const x = this.tempToX(point.temp);
-            const y = this.humidityToY(point.temp, point.humidity);
+            const { x, y } = this._project(point.temp, point.humidity);
 
             // Only draw if within visible area (roughly)
             if (x < leftPadding - 20 || x > rightEdge + 20 || y < topPadding - 20 || y > bottomEdge + 20) return;
@@ -1469,8 +3188,7 @@ class PsychrometricChartEnhanced extends LitElement {
 
             // Dew point
             if (showDewPoint && !minimal) {
-                const dewX = this.tempToX(point.dewPoint);
-                const dewY = this.humidityToY(point.dewPoint, 100);
+                const { x: dewX, y: dewY } = this._project(point.dewPoint, 100);
 
                 if (dewX >= leftPadding && dewX <= rightEdge && dewY >= topPadding && dewY <= bottomEdge) {
                     ctx.beginPath();
@@ -1495,17 +3213,436 @@ class PsychrometricChartEnhanced extends LitElement {
         });
     }
 
+    /**
+     * Draw the grid of the Mollier diagram: horizontal isotherms and vertical lines of
+     * constant water content.
+     *
+     * Les isothermes reprennent le pas et les sous-multiples de l'axe des températures
+     * du diagramme psychrométrique ; la teneur en eau se gradue dans l'unité affichée.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     * @param {boolean} showWaterContent - Whether to draw the water content grid
+     */
+    _drawMollierGrid(ctx, bounds, palette, scale, showWaterContent) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const scaleX = this._canvasWidth / 800;
+        const scaleY = this._canvasHeight / 600;
+        ctx.font = `${Math.max(10, 12 * scale)}px Arial`;
+
+        const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+        const startT = Math.ceil(bounds.minTemp / tempStep) * tempStep;
+        const endT = Math.floor(bounds.maxTemp / tempStep) * tempStep;
+
+        const subdivisions = this._tempSubdivisions();
+        if (subdivisions > 1) {
+            ctx.save();
+            ctx.globalAlpha = 0.45;
+            ctx.lineWidth = 0.5 * scale;
+            for (let major = startT - tempStep; major < endT + tempStep; major += tempStep) {
+                for (let k = 1; k < subdivisions; k++) {
+                    const y = this.tempToY(this.toInternalTemp(major + (k * tempStep) / subdivisions));
+                    if (y < top || y > bottom) continue;
+                    ctx.beginPath();
+                    ctx.moveTo(left, y);
+                    ctx.lineTo(right, y);
+                    ctx.stroke();
+                }
+            }
+            ctx.restore();
+        }
+
+        for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
+            const y = this.tempToY(this.toInternalTemp(displayTemp));
+            if (y < top || y > bottom) continue;
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+            ctx.stroke();
+            ctx.fillStyle = palette.text;
+            ctx.fillText(`${displayTemp}${this.getTempUnit()}`, 10 * scaleX, y + 5 * scaleY);
+        }
+
+        if (!showWaterContent) return;
+        // Graduations rondes dans l'unité affichée (g/kg ou gr/lb), ramenées en kg/kg.
+        const factor = this._psychro.convertUnit('humidityRatio', 1, this._unitSystem()).value;
+        const axis = PsychrometricCalculations.niceScale(bounds.minW * 1000 * factor, bounds.maxW * 1000 * factor, 7);
+        ctx.textAlign = 'center';
+        for (let index = 0; axis.min + index * axis.step <= axis.max; index++) {
+            const value = axis.min + index * axis.step;
+            const x = this.waterContentToX(value / factor / 1000);
+            if (x < left || x > right) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, bottom);
+            ctx.lineTo(x, top);
+            ctx.stroke();
+            ctx.fillStyle = palette.text;
+            ctx.fillText(this.formatQuantity('humidityRatio', value / factor, axis.decimals), x, bottom + 20 * scaleY);
+        }
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Ticks of a humidity scale along the Y axis of the psychrometric chart.
+     *
+     * Le pas se choisit dans l'unité affichée, pour des graduations rondes en inHg comme
+     * en kPa, en gr/lb comme en g/kg ; chaque graduation est ramenée à une pression de
+     * vapeur, que vaporPressureToY place quelle que soit la grandeur de l'axe.
+     * @param {string} quantity - 'vaporPressure', 'humidityRatio' or 'dewPoint'
+     * @returns {Array<{y: number, label: string, value: string}>} Ticks strictly inside the
+     *   chart frame, labelled with and without their unit
+     */
+    _humidityTicks(quantity) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { top, bottom } = this._chartFrame();
+        const unitSystem = this._unitSystem();
+        const minPv = Math.max(0, this.yToVaporPressure(bottom));
+        const maxPv = this.yToVaporPressure(top);
+        /**
+         * Values of a niceScale axis.
+         * @param {{min: number, max: number, step: number}} axis - Axis definition
+         * @returns {number[]} Tick values
+         */
+        const values = (axis) => {
+            const list = [];
+            for (let index = 0; axis.min + index * axis.step <= axis.max; index++) list.push(axis.min + index * axis.step);
+            return list;
+        };
+
+        let ticks;
+        if (quantity === 'humidityRatio') {
+            const factor = this._psychro.convertUnit('humidityRatio', 1, unitSystem).value;
+            const saturationRef = this._psychro.calculateSaturationPressure(bounds.maxTemp);
+            const toDisplay = pv => this._psychro.calculateWaterContent(bounds.maxTemp, (pv / saturationRef) * 100) * 1000 * factor;
+            const axis = PsychrometricCalculations.niceScale(toDisplay(minPv), toDisplay(maxPv), 10);
+            ticks = values(axis).map(value => ({
+                pv: this._psychro.waterContentToVaporPressure(value / factor / 1000),
+                label: this.formatQuantity('humidityRatio', value / factor, axis.decimals),
+                value: value.toFixed(axis.decimals),
+            }));
+        } else if (quantity === 'dewPoint') {
+            // Quand la pression tend vers 0, les points de rosée filent vers -∞ et
+            // s'entasseraient au bas de l'échelle : elle s'arrête à minTemp.
+            const low = minPv > 0
+                ? Math.max(bounds.minTemp, this._psychro.calculateSaturationTemperature(minPv))
+                : bounds.minTemp;
+            const high = this._psychro.calculateSaturationTemperature(maxPv);
+            const axis = PsychrometricCalculations.niceScale(this.toDisplayTemp(low), this.toDisplayTemp(high), 8);
+            ticks = values(axis).map(value => ({
+                pv: this._psychro.calculateSaturationPressure(this.toInternalTemp(value)),
+                label: `${value.toFixed(axis.decimals)}${this.getTempUnit()}`,
+                value: value.toFixed(axis.decimals),
+            }));
+        } else {
+            const factor = this._psychro.convertUnit('pressure', 1, unitSystem).value;
+            const maxDisplayPv = maxPv * factor;
+            let step = 0.5;
+            if (maxDisplayPv < 1) step = 0.1;
+            else if (maxDisplayPv > 5) step = 1;
+            // Un diagramme courant monte à 1,2 inHg : un pas de 0,5 n'y tracerait que deux lignes.
+            else if (factor !== 1 && maxDisplayPv < 2.5) step = 0.2;
+            const decimals = factor === 1 ? 1 : 2;
+            ticks = values({ min: 0, max: maxDisplayPv + step, step }).map(value => ({
+                pv: value / factor,
+                label: this.formatQuantity('pressure', value / factor, decimals),
+                value: value.toFixed(decimals),
+            }));
+        }
+
+        return ticks
+            .map(({ pv, label, value }) => ({ y: this.vaporPressureToY(pv), label, value }))
+            .filter(({ y }) => y > top && y < bottom);
+    }
+
+    /**
+     * Draw the secondary humidity scale along the right edge of the psychrometric chart.
+     * La marge droite est étroite : les graduations n'y portent que leur valeur, l'unité
+     * coiffe l'échelle.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {string} quantity - 'vaporPressure', 'humidityRatio' or 'dewPoint'
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawSecondaryAxis(ctx, quantity, palette, scale) {
+        const { right, top, bottom } = this._chartFrame();
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.strokeStyle = palette.text;
+        ctx.fillStyle = palette.text;
+        ctx.lineWidth = 1 * scale;
+        ctx.font = `${Math.max(9, 10 * scale)}px Arial`;
+        ctx.beginPath();
+        ctx.moveTo(right, top);
+        ctx.lineTo(right, bottom);
+        for (const { y } of this._humidityTicks(quantity)) {
+            ctx.moveTo(right, y);
+            ctx.lineTo(right + 4 * scale, y);
+        }
+        ctx.stroke();
+        for (const { y, value } of this._humidityTicks(quantity)) {
+            ctx.fillText(value, right + 6 * scale, y + 3 * scale);
+        }
+        const unit = quantity === 'dewPoint'
+            ? this.getTempUnit()
+            : this._psychro.convertUnit(quantity === 'humidityRatio' ? 'humidityRatio' : 'pressure', 0, this._unitSystem()).unit;
+        const title = { dewPoint: 'dewPoint', humidityRatio: 'waterContent', vaporPressure: 'vaporPressure' }[quantity];
+        ctx.textAlign = 'right';
+        ctx.fillText(`${this.t(title)} (${unit})`, this._canvasWidth - 4 * scale, top - 8 * scale);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the dew point scale along the saturation curve.
+     *
+     * Sur la courbe de saturation, température sèche, humide et de rosée se confondent :
+     * les graduations s'y lisent directement, puis se reportent à l'horizontale (teneur
+     * en eau constante) jusqu'à l'état étudié, comme sur les abaques d'ingénierie.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawDewPointScale(ctx, bounds, palette, scale) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+        const startT = Math.ceil(this.toDisplayTemp(bounds.minTemp) / tempStep) * tempStep;
+        const endT = Math.floor(this.toDisplayTemp(bounds.maxTemp) / tempStep) * tempStep;
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.strokeStyle = palette.saturation;
+        ctx.fillStyle = palette.text;
+        ctx.lineWidth = 1 * scale;
+        ctx.font = `${Math.max(8, 9 * scale)}px Arial`;
+        ctx.textAlign = 'right';
+        for (let displayTemp = startT; displayTemp <= endT; displayTemp += tempStep) {
+            const temp = this.toInternalTemp(displayTemp);
+            const p = this._project(temp, 100);
+            if (p.x < left || p.x > right || p.y < top || p.y > bottom) continue;
+            // Normale sortante de la courbe, vers le haut et la gauche.
+            const next = this._project(temp + 0.1, 100);
+            const length = Math.hypot(next.x - p.x, next.y - p.y) || 1;
+            const nx = (next.y - p.y) / length;
+            const ny = -(next.x - p.x) / length;
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(p.x + nx * 4 * scale, p.y + ny * 4 * scale);
+            ctx.stroke();
+            ctx.fillText(`${displayTemp}`, p.x + nx * 6 * scale, p.y + ny * 6 * scale + 3 * scale);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw the time-in-zone heatmap: hours spent by all points in each chart cell.
+     *
+     * Les cases suivent le graphique affiché (type, axe vertical, zoom) : les états
+     * passés sont projetés comme les points, puis regroupés en cases d'environ 20 px.
+     * L'opacité croît avec les heures passées, la case la plus fréquentée étant la plus
+     * soutenue ; la légende rappelle à combien d'heures elle correspond.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context, clipped to the chart frame
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawHeatmap(ctx, palette, scale) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const width = right - left;
+        const height = bottom - top;
+        const columns = Math.max(1, Math.round(width / (20 * scale)));
+        const rows = Math.max(1, Math.round(height / (20 * scale)));
+        const positions = Object.values(this._heatmap.points).flatMap(({ states }) => states.map(state => {
+            const { x, y } = this._project(state.temp, state.humidity);
+            return { u: (x - left) / width, v: (y - top) / height };
+        }));
+        const { cells, max } = PsychrometricCalculations.binPositions(positions, columns, rows, this._heatmap.stepHours);
+        if (!max) return;
+
+        const rgb = PsychrometricCalculations.colorToRgb(palette.heatmap);
+        const cellWidth = width / columns;
+        const cellHeight = height / rows;
+        ctx.save();
+        cells.forEach((row, rowIndex) => row.forEach((hours, column) => {
+            if (!hours) return;
+            ctx.fillStyle = PsychrometricCalculations.rgbToCss(rgb, 0.1 + 0.6 * (hours / max));
+            ctx.fillRect(left + column * cellWidth, top + rowIndex * cellHeight, cellWidth, cellHeight);
+        }));
+        ctx.fillStyle = palette.text;
+        ctx.font = `${Math.max(9, 10 * scale)}px Arial`;
+        ctx.fillText(this.t('heatmapMax').replace('{hours}', max < 10 ? max.toFixed(1) : Math.round(max)),
+            left + 6 * scale, top + 14 * scale);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the trail of each point: its recent states, fading with age.
+     *
+     * Chaque segment prend l'opacité de son âge, de presque transparent au début de
+     * la fenêtre à presque plein contre le point ; un trou dans l'historique coupe la trace.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context, clipped to the chart frame
+     * @param {Array<Object>} points - Displayed points
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawTrails(ctx, points, scale) {
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.lineWidth = 2 * scale;
+        ctx.lineCap = 'round';
+        for (const point of points) {
+            if (!point.trail?.length) continue;
+            // L'état courant ferme la trace : elle rejoint toujours la pastille.
+            const states = [...point.trail, { temp: point.temp, humidity: point.humidity }];
+            ctx.strokeStyle = point.color;
+            let previous = null;
+            states.forEach((state, index) => {
+                const position = state && this._project(state.temp, state.humidity);
+                if (previous && position) {
+                    ctx.globalAlpha = 0.05 + 0.75 * (index / (states.length - 1));
+                    ctx.beginPath();
+                    ctx.moveTo(previous.x, previous.y);
+                    ctx.lineTo(position.x, position.y);
+                    ctx.stroke();
+                }
+                previous = position;
+            });
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw the edge protractor of the Mollier diagram.
+     *
+     * Chaque rayon donne la direction d'une évolution qui échange Δh/Δx kJ par kg
+     * d'eau ajoutée : 0 suit une isenthalpe (humidification adiabatique), 2501 une
+     * isotherme (vapeur à 0 °C), ±∞ la verticale du chauffage ou du refroidissement
+     * sensible. Pour lire un process, on reporte son rayon parallèlement.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawProtractor(ctx, bounds, palette, scale) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const radius = 45 * scale;
+        // Coin inférieur droit : la zone de brouillard, sous la saturation, reste vide.
+        const cx = right - 12 * scale;
+        const cy = bottom - radius - 20 * scale;
+        const pxPerW = (right - left) / (bounds.maxW - bounds.minW);
+        const pxPerK = (bottom - top) / (bounds.maxTemp - bounds.minTemp);
+        const system = this._unitSystem();
+
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 0.75;
+        ctx.strokeStyle = palette.text;
+        ctx.fillStyle = palette.text;
+        ctx.lineWidth = 1 * scale;
+        ctx.font = `${Math.max(8, 8 * scale)}px Arial`;
+        ctx.textAlign = 'center';
+
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, Math.PI / 2, (3 * Math.PI) / 2);
+        ctx.moveTo(cx, cy - radius);
+        ctx.lineTo(cx, cy + radius);
+        ctx.stroke();
+        ctx.fillText('±∞', cx, cy - radius - 4 * scale);
+
+        for (const ratio of [-2000, 0, 1000, 2500, 4000, 6000, 10000]) {
+            // Direction vers les teneurs en eau décroissantes, pour rester dans le
+            // demi-cercle gauche.
+            const dW = -0.001;
+            const dx = dW * pxPerW;
+            const dy = -PsychrometricCalculations.calculateProtractorSlope(ratio) * dW * pxPerK;
+            const length = Math.hypot(dx, dy);
+            const ux = dx / length;
+            const uy = dy / length;
+            ctx.beginPath();
+            ctx.moveTo(cx + ux * radius * 0.75, cy + uy * radius * 0.75);
+            ctx.lineTo(cx + ux * radius, cy + uy * radius);
+            ctx.stroke();
+            ctx.fillText(this._psychro.convertUnit('enthalpy', ratio, system, true).value.toFixed(0),
+                cx + ux * (radius + 12 * scale), cy + uy * (radius + 12 * scale) + 3 * scale);
+        }
+
+        const unit = this._psychro.convertUnit('enthalpy', 0, system, true).unit;
+        ctx.textAlign = 'right';
+        ctx.fillText(`Δh/Δx (${unit})`, cx - 10 * scale, cy - radius - 16 * scale);
+        ctx.restore();
+    }
+
+    /**
+     * Draw one process step as a labeled arrow between its two states.
+     *
+     * Le segment est droit : les transformations sont linéaires en teneur en eau, abscisse
+     * du Mollier, et la pression de vapeur de l'axe Y lui est quasi proportionnelle à ces échelles.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} step - Process step { label, from, to }
+     * @param {string} color - Arrow color
+     * @param {number} scale - Canvas scale factor
+     */
+    _drawProcessArrow(ctx, step, color, scale) {
+        const { x: x1, y: y1 } = this._project(step.from.temp, step.from.humidity);
+        const { x: x2, y: y2 } = this._project(step.to.temp, step.to.humidity);
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length < 1) return;
+
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const head = Math.min(10 * scale, length / 2);
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2 * scale;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+
+        // Libellé au milieu, décalé perpendiculairement pour ne pas chevaucher la flèche.
+        const offset = 10 * scale;
+        ctx.font = `${Math.max(10, 10 * scale)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.fillText(step.label,
+            (x1 + x2) / 2 + Math.sin(angle) * offset,
+            (y1 + y2) / 2 - Math.cos(angle) * offset);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Temperatures sampled along the relative humidity curves.
+     *
+     * Un pas régulier de 0.5 °C, plus 0 °C lui-même : avec une formulation « glace »,
+     * la courbe de saturation y change de pente (glace en dessous, eau au-dessus), et
+     * un échantillonnage qui l'enjamberait arrondirait ce coude.
+     * @param {Object} bounds - Chart bounds
+     * @returns {number[]} Increasing temperatures in Celsius
+     */
+    _curveTemperatures(bounds) {
+        const temps = [];
+        for (let t = bounds.minTemp; t <= bounds.maxTemp; t += 0.5) temps.push(t);
+        if (bounds.minTemp < 0 && bounds.maxTemp > 0 && !temps.includes(0)) {
+            const index = temps.findIndex(t => t > 0);
+            temps.splice(index === -1 ? temps.length : index, 0, 0);
+        }
+        return temps;
+    }
+
     /**
      * Build the constant-wet-bulb lines as (temp, rh) samples.
      *
-     * These lines only depend on the temperature bounds, never on the entity states,
-     * so they are cached: the previous implementation re-ran a nested search calling
+     * These lines only depend on the temperature bounds, the atmospheric pressure and
+     * the saturation formulation, never on the entity states, so they are cached: the previous implementation re-ran a nested search calling
      * `calculateWetBulbTemp` ~18 800 times on every redraw.
      * @param {Object} bounds - Chart bounds
      * @returns {Array<Array<{temp: number, rh: number}>>} One sample list per line
      */
     _wetBulbLines(bounds) {
-        const key = `${bounds.minTemp}/${bounds.maxTemp}`;
+        const key = `${bounds.minTemp}/${bounds.maxTemp}/${bounds.pressure}/${bounds.saturation}`;
         if (this._wetBulbCache?.key === key) return this._wetBulbCache.lines;
 
         const lines = [];
@@ -1517,20 +3654,193 @@ class PsychrometricChartEnhanced extends LitElement {
             // La ligne part de la saturation (t = tw) et s'étend vers les températures
             // sèches croissantes ; la teneur en eau y est donnée en forme close.
             for (let t = tw; t <= bounds.maxTemp; t += 0.5) {
-                const W = PsychrometricCalculations.calculateWaterContentFromWetBulb(t, tw);
+                const W = this._psychro.calculateWaterContentFromWetBulb(t, tw);
                 if (W <= 0) break;
-                const P_v = PsychrometricCalculations.waterContentToVaporPressure(W);
-                const rh = (P_v / PsychrometricCalculations.calculateSaturationPressure(t)) * 100;
+                const P_v = this._psychro.waterContentToVaporPressure(W);
+                const rh = (P_v / this._psychro.calculateSaturationPressure(t)) * 100;
                 if (rh <= 0) break;
                 samples.push({ temp: t, rh });
             }
-            if (samples.length > 1) lines.push(samples);
+            if (samples.length > 1) lines.push(samples);
+        }
+
+        this._wetBulbCache = { key, lines };
+        return lines;
+    }
+
+    /**
+     * Build the lines of one optional isoline family as labelled (temp, rh) samples.
+     *
+     * Chaque ligne part de la courbe de saturation, point de départ affiné par
+     * dichotomie, et court vers les températures sèches croissantes tant que l'air
+     * garde une humidité. Les valeurs sont rondes dans l'unité affichée ; comme pour
+     * les temp. humides, le résultat ne dépend pas des états et reste en cache.
+     * @param {string} family - 'specificVolume', 'dewPoint' or 'absoluteHumidity'
+     * @param {Object} bounds - Chart bounds
+     * @returns {Array<{label: string, samples: Array<{temp: number, rh: number}>}>} One entry per line
+     */
+    _isolines(family, bounds) {
+        const unitSystem = this._unitSystem();
+        const key = `${bounds.minTemp}/${bounds.maxTemp}/${bounds.pressure}/${bounds.saturation}/${unitSystem}/${this.getTempUnit()}`;
+        const cached = this._isolineCache.get(family);
+        if (cached?.key === key) return cached.lines;
+
+        /**
+         * Round values of a quantity between two SI values, in display units.
+         * @param {string} quantity - Quantity known to convertUnit
+         * @param {number} min - Smallest SI value
+         * @param {number} max - Largest SI value
+         * @returns {Array<{value: number, label: string}>} SI values with their label
+         */
+        const roundValues = (quantity, min, max) => {
+            const factor = this._psychro.convertUnit(quantity, 1, unitSystem).value;
+            const axis = PsychrometricCalculations.niceScale(min * factor, max * factor, 10);
+            const list = [];
+            for (let index = 0; axis.min + index * axis.step <= axis.max; index++) {
+                const value = (axis.min + index * axis.step) / factor;
+                if (value > 0) list.push({ value, label: this.formatQuantity(quantity, value, axis.decimals) });
+            }
+            return list;
+        };
+
+        let values;
+        let waterContentAt;
+        if (family === 'specificVolume') {
+            values = roundValues('specificVolume',
+                this._psychro.calculateSpecificVolume(bounds.minTemp, 0), this._psychro.calculateSpecificVolume(bounds.maxTemp, 100));
+            waterContentAt = (value, t) => this._psychro.calculateWaterContentFromSpecificVolume(t, value);
+        } else if (family === 'absoluteHumidity') {
+            values = roundValues('absoluteHumidity', 0, this._psychro.calculateAbsoluteHumidity(bounds.maxTemp, 100));
+            waterContentAt = (value, t) => this._psychro.calculateWaterContentFrom('absoluteHumidity', value, t);
+        } else {
+            const tempStep = this._temperatureUnit === '°F' ? 9 : 5;
+            values = [];
+            for (let displayTemp = Math.ceil(this.toDisplayTemp(bounds.minTemp) / tempStep) * tempStep;
+                displayTemp <= this.toDisplayTemp(bounds.maxTemp); displayTemp += tempStep) {
+                values.push({ value: this.toInternalTemp(displayTemp), label: `${displayTemp}${this.getTempUnit()}` });
+            }
+            waterContentAt = (value, t) => this._psychro.calculateWaterContentFrom('dewPoint', value, t);
+        }
+
+        /**
+         * Relative humidity on a line at a dry bulb temperature.
+         * @param {number} value - Line value in SI units
+         * @param {number} t - Dry bulb temperature in Celsius
+         * @returns {number} Relative humidity in %, NaN without water vapor
+         */
+        const rhAt = (value, t) => {
+            const W = waterContentAt(value, t);
+            if (!(W > 0)) return NaN;
+            return (this._psychro.waterContentToVaporPressure(W) / this._psychro.calculateSaturationPressure(t)) * 100;
+        };
+
+        const lines = [];
+        for (const { value, label } of values) {
+            const samples = [];
+            let saturated = false;
+            for (let index = 0; bounds.minTemp + index * 0.5 <= bounds.maxTemp; index++) {
+                const t = bounds.minTemp + index * 0.5;
+                const rh = rhAt(value, t);
+                if (!(rh > 0)) {
+                    if (samples.length) break;
+                    continue;
+                }
+                if (rh > 100) {
+                    saturated = true;
+                    continue;
+                }
+                if (saturated && !samples.length) {
+                    let low = t - 0.5;
+                    let high = t;
+                    for (let i = 0; i < 20; i++) {
+                        const mid = (low + high) / 2;
+                        if (rhAt(value, mid) > 100) low = mid;
+                        else high = mid;
+                    }
+                    samples.push({ temp: high, rh: 100 });
+                }
+                samples.push({ temp: t, rh });
+            }
+            if (samples.length > 1) lines.push({ label, samples });
         }
 
-        this._wetBulbCache = { key, lines };
+        this._isolineCache.set(family, { key, lines });
         return lines;
     }
 
+    /**
+     * Draw the optional isoline families: specific volume, dew point, absolute humidity.
+     *
+     * Les étiquettes évitent de se chevaucher et de masquer les points : chacune essaie
+     * plusieurs positions le long de sa ligne, du milieu vers les extrémités, et n'est
+     * pas écrite si aucune n'est libre.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} bounds - Chart bounds
+     * @param {Object} palette - Resolved palette
+     * @param {number} scale - Canvas scale factor
+     * @param {Array<Object>} points - Displayed points
+     */
+    _drawIsolines(ctx, bounds, palette, scale, points) {
+        const families = [
+            { name: 'specificVolume', toggle: 'showSpecificVolumeLines' },
+            { name: 'dewPoint', toggle: 'showDewPointLines' },
+            { name: 'absoluteHumidity', toggle: 'showAbsoluteHumidityLines' },
+        ].filter(({ toggle }) => this.config?.[toggle] === true);
+        if (!families.length) return;
+
+        const { left, right, top, bottom } = this._chartFrame();
+        const inside = ({ x, y }) => x >= left && x <= right && y >= top && y <= bottom;
+        const fontSize = Math.max(8, 9 * scale);
+        const occupied = points.map(point => {
+            const { x, y } = this._project(point.temp, point.humidity);
+            const radius = 10 * scale;
+            return { x0: x - radius, y0: y - radius, x1: x + radius, y1: y + radius };
+        });
+        const overlaps = (box) => occupied.some(other =>
+            box.x0 < other.x1 && box.x1 > other.x0 && box.y0 < other.y1 && box.y1 > other.y0);
+
+        ctx.save();
+        ctx.lineWidth = 0.8 * scale;
+        ctx.font = `${fontSize}px Arial`;
+        ctx.textAlign = 'center';
+        for (const { name } of families) {
+            ctx.setLineDash(this._lineDash(`${name}LineStyle`, scale));
+            ctx.strokeStyle = palette[name];
+            for (const { label, samples } of this._isolines(name, bounds)) {
+                const positions = samples.map(({ temp, rh }) => this._project(temp, rh));
+                let started = false;
+                ctx.beginPath();
+                for (const position of positions) {
+                    if (!inside(position)) {
+                        started = false;
+                        continue;
+                    }
+                    if (started) ctx.lineTo(position.x, position.y);
+                    else ctx.moveTo(position.x, position.y);
+                    started = true;
+                }
+                ctx.stroke();
+
+                const visible = positions.filter(inside);
+                if (visible.length < 2) continue;
+                const width = ctx.measureText(label).width + 4 * scale;
+                for (const fraction of [0.5, 0.35, 0.65, 0.2, 0.8]) {
+                    const { x, y } = visible[Math.round(fraction * (visible.length - 1))];
+                    const box = { x0: x - width / 2, y0: y - fontSize / 2 - 1, x1: x + width / 2, y1: y + fontSize / 2 + 1 };
+                    if (box.x0 < left || box.x1 > right || box.y0 < top || box.y1 > bottom || overlaps(box)) continue;
+                    occupied.push(box);
+                    // Fond de la couleur du graphique : l'étiquette coupe la ligne au lieu de la chevaucher.
+                    ctx.fillStyle = palette.bg;
+                    ctx.fillRect(box.x0, box.y0, box.x1 - box.x0, box.y1 - box.y0);
+                    ctx.fillStyle = palette[name];
+                    ctx.fillText(label, x, y + fontSize / 3);
+                    break;
+                }
+            }
+        }
+        ctx.restore();
+    }
+
     /**
      * Convert temperature to X coordinate.
      * @param {number} temp - Temperature in Celsius
@@ -1548,9 +3858,18 @@ class PsychrometricChartEnhanced extends LitElement {
         return leftPadding + ((temp - bounds.minTemp) / tempRange) * chartWidth;
     }
 
+    /**
+     * Quantity carried by the Y axis of the psychrometric chart.
+     * @returns {string} One of Y_AXES
+     */
+    _yAxis() {
+        return Y_AXES.includes(this.config?.yAxis) ? this.config.yAxis : 'vaporPressure';
+    }
+
     /**
      * Convert humidity to Y coordinate.
-     * The Y axis carries vapor pressure: minPv sits on the bottom edge, maxPv on top.
+     * The Y axis carries vapor pressure (minPv on the bottom edge, maxPv on top) or,
+     * with `yAxis: humidityRatio`, water content between minW and maxW.
      * @param {number} temp - Temperature in Celsius
      * @param {number} humidity - Relative humidity in %
      * @returns {number} Y coordinate
@@ -1563,12 +3882,208 @@ class PsychrometricChartEnhanced extends LitElement {
         const bottomEdge = 550 * scaleY;
         const chartHeight = bottomEdge - topPadding;
 
-        const P_v = PsychrometricCalculations.calculateVaporPressure(temp, humidity);
+        if (this._yAxis() === 'humidityRatio') {
+            const W = this._psychro.calculateWaterContent(temp, humidity);
+            return bottomEdge - ((W - bounds.minW) / (bounds.maxW - bounds.minW)) * chartHeight;
+        }
+
+        const P_v = this._psychro.calculateVaporPressure(temp, humidity);
         const pvRange = bounds.maxPv - bounds.minPv;
 
         return bottomEdge - ((P_v - bounds.minPv) / pvRange) * chartHeight;
     }
 
+    /**
+     * Convert an X coordinate back to a temperature, inverse of tempToX.
+     * @param {number} x - X coordinate
+     * @returns {number} Temperature in Celsius
+     */
+    xToTemp(x) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const leftPadding = this.tempToX(bounds.minTemp);
+        const rightEdge = this.tempToX(bounds.maxTemp);
+        return bounds.minTemp + ((x - leftPadding) / (rightEdge - leftPadding)) * (bounds.maxTemp - bounds.minTemp);
+    }
+
+    /**
+     * Convert a Y coordinate back to a vapor pressure, inverse of humidityToY.
+     * L'humidité relative s'en déduit ensuite à la température lue sur l'axe X.
+     * @param {number} y - Y coordinate
+     * @returns {number} Vapor pressure in kPa
+     */
+    yToVaporPressure(y) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const scaleY = this._canvasHeight / 600;
+
+        const topPadding = 50 * scaleY;
+        const bottomEdge = 550 * scaleY;
+        const ratio = (bottomEdge - y) / (bottomEdge - topPadding);
+        if (this._yAxis() === 'humidityRatio') {
+            return this._psychro.waterContentToVaporPressure(bounds.minW + ratio * (bounds.maxW - bounds.minW));
+        }
+        return bounds.minPv + ratio * (bounds.maxPv - bounds.minPv);
+    }
+
+    /**
+     * Y coordinate of a vapor pressure, whatever the quantity on the Y axis.
+     * @param {number} vaporPressure - Vapor pressure in kPa
+     * @returns {number} Y coordinate
+     */
+    vaporPressureToY(vaporPressure) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        // L'humidité relative à maxTemp peut dépasser 100 % : seule compte la pression
+        // qu'elle représente, que humidityToY reprojette sur l'axe configuré.
+        const rh = (vaporPressure / this._psychro.calculateSaturationPressure(bounds.maxTemp)) * 100;
+        return this.humidityToY(bounds.maxTemp, rh);
+    }
+
+    /**
+     * Whether the card draws a Mollier (h-x) diagram instead of the psychrometric chart.
+     * @returns {boolean}
+     */
+    _isMollier() {
+        return this.config?.chartType === 'mollier';
+    }
+
+    /**
+     * Edges of the chart frame, in canvas CSS pixels.
+     * @returns {{left: number, right: number, top: number, bottom: number}}
+     */
+    _chartFrame() {
+        const scaleX = this._canvasWidth / 800;
+        const scaleY = this._canvasHeight / 600;
+        return { left: 50 * scaleX, right: 750 * scaleX, top: 50 * scaleY, bottom: 550 * scaleY };
+    }
+
+    /**
+     * Convert a water content to the X coordinate of the Mollier diagram.
+     * @param {number} waterContent - Water content in kg/kg
+     * @returns {number} X coordinate
+     */
+    waterContentToX(waterContent) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { left, right } = this._chartFrame();
+        return left + ((waterContent - bounds.minW) / (bounds.maxW - bounds.minW)) * (right - left);
+    }
+
+    /**
+     * Convert an X coordinate of the Mollier diagram back to a water content.
+     * @param {number} x - X coordinate
+     * @returns {number} Water content in kg/kg
+     */
+    xToWaterContent(x) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { left, right } = this._chartFrame();
+        return bounds.minW + ((x - left) / (right - left)) * (bounds.maxW - bounds.minW);
+    }
+
+    /**
+     * Convert a temperature to the Y coordinate of the Mollier diagram.
+     * @param {number} temp - Temperature in Celsius
+     * @returns {number} Y coordinate
+     */
+    tempToY(temp) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { top, bottom } = this._chartFrame();
+        return bottom - ((temp - bounds.minTemp) / (bounds.maxTemp - bounds.minTemp)) * (bottom - top);
+    }
+
+    /**
+     * Convert a Y coordinate of the Mollier diagram back to a temperature.
+     * @param {number} y - Y coordinate
+     * @returns {number} Temperature in Celsius
+     */
+    yToTemp(y) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const { top, bottom } = this._chartFrame();
+        return bounds.minTemp + ((bottom - y) / (bottom - top)) * (bounds.maxTemp - bounds.minTemp);
+    }
+
+    /**
+     * Project an air state onto the canvas, whatever the chart type.
+     *
+     * Tout ce qui se dessine à partir d'un état (courbes, zone, points, flèches) passe
+     * par ici : le Mollier n'est que le même diagramme, axes permutés et ordonnée en
+     * teneur en eau plutôt qu'en pression de vapeur.
+     * @param {number} temp - Temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {{x: number, y: number}} Canvas position
+     */
+    _project(temp, humidity) {
+        if (!this._isMollier()) return { x: this.tempToX(temp), y: this.humidityToY(temp, humidity) };
+        return { x: this.waterContentToX(this._psychro.calculateWaterContent(temp, humidity)), y: this.tempToY(temp) };
+    }
+
+    /**
+     * Air state at a canvas position, inverse of _project.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {{temp: number, humidity: number}} Temperature in Celsius and relative humidity in %
+     */
+    _unproject(x, y) {
+        const temp = this._isMollier() ? this.yToTemp(y) : this.xToTemp(x);
+        const vaporPressure = this._isMollier()
+            ? this._psychro.waterContentToVaporPressure(this.xToWaterContent(x))
+            : this.yToVaporPressure(y);
+        return { temp, humidity: (vaporPressure / this._psychro.calculateSaturationPressure(temp)) * 100 };
+    }
+
+    /**
+     * Pointer position in the canvas drawing space.
+     * @param {MouseEvent} e - Mouse event
+     * @returns {{x: number, y: number, rect: DOMRect}|null} CSS pixel position, null without a laid out canvas
+     */
+    _canvasPosition(e) {
+        const canvas = this.shadowRoot.getElementById('psychroChart');
+        if (!canvas) return null;
+        // Le contexte dessine en pixels CSS : ramener le pointeur dans ce repère.
+        const rect = canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        return {
+            x: (e.clientX - rect.left) * (this._canvasWidth / rect.width),
+            y: (e.clientY - rect.top) * (this._canvasHeight / rect.height),
+            rect,
+        };
+    }
+
+    /**
+     * Full air state under the pointer, for the cursor readout.
+     *
+     * Le pointeur donne la température et la pression de vapeur ou la teneur en eau,
+     * selon le type de diagramme et son axe vertical ; toutes les autres grandeurs en
+     * découlent. Au-delà de la courbe de saturation ou hors du cadre, il n'y a pas
+     * d'air à décrire.
+     * @param {MouseEvent} e - Mouse event
+     * @returns {Object|null} State in Celsius, %, kg/kg, kJ/kg and m³/kg, with the
+     *   viewport coordinates of the axes for the crosshair; null outside the air domain
+     */
+    _stateAt(e) {
+        const position = this._canvasPosition(e);
+        if (!position) return null;
+        const { left, right, top, bottom } = this._chartFrame();
+        if (position.x < left || position.x > right || position.y < top || position.y > bottom) return null;
+
+        const { temp, humidity } = this._unproject(position.x, position.y);
+        if (!(humidity > 0 && humidity <= 100)) return null;
+
+        const waterContent = this._psychro.calculateWaterContent(temp, humidity);
+        const dewPoint = this._psychro.calculateDewPoint(temp, humidity);
+        return {
+            temp,
+            humidity,
+            dewPoint,
+            frostPoint: this._psychro.saturatesOverIce(dewPoint),
+            wetBulbTemp: this._psychro.calculateWetBulbTemp(temp, humidity),
+            waterContent,
+            enthalpy: this._psychro.calculateEnthalpy(temp, waterContent),
+            specificVolume: this._psychro.calculateSpecificVolume(temp, humidity),
+            clientX: e.clientX,
+            clientY: e.clientY,
+            axisLeft: position.rect.left + left * (position.rect.width / this._canvasWidth),
+            axisBottom: position.rect.top + bottom * (position.rect.height / this._canvasHeight),
+        };
+    }
+
     /**
      * Handle mouse move event on canvas.
      * @param {MouseEvent} e - Mouse event
@@ -1576,11 +4091,17 @@ class PsychrometricChartEnhanced extends LitElement {
     _handleMouseMove(e) {
         const canvas = this.shadowRoot.getElementById('psychroChart');
         if (!canvas) return;
+        if (this._drag) {
+            this._dragTo(e, canvas);
+            return;
+        }
 
         const point = this._pointAt(e);
         canvas.style.cursor = point ? 'pointer' : 'crosshair';
         this._hoveredPoint = point;
-        if (point) this._tooltipPos = { x: e.clientX + 15, y: e.clientY + 15 };
+        // Hors des points, la carte devient un calculateur psychrométrique.
+        this._cursorState = !point && this.config?.showCursorReadout !== false ? this._stateAt(e) : null;
+        if (point || this._cursorState) this._tooltipPos = { x: e.clientX + 15, y: e.clientY + 15 };
     }
 
     /**
@@ -1588,6 +4109,9 @@ class PsychrometricChartEnhanced extends LitElement {
      */
     _handleMouseLeave() {
         this._hoveredPoint = null;
+        this._cursorState = null;
+        this._drag = null;
+        this._zoomBox = null;
     }
 
     /**
@@ -1595,8 +4119,290 @@ class PsychrometricChartEnhanced extends LitElement {
      * @param {MouseEvent} e - Mouse event
      */
     _handleCanvasClick(e) {
+        // Le clic qui termine un glisser n'en est pas un.
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            return;
+        }
         const point = this._pointAt(e);
-        if (point) this._openHistory(point.tempEntityId, 'temperature');
+        if (point?.tempEntityId) this._openHistory(point.tempEntityId, 'temperature');
+    }
+
+    /**
+     * Whether the chart can be zoomed and panned with the mouse and touch gestures.
+     * @returns {boolean}
+     */
+    _interactiveZoom() {
+        return this.config?.interactiveZoom !== false;
+    }
+
+    /**
+     * Handle mouse down on canvas: start panning, or a box zoom with Shift held.
+     * @param {MouseEvent} e - Mouse event
+     */
+    _handleMouseDown(e) {
+        if (e.button !== 0 || !this._interactiveZoom()) return;
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        this._suppressClick = false;
+        this._drag = { startX: position.x, startY: position.y, x: position.x, y: position.y, box: e.shiftKey, moved: false };
+    }
+
+    /**
+     * Follow the mouse while a button is held: pan the view or stretch the zoom box.
+     * @param {MouseEvent} e - Mouse event
+     * @param {HTMLCanvasElement} canvas - Chart canvas
+     */
+    _dragTo(e, canvas) {
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        const drag = this._drag;
+        // Quelques pixels de tolérance : un clic un peu tremblé reste un clic.
+        if (!drag.moved && Math.hypot(position.x - drag.startX, position.y - drag.startY) < 4) return;
+        drag.moved = true;
+        this._hoveredPoint = null;
+        this._cursorState = null;
+        canvas.style.cursor = drag.box ? 'crosshair' : 'grabbing';
+
+        if (drag.box) {
+            const container = canvas.parentElement.getBoundingClientRect();
+            const ratioX = position.rect.width / this._canvasWidth;
+            const ratioY = position.rect.height / this._canvasHeight;
+            this._zoomBox = {
+                left: position.rect.left - container.left + Math.min(drag.startX, position.x) * ratioX,
+                top: position.rect.top - container.top + Math.min(drag.startY, position.y) * ratioY,
+                width: Math.abs(position.x - drag.startX) * ratioX,
+                height: Math.abs(position.y - drag.startY) * ratioY,
+            };
+        } else {
+            const { left, right, top, bottom } = this._chartFrame();
+            const dx = position.x - drag.x;
+            const dy = position.y - drag.y;
+            this._showFrameRect({ left: left - dx, right: right - dx, top: top - dy, bottom: bottom - dy });
+        }
+        drag.x = position.x;
+        drag.y = position.y;
+    }
+
+    /**
+     * Handle mouse up on canvas: end the pan, or zoom into the box just drawn.
+     * @param {MouseEvent} e - Mouse event
+     */
+    _handleMouseUp(e) {
+        const drag = this._drag;
+        if (!drag) return;
+        this._drag = null;
+        this._zoomBox = null;
+        this._suppressClick = drag.moved;
+        if (!drag.moved || !drag.box) return;
+
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        const { left, right, top, bottom } = this._chartFrame();
+        const clampX = x => Math.min(right, Math.max(left, x));
+        const clampY = y => Math.min(bottom, Math.max(top, y));
+        const box = {
+            left: clampX(Math.min(drag.startX, position.x)),
+            right: clampX(Math.max(drag.startX, position.x)),
+            top: clampY(Math.min(drag.startY, position.y)),
+            bottom: clampY(Math.max(drag.startY, position.y)),
+        };
+        // Une boîte écrasée contre un bord ou réduite à un trait ne dit rien de la vue voulue.
+        if (box.right - box.left >= 8 && box.bottom - box.top >= 8) this._showFrameRect(box);
+    }
+
+    /**
+     * Handle wheel on canvas: zoom around the pointer.
+     * @param {WheelEvent} e - Wheel event
+     */
+    _handleWheel(e) {
+        // La molette seule fait défiler le tableau de bord : zoomer à chaque passage sur la
+        // carte piégerait le défilement. Ctrl + molette est aussi ce qu'envoie le navigateur
+        // pour un pincement sur pavé tactile.
+        if (!this._interactiveZoom() || !(e.ctrlKey || e.metaKey)) return;
+        const position = this._canvasPosition(e);
+        if (!position) return;
+        e.preventDefault();
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        const factor = Math.min(2, Math.max(0.5, Math.exp(delta * 0.002)));
+        this._zoomAround(position.x, position.y, factor);
+    }
+
+    /**
+     * Touch positions in the canvas drawing space.
+     * @param {TouchList} touches - Touches of a touch event
+     * @returns {Array<{x: number, y: number}>} Positions, in the order of the list
+     */
+    _touchPositions(touches) {
+        return Array.from(touches, touch => this._canvasPosition(touch)).filter(Boolean);
+    }
+
+    /**
+     * Handle touch start on canvas: remember the fingers for the coming gesture.
+     * @param {TouchEvent} e - Touch event
+     */
+    _handleTouchStart(e) {
+        if (!this._interactiveZoom()) return;
+        this._touches = this._touchPositions(e.touches);
+    }
+
+    /**
+     * Handle touch move on canvas: pinch to zoom, and drag with one finger once zoomed.
+     * @param {TouchEvent} e - Touch event
+     */
+    _handleTouchMove(e) {
+        const previous = this._touches;
+        if (!previous) return;
+        const current = this._touchPositions(e.touches);
+        this._touches = current;
+        if (current.length !== previous.length) return;
+
+        const { left, right, top, bottom } = this._chartFrame();
+        if (current.length === 1) {
+            // Tant que la vue suit la configuration, un doigt fait défiler la page.
+            if (!this._view) return;
+            e.preventDefault();
+            const dx = current[0].x - previous[0].x;
+            const dy = current[0].y - previous[0].y;
+            this._showFrameRect({ left: left - dx, right: right - dx, top: top - dy, bottom: bottom - dy });
+            return;
+        }
+        if (current.length !== 2) return;
+        e.preventDefault();
+
+        const middle = ([a, b]) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const spread = ([a, b]) => Math.hypot(a.x - b.x, a.y - b.y);
+        const before = middle(previous);
+        const after = middle(current);
+        const factor = spread(previous) / Math.max(1, spread(current));
+        // Zoom autour du milieu des doigts, puis déplacement du même milieu : le point
+        // pincé reste sous les doigts.
+        const xs = PsychrometricCalculations.zoomInterval(left, right, before.x, factor);
+        const ys = PsychrometricCalculations.zoomInterval(top, bottom, before.y, factor);
+        const dx = (after.x - before.x) * factor;
+        const dy = (after.y - before.y) * factor;
+        this._showFrameRect({ left: xs.min - dx, right: xs.max - dx, top: ys.min - dy, bottom: ys.max - dy });
+    }
+
+    /**
+     * Handle touch end on canvas: go on with the fingers still down, if any.
+     * @param {TouchEvent} e - Touch event
+     */
+    _handleTouchEnd(e) {
+        this._touches = e.touches.length ? this._touchPositions(e.touches) : null;
+    }
+
+    /**
+     * Zoom the view around a canvas position, which stays in place.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out
+     */
+    _zoomAround(x, y, factor) {
+        const { left, right, top, bottom } = this._chartFrame();
+        const xs = PsychrometricCalculations.zoomInterval(left, right, x, factor);
+        const ys = PsychrometricCalculations.zoomInterval(top, bottom, y, factor);
+        this._showFrameRect({ left: xs.min, right: xs.max, top: ys.min, bottom: ys.max });
+    }
+
+    /**
+     * Make a rectangle of the canvas, in the current view, the new chart frame.
+     *
+     * Zoom, boîte et déplacement se ramènent tous à ce rectangle : chaque fenêtre d'axe
+     * s'en déduit par interpolation linéaire dans la vue actuelle, puisque les deux axes
+     * sont linéaires dans leur grandeur (température, pression de vapeur ou teneur en
+     * eau). Les fenêtres de pression de vapeur et de teneur en eau restent cohérentes
+     * entre elles, quel que soit l'axe que l'on manipule.
+     * @param {{left: number, right: number, top: number, bottom: number}} rect - Canvas rectangle
+     */
+    _showFrameRect(rect) {
+        const bounds = this._currentBounds || this._calculateChartBounds();
+        const frame = this._chartFrame();
+        const u = x => (x - frame.left) / (frame.right - frame.left);
+        const v = y => (frame.bottom - y) / (frame.bottom - frame.top);
+        const lerp = (min, max, f) => min + (max - min) * f;
+        const mollier = this._isMollier();
+
+        const minTemp = mollier ? lerp(bounds.minTemp, bounds.maxTemp, v(rect.bottom)) : lerp(bounds.minTemp, bounds.maxTemp, u(rect.left));
+        const maxTemp = mollier ? lerp(bounds.minTemp, bounds.maxTemp, v(rect.top)) : lerp(bounds.minTemp, bounds.maxTemp, u(rect.right));
+        const low = mollier ? u(rect.left) : v(rect.bottom);
+        const high = mollier ? u(rect.right) : v(rect.top);
+        const saturation = this._psychro.calculateSaturationPressure(maxTemp);
+        const toWaterContent = pv => this._psychro.calculateWaterContent(maxTemp, (pv / saturation) * 100);
+
+        let minW, maxW, minPv, maxPv;
+        if (mollier || this._yAxis() === 'humidityRatio') {
+            minW = lerp(bounds.minW, bounds.maxW, low);
+            maxW = lerp(bounds.minW, bounds.maxW, high);
+            minPv = this._psychro.waterContentToVaporPressure(minW);
+            maxPv = this._psychro.waterContentToVaporPressure(maxW);
+        } else {
+            minPv = lerp(bounds.minPv, bounds.maxPv, low);
+            maxPv = lerp(bounds.minPv, bounds.maxPv, high);
+            minW = toWaterContent(minPv);
+            maxW = toWaterContent(maxPv);
+        }
+
+        // Ni loupe sur quelques centièmes de degré, ni vue où le diagramme configuré ne
+        // serait plus qu'un timbre-poste.
+        const configured = this._configuredChartBounds();
+        const ratios = [
+            (maxTemp - minTemp) / (configured.maxTemp - configured.minTemp),
+            (maxW - minW) / (configured.maxW - configured.minW),
+        ];
+        if (!ratios.every(ratio => ratio >= 0.02 && ratio <= 4)) return;
+
+        this._setView({ minTemp, maxTemp, minPv, maxPv, minW, maxW });
+    }
+
+    /**
+     * Reset the view to the configured bounds.
+     */
+    _resetView() {
+        this._setView(null);
+    }
+
+    /**
+     * Apply a view and announce it, converted into `zoom_*` bounds, to the editor.
+     *
+     * L'événement part de la carte elle-même et porte sa configuration : l'éditeur
+     * reconnaît ainsi son aperçu parmi les autres cartes de la page.
+     * @param {Object|null} view - Axis windows, null to follow the config bounds
+     */
+    _setView(view) {
+        this._view = view;
+        this.dispatchEvent(new CustomEvent(VIEW_CHANGED_EVENT, {
+            bubbles: true,
+            composed: true,
+            detail: { config: view ? this._viewToZoomConfig(view) : null, cardConfig: this.config },
+        }));
+    }
+
+    /**
+     * Express a view with the `zoom_*` config keys.
+     *
+     * Inverse de _configuredChartBounds : les bornes d'humidité sont les fenêtres de
+     * pression de vapeur rapportées à la saturation à maxTemp (aux deux tiers de
+     * l'échelle sur le Mollier). Elles sont ramenées à 0–100 % : une vue poussée
+     * au-delà de la saturation ne s'enregistre qu'en partie.
+     * @param {Object} view - Axis windows
+     * @returns {Object|null} Config bounds, null when the view cannot be expressed
+     */
+    _viewToZoomConfig(view) {
+        const round = value => Math.round(value * 10) / 10;
+        const waterContentTemp = this._isMollier()
+            ? view.minTemp + (2 / 3) * (view.maxTemp - view.minTemp)
+            : view.maxTemp;
+        const saturation = this._psychro.calculateSaturationPressure(waterContentTemp);
+        const humidity = pv => round(Math.min(100, Math.max(0, (pv / saturation) * 100)));
+        const config = {
+            zoom_temp_min: round(view.minTemp),
+            zoom_temp_max: round(view.maxTemp),
+            zoom_humidity_min: humidity(view.minPv),
+            zoom_humidity_max: humidity(view.maxPv),
+        };
+        if (config.zoom_temp_min >= config.zoom_temp_max || config.zoom_humidity_min >= config.zoom_humidity_max) return null;
+        return config;
     }
 
     /**
@@ -1605,19 +4411,16 @@ class PsychrometricChartEnhanced extends LitElement {
      * @returns {Object|null} Point data, or null when the pointer is over empty space
      */
     _pointAt(e) {
-        const canvas = this.shadowRoot.getElementById('psychroChart');
-        if (!canvas || !this._currentPoints?.length) return null;
-
-        // Le contexte dessine en pixels CSS : ramener le pointeur dans ce repère.
-        const rect = canvas.getBoundingClientRect();
-        if (!rect.width || !rect.height) return null;
-        const x = (e.clientX - rect.left) * (this._canvasWidth / rect.width);
-        const y = (e.clientY - rect.top) * (this._canvasHeight / rect.height);
+        if (!this._currentPoints?.length) return null;
+        const position = this._canvasPosition(e);
+        if (!position) return null;
+        const { x, y } = position;
 
         let found = null;
         this._currentPoints.forEach((point, index) => {
-            const dx = x - this.tempToX(point.temp);
-            const dy = y - this.humidityToY(point.temp, point.humidity);
+            const position = this._project(point.temp, point.humidity);
+            const dx = x - position.x;
+            const dy = y - position.y;
             if (Math.sqrt(dx * dx + dy * dy) < 15) found = { ...point, index };
         });
         return found;
@@ -1632,14 +4435,43 @@ class PsychrometricChartEnhanced extends LitElement {
      */
     renderTooltip() {
         const point = this._hoveredPoint;
-        if (!point) return '';
+        if (!point) return this._renderCursorReadout();
         return html`
             <div class="tooltip"
                  style="left: ${this._tooltipPos.x}px; top: ${this._tooltipPos.y}px; border-left-color: ${point.color}">
                 <div class="tooltip-title" style="color: ${point.color}">${point.label}</div>
                 <div>🌡️ ${this.t('temperature')}: <strong>${this.formatTemp(point.temp)}</strong></div>
                 <div>💧 ${this.t('humidity')}: <strong>${point.humidity.toFixed(1)}%</strong></div>
-                <div class="tooltip-hint">${this.t('clickToViewHistory')}</div>
+                ${Number.isFinite(point.waterContent) ? html`<div>${this.t('waterContent')}: <strong>${this.formatQuantity('humidityRatio', point.waterContent * 1000)}</strong></div>` : ''}
+                ${Number.isFinite(point.enthalpy) ? html`<div>${this.t('enthalpy')}: <strong>${this.formatQuantity('enthalpy', point.enthalpy)}</strong></div>` : ''}
+                ${point.tempEntityId ? html`<div class="tooltip-hint">${this.t('clickToViewHistory')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the air state under the cursor, and the optional crosshair guides.
+     * Les guides sont des traits HTML posés sur le canvas : redessiner tout le
+     * diagramme à chaque mouvement de souris coûterait bien plus cher.
+     * @returns {TemplateResult|string} HTML template
+     */
+    _renderCursorReadout() {
+        const state = this._cursorState;
+        if (!state) return '';
+        return html`
+            ${this.config?.showCrosshair ? html`
+                <div class="crosshair" style="left: ${state.axisLeft}px; top: ${state.clientY}px; width: ${Math.max(0, state.clientX - state.axisLeft)}px; height: 0"></div>
+                <div class="crosshair" style="left: ${state.clientX}px; top: ${state.clientY}px; width: 0; height: ${Math.max(0, state.axisBottom - state.clientY)}px"></div>
+            ` : ''}
+            <div class="tooltip" style="left: ${this._tooltipPos.x}px; top: ${this._tooltipPos.y}px">
+                <div class="tooltip-title">${this.t('cursorReadout')}</div>
+                <div>🌡️ ${this.t('temperature')}: <strong>${this.formatTemp(state.temp)}</strong></div>
+                <div>💧 ${this.t('humidity')}: <strong>${state.humidity.toFixed(1)}%</strong></div>
+                <div>${this.t(state.frostPoint ? 'frostPoint' : 'dewPoint')}: <strong>${this.formatTemp(state.dewPoint)}</strong></div>
+                <div>${this.t('wetBulb')}: <strong>${this.formatTemp(state.wetBulbTemp)}</strong></div>
+                <div>${this.t('waterContent')}: <strong>${this.formatQuantity('humidityRatio', state.waterContent * 1000)}</strong></div>
+                <div>${this.t('enthalpy')}: <strong>${this.formatQuantity('enthalpy', state.enthalpy)}</strong></div>
+                <div>${this.t('specificVolume')}: <strong>${this.formatQuantity('specificVolume', state.specificVolume, 3)}</strong></div>
             </div>
         `;
     }
@@ -1918,6 +4750,32 @@ class PsychrometricChartEnhanced extends LitElement {
         }
     }
 
+    /**
+     * Render a temperature or humidity row of a data box.
+     *
+     * La ligne n'ouvre l'historique que si la grandeur vient d'un capteur : un point
+     * défini par son point de rosée n'a pas d'entité d'humidité, et sa valeur
+     * affichée est calculée.
+     * @param {string|undefined} entityId - Entity measuring this quantity, if any
+     * @param {string} type - 'temperature' or 'humidity'
+     * @param {TemplateResult} content - Row content
+     * @returns {TemplateResult} HTML template
+     */
+    _renderMeasureRow(entityId, type, content) {
+        if (!entityId) return html`<div class="data-row">${content}</div>`;
+        return html`
+            <div class="data-row"
+                 @click="${() => this._openHistory(entityId, type)}"
+                 @keydown="${(e) => this._handleKeyDown(e, entityId, type)}"
+                 tabindex="0"
+                 role="button"
+                 aria-label="${this.t('historyLast24h')} - ${this.t(type)}"
+                 style="cursor: pointer">
+                ${content}
+            </div>
+        `;
+    }
+
     /**
      * Main render method.
      * @returns {TemplateResult} HTML template
@@ -1968,6 +4826,9 @@ class PsychrometricChartEnhanced extends LitElement {
         if (!this.config || !this.hass) return html``;
 
         const points = this._currentPoints || [];
+        const processes = this._currentProcesses || [];
+        const hrv = this._currentHrv;
+        const comfortRange = this._currentComfortRange ?? {};
         const {
             chartTitle = "Diagramme Psychrométrique",
             showChart = true,
@@ -2033,9 +4894,22 @@ class PsychrometricChartEnhanced extends LitElement {
                     <canvas id="psychroChart" role="img" aria-label="${chartDescription}"
                             @mousemove="${this._onMouseMove}"
                             @mouseleave="${this._onMouseLeave}"
+                            @mousedown="${this._onMouseDown}"
+                            @mouseup="${this._onMouseUp}"
+                            @wheel="${this._onWheel}"
+                            @touchstart="${this._onTouchStart}"
+                            @touchmove="${this._onTouchMove}"
+                            @touchend="${this._onTouchEnd}"
+                            @touchcancel="${this._onTouchEnd}"
                             @click="${this._onCanvasClick}">
                         ${chartDescription}
                     </canvas>
+                    ${this._zoomBox ? html`
+                        <div class="zoom-box" style="left: ${this._zoomBox.left}px; top: ${this._zoomBox.top}px; width: ${this._zoomBox.width}px; height: ${this._zoomBox.height}px"></div>
+                    ` : ''}
+                    ${this._view ? html`
+                        <button class="zoom-reset" @click="${this._resetView}">⟲ ${this.t('resetZoom')}</button>
+                    ` : ''}
                     ${showLegend ? html`
                         <div class="legend-box" style="background: ${legendBg}">
                             <div class="legend-title">📍 ${this.t('legend')}</div>
@@ -2048,7 +4922,9 @@ class PsychrometricChartEnhanced extends LitElement {
                             <div class="legend-item">
                                 <span class="legend-color legend-comfort"
                                       style="background-color: ${palette.comfort}"></span>
-                                <span>${this.t('comfortZone')}</span>
+                                <span>${this.t('comfortZone')}${comfortRange.adaptive ? html`
+                                    (${this.t('adaptiveComfort')} ${comfortRange.adaptive.category},
+                                    ${this.t('runningMean')} ${this.formatTemp(comfortRange.adaptive.runningMean)})` : ''}</span>
                             </div>
                         </div>
                     ` : ''}
@@ -2084,33 +4960,28 @@ class PsychrometricChartEnhanced extends LitElement {
                                     </div>
                                     
                                     <div class="data-grid">
-                                        <div class="data-row" 
-                                             @click="${() => this._openHistory(point.tempEntityId, 'temperature')}" 
-                                             @keydown="${(e) => this._handleKeyDown(e, point.tempEntityId, 'temperature')}"
-                                             tabindex="0" 
-                                             role="button" 
-                                             aria-label="${this.t('historyLast24h')} - ${this.t('temperature')}"
-                                             style="cursor: pointer">
+                                        ${point.mix ? html`
+                                            <div style="grid-column: span 2;">🔀 ${this.t('mixing')}: ${Math.round((1 - point.mix.fraction) * 100)} % ${point.mix.first.label} + ${Math.round(point.mix.fraction * 100)} % ${point.mix.second.label}</div>
+                                        ` : ''}
+                                        ${this._renderMeasureRow(point.tempEntityId, 'temperature', html`
                                             <span>🌡️ ${this.t('temperature')}: <span style="color: ${point.color}; font-weight: 600;">${this.formatTemp(point.temp)}</span></span>
-                                        </div>
-                                        <div class="data-row" 
-                                             @click="${() => this._openHistory(point.humidityEntityId, 'humidity')}" 
-                                             @keydown="${(e) => this._handleKeyDown(e, point.humidityEntityId, 'humidity')}"
-                                             tabindex="0" 
-                                             role="button" 
-                                             aria-label="${this.t('historyLast24h')} - ${this.t('humidity')}"
-                                             style="cursor: pointer">
+                                        `)}
+                                        ${this._renderMeasureRow(point.humidityEntityId, 'humidity', html`
                                             <span>💧 ${this.t('humidity')}: <span style="color: ${point.color}; font-weight: 600;">${point.humidity.toFixed(1)}%</span></span>
-                                        </div>
+                                        `)}
                                         
-                                        ${this._shouldShowField(point, 'dewPoint') ? html`<div>${this.t('dewPoint')}: ${this.formatTemp(point.dewPoint)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'dewPoint') ? html`<div>${this.t(point.frostPoint ? 'frostPoint' : 'dewPoint')}: ${this.formatTemp(point.dewPoint)}</div>` : ''}
                                         ${this._shouldShowField(point, 'wetBulb') ? html`<div>${this.t('wetBulb')}: ${this.formatTemp(point.wetBulbTemp)}</div>` : ''}
                                         ${this._shouldShowField(point, 'apparentTemp') ? html`<div>${this.t('apparentTemp')}: ${this.formatTemp(point.apparentTemp)}</div>` : ''}
-                                        ${this._shouldShowField(point, 'enthalpy') ? html`<div>${this.t('enthalpy')}: ${point.enthalpy.toFixed(1)} kJ/kg</div>` : ''}
-                                        ${this._shouldShowField(point, 'absHumidity') ? html`<div>${this.t('absHumidity')}: ${point.absoluteHumidity.toFixed(2)} g/m³</div>` : ''}
-                                        ${this._shouldShowField(point, 'waterContent') ? html`<div>${this.t('waterContent')}: ${(point.waterContent * 1000).toFixed(1)} g/kg</div>` : ''}
-                                        ${this._shouldShowField(point, 'specificVolume') ? html`<div>${this.t('specificVolume')}: ${point.specificVolume.toFixed(3)} m³/kg</div>` : ''}
-                                        ${this._shouldShowField(point, 'pmvIndex') ? html`<div>${this.t('pmvIndex')}: ${point.pmv.toFixed(2)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'enthalpy') ? html`<div>${this.t('enthalpy')}: ${this.formatQuantity('enthalpy', point.enthalpy)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'absHumidity') ? html`<div>${this.t('absHumidity')}: ${this.formatQuantity('absoluteHumidity', point.absoluteHumidity, 2)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'waterContent') ? html`<div>${this.t('waterContent')}: ${this.formatQuantity('humidityRatio', point.waterContent * 1000)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'specificVolume') ? html`<div>${this.t('specificVolume')}: ${this.formatQuantity('specificVolume', point.specificVolume, 3)}</div>` : ''}
+                                        ${this._shouldShowField(point, 'pmvIndex') ? html`<div>${this.t('pmvIndex')}: ${point.pmv.toFixed(2)} (PPD ${point.ppd.toFixed(0)} %)</div>` : ''}
+                                        ${this._shouldShowField(point, 'humidex') ? this._renderHeatStress('humidex', point.humidex, point.humidex.toFixed(1), darkMode) : ''}
+                                        ${this._shouldShowField(point, 'heatIndex') ? this._renderHeatStress('heatIndex', point.heatIndex, this.formatTemp(point.heatIndex), darkMode) : ''}
+                                        ${this._shouldShowField(point, 'wbgt') ? this._renderHeatStress('wbgt', point.wbgt, this.formatTemp(point.wbgt), darkMode) : ''}
+                                        ${this._shouldShowField(point, 'utci') && point.utci !== null ? this._renderHeatStress('utci', point.utci, this.formatTemp(point.utci), darkMode) : ''}
                                         
                                         ${this._shouldShowField(point, 'moldRisk') ? html`
                                             <div style="grid-column: span 2; display: flex; align-items: center; gap: 5px;">
@@ -2120,18 +4991,123 @@ class PsychrometricChartEnhanced extends LitElement {
                                                 </span>
                                             </div>
                                         ` : ''}
+                                        ${point.surfaces.length && this._displayMode() !== 'minimal' ? point.surfaces.map(surface => html`
+                                            <div style="grid-column: span 2; color: ${surface.status === 'condensation' ? palette.condensation : (surface.status === 'risk' ? palette.condensationRisk : 'inherit')}">
+                                                ${surface.status === 'ok' ? '🧱' : '⚠️'} ${surface.label}: ${this.formatTemp(surface.temp)},
+                                                ${this.t('dewPointMargin')} ${this.formatTempDelta(surface.margin)}
+                                                (${surface.surfaceHumidity.toFixed(0)}%)${surface.status === 'ok' ? '' : ` — ${this.t(surface.status === 'condensation' ? 'condensation' : 'condensationRisk')}`}
+                                            </div>
+                                        `) : ''}
+                                        ${point.ventilation && this._displayMode() !== 'minimal' ? html`
+                                            <div style="grid-column: span 2">
+                                                🪟 <strong style="color: ${point.ventilation.recommendation === 'notNeeded' ? 'inherit' : palette[point.ventilation.recommendation]}">${this.t(point.ventilation.recommendation)}</strong>
+                                                — ${this.t('outdoorAir')} : ΔW ${this.formatQuantity('humidityRatio', point.ventilation.deltaW * 1000, 1, { signed: true })},
+                                                Δh ${this.formatQuantity('enthalpy', point.ventilation.deltaH, 1, { signed: true })}${point.ventilation.reasons.length
+                                                    ? ` (${point.ventilation.reasons.map(reason => this.t(`ventilation_${reason}`)).join(', ')})` : ''}
+                                            </div>
+                                        ` : ''}
+                                        ${point.energy && this._displayMode() !== 'minimal' ? html`
+                                            <div style="grid-column: span 2" title="${Object.entries(point.energy.electrical)
+                                                .filter(([, kWh]) => kWh > 0)
+                                                .map(([action, kWh]) => `${this.t(action)}: ${kWh.toFixed(1)} kWh`)
+                                                .join(' · ')}">
+                                                🔌 ${this.t('energy')} (${this.t('period_' + point.energy.period)}): <strong>${point.energy.total.toFixed(1)} kWh</strong>${point.energy.cost !== null
+                                                    ? ` — ${point.energy.cost.toFixed(2)} ${this._energyCurrency()}` : ''}
+                                            </div>
+                                        ` : ''}
+                                        ${point.timeInComfort && this._displayMode() !== 'minimal' ? html`
+                                            <div style="grid-column: span 2">
+                                                ⏱️ ${this.t('timeInComfort')}: <strong>${point.timeInComfort.percent.toFixed(0)} %</strong>
+                                                (${this.t('comfortHoursOf')
+                                                    .replace('{hours}', Math.round(point.timeInComfort.hours))
+                                                    .replace('{total}', Math.round(point.timeInComfort.total))
+                                                    .replace('{days}', point.timeInComfort.days)})
+                                            </div>
+                                        ` : ''}
+                                        ${this._shouldShowField(point, 'moldIndex') && point.moldIndex ? html`
+                                            <div style="grid-column: span 2; display: flex; align-items: center; gap: 5px;">
+                                                <span>🧫 ${this.t('moldIndex')}:</span>
+                                                <span style="color: ${this.getMoldRiskColor(point.moldIndex.index, darkMode)}; font-weight: bold">
+                                                    ${point.moldIndex.index.toFixed(2)} ${this._moldTrendArrow(point.moldIndex.trend)}
+                                                </span>
+                                                <span>(${this.t('hoursAboveIsopleth')
+                                                    .replace('{hours}', Math.round(point.moldIndex.hoursAbove))
+                                                    .replace('{days}', point.moldIndex.days)})</span>
+                                            </div>
+                                        ` : ''}
                                     </div>
 
-                                    ${(point.action || point.power > 0) && this._shouldShowField(point, 'action') ? html`
+                                    ${point.action && this._shouldShowField(point, 'action') ? html`
                                         <div class="action-box" style="border-top-color: ${darkMode ? '#555' : '#ddd'}">
                                             ${point.action ? html`<div><span class="action-icon">⚡</span>${this.t('action')}: ${point.action}</div>` : ''}
-                                            ${point.power > 0 ? html`<div><span class="action-icon">🔥</span>${this.t('power')}: <span style="color: ${point.color}; font-weight: 600;">${point.power.toFixed(1)} W</span></div>` : ''}
+                                            ${point.transition ? this._renderTransition(point.transition, palette) : ''}
+                                            ${point.waterRate !== 0 ? html`<div><span class="action-icon">💧</span>${this.t(point.waterRate > 0 ? 'waterToAdd' : 'waterToRemove')}: ${this.formatQuantity('waterRate', Math.abs(point.waterRate), 2)} (${this.formatQuantity('waterVolume', Math.abs(point.waterRate) * 24)}/${this.t('day')})${point.roomWater !== null ? html`, ${this.t('roomAir')} ${this.formatQuantity('waterVolume', Math.abs(point.roomWater), 2)}` : ''}</div>` : ''}
                                             <div><span class="action-icon">🎯</span>${this.t('idealSetpoint')}: ${this.formatTemp(point.idealSetpoint.temp)}, ${point.idealSetpoint.humidity.toFixed(0)}%</div>
                                         </div>
                                     ` : ''}
                                 </div>
                             </div>
                         `)}
+                        ${processes.map((process, index) => html`
+                            <div class="data-box"
+                                 style="
+                                    background: ${dataBoxBg};
+                                    border-left-color: ${process.color};
+                                    box-shadow: ${dataBoxBoxShadow};
+                                    animation: ${isClassic ? 'none' : `fadeInUp 0.5s ease-out ${(points.length + index) * 0.1}s backwards`};
+                                 ">
+                                <div class="data-header" style="color: ${process.color}">
+                                    <span>🔀 ${process.label}</span>
+                                </div>
+                                ${process.steps.map((step, stepIndex) => html`
+                                    <div class="process-step">
+                                        <div><strong>${stepIndex + 1}. ${step.label}</strong> : ${this.formatTemp(step.from.temp)}, ${step.from.humidity.toFixed(0)}% → ${this.formatTemp(step.to.temp)}, ${step.to.humidity.toFixed(0)}%</div>
+                                        <div class="process-loads">
+                                            ${this.t('sensibleLoad')}: ${this.formatQuantity('power', step.loads.sensible, 0)} ·
+                                            ${this.t('latentLoad')}: ${this.formatQuantity('power', step.loads.latent, 0)} ·
+                                            ${this.t('shr')}: ${step.loads.shr === null ? '—' : step.loads.shr.toFixed(2)}
+                                        </div>
+                                    </div>
+                                `)}
+                                <div class="action-box">
+                                    <span class="action-icon">🔥</span>${this.t('totalLoad')}:
+                                    <span style="color: ${process.color}; font-weight: 600;">${this.formatQuantity('power', process.steps.reduce((sum, step) => sum + step.loads.total, 0), 0)}</span>
+                                </div>
+                            </div>
+                        `)}
+                        ${hrv ? html`
+                            <div class="data-box"
+                                 style="
+                                    background: ${dataBoxBg};
+                                    border-left-color: ${hrv.color};
+                                    box-shadow: ${dataBoxBoxShadow};
+                                    animation: ${isClassic ? 'none' : `fadeInUp 0.5s ease-out ${(points.length + processes.length) * 0.1}s backwards`};
+                                 ">
+                                <div class="data-header" style="color: ${hrv.color}">
+                                    <span>♻️ ${hrv.label}</span>
+                                </div>
+                                ${hrv.streams.map(stream => html`
+                                    <div class="process-step">
+                                        <strong>${stream.label}</strong> : ${this.formatTemp(stream.from.temp)}, ${stream.from.humidity.toFixed(0)}% → ${this.formatTemp(stream.to.temp)}, ${stream.to.humidity.toFixed(0)}%
+                                    </div>
+                                `)}
+                                <div class="process-loads">
+                                    ${['sensible', 'latent', 'total'].map(kind => html`
+                                        <div>${this.t(`hrvEffectiveness_${kind}`)}: ${hrv[kind] === null ? '—' : `${(hrv[kind] * 100).toFixed(0)} %`}</div>
+                                    `)}
+                                </div>
+                                <div class="action-box">
+                                    <div>
+                                        <span class="action-icon">🔥</span>${this.t('recoveredPower')}:
+                                        <span style="color: ${hrv.color}; font-weight: 600;">${this.formatQuantity('power', hrv.loads.total, 0)}</span>
+                                        (${this.t('sensibleLoad')} ${this.formatQuantity('power', hrv.loads.sensible, 0)} · ${this.t('latentLoad')} ${this.formatQuantity('power', hrv.loads.latent, 0)})
+                                    </div>
+                                    ${hrv.alerts.map(alert => html`
+                                        <div style="color: ${palette.condensation}">⚠️ ${this.t(`hrvAlert_${alert}`)}</div>
+                                    `)}
+                                </div>
+                            </div>
+                        ` : ''}
                     </div>
                 ` : ''}
             </ha-card>
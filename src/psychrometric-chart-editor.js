@@ -1,5 +1,9 @@
 import { LitElement, html, css } from 'lit';
-import { PsychrometricCalculations, LINE_STYLES, DEFAULT_LINE_STYLES } from './psychrometric-helpers.js';
+import {
+    PsychrometricCalculations, LINE_STYLES, DEFAULT_LINE_STYLES, SATURATION_FORMULAS, POINT_SOURCES,
+    ADAPTIVE_COMFORT_STANDARDS, ENERGY_PERIODS, AIRFLOW_UNITS, CHART_TYPES,
+    Y_AXES, SECONDARY_AXES, VIEW_CHANGED_EVENT,
+} from './psychrometric-helpers.js';
 
 /**
  * Éditeur visuel de la carte Psychrometric Chart Advanced.
@@ -33,7 +37,7 @@ const fireEvent = (node, type, detail = {}, options = {}) => {
 /** Champs affichables par point, dans l'ordre de la carte. */
 const DETAIL_FIELDS = [
     'dewPoint', 'wetBulb', 'apparentTemp', 'enthalpy', 'absHumidity', 'waterContent',
-    'specificVolume', 'pmvIndex', 'moldRisk', 'action',
+    'specificVolume', 'pmvIndex', 'humidex', 'heatIndex', 'wbgt', 'utci', 'moldRisk', 'moldIndex', 'action',
 ];
 
 /** Champs affichés par défaut quand `details` n'est pas configuré (cf. _shouldShowField). */
@@ -42,8 +46,17 @@ const DEFAULT_DETAILS = ['dewPoint', 'wetBulb', 'apparentTemp', 'enthalpy', 'pmv
 /** Zone de confort par défaut (identique à celle de la carte). */
 const DEFAULT_COMFORT_RANGE = { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
 
+/**
+ * Paramètres PMV par défaut, ceux de calculatePMV. L'habillement n'y figure pas :
+ * laissé vide, il suit la saison, ce qu'une valeur pré-remplie figerait.
+ */
+const DEFAULT_PMV = { met: 1.2, vel: 0.1 };
+
 /** Clés de couleur globales exposées, avec alpha. */
-const COLOR_KEYS = ['bgColor', 'textColor', 'gridColor', 'curveColor', 'enthalpyColor', 'comfortColor'];
+const COLOR_KEYS = [
+    'bgColor', 'textColor', 'gridColor', 'curveColor', 'enthalpyColor', 'comfortColor',
+    'specificVolumeColor', 'dewPointColor', 'absoluteHumidityColor',
+];
 
 /** Options de style de trait, dans l'ordre du selector. Tirées de la table de la carte. */
 const LINE_STYLE_KEYS = Object.keys(LINE_STYLES);
@@ -51,6 +64,12 @@ const LINE_STYLE_KEYS = Object.keys(LINE_STYLES);
 /** Familles de tracés dont le style est configurable, dans l'ordre d'affichage. */
 const LINE_STYLE_OPTIONS = Object.keys(DEFAULT_LINE_STYLES);
 
+/**
+ * Sources d'un point autres que le couple température/humidité, proposées dans un
+ * panneau repliable : la plupart des points n'en ont pas besoin.
+ */
+const EXTRA_POINT_SOURCES = Object.keys(POINT_SOURCES).filter(key => key !== 'temp' && key !== 'humidity');
+
 /** Domaines proposés dans les sélecteurs d'entités. */
 const SENSOR_DOMAINS = ['sensor', 'input_number', 'number'];
 
@@ -70,6 +89,22 @@ const editorTranslations = {
         label: "Label",
         temp: "Température (entité)",
         humidity: "Humidité (entité)",
+        pointSources: "Autres capteurs (optionnel)",
+        outdoor: "Point extérieur",
+        outdoorHelp: "Référence du conseil d'aération : les autres points sont comparés à celui-ci.",
+        surfaces: "Températures de surface",
+        volume: "Volume de la pièce",
+        volumeHelp: "Donne aussi la quantité d'eau à retirer ou apporter à l'air de la pièce.",
+        airChangesPerHour: "Renouvellements d'air",
+        airChangesPerHourHelp: "Avec le volume, remplace le débit massique de la carte pour ce point.",
+        airflow: "Débit d'air",
+        airflowHelp: "Débit volumique du point, converti en débit d'air sec par son volume spécifique. Prime sur le volume et les renouvellements. Une entité de débit s'écrit en YAML.",
+        airflowUnit: "Unité de débit",
+        surfacesHelp: "Cadre de fenêtre, pont thermique, conduite d'eau froide : comparées au point de rosée du point pour signaler la condensation.",
+        dew_point: "Point de rosée (entité)",
+        wet_bulb: "Temp. humide (entité)",
+        humidity_ratio: "Teneur en eau (entité, g/kg)",
+        absolute_humidity: "Humidité abs. (entité, g/m³)",
         color: "Couleur",
         icon: "Icône",
         details: "Champs affichés",
@@ -81,7 +116,25 @@ const editorTranslations = {
         waterContent: "Teneur en eau",
         specificVolume: "Vol. spécifique",
         pmvIndex: "Indice PMV",
+        humidex: "Humidex",
+        heatIndex: "Indice de chaleur",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Moisissure",
+        moldIndex: "Indice moisissure (VTT)",
+        moldIndexDays: "Historique de l'indice moisissure",
+        energy: "Énergie et coût",
+        period: "Période",
+        period_day: "24 h",
+        period_week: "7 jours",
+        period_month: "30 jours",
+        price: "Prix de l'électricité (par kWh)",
+        priceHelp: "Entité de prix, suivie sur l'historique ; un prix fixe s'écrit en YAML. Rendements à 1 par défaut (résistance électrique).",
+        heatingCop: "COP chauffage",
+        coolingEer: "EER refroidissement",
+        humidificationCop: "COP humidification",
+        dehumidificationCop: "COP déshumidification",
+        moldIndexDaysHelp: "Jours d'historique relus pour l'indice VTT et les heures au-dessus de l'isoplèthe.",
         action: "Action/Puissance",
         addPoint: "Ajouter un point",
         comfort: "Zone de confort",
@@ -92,6 +145,29 @@ const editorTranslations = {
         rhMax: "Humidité max",
         massFlowRate: "Débit massique d'air",
         massFlowRateHelp: "Sert au calcul des puissances de chauffage, refroidissement et humidification.",
+        comfortModel: "Modèle de confort",
+        comfortModelHelp: "Adaptatif (EN 16798-1 / ASHRAE 55) : les bornes de température suivent la moyenne glissante de la température extérieure. PMV : la zone devient la région où |PMV| ≤ 0.5 pour les paramètres PMV ci-dessous. Les bornes d'humidité restent celles ci-dessus.",
+        comfortStatic: "Zone fixe",
+        comfortAdaptive: "Adaptatif",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "Paramètres PMV",
+        clo: "Habillement (clo)",
+        met: "Métabolisme (met)",
+        vel: "Vitesse d'air",
+        velHelp: "Constante, ou anémomètre sur un point (km/h convertis). Une constante par point s'écrit en YAML.",
+        cloHelp: "Vide : valeur de saison (1.0 clo l'hiver, 0.5 clo l'été, 0.7 clo en avril et octobre).",
+        tr: "Temp. radiante moyenne (entité)",
+        trHelp: "Sonde de globe ou de rayonnement. Vide : température de l'air. Une constante s'écrit en YAML.",
+        utciInputs: "Entrées UTCI",
+        windSpeed: "Vitesse du vent",
+        windSpeedHelp: "Anémomètre extérieur (km/h convertis), ramené entre 0.5 et 17 m/s. Vide : 0.5 m/s. La température radiante vide reprend celle du PMV.",
+        adaptiveComfort: "Confort adaptatif",
+        outdoorPoint: "Point extérieur",
+        outdoorPointHelp: "Point dont l'entité de température fournit l'historique des 7 derniers jours.",
+        standard: "Norme",
+        category: "Catégorie",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Apparence",
         theme: "Thème visuel",
         themeModern: "Moderne",
@@ -102,6 +178,9 @@ const editorTranslations = {
         gridColor: "Couleur de la grille",
         curveColor: "Couleur des courbes",
         enthalpyColor: "Couleur des enthalpies",
+        specificVolumeColor: "Couleur des volumes spécifiques",
+        dewPointColor: "Couleur des points de rosée",
+        absoluteHumidityColor: "Couleur des humidités absolues",
         comfortColor: "Couleur zone confort",
         opacity: "Opacité",
         resetColor: "Suivre le thème",
@@ -110,6 +189,9 @@ const editorTranslations = {
         curveLineStyle: "Trait des courbes d'humidité",
         enthalpyLineStyle: "Trait des enthalpies",
         wetBulbLineStyle: "Trait des temp. humides",
+        specificVolumeLineStyle: "Trait des volumes spécifiques",
+        dewPointLineStyle: "Trait des points de rosée",
+        absoluteHumidityLineStyle: "Trait des humidités absolues",
         comfortLineStyle: "Trait de la zone de confort",
         pointLineStyle: "Trait des projections de points",
         lineSolid: "Continu",
@@ -119,6 +201,17 @@ const editorTranslations = {
         tempSubdivisions: "Sous-multiples des températures sèches",
         tempSubdivisionsHelp: "Traits intermédiaires entre deux graduations de l'axe des températures. 1 n'en ajoute aucun ; 5 découpe chaque pas de 5 °C en degrés.",
         displayOptions: "Options d'affichage",
+        chartType: "Type de diagramme",
+        chartTypeHelp: "Psychrométrique : température en abscisse, pression de vapeur en ordonnée. Mollier (h-x) : teneur en eau en abscisse, température en ordonnée, avec le rapporteur Δh/Δx.",
+        chartTypePsychrometric: "Psychrométrique (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Axe vertical",
+        yAxisHelp: "La teneur en eau est l'ordonnée des abaques d'ingénierie : les échelles de rosée et d'enthalpie s'ajoutent alors le long de la courbe de saturation.",
+        secondaryAxis: "Axe secondaire (droite)",
+        axisNone: "Aucun",
+        axisVaporPressure: "Pression de vapeur",
+        axisHumidityRatio: "Teneur en eau",
+        axisDewPoint: "Point de rosée",
         displayMode: "Niveau de détail",
         displayModeHelp: "Personnalisé applique les champs cochés sur chaque point. Minimal n'affiche que température, humidité et confort ; Détaillé affiche tous les champs.",
         displayCustom: "Personnalisé",
@@ -127,14 +220,41 @@ const editorTranslations = {
         unitAuto: "Automatique (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Système d'unités",
+        unitSystemHelp: "Unités de l'enthalpie, de la teneur en eau, du volume spécifique, de la pression et des puissances. Mixte : propriétés de l'air en impérial, puissances et eau en SI. Les températures gardent leur propre unité.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Impérial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Mixte (air en impérial, puissances en W)",
+        pressure: "Baromètre (entité)",
+        pressureHelp: "Pression atmosphérique mesurée. Une valeur fixe en kPa ou hPa s'écrit directement en YAML (`pressure: 91.2`).",
+        saturationFormula: "Pression de vapeur saturante",
+        saturationFormulaHelp: "Les formulations « glace » suivent la saturation au-dessus de la glace sous 0 °C (point de givre, humidité relative rapportée à la glace, comme sur les diagrammes ASHRAE).",
+        formulaMagnus: "Magnus (eau)",
+        formulaMagnus_ice: "Magnus (eau et glace)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Altitude du site (m)",
+        elevationHelp: "Sert à estimer la pression sans baromètre. `elevation: auto` reprend l'altitude déclarée dans Home Assistant.",
         showChart: "Afficher le graphique",
         showChartHelp: "Décochez pour n'afficher que les cartes de données, sans le diagramme.",
         showEnthalpy: "Afficher Enthalpie",
         showVaporPressure: "Afficher Pression Vapeur",
         showDewPoint: "Afficher Point de Rosée",
         showWetBulb: "Afficher Temp. Humide",
+        showSpecificVolumeLines: "Afficher Volume Spécifique",
+        showDewPointLines: "Afficher Iso-rosée",
+        showAbsoluteHumidityLines: "Afficher Humidité Absolue",
         showPointLabels: "Afficher les labels des points",
         showLegend: "Afficher Légende",
+        showCursorReadout: "Lecture de l'air sous le curseur",
+        showCrosshair: "Réticule vers les axes",
+        showTrails: "Trace des dernières heures",
+        showHeatmap: "Carte du temps passé",
+        heatmapDays: "Historique de la carte du temps passé",
+        heatmapDaysHelp: "Jours d'historique répartis en cases sur le graphique ; le temps en confort de chaque point porte sur la même période.",
+        trailHours: "Durée de la trace",
+        trailHoursHelp: "Heures d'historique tracées derrière chaque point, de plus en plus estompées avec l'âge.",
+        trailStep: "Pas de la trace",
+        trailStepHelp: "Minutes entre deux états de la trace : un pas plus long allège la requête et lisse le tracé.",
         showCalculatedData: "Afficher Données Calculées",
         themeMode: "Thème de couleurs",
         themeModeHelp: "Automatique suit le thème clair/sombre de Home Assistant.",
@@ -147,6 +267,10 @@ const editorTranslations = {
         zoom_temp_max: "Température max",
         zoom_humidity_min: "Humidité min",
         zoom_humidity_max: "Humidité max",
+        interactiveZoom: "Zoom et déplacement à la souris et au doigt",
+        interactiveZoomHelp: "Ctrl + molette ou pincement pour zoomer, glisser pour déplacer, Maj + glisser pour zoomer sur une zone.",
+        useCurrentView: "Utiliser la vue actuelle",
+        useCurrentViewHint: "Zoomez ou déplacez le graphique de l'aperçu pour pouvoir enregistrer sa vue ici.",
     },
     en: {
         general: "General",
@@ -163,6 +287,22 @@ const editorTranslations = {
         label: "Label",
         temp: "Temperature (entity)",
         humidity: "Humidity (entity)",
+        pointSources: "Other sensors (optional)",
+        outdoor: "Outdoor point",
+        outdoorHelp: "Reference of the ventilation advice: the other points are compared with this one.",
+        surfaces: "Surface temperatures",
+        volume: "Room volume",
+        volumeHelp: "Also gives the amount of water to remove from or add to the room air.",
+        airChangesPerHour: "Air changes per hour",
+        airChangesPerHourHelp: "With the volume, replaces the card's mass flow rate for this point.",
+        airflow: "Airflow",
+        airflowHelp: "Volumetric flow of the point, converted to dry air mass flow with its specific volume. Takes precedence over volume and air changes. A flow entity is set in YAML.",
+        airflowUnit: "Airflow unit",
+        surfacesHelp: "Window frame, thermal bridge, cold-water pipe: compared with the point's dew point to warn about condensation.",
+        dew_point: "Dew point (entity)",
+        wet_bulb: "Wet bulb (entity)",
+        humidity_ratio: "Humidity ratio (entity, g/kg)",
+        absolute_humidity: "Abs. humidity (entity, g/m³)",
         color: "Color",
         icon: "Icon",
         details: "Displayed fields",
@@ -174,7 +314,25 @@ const editorTranslations = {
         waterContent: "Water content",
         specificVolume: "Specific vol.",
         pmvIndex: "PMV index",
+        humidex: "Humidex",
+        heatIndex: "Heat index",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Mold risk",
+        moldIndex: "Mold index (VTT)",
+        moldIndexDays: "Mold index history",
+        energy: "Energy and cost",
+        period: "Period",
+        period_day: "24 h",
+        period_week: "7 days",
+        period_month: "30 days",
+        price: "Electricity price (per kWh)",
+        priceHelp: "Price entity, followed over the history; a fixed price can be set in YAML. Efficiencies default to 1 (electric resistance).",
+        heatingCop: "Heating COP",
+        coolingEer: "Cooling EER",
+        humidificationCop: "Humidification COP",
+        dehumidificationCop: "Dehumidification COP",
+        moldIndexDaysHelp: "Days of history read for the VTT index and the hours above the isopleth.",
         action: "Action/Power",
         addPoint: "Add point",
         comfort: "Comfort zone",
@@ -185,6 +343,29 @@ const editorTranslations = {
         rhMax: "Max humidity",
         massFlowRate: "Air mass flow rate",
         massFlowRateHelp: "Used to compute heating, cooling and humidification power.",
+        comfortModel: "Comfort model",
+        comfortModelHelp: "Adaptive (EN 16798-1 / ASHRAE 55): temperature bounds follow the running mean outdoor temperature. PMV: the zone becomes the region where |PMV| ≤ 0.5 for the PMV parameters below. Humidity bounds stay as set above.",
+        comfortStatic: "Fixed zone",
+        comfortAdaptive: "Adaptive",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "PMV parameters",
+        clo: "Clothing (clo)",
+        met: "Metabolic rate (met)",
+        vel: "Air speed",
+        velHelp: "Constant, or an anemometer on a point (km/h converted). A per-point constant can be written in YAML.",
+        cloHelp: "Empty: seasonal value (1.0 clo in winter, 0.5 clo in summer, 0.7 clo in April and October).",
+        tr: "Mean radiant temp. (entity)",
+        trHelp: "Globe or radiant temperature sensor. Empty: air temperature. A constant can be written in YAML.",
+        utciInputs: "UTCI inputs",
+        windSpeed: "Wind speed",
+        windSpeedHelp: "Outdoor anemometer (km/h converted), limited to 0.5-17 m/s. Empty: 0.5 m/s. An empty radiant temperature reuses the PMV one.",
+        adaptiveComfort: "Adaptive comfort",
+        outdoorPoint: "Outdoor point",
+        outdoorPointHelp: "Point whose temperature entity provides the last 7 days of history.",
+        standard: "Standard",
+        category: "Category",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Appearance",
         theme: "Visual theme",
         themeModern: "Modern",
@@ -195,6 +376,9 @@ const editorTranslations = {
         gridColor: "Grid color",
         curveColor: "Curve color",
         enthalpyColor: "Enthalpy color",
+        specificVolumeColor: "Specific volume color",
+        dewPointColor: "Dew point color",
+        absoluteHumidityColor: "Absolute humidity color",
         comfortColor: "Comfort zone color",
         opacity: "Opacity",
         resetColor: "Follow the theme",
@@ -203,6 +387,9 @@ const editorTranslations = {
         curveLineStyle: "Humidity curve line",
         enthalpyLineStyle: "Enthalpy line",
         wetBulbLineStyle: "Wet bulb line",
+        specificVolumeLineStyle: "Specific volume line",
+        dewPointLineStyle: "Dew point line",
+        absoluteHumidityLineStyle: "Absolute humidity line",
         comfortLineStyle: "Comfort zone outline",
         pointLineStyle: "Point projection line",
         lineSolid: "Solid",
@@ -212,6 +399,17 @@ const editorTranslations = {
         tempSubdivisions: "Dry-bulb temperature subdivisions",
         tempSubdivisionsHelp: "Minor lines drawn between two graduations of the temperature axis. 1 adds none; 5 splits each 5 °C step into degrees.",
         displayOptions: "Display options",
+        chartType: "Chart type",
+        chartTypeHelp: "Psychrometric: temperature across, vapor pressure up. Mollier (h-x): humidity ratio across, temperature up, with the Δh/Δx protractor.",
+        chartTypePsychrometric: "Psychrometric (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Vertical axis",
+        yAxisHelp: "Humidity ratio is the vertical axis of engineering charts: dew point and enthalpy scales are then added along the saturation curve.",
+        secondaryAxis: "Secondary axis (right)",
+        axisNone: "None",
+        axisVaporPressure: "Vapor pressure",
+        axisHumidityRatio: "Humidity ratio",
+        axisDewPoint: "Dew point",
         displayMode: "Detail level",
         displayModeHelp: "Custom applies the fields ticked on each point. Minimal only shows temperature, humidity and comfort; Detailed shows every field.",
         displayCustom: "Custom",
@@ -220,14 +418,41 @@ const editorTranslations = {
         unitAuto: "Automatic (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Unit system",
+        unitSystemHelp: "Units of enthalpy, humidity ratio, specific volume, pressure and power. Mixed: air properties in imperial, power and water in SI. Temperatures keep their own unit.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Imperial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Mixed (air in imperial, power in W)",
+        pressure: "Barometer (entity)",
+        pressureHelp: "Measured atmospheric pressure. A fixed value in kPa or hPa can be written directly in YAML (`pressure: 91.2`).",
+        saturationFormula: "Saturation vapor pressure",
+        saturationFormulaHelp: "The \"ice\" formulations follow saturation over ice below 0 °C (frost point, relative humidity referred to ice, as on ASHRAE charts).",
+        formulaMagnus: "Magnus (water)",
+        formulaMagnus_ice: "Magnus (water and ice)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Site elevation (m)",
+        elevationHelp: "Used to estimate the pressure without a barometer. `elevation: auto` uses the elevation declared in Home Assistant.",
         showChart: "Show chart",
         showChartHelp: "Uncheck to show only the data cards, without the diagram.",
         showEnthalpy: "Show enthalpy",
         showVaporPressure: "Show vapor pressure",
         showDewPoint: "Show dew point",
         showWetBulb: "Show wet bulb",
+        showSpecificVolumeLines: "Show specific volume",
+        showDewPointLines: "Show dew point lines",
+        showAbsoluteHumidityLines: "Show absolute humidity",
         showPointLabels: "Show point labels",
         showLegend: "Show legend",
+        showCursorReadout: "Air state under the cursor",
+        showCrosshair: "Crosshair to the axes",
+        showTrails: "Trail of the last hours",
+        showHeatmap: "Time-in-zone heatmap",
+        heatmapDays: "Heatmap history",
+        heatmapDaysHelp: "Days of history binned into chart cells; each point's time in comfort covers the same period.",
+        trailHours: "Trail duration",
+        trailHoursHelp: "Hours of history drawn behind each point, fading with age.",
+        trailStep: "Trail step",
+        trailStepHelp: "Minutes between two trail states: a longer step lightens the request and smooths the path.",
         showCalculatedData: "Show calculated data",
         themeMode: "Colour theme",
         themeModeHelp: "Automatic follows the Home Assistant light/dark theme.",
@@ -240,6 +465,10 @@ const editorTranslations = {
         zoom_temp_max: "Max temperature",
         zoom_humidity_min: "Min humidity",
         zoom_humidity_max: "Max humidity",
+        interactiveZoom: "Mouse and touch zoom and pan",
+        interactiveZoomHelp: "Ctrl + wheel or pinch to zoom, drag to pan, Shift + drag to zoom into an area.",
+        useCurrentView: "Use current view",
+        useCurrentViewHint: "Zoom or pan the preview chart to save its view here.",
     },
     es: {
         general: "General",
@@ -256,6 +485,22 @@ const editorTranslations = {
         label: "Etiqueta",
         temp: "Temperatura (entidad)",
         humidity: "Humedad (entidad)",
+        pointSources: "Otros sensores (opcional)",
+        outdoor: "Punto exterior",
+        outdoorHelp: "Referencia del consejo de ventilación: los demás puntos se comparan con este.",
+        surfaces: "Temperaturas de superficie",
+        volume: "Volumen de la sala",
+        volumeHelp: "También da la cantidad de agua que hay que retirar o aportar al aire de la sala.",
+        airChangesPerHour: "Renovaciones de aire",
+        airChangesPerHourHelp: "Con el volumen, sustituye el caudal másico de la tarjeta para este punto.",
+        airflow: "Caudal de aire",
+        airflowHelp: "Caudal volumétrico del punto, convertido en caudal de aire seco con su volumen específico. Prevalece sobre el volumen y las renovaciones. Una entidad de caudal se escribe en YAML.",
+        airflowUnit: "Unidad de caudal",
+        surfacesHelp: "Marco de ventana, puente térmico, tubería de agua fría: se comparan con el punto de rocío del punto para avisar de la condensación.",
+        dew_point: "Punto de rocío (entidad)",
+        wet_bulb: "Temp. húmeda (entidad)",
+        humidity_ratio: "Contenido de agua (entidad, g/kg)",
+        absolute_humidity: "Humedad abs. (entidad, g/m³)",
         color: "Color",
         icon: "Icono",
         details: "Campos mostrados",
@@ -267,7 +512,25 @@ const editorTranslations = {
         waterContent: "Contenido de agua",
         specificVolume: "Vol. específico",
         pmvIndex: "Índice PMV",
+        humidex: "Humidex",
+        heatIndex: "Índice de calor",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Riesgo de moho",
+        moldIndex: "Índice de moho (VTT)",
+        moldIndexDays: "Historial del índice de moho",
+        energy: "Energía y coste",
+        period: "Periodo",
+        period_day: "24 h",
+        period_week: "7 días",
+        period_month: "30 días",
+        price: "Precio de la electricidad (por kWh)",
+        priceHelp: "Entidad de precio, seguida en el historial; un precio fijo se escribe en YAML. Rendimientos a 1 por defecto (resistencia eléctrica).",
+        heatingCop: "COP calefacción",
+        coolingEer: "EER refrigeración",
+        humidificationCop: "COP humidificación",
+        dehumidificationCop: "COP deshumidificación",
+        moldIndexDaysHelp: "Días de historial leídos para el índice VTT y las horas sobre la isopleta.",
         action: "Acción/Potencia",
         addPoint: "Añadir punto",
         comfort: "Zona de confort",
@@ -278,6 +541,29 @@ const editorTranslations = {
         rhMax: "Humedad máx",
         massFlowRate: "Caudal másico de aire",
         massFlowRateHelp: "Se usa para calcular las potencias de calefacción, refrigeración y humidificación.",
+        comfortModel: "Modelo de confort",
+        comfortModelHelp: "Adaptativo (EN 16798-1 / ASHRAE 55): los límites de temperatura siguen la media móvil de la temperatura exterior. PMV: la zona pasa a ser la región donde |PMV| ≤ 0.5 para los parámetros PMV de abajo. Los límites de humedad siguen siendo los de arriba.",
+        comfortStatic: "Zona fija",
+        comfortAdaptive: "Adaptativo",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "Parámetros PMV",
+        clo: "Vestimenta (clo)",
+        met: "Metabolismo (met)",
+        vel: "Velocidad del aire",
+        velHelp: "Constante, o anemómetro en un punto (km/h convertidos). Una constante por punto se escribe en YAML.",
+        cloHelp: "Vacío: valor estacional (1.0 clo en invierno, 0.5 clo en verano, 0.7 clo en abril y octubre).",
+        tr: "Temp. radiante media (entidad)",
+        trHelp: "Sonda de globo o de radiación. Vacío: temperatura del aire. Una constante se escribe en YAML.",
+        utciInputs: "Entradas UTCI",
+        windSpeed: "Velocidad del viento",
+        windSpeedHelp: "Anemómetro exterior (km/h convertidos), limitado a 0.5-17 m/s. Vacío: 0.5 m/s. Una temperatura radiante vacía reutiliza la del PMV.",
+        adaptiveComfort: "Confort adaptativo",
+        outdoorPoint: "Punto exterior",
+        outdoorPointHelp: "Punto cuya entidad de temperatura aporta el historial de los últimos 7 días.",
+        standard: "Norma",
+        category: "Categoría",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Apariencia",
         theme: "Tema visual",
         themeModern: "Moderno",
@@ -288,6 +574,9 @@ const editorTranslations = {
         gridColor: "Color de la cuadrícula",
         curveColor: "Color de las curvas",
         enthalpyColor: "Color de las entalpías",
+        specificVolumeColor: "Color de los volúmenes específicos",
+        dewPointColor: "Color de los puntos de rocío",
+        absoluteHumidityColor: "Color de las humedades absolutas",
         comfortColor: "Color zona confort",
         opacity: "Opacidad",
         resetColor: "Seguir el tema",
@@ -296,6 +585,9 @@ const editorTranslations = {
         curveLineStyle: "Línea de las curvas de humedad",
         enthalpyLineStyle: "Línea de las entalpías",
         wetBulbLineStyle: "Línea de temp. húmedas",
+        specificVolumeLineStyle: "Línea de volúmenes específicos",
+        dewPointLineStyle: "Línea de puntos de rocío",
+        absoluteHumidityLineStyle: "Línea de humedades absolutas",
         comfortLineStyle: "Contorno de la zona de confort",
         pointLineStyle: "Línea de proyección de los puntos",
         lineSolid: "Continua",
@@ -305,6 +597,17 @@ const editorTranslations = {
         tempSubdivisions: "Subdivisiones de las temperaturas secas",
         tempSubdivisionsHelp: "Líneas intermedias entre dos graduaciones del eje de temperaturas. 1 no añade ninguna; 5 divide cada paso de 5 °C en grados.",
         displayOptions: "Opciones de visualización",
+        chartType: "Tipo de diagrama",
+        chartTypeHelp: "Psicrométrico: temperatura en abscisas, presión de vapor en ordenadas. Mollier (h-x): humedad específica en abscisas, temperatura en ordenadas, con el transportador Δh/Δx.",
+        chartTypePsychrometric: "Psicrométrico (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Eje vertical",
+        yAxisHelp: "La humedad específica es el eje vertical de los diagramas de ingeniería: se añaden entonces las escalas de rocío y de entalpía a lo largo de la curva de saturación.",
+        secondaryAxis: "Eje secundario (derecha)",
+        axisNone: "Ninguno",
+        axisVaporPressure: "Presión de vapor",
+        axisHumidityRatio: "Humedad específica",
+        axisDewPoint: "Punto de rocío",
         displayMode: "Nivel de detalle",
         displayModeHelp: "Personalizado aplica los campos marcados en cada punto. Mínimo solo muestra temperatura, humedad y confort; Detallado muestra todos los campos.",
         displayCustom: "Personalizado",
@@ -313,14 +616,41 @@ const editorTranslations = {
         unitAuto: "Automática (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Sistema de unidades",
+        unitSystemHelp: "Unidades de la entalpía, la humedad específica, el volumen específico, la presión y las potencias. Mixto: propiedades del aire en imperial, potencias y agua en SI. Las temperaturas conservan su propia unidad.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Imperial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Mixto (aire en imperial, potencias en W)",
+        pressure: "Barómetro (entidad)",
+        pressureHelp: "Presión atmosférica medida. Un valor fijo en kPa o hPa se escribe directamente en YAML (`pressure: 91.2`).",
+        saturationFormula: "Presión de vapor saturante",
+        saturationFormulaHelp: "Las formulaciones «hielo» siguen la saturación sobre hielo por debajo de 0 °C (punto de escarcha, humedad relativa referida al hielo, como en los diagramas ASHRAE).",
+        formulaMagnus: "Magnus (agua)",
+        formulaMagnus_ice: "Magnus (agua y hielo)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Altitud del sitio (m)",
+        elevationHelp: "Sirve para estimar la presión sin barómetro. `elevation: auto` usa la altitud declarada en Home Assistant.",
         showChart: "Mostrar el gráfico",
         showChartHelp: "Desmarca para mostrar solo las tarjetas de datos, sin el diagrama.",
         showEnthalpy: "Mostrar entalpía",
         showVaporPressure: "Mostrar presión de vapor",
         showDewPoint: "Mostrar punto de rocío",
         showWetBulb: "Mostrar temp. húmeda",
+        showSpecificVolumeLines: "Mostrar volumen específico",
+        showDewPointLines: "Mostrar líneas de rocío",
+        showAbsoluteHumidityLines: "Mostrar humedad absoluta",
         showPointLabels: "Mostrar etiquetas de los puntos",
         showLegend: "Mostrar leyenda",
+        showCursorReadout: "Estado del aire bajo el cursor",
+        showCrosshair: "Retícula hacia los ejes",
+        showTrails: "Rastro de las últimas horas",
+        showHeatmap: "Mapa del tiempo pasado",
+        heatmapDays: "Historial del mapa de tiempo",
+        heatmapDaysHelp: "Días de historial repartidos en celdas del diagrama; el tiempo en confort de cada punto cubre el mismo periodo.",
+        trailHours: "Duración del rastro",
+        trailHoursHelp: "Horas de historial trazadas detrás de cada punto, cada vez más tenues con la antigüedad.",
+        trailStep: "Paso del rastro",
+        trailStepHelp: "Minutos entre dos estados del rastro: un paso más largo aligera la consulta y suaviza el trazado.",
         showCalculatedData: "Mostrar datos calculados",
         themeMode: "Tema de colores",
         themeModeHelp: "Automático sigue el tema claro/oscuro de Home Assistant.",
@@ -333,6 +663,10 @@ const editorTranslations = {
         zoom_temp_max: "Temp. máx",
         zoom_humidity_min: "Humedad mín",
         zoom_humidity_max: "Humedad máx",
+        interactiveZoom: "Zoom y desplazamiento con ratón y táctil",
+        interactiveZoomHelp: "Ctrl + rueda o pellizco para ampliar, arrastrar para desplazar, Mayús + arrastrar para ampliar una zona.",
+        useCurrentView: "Usar la vista actual",
+        useCurrentViewHint: "Amplíe o desplace el gráfico de la vista previa para guardar su vista aquí.",
     },
     de: {
         general: "Allgemein",
@@ -349,6 +683,22 @@ const editorTranslations = {
         label: "Beschriftung",
         temp: "Temperatur (Entität)",
         humidity: "Feuchtigkeit (Entität)",
+        pointSources: "Weitere Sensoren (optional)",
+        outdoor: "Außenpunkt",
+        outdoorHelp: "Referenz der Lüftungsempfehlung: die anderen Punkte werden mit diesem verglichen.",
+        surfaces: "Oberflächentemperaturen",
+        volume: "Raumvolumen",
+        volumeHelp: "Ergibt auch die Wassermenge, die der Raumluft zu entziehen oder zuzuführen ist.",
+        airChangesPerHour: "Luftwechsel",
+        airChangesPerHourHelp: "Ersetzt zusammen mit dem Volumen den Massenstrom der Karte für diesen Punkt.",
+        airflow: "Luftvolumenstrom",
+        airflowHelp: "Volumenstrom des Punkts, über sein spezifisches Volumen in einen Trockenluft-Massenstrom umgerechnet. Hat Vorrang vor Volumen und Luftwechsel. Eine Durchfluss-Entität wird in YAML angegeben.",
+        airflowUnit: "Einheit des Volumenstroms",
+        surfacesHelp: "Fensterrahmen, Wärmebrücke, Kaltwasserleitung: mit dem Taupunkt des Punkts verglichen, um vor Kondensation zu warnen.",
+        dew_point: "Taupunkt (Entität)",
+        wet_bulb: "Feuchtkugeltemp. (Entität)",
+        humidity_ratio: "Wassergehalt (Entität, g/kg)",
+        absolute_humidity: "Abs. Feuchtigkeit (Entität, g/m³)",
         color: "Farbe",
         icon: "Symbol",
         details: "Angezeigte Felder",
@@ -360,7 +710,25 @@ const editorTranslations = {
         waterContent: "Wassergehalt",
         specificVolume: "Spezifisches Vol.",
         pmvIndex: "PMV-Index",
+        humidex: "Humidex",
+        heatIndex: "Hitzeindex",
+        wbgt: "WBGT",
+        utci: "UTCI",
         moldRisk: "Schimmelrisiko",
+        moldIndex: "Schimmelindex (VTT)",
+        moldIndexDays: "Verlauf des Schimmelindex",
+        energy: "Energie und Kosten",
+        period: "Zeitraum",
+        period_day: "24 h",
+        period_week: "7 Tage",
+        period_month: "30 Tage",
+        price: "Strompreis (pro kWh)",
+        priceHelp: "Preis-Entität, über den Verlauf verfolgt; ein fester Preis wird in YAML gesetzt. Wirkungsgrade standardmäßig 1 (elektrischer Widerstand).",
+        heatingCop: "COP Heizen",
+        coolingEer: "EER Kühlen",
+        humidificationCop: "COP Befeuchtung",
+        dehumidificationCop: "COP Entfeuchtung",
+        moldIndexDaysHelp: "Tage Verlauf für den VTT-Index und die Stunden über der Isoplethe.",
         action: "Aktion/Leistung",
         addPoint: "Punkt hinzufügen",
         comfort: "Komfortzone",
@@ -371,6 +739,29 @@ const editorTranslations = {
         rhMax: "Max. Feuchtigkeit",
         massFlowRate: "Luftmassenstrom",
         massFlowRateHelp: "Dient zur Berechnung der Heiz-, Kühl- und Befeuchtungsleistung.",
+        comfortModel: "Komfortmodell",
+        comfortModelHelp: "Adaptiv (EN 16798-1 / ASHRAE 55): Die Temperaturgrenzen folgen dem gleitenden Mittel der Außentemperatur. PMV: Die Zone wird zum Bereich mit |PMV| ≤ 0,5 für die PMV-Parameter unten. Die Feuchtegrenzen bleiben wie oben eingestellt.",
+        comfortStatic: "Feste Zone",
+        comfortAdaptive: "Adaptiv",
+        comfortPmv: "PMV (ISO 7730 / ASHRAE 55)",
+        pmv: "PMV-Parameter",
+        clo: "Bekleidung (clo)",
+        met: "Aktivität (met)",
+        vel: "Luftgeschwindigkeit",
+        velHelp: "Konstante, oder ein Anemometer an einem Punkt (km/h wird umgerechnet). Eine Konstante pro Punkt wird in YAML geschrieben.",
+        cloHelp: "Leer: jahreszeitlicher Wert (1,0 clo im Winter, 0,5 clo im Sommer, 0,7 clo im April und Oktober).",
+        tr: "Mittlere Strahlungstemp. (Entität)",
+        trHelp: "Globe- oder Strahlungstemperaturfühler. Leer: Lufttemperatur. Eine Konstante wird in YAML geschrieben.",
+        utciInputs: "UTCI-Eingaben",
+        windSpeed: "Windgeschwindigkeit",
+        windSpeedHelp: "Außen-Anemometer (km/h umgerechnet), auf 0,5-17 m/s begrenzt. Leer: 0,5 m/s. Eine leere Strahlungstemperatur übernimmt die des PMV.",
+        adaptiveComfort: "Adaptiver Komfort",
+        outdoorPoint: "Außenpunkt",
+        outdoorPointHelp: "Punkt, dessen Temperaturentität den Verlauf der letzten 7 Tage liefert.",
+        standard: "Norm",
+        category: "Kategorie",
+        standardEn16798: "EN 16798-1",
+        standardAshrae55: "ASHRAE 55",
         appearance: "Aussehen",
         theme: "Visuelles Thema",
         themeModern: "Modern",
@@ -381,6 +772,9 @@ const editorTranslations = {
         gridColor: "Gitterfarbe",
         curveColor: "Kurvenfarbe",
         enthalpyColor: "Enthalpiefarbe",
+        specificVolumeColor: "Farbe des spezifischen Volumens",
+        dewPointColor: "Taupunktfarbe",
+        absoluteHumidityColor: "Farbe der absoluten Feuchte",
         comfortColor: "Komfortzonenfarbe",
         opacity: "Deckkraft",
         resetColor: "Dem Thema folgen",
@@ -389,6 +783,9 @@ const editorTranslations = {
         curveLineStyle: "Feuchtekurvenlinie",
         enthalpyLineStyle: "Enthalpielinie",
         wetBulbLineStyle: "Feuchtkugellinie",
+        specificVolumeLineStyle: "Linie des spezifischen Volumens",
+        dewPointLineStyle: "Taupunktlinie",
+        absoluteHumidityLineStyle: "Linie der absoluten Feuchte",
         comfortLineStyle: "Umriss der Komfortzone",
         pointLineStyle: "Projektionslinie der Punkte",
         lineSolid: "Durchgezogen",
@@ -398,6 +795,17 @@ const editorTranslations = {
         tempSubdivisions: "Unterteilungen der Trockentemperaturen",
         tempSubdivisionsHelp: "Zwischenlinien zwischen zwei Graduierungen der Temperaturachse. 1 fügt keine hinzu; 5 unterteilt jeden 5-°C-Schritt in Grad.",
         displayOptions: "Anzeigeoptionen",
+        chartType: "Diagrammtyp",
+        chartTypeHelp: "Psychrometrisch: Temperatur auf der x-Achse, Dampfdruck auf der y-Achse. Mollier (h-x): Wassergehalt auf der x-Achse, Temperatur auf der y-Achse, mit dem Δh/Δx-Randmaßstab.",
+        chartTypePsychrometric: "Psychrometrisch (Carrier)",
+        chartTypeMollier: "Mollier (h-x)",
+        yAxis: "Vertikale Achse",
+        yAxisHelp: "Der Wassergehalt ist die vertikale Achse technischer Diagramme: Taupunkt- und Enthalpieskala kommen dann entlang der Sättigungskurve hinzu.",
+        secondaryAxis: "Sekundärachse (rechts)",
+        axisNone: "Keine",
+        axisVaporPressure: "Dampfdruck",
+        axisHumidityRatio: "Wassergehalt",
+        axisDewPoint: "Taupunkt",
         displayMode: "Detailgrad",
         displayModeHelp: "Benutzerdefiniert wendet die pro Punkt angehakten Felder an. Minimal zeigt nur Temperatur, Luftfeuchte und Komfort; Detailliert zeigt alle Felder.",
         displayCustom: "Benutzerdefiniert",
@@ -406,14 +814,41 @@ const editorTranslations = {
         unitAuto: "Automatisch (Home Assistant)",
         unitCelsius: "Celsius (°C)",
         unitFahrenheit: "Fahrenheit (°F)",
+        unitSystem: "Einheitensystem",
+        unitSystemHelp: "Einheiten von Enthalpie, Wassergehalt, spezifischem Volumen, Druck und Leistung. Gemischt: Lufteigenschaften imperial, Leistung und Wasser in SI. Temperaturen behalten ihre eigene Einheit.",
+        unitSystemSi: "SI (kJ/kg, g/kg, kPa, W)",
+        unitSystemIp: "Imperial (Btu/lb, gr/lb, inHg, Btu/h)",
+        unitSystemMixed: "Gemischt (Luft imperial, Leistung in W)",
+        pressure: "Barometer (Entität)",
+        pressureHelp: "Gemessener Luftdruck. Ein fester Wert in kPa oder hPa wird direkt in YAML geschrieben (`pressure: 91.2`).",
+        saturationFormula: "Sättigungsdampfdruck",
+        saturationFormulaHelp: "Die „Eis“-Formulierungen folgen unter 0 °C der Sättigung über Eis (Reifpunkt, relative Feuchte bezogen auf Eis, wie in ASHRAE-Diagrammen).",
+        formulaMagnus: "Magnus (Wasser)",
+        formulaMagnus_ice: "Magnus (Wasser und Eis)",
+        formulaHyland_wexler: "Hyland-Wexler (ASHRAE 2017)",
+        elevation: "Standorthöhe (m)",
+        elevationHelp: "Dient zur Schätzung des Luftdrucks ohne Barometer. `elevation: auto` übernimmt die in Home Assistant hinterlegte Höhe.",
         showChart: "Diagramm anzeigen",
         showChartHelp: "Abwählen, um nur die Datenkarten ohne Diagramm anzuzeigen.",
         showEnthalpy: "Enthalpie anzeigen",
         showVaporPressure: "Dampfdruck anzeigen",
         showDewPoint: "Taupunkt anzeigen",
         showWetBulb: "Feuchtkugeltemp. anzeigen",
+        showSpecificVolumeLines: "Spezifisches Volumen anzeigen",
+        showDewPointLines: "Taupunktlinien anzeigen",
+        showAbsoluteHumidityLines: "Absolute Feuchte anzeigen",
         showPointLabels: "Punktbeschriftungen anzeigen",
         showLegend: "Legende anzeigen",
+        showCursorReadout: "Luftzustand unter dem Cursor",
+        showCrosshair: "Fadenkreuz zu den Achsen",
+        showTrails: "Spur der letzten Stunden",
+        showHeatmap: "Verweildauer-Heatmap",
+        heatmapDays: "Verlauf der Heatmap",
+        heatmapDaysHelp: "Tage Verlauf, in Diagrammzellen eingeteilt; die Komfortzeit jedes Punkts bezieht sich auf denselben Zeitraum.",
+        trailHours: "Spurdauer",
+        trailHoursHelp: "Stunden Verlauf hinter jedem Punkt, mit zunehmendem Alter verblassend.",
+        trailStep: "Spurschritt",
+        trailStepHelp: "Minuten zwischen zwei Spurzuständen: ein längerer Schritt entlastet die Abfrage und glättet den Verlauf.",
         showCalculatedData: "Berechnete Daten anzeigen",
         themeMode: "Farbschema",
         themeModeHelp: "Automatisch folgt dem hellen/dunklen Thema von Home Assistant.",
@@ -426,6 +861,10 @@ const editorTranslations = {
         zoom_temp_max: "Max. Temperatur",
         zoom_humidity_min: "Min. Feuchtigkeit",
         zoom_humidity_max: "Max. Feuchtigkeit",
+        interactiveZoom: "Zoomen und Verschieben mit Maus und Touch",
+        interactiveZoomHelp: "Strg + Mausrad oder Zwei-Finger-Geste zum Zoomen, Ziehen zum Verschieben, Umschalt + Ziehen zum Zoomen auf einen Bereich.",
+        useCurrentView: "Aktuelle Ansicht übernehmen",
+        useCurrentViewHint: "Zoomen oder verschieben Sie das Diagramm in der Vorschau, um seine Ansicht hier zu speichern.",
     },
 };
 
@@ -434,6 +873,7 @@ export class PsychrometricChartEditor extends LitElement {
         return {
             hass: { attribute: false },
             _config: { state: true },
+            _liveView: { state: true },
         };
     }
 
@@ -443,6 +883,25 @@ export class PsychrometricChartEditor extends LitElement {
         // Références stables : évite que Lit ne recrée les sous-arbres de ha-form à chaque rendu.
         this._computeLabel = (schema) => this.t(schema.name);
         this._computeHelper = (schema) => this.t(`${schema.name}Help`, '');
+        // Dernière vue zoomée de l'aperçu, en bornes `zoom_*`. L'aperçu n'est pas un
+        // descendant de l'éditeur : l'événement est écouté sur `window` et reconnu à la
+        // configuration qu'il porte, identique à celle éditée.
+        this._liveView = null;
+        this._onViewChanged = (ev) => {
+            const cardConfig = ev.detail?.cardConfig;
+            if (cardConfig !== this._config && JSON.stringify(cardConfig) !== JSON.stringify(this._config)) return;
+            this._liveView = ev.detail.config;
+        };
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        window.addEventListener(VIEW_CHANGED_EVENT, this._onViewChanged);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        window.removeEventListener(VIEW_CHANGED_EVENT, this._onViewChanged);
     }
 
     /**
@@ -506,6 +965,9 @@ export class PsychrometricChartEditor extends LitElement {
             case 'curveColor': return dark ? '#4fc3f7' : '#1f77b4';
             case 'comfortColor': return dark ? 'rgba(100, 200, 100, 0.3)' : 'rgba(144, 238, 144, 0.5)';
             case 'enthalpyColor': return dark ? 'rgba(255, 165, 0, 0.7)' : 'rgba(255, 99, 71, 0.7)';
+            case 'specificVolumeColor': return dark ? 'rgba(186, 104, 200, 0.6)' : 'rgba(123, 31, 162, 0.5)';
+            case 'dewPointColor': return dark ? 'rgba(77, 208, 225, 0.6)' : 'rgba(0, 131, 143, 0.5)';
+            case 'absoluteHumidityColor': return dark ? 'rgba(174, 213, 129, 0.6)' : 'rgba(85, 139, 47, 0.5)';
             default: return '#000000';
         }
     }
@@ -544,6 +1006,42 @@ export class PsychrometricChartEditor extends LitElement {
                     },
                 },
             },
+            {
+                name: 'unitSystem',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: [
+                            { value: 'si', label: this.t('unitSystemSi') },
+                            { value: 'ip', label: this.t('unitSystemIp') },
+                            { value: 'mixed', label: this.t('unitSystemMixed') },
+                        ],
+                    },
+                },
+            },
+            {
+                type: 'grid',
+                name: '',
+                schema: [
+                    {
+                        name: 'pressure',
+                        selector: { entity: { filter: { domain: SENSOR_DOMAINS, device_class: 'pressure' } } },
+                    },
+                    { name: 'elevation', selector: { number: { min: -500, max: 6000, step: 1, mode: 'box', unit_of_measurement: 'm' } } },
+                ],
+            },
+            {
+                name: 'saturationFormula',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: SATURATION_FORMULAS.map(formula => ({
+                            value: formula,
+                            label: this.t(`formula${formula.charAt(0).toUpperCase()}${formula.slice(1)}`),
+                        })),
+                    },
+                },
+            },
         ];
     }
 
@@ -558,6 +1056,84 @@ export class PsychrometricChartEditor extends LitElement {
                     { name: 'humidity', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
                 ],
             },
+            {
+                type: 'expandable',
+                name: '',
+                flatten: true,
+                title: this.t('pointSources'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: EXTRA_POINT_SOURCES.map(name => ({
+                            name,
+                            selector: { entity: { filter: { domain: SENSOR_DOMAINS } } },
+                        })),
+                    },
+                ],
+            },
+            {
+                // Champs vides : réglages PMV de la carte. Sur un point, vitesse d'air et
+                // température radiante viennent le plus souvent de capteurs.
+                type: 'expandable',
+                name: 'pmv',
+                title: this.t('pmv'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            { name: 'clo', selector: { number: { min: 0, max: 2, step: 0.05, mode: 'box', unit_of_measurement: 'clo' } } },
+                            { name: 'met', selector: { number: { min: 0.8, max: 4, step: 0.1, mode: 'box', unit_of_measurement: 'met' } } },
+                            { name: 'vel', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                            { name: 'tr', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                        ],
+                    },
+                ],
+            },
+            {
+                type: 'expandable',
+                name: 'utci',
+                title: this.t('utciInputs'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            { name: 'windSpeed', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                            { name: 'tr', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                        ],
+                    },
+                ],
+            },
+            { name: 'outdoor', selector: { boolean: {} } },
+            { name: 'surfaces', selector: { entity: { multiple: true, filter: { domain: SENSOR_DOMAINS } } } },
+            {
+                // Renseignés ensemble, ils remplacent le débit massique de la carte pour ce point.
+                type: 'grid',
+                name: '',
+                schema: [
+                    { name: 'volume', selector: { number: { min: 0, max: 10000, step: 1, mode: 'box', unit_of_measurement: 'm³' } } },
+                    { name: 'airChangesPerHour', selector: { number: { min: 0, max: 50, step: 0.1, mode: 'box', unit_of_measurement: '1/h' } } },
+                ],
+            },
+            {
+                // Un débit volumique prime sur le volume de la pièce ; une entité s'écrit en YAML.
+                type: 'grid',
+                name: '',
+                schema: [
+                    { name: 'airflow', selector: { number: { min: 0, max: 100000, step: 1, mode: 'box' } } },
+                    {
+                        name: 'airflowUnit',
+                        selector: {
+                            select: {
+                                mode: 'dropdown',
+                                options: AIRFLOW_UNITS.map(unit => ({ value: unit, label: unit })),
+                            },
+                        },
+                    },
+                ],
+            },
             {
                 type: 'grid',
                 name: '',
@@ -599,13 +1175,127 @@ export class PsychrometricChartEditor extends LitElement {
                     },
                 ],
             },
+            {
+                name: 'comfortModel',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: [
+                            { value: 'static', label: this.t('comfortStatic') },
+                            { value: 'adaptive', label: this.t('comfortAdaptive') },
+                            { value: 'pmv', label: this.t('comfortPmv') },
+                        ],
+                    },
+                },
+            },
+            ...(this._config?.comfortModel === 'adaptive' ? [this._adaptiveComfortSchema()] : []),
+            {
+                type: 'expandable',
+                name: 'pmv',
+                title: this.t('pmv'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            { name: 'clo', selector: { number: { min: 0, max: 2, step: 0.05, mode: 'box', unit_of_measurement: 'clo' } } },
+                            { name: 'met', selector: { number: { min: 0.8, max: 4, step: 0.1, mode: 'box', unit_of_measurement: 'met' } } },
+                            { name: 'vel', selector: { number: { min: 0, max: 2, step: 0.05, mode: 'box', unit_of_measurement: 'm/s' } } },
+                            { name: 'tr', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                        ],
+                    },
+                ],
+            },
             {
                 name: 'massFlowRate',
                 selector: { number: { min: 0.01, max: 20, step: 0.01, mode: 'box', unit_of_measurement: 'kg/s' } },
             },
+            {
+                name: 'moldIndexDays',
+                selector: { number: { min: 1, max: 60, step: 1, mode: 'box', unit_of_measurement: 'd' } },
+            },
+            {
+                type: 'expandable',
+                name: 'energy',
+                title: this.t('energy'),
+                schema: [
+                    {
+                        type: 'grid',
+                        name: '',
+                        schema: [
+                            {
+                                name: 'period',
+                                selector: {
+                                    select: {
+                                        mode: 'dropdown',
+                                        options: Object.keys(ENERGY_PERIODS).map(value => ({ value, label: this.t(`period_${value}`) })),
+                                    },
+                                },
+                            },
+                            { name: 'price', selector: { entity: { filter: { domain: SENSOR_DOMAINS } } } },
+                            { name: 'heatingCop', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                            { name: 'coolingEer', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                            { name: 'humidificationCop', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                            { name: 'dehumidificationCop', selector: { number: { min: 0.1, max: 10, step: 0.1, mode: 'box' } } },
+                        ],
+                    },
+                ],
+            },
         ];
     }
 
+    /**
+     * Réglages du confort adaptatif. Le point extérieur se choisit parmi les libellés
+     * des points, qui sont la référence lue par la carte ; les catégories proposées
+     * sont celles de la norme retenue.
+     * @returns {Object} Schéma ha-form
+     */
+    _adaptiveComfortSchema() {
+        const standard = this._formData().adaptiveComfort.standard;
+        const labels = this._points.map(point => point.label).filter(Boolean);
+        return {
+            type: 'expandable',
+            name: 'adaptiveComfort',
+            title: this.t('adaptiveComfort'),
+            schema: [
+                {
+                    name: 'outdoorPoint',
+                    selector: { select: { mode: 'dropdown', custom_value: true, options: labels } },
+                },
+                {
+                    type: 'grid',
+                    name: '',
+                    schema: [
+                        {
+                            name: 'standard',
+                            selector: {
+                                select: {
+                                    mode: 'dropdown',
+                                    options: Object.keys(ADAPTIVE_COMFORT_STANDARDS).map(key => ({
+                                        value: key,
+                                        label: this.t(`standard${key.charAt(0).toUpperCase()}${key.slice(1)}`),
+                                    })),
+                                },
+                            },
+                        },
+                        {
+                            name: 'category',
+                            selector: {
+                                select: {
+                                    mode: 'dropdown',
+                                    options: Object.keys(ADAPTIVE_COMFORT_STANDARDS[standard].categories).map(key => ({
+                                        value: key,
+                                        label: standard === 'ashrae55' ? `${key} %` : key,
+                                    })),
+                                },
+                            },
+                        },
+                    ],
+                },
+            ],
+        };
+    }
+
     _displaySchema() {
         return [
             {
@@ -647,6 +1337,49 @@ export class PsychrometricChartEditor extends LitElement {
                     },
                 },
             },
+            {
+                name: 'chartType',
+                selector: {
+                    select: {
+                        mode: 'dropdown',
+                        options: CHART_TYPES.map(type => ({
+                            value: type,
+                            label: this.t(`chartType${type.charAt(0).toUpperCase()}${type.slice(1)}`),
+                        })),
+                    },
+                },
+            },
+            // Le Mollier porte la température en ordonnée : ces échelles n'y ont pas cours.
+            ...(this._config?.chartType === 'mollier' ? [] : [{
+                type: 'grid',
+                name: '',
+                schema: [
+                    {
+                        name: 'yAxis',
+                        selector: {
+                            select: {
+                                mode: 'dropdown',
+                                options: Y_AXES.map(axis => ({
+                                    value: axis,
+                                    label: this.t(`axis${axis.charAt(0).toUpperCase()}${axis.slice(1)}`),
+                                })),
+                            },
+                        },
+                    },
+                    {
+                        name: 'secondaryAxis',
+                        selector: {
+                            select: {
+                                mode: 'dropdown',
+                                options: SECONDARY_AXES.map(axis => ({
+                                    value: axis,
+                                    label: this.t(`axis${axis.charAt(0).toUpperCase()}${axis.slice(1)}`),
+                                })),
+                            },
+                        },
+                    },
+                ],
+            }]),
             { name: 'showChart', selector: { boolean: {} } },
             {
                 type: 'grid',
@@ -659,12 +1392,30 @@ export class PsychrometricChartEditor extends LitElement {
                         { name: 'showVaporPressure', selector: { boolean: {} } },
                         { name: 'showDewPoint', selector: { boolean: {} } },
                         { name: 'showWetBulb', selector: { boolean: {} } },
+                        { name: 'showSpecificVolumeLines', selector: { boolean: {} } },
+                        { name: 'showDewPointLines', selector: { boolean: {} } },
+                        { name: 'showAbsoluteHumidityLines', selector: { boolean: {} } },
                         { name: 'showPointLabels', selector: { boolean: {} } },
                         { name: 'showLegend', selector: { boolean: {} } },
+                        { name: 'showCursorReadout', selector: { boolean: {} } },
+                        { name: 'showCrosshair', selector: { boolean: {} } },
+                        { name: 'showTrails', selector: { boolean: {} } },
+                        { name: 'showHeatmap', selector: { boolean: {} } },
                     ]),
                     { name: 'showCalculatedData', selector: { boolean: {} } },
                 ],
             },
+            ...(this._config?.showChart === false || this._config?.showTrails !== true ? [] : [{
+                type: 'grid',
+                name: '',
+                schema: [
+                    { name: 'trailHours', selector: { number: { min: 1, max: 168, step: 1, mode: 'box', unit_of_measurement: 'h' } } },
+                    { name: 'trailStep', selector: { number: { min: 1, max: 240, step: 1, mode: 'box', unit_of_measurement: 'min' } } },
+                ],
+            }]),
+            ...(this._config?.showChart === false || this._config?.showHeatmap !== true ? [] : [
+                { name: 'heatmapDays', selector: { number: { min: 1, max: 60, step: 1, mode: 'box', unit_of_measurement: 'd' } } },
+            ]),
         ];
     }
 
@@ -697,6 +1448,7 @@ export class PsychrometricChartEditor extends LitElement {
 
     _zoomSchema() {
         return [
+            { name: 'interactiveZoom', selector: { boolean: {} } },
             {
                 type: 'grid',
                 name: '',
@@ -735,22 +1487,58 @@ export class PsychrometricChartEditor extends LitElement {
             chartTitle: config.chartTitle ?? 'Diagramme Psychrométrique',
             language: config.language ?? 'fr',
             temperatureUnit: config.temperatureUnit ?? 'auto',
+            unitSystem: config.unitSystem ?? 'si',
+            saturationFormula: config.saturationFormula ?? 'magnus',
             theme: config.theme ?? 'modern',
             themeMode: config.themeMode ?? 'auto',
             // `standard` est l'ancien nom de `custom` : le normaliser ici évite un
             // sélecteur vide sur une config existante, et fait disparaître la valeur
             // périmée du YAML dès la première modification dans l'éditeur.
+            chartType: config.chartType ?? 'psychrometric',
+            yAxis: config.yAxis ?? 'vaporPressure',
+            secondaryAxis: config.secondaryAxis ?? 'none',
             displayMode: config.displayMode === 'standard' ? 'custom' : (config.displayMode ?? 'custom'),
             massFlowRate: config.massFlowRate ?? 0.5,
+            moldIndexDays: config.moldIndexDays ?? 14,
             showChart: config.showChart !== false,
             comfortRange: { ...DEFAULT_COMFORT_RANGE, ...(config.comfortRange || {}) },
+            comfortModel: config.comfortModel ?? 'static',
+            pmv: { ...DEFAULT_PMV, ...(config.pmv || {}) },
+            ...(config.comfortModel === 'adaptive' ? { adaptiveComfort: this._adaptiveComfortData(config.adaptiveComfort) } : {}),
             showEnthalpy: config.showEnthalpy !== false,
             showVaporPressure: config.showVaporPressure !== false,
             showDewPoint: config.showDewPoint !== false,
             showWetBulb: config.showWetBulb !== false,
+            showSpecificVolumeLines: config.showSpecificVolumeLines === true,
+            showDewPointLines: config.showDewPointLines === true,
+            showAbsoluteHumidityLines: config.showAbsoluteHumidityLines === true,
             showPointLabels: config.showPointLabels !== false,
             showLegend: config.showLegend !== false,
+            showCursorReadout: config.showCursorReadout !== false,
+            showCrosshair: config.showCrosshair === true,
+            showTrails: config.showTrails === true,
+            ...(config.showTrails === true ? { trailHours: config.trailHours ?? 6, trailStep: config.trailStep ?? 10 } : {}),
+            showHeatmap: config.showHeatmap === true,
+            ...(config.showHeatmap === true ? { heatmapDays: config.heatmapDays ?? 7 } : {}),
             showCalculatedData: config.showCalculatedData !== false,
+            interactiveZoom: config.interactiveZoom !== false,
+        };
+    }
+
+    /**
+     * Réglages du confort adaptatif pré-remplis avec ce que la carte applique : norme
+     * EN 16798-1 et catégorie par défaut de la norme, y compris quand la catégorie
+     * enregistrée n'existe pas dans la norme qui vient d'être choisie.
+     * @param {Object} [settings] - `adaptiveComfort` de la configuration
+     * @returns {Object} Données du formulaire
+     */
+    _adaptiveComfortData(settings = {}) {
+        const standard = ADAPTIVE_COMFORT_STANDARDS[settings.standard] ? settings.standard : 'en16798';
+        const { categories, defaultCategory } = ADAPTIVE_COMFORT_STANDARDS[standard];
+        return {
+            ...settings,
+            standard,
+            category: categories[settings.category] ? String(settings.category) : defaultCategory,
         };
     }
 
@@ -807,7 +1595,14 @@ export class PsychrometricChartEditor extends LitElement {
     _valueChanged(ev) {
         ev.stopPropagation();
         if (!this._config) return;
-        this._emit(ev.detail.value);
+        const value = { ...ev.detail.value };
+        // Un bloc `energy` présent active l'intégration : vidé, il doit disparaître.
+        if (value.energy) {
+            const energy = this._clean(value.energy);
+            if (Object.keys(energy).length) value.energy = energy;
+            else delete value.energy;
+        }
+        this._emit(value);
     }
 
     _pointChanged(index, ev) {
@@ -815,6 +1610,19 @@ export class PsychrometricChartEditor extends LitElement {
         if (!this._config) return;
         const value = { ...ev.detail.value };
         value.color = PsychrometricCalculations.rgbToHex(value.color);
+        // Un bloc `pmv` vidé hérite de la carte : inutile de laisser `pmv: {}` dans le YAML.
+        if (value.pmv) {
+            const pmv = this._clean(value.pmv);
+            if (Object.keys(pmv).length) value.pmv = pmv;
+            else delete value.pmv;
+        }
+        if (value.utci) {
+            const utci = this._clean(value.utci);
+            if (Object.keys(utci).length) value.utci = utci;
+            else delete value.utci;
+        }
+        if (Array.isArray(value.surfaces) && !value.surfaces.length) delete value.surfaces;
+        if (value.outdoor === false) delete value.outdoor;
         const points = [...this._points];
         points[index] = value;
         this._emit({ ...this._formData(), points });
@@ -883,6 +1691,15 @@ export class PsychrometricChartEditor extends LitElement {
         });
     }
 
+    /**
+     * Enregistre la vue zoomée de l'aperçu comme bornes du graphique.
+     */
+    _useLiveView() {
+        if (!this._liveView) return;
+        this._emit({ ...this._formData(), ...this._liveView });
+        this._liveView = null;
+    }
+
     _addPoint() {
         const points = [...this._points, { temp: '', humidity: '', label: this.t('newPoint') }];
         this._emit({ ...this._formData(), points });
@@ -954,6 +1771,7 @@ export class PsychrometricChartEditor extends LitElement {
                         .data=${this._pointFormData(point)}
                         .schema=${this._pointSchema()}
                         .computeLabel=${this._computeLabel}
+                        .computeHelper=${this._computeHelper}
                         @value-changed=${(ev) => this._pointChanged(index, ev)}
                     ></ha-form>
                     <div class="point-actions">
@@ -1054,8 +1872,18 @@ export class PsychrometricChartEditor extends LitElement {
                         .data=${data}
                         .schema=${this._zoomSchema()}
                         .computeLabel=${this._computeLabel}
+                        .computeHelper=${this._computeHelper}
                         @value-changed=${this._valueChanged}
                     ></ha-form>
+                    ${data.interactiveZoom ? html`
+                        <div class="actions">
+                            <ha-button .disabled=${!this._liveView} @click=${this._useLiveView}>
+                                <ha-icon icon="mdi:magnify-scan" slot="icon"></ha-icon>
+                                ${this.t('useCurrentView')}
+                            </ha-button>
+                        </div>
+                        ${this._liveView ? '' : html`<div class="empty">${this.t('useCurrentViewHint')}</div>`}
+                    ` : ''}
                 </div>
             </div>
         `;
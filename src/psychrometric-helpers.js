@@ -21,10 +21,279 @@ export const DEFAULT_LINE_STYLES = {
     curveLineStyle: 'solid',
     enthalpyLineStyle: 'dotted',
     wetBulbLineStyle: 'dotted',
+    specificVolumeLineStyle: 'dashdot',
+    dewPointLineStyle: 'dashed',
+    absoluteHumidityLineStyle: 'dotted',
     comfortLineStyle: 'solid',
     pointLineStyle: 'dashed',
 };
 
+/**
+ * Formulations de la pression de vapeur saturante, dans l'ordre proposé par l'éditeur.
+ *   magnus        : Magnus-Tetens au-dessus de l'eau, à toute température (historique)
+ *   magnus_ice    : Magnus au-dessus de l'eau, au-dessus de la glace sous 0 °C
+ *   hyland_wexler : Hyland-Wexler, celle des tables ASHRAE 2017 (glace sous 0 °C)
+ */
+export const SATURATION_FORMULAS = ['magnus', 'magnus_ice', 'hyland_wexler'];
+
+/**
+ * Grandeurs d'état acceptées par `solveState`, par ordre de préférence : quand plus
+ * de deux sont connues, ce sont les deux premières de cette liste qui définissent
+ * l'état — la température sèche d'abord, mesurée directement par presque tous les
+ * capteurs.
+ */
+export const STATE_PROPERTIES = [
+    'temp', 'humidity', 'dewPoint', 'wetBulb', 'waterContent', 'enthalpy', 'absoluteHumidity',
+];
+
+/**
+ * Clés de configuration d'un point, et grandeur d'état que chacune fournit au solveur.
+ * Partagées avec l'éditeur, qui en tire ses sélecteurs d'entités : une source
+ * proposée dans l'éditeur est forcément lue par la carte.
+ */
+export const POINT_SOURCES = {
+    temp: 'temp',
+    humidity: 'humidity',
+    dew_point: 'dewPoint',
+    wet_bulb: 'wetBulb',
+    humidity_ratio: 'waterContent',
+    enthalpy: 'enthalpy',
+    absolute_humidity: 'absoluteHumidity',
+};
+
+/**
+ * Paires qui ne définissent pas un état : elles fixent toutes deux la teneur en eau,
+ * ou suivent des lignes quasi confondues sur le diagramme (iso-temp. humide et
+ * iso-enthalpie ne diffèrent que de l'enthalpie de l'eau, ~0.5 %).
+ */
+const DEGENERATE_STATE_PAIRS = [['dewPoint', 'waterContent'], ['wetBulb', 'enthalpy']];
+
+/**
+ * Étapes de traitement d'air reconnues par `calculateProcessStep`, dans l'ordre de
+ * l'éditeur.
+ *   heating / cooling : échange sensible, teneur en eau constante
+ *   cooling_coil      : batterie froide, point de rosée d'appareil et facteur de bypass
+ *   adiabatic         : humidification adiabatique, le long de la temp. humide
+ *   steam             : humidification vapeur, à température sèche constante
+ */
+export const PROCESS_TYPES = ['heating', 'cooling', 'cooling_coil', 'adiabatic', 'steam'];
+
+/**
+ * Modèles de confort adaptatif : température de confort `slope · θrm + intercept`,
+ * et écarts admis sous / au-dessus de celle-ci pour chaque catégorie.
+ * Hors de `upperRange` / `lowerRange`, la moyenne glissante extérieure est bornée à
+ * la plage de validité de la norme plutôt que la droite extrapolée.
+ *   en16798 : EN 16798-1, catégories I, II, III
+ *   ashrae55 : ASHRAE 55, acceptabilité 90 % et 80 %
+ */
+export const ADAPTIVE_COMFORT_STANDARDS = {
+    en16798: {
+        slope: 0.33,
+        intercept: 18.8,
+        upperRange: [10, 30],
+        lowerRange: [15, 30],
+        categories: { I: [-3, 2], II: [-4, 3], III: [-5, 4] },
+        defaultCategory: 'II',
+    },
+    ashrae55: {
+        slope: 0.31,
+        intercept: 17.8,
+        upperRange: [10, 33.5],
+        lowerRange: [10, 33.5],
+        categories: { 90: [-2.5, 2.5], 80: [-3.5, 3.5] },
+        defaultCategory: '80',
+    },
+};
+
+/**
+ * Marge (K) entre une surface et le point de rosée de l'air en dessous de laquelle
+ * la condensation est jugée probable : les sondes de surface lisent rarement le point
+ * le plus froid d'un pont thermique ou d'un cadre de fenêtre.
+ */
+export const CONDENSATION_MARGIN = 3;
+
+/**
+ * Types de diagramme : psychrométrique ASHRAE (température sèche en abscisse,
+ * pression de vapeur en ordonnée) ou h-x de Mollier (teneur en eau en abscisse,
+ * température en ordonnée).
+ */
+export const CHART_TYPES = ['psychrometric', 'mollier'];
+
+/**
+ * Grandeur portée par l'axe vertical du diagramme psychrométrique : pression de
+ * vapeur, ou teneur en eau comme sur la plupart des abaques d'ingénierie.
+ */
+export const Y_AXES = ['vaporPressure', 'humidityRatio'];
+
+/**
+ * Échelles proposées sur le bord droit. Toutes ne dépendent que de la hauteur :
+ * à pression donnée, une même ordonnée a même pression de vapeur, même teneur en
+ * eau et même point de rosée.
+ */
+export const SECONDARY_AXES = ['none', 'vaporPressure', 'humidityRatio', 'dewPoint'];
+
+/**
+ * Événement émis par une carte quand sa vue interactive change ; il remonte jusqu'à
+ * `window` (bubbles, composed). Son `detail.config` porte la vue convertie en bornes
+ * `zoom_*` (null une fois la vue réinitialisée), son `detail.cardConfig` la
+ * configuration de la carte émettrice : l'éditeur n'écoute que l'aperçu de la carte
+ * qu'il édite, pas les autres cartes du tableau de bord.
+ */
+export const VIEW_CHANGED_EVENT = 'psychrometric-chart-view-changed';
+
+/**
+ * Systèmes d'unités des grandeurs dérivées.
+ *   si    : kJ/kg, g/kg, m³/kg, kPa, W, g/m³, kg/h, L
+ *   ip    : Btu/lb, gr/lb, ft³/lb, inHg, Btu/h, gr/ft³, lb/h, gal (US)
+ *   mixed : propriétés de l'air en IP (lecture d'un diagramme américain), puissances
+ *           et eau en SI (plaques signalétiques des appareils européens)
+ * L'énergie reste en kWh dans tous les cas : c'est l'unité de facturation.
+ */
+export const UNIT_SYSTEMS = ['si', 'ip', 'mixed'];
+
+/**
+ * Unités de chaque grandeur dérivée : libellé SI, et conversion IP depuis la valeur
+ * SI du calcul (`ip = si · factor + offset`). Le décalage de l'enthalpie vient des
+ * origines différentes : air sec à 0 °C en SI, à 0 °F en IP.
+ * `airProperty` classe la grandeur pour le système mixte.
+ */
+const DERIVED_UNITS = {
+    enthalpy: { si: 'kJ/kg', ip: 'Btu/lb', factor: 0.429923, offset: 7.68, airProperty: true },
+    humidityRatio: { si: 'g/kg', ip: 'gr/lb', factor: 7, airProperty: true },
+    specificVolume: { si: 'm³/kg', ip: 'ft³/lb', factor: 16.0185, airProperty: true },
+    pressure: { si: 'kPa', ip: 'inHg', factor: 0.2953, airProperty: true },
+    absoluteHumidity: { si: 'g/m³', ip: 'gr/ft³', factor: 0.436996, airProperty: true },
+    power: { si: 'W', ip: 'Btu/h', factor: 3.41214 },
+    waterRate: { si: 'kg/h', ip: 'lb/h', factor: 2.20462 },
+    waterVolume: { si: 'L', ip: 'gal', factor: 0.264172 },
+};
+
+/**
+ * Unités de débit d'air acceptées pour une constante `airflowUnit`. Les entités
+ * publient leur propre unité, lue par toCubicMetersPerHour.
+ */
+export const AIRFLOW_UNITS = ['m³/h', 'CFM', 'L/s'];
+
+/**
+ * Fenêtres d'intégration de l'énergie, en jours.
+ */
+export const ENERGY_PERIODS = { day: 1, week: 7, month: 30 };
+
+/**
+ * Seuils de contrainte thermique (°C, humidex sans unité), du premier niveau d'alerte
+ * au dernier. Chaque indice garde l'échelle publiée avec lui :
+ *   humidex : Environnement Canada (inconfort, grand inconfort, danger, coup de chaleur)
+ *   heatIndex : NWS, 80 / 90 / 103 / 125 °F (caution … extreme danger)
+ *   wbgt : drapeaux vert / jaune / rouge / noir, 82 / 85 / 88 / 90 °F
+ *   utci : contrainte thermique modérée, forte, très forte, extrême (échelle UTCI)
+ */
+export const HEAT_STRESS_THRESHOLDS = {
+    humidex: [30, 40, 46, 54],
+    heatIndex: [26.7, 32.2, 39.4, 51.7],
+    wbgt: [27.8, 29.4, 31.1, 32.2],
+    utci: [26, 32, 38, 46],
+};
+
+/**
+ * Coefficients du polynôme d'approximation de l'UTCI (Bröde et al., 2012), dans
+ * l'ordre du code de référence UTCI_approx : puissances croissantes de la pression
+ * de vapeur Pa, puis de ΔTmrt = Tmrt − Ta, puis du vent va, puis de Ta, pour tous les
+ * monômes de degré total au plus 6 (210 termes).
+ */
+const UTCI_COEFFICIENTS = [
+    // Pa^0
+    6.07562052e-01, -2.27712343e-02, 8.06470249e-04, -1.54271372e-04, -3.24651735e-06, 7.32602852e-08, 1.35959073e-09,
+    -2.25836520e+00, 8.80326035e-02, 2.16844454e-03, -1.53347087e-05, -5.72983704e-07, -2.55090145e-09,
+    -7.51269505e-01, -4.08350271e-03, -5.21670675e-05, 1.94544667e-06, 1.14099531e-08,
+    1.58137256e-01, -6.57263143e-05, 2.22697524e-07, -4.16117031e-08,
+    -1.27762753e-02, 9.66891875e-06, 2.52785852e-09,
+    4.56306672e-04, -1.74202546e-07,
+    -5.91491269e-06,
+    3.98374029e-01, 1.83945314e-04, -1.73754510e-04, -7.60781159e-07, 3.77830287e-08, 5.43079673e-10,
+    -2.00518269e-02, 8.92859837e-04, 3.45433048e-06, -3.77925774e-07, -1.69699377e-09,
+    1.69992415e-04, -4.99204314e-05, 2.47417178e-07, 1.07596466e-08,
+    8.49242932e-05, 1.35191328e-06, -6.21531254e-09,
+    -4.99410301e-06, -1.89489258e-08,
+    8.15300114e-08,
+    7.55043090e-04, -5.65095215e-05, -4.52166564e-07, 2.46688878e-08, 2.42674348e-10,
+    1.54547250e-04, 5.24110970e-06, -8.75874982e-08, -1.50743064e-09,
+    -1.56236307e-05, -1.33895614e-07, 2.49709824e-09,
+    6.51711721e-07, 1.94960053e-09,
+    -1.00361113e-08,
+    -1.21206673e-05, -2.18203660e-07, 7.51269482e-09, 9.79063848e-11,
+    1.25006734e-06, -1.81584736e-09, -3.52197671e-10,
+    -3.36514630e-08, 1.35908359e-10,
+    4.17032620e-10,
+    -1.30369025e-09, 4.13908461e-10, 9.22652254e-12,
+    -5.08220384e-09, -2.24730961e-11,
+    1.17139133e-10,
+    6.62154879e-10, 4.03863260e-13,
+    1.95087203e-12,
+    -4.73602469e-12,
+    // Pa^1
+    5.12733497e+00, -3.12788561e-01, -1.96701861e-02, 9.99690870e-04, 9.51738512e-06, -4.66426341e-07,
+    5.48050612e-01, -3.30552823e-03, -1.64119440e-03, -5.16670694e-06, 9.52692432e-07,
+    -4.29223622e-02, 5.00845667e-03, 1.00601257e-06, -1.81748644e-06,
+    -1.25813502e-03, -1.79330391e-04, 2.34994441e-06,
+    1.29735808e-04, 1.29064870e-06,
+    -2.28558686e-06,
+    -3.69476348e-02, 1.62325322e-03, -3.14279680e-05, 2.59835559e-06, -4.77136523e-08,
+    8.64203390e-03, -6.87405181e-04, -9.13863872e-06, 5.15916806e-07,
+    -3.59217476e-05, 3.28696511e-05, -7.10542454e-07,
+    -1.24382300e-05, -7.38584400e-09,
+    2.20609296e-07,
+    -7.32469180e-04, -1.87381964e-05, 4.80925239e-06, -8.75492040e-08,
+    2.77862930e-05, -5.06004592e-06, 1.14325367e-07,
+    2.53016723e-06, -1.72857035e-08,
+    -3.95079398e-08,
+    -3.59413173e-07, 7.04388046e-07, -1.89309167e-08,
+    -4.79768731e-07, 7.96079978e-09,
+    1.62897058e-09,
+    3.94367674e-08, -1.18566247e-09,
+    3.34678041e-10,
+    -1.15606447e-10,
+    // Pa^2
+    -2.80626406e+00, 5.48712484e-01, -3.99428410e-03, -9.54009191e-04, 1.93090978e-05,
+    -3.08806365e-01, 1.16952364e-02, 4.95271903e-04, -1.90710882e-05,
+    2.10787756e-03, -6.98445738e-04, 2.30109073e-05,
+    4.17856590e-04, -1.27043871e-05,
+    -3.04620472e-06,
+    5.14507424e-02, -4.32510997e-03, 8.99281156e-05, -7.14663943e-07,
+    -2.66016305e-04, 2.63789586e-04, -7.01199003e-06,
+    -1.06823306e-04, 3.61341136e-06,
+    2.29748967e-07,
+    3.04788893e-04, -6.42070836e-05, 1.16257971e-06,
+    7.68023384e-06, -5.47446896e-07,
+    -3.59937910e-08,
+    -4.36497725e-06, 1.68737969e-07,
+    2.67489271e-08,
+    3.23926897e-09,
+    // Pa^3
+    -3.53874123e-02, -2.21201190e-01, 1.55126038e-02, -2.63917279e-04,
+    4.53433455e-02, -4.32943862e-03, 1.45389826e-04,
+    2.17508610e-04, -6.66724702e-05,
+    3.33217140e-05,
+    -2.26921615e-03, 3.80261982e-04, -5.45314314e-09,
+    -7.96355448e-04, 2.53458034e-05,
+    -6.31223658e-06,
+    3.02122035e-04, -4.77403547e-06,
+    1.73825715e-06,
+    -4.09087898e-07,
+    // Pa^4
+    6.14155345e-01, -6.16755931e-02, 1.33374846e-03,
+    3.55375387e-03, -5.13027851e-04,
+    1.02449757e-04,
+    -1.48526421e-03, -4.11469183e-05,
+    -6.80434415e-06,
+    -9.77675906e-06,
+    // Pa^5
+    8.82773108e-02, -3.01859306e-03,
+    1.04452989e-03,
+    2.47090539e-04,
+    // Pa^6
+    1.48348065e-03,
+];
+
 export class PsychrometricCalculations {
 
     // ========================================
@@ -208,6 +477,22 @@ export class PsychrometricCalculations {
         return { min: niceMin, max: niceMax === niceMin ? niceMin + step : niceMax, step, decimals };
     }
 
+    /**
+     * Scale an interval around an anchor that stays in place.
+     *
+     * Zoom à la molette ou au pincement : la valeur sous le curseur (ou entre les deux
+     * doigts) ne doit pas bouger à l'écran, seules les deux bornes s'en rapprochent ou
+     * s'en éloignent.
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @param {number} anchor - Value kept fixed, usually inside the interval
+     * @param {number} factor - Below 1 zooms in, above 1 zooms out
+     * @returns {{min: number, max: number}} Scaled interval
+     */
+    static zoomInterval(min, max, anchor, factor) {
+        return { min: anchor - (anchor - min) * factor, max: anchor + (max - anchor) * factor };
+    }
+
     // ========================================
     // TEMPERATURE CONVERSION UTILITIES
     // ========================================
@@ -230,13 +515,32 @@ export class PsychrometricCalculations {
         return (tempC * 9 / 5) + 32;
     }
 
+    /**
+     * Convert a derived quantity from the card's SI units to a unit system.
+     *
+     * Les valeurs SI sont celles des calculs, sauf la teneur en eau attendue en g/kg.
+     * Un écart (`delta`) ne prend pas le décalage d'origine de l'enthalpie.
+     * @param {string} quantity - Key of DERIVED_UNITS ('enthalpy', 'humidityRatio', …)
+     * @param {number} value - Value in SI units
+     * @param {string} [system='si'] - One of UNIT_SYSTEMS
+     * @param {boolean} [delta=false] - Whether the value is a difference
+     * @returns {{value: number, unit: string}} Converted value and its unit
+     */
+    static convertUnit(quantity, value, system = 'si', delta = false) {
+        const definition = DERIVED_UNITS[quantity];
+        const imperial = system === 'ip' || (system === 'mixed' && definition.airProperty);
+        if (!imperial) return { value, unit: definition.si };
+        return { value: value * definition.factor + (delta ? 0 : (definition.offset ?? 0)), unit: definition.ip };
+    }
+
     // ========================================
     // PSYCHROMETRIC CALCULATION METHODS
     // All calculations work in Celsius internally
     // ========================================
 
     /**
-     * Atmospheric pressure at sea level, in kPa.
+     * Atmospheric pressure every formula runs at, in kPa.
+     * Sea level by default; `withConditions` derives a class bound to another pressure.
      * @type {number}
      */
     static get ATMOSPHERIC_PRESSURE() {
@@ -244,27 +548,199 @@ export class PsychrometricCalculations {
     }
 
     /**
-     * Calculate the saturation vapor pressure (Magnus-Tetens).
+     * Standard atmospheric pressure at a given elevation (ASHRAE Fundamentals, chap. 1).
+     * @param {number} elevation - Altitude above sea level, in m
+     * @returns {number} Pressure in kPa
+     */
+    static pressureFromAltitude(elevation) {
+        // Référence fixe au niveau de la mer : `this.ATMOSPHERIC_PRESSURE` désignerait
+        // ici la pression d'une classe dérivée, déjà corrigée de l'altitude.
+        return 101.325 * Math.pow(1 - 2.25577e-5 * elevation, 5.2559);
+    }
+
+    /**
+     * Convert a pressure reading to kPa.
+     *
+     * Sans unité connue, la valeur est interprétée d'après son ordre de grandeur :
+     * une pression atmosphérique vaut ~100 kPa ou ~1000 hPa, les deux plages ne se
+     * recouvrent pas.
+     * @param {number} value - Pressure value
+     * @param {string} [unit] - Unit of measurement (Pa, hPa, mbar, kPa, bar, psi, inHg, mmHg)
+     * @returns {number} Pressure in kPa
+     */
+    static toKilopascals(value, unit) {
+        const factors = {
+            pa: 0.001, hpa: 0.1, mbar: 0.1, kpa: 1, bar: 100,
+            psi: 6.894757, inhg: 3.386389, mmhg: 0.1333224,
+        };
+        const factor = factors[String(unit ?? '').trim().toLowerCase()];
+        if (factor !== undefined) return value * factor;
+        return value > 200 ? value / 10 : value;
+    }
+
+    /**
+     * Convert an air speed reading to m/s.
+     * Les anémomètres de Home Assistant publient souvent en km/h ; sans unité reconnue,
+     * la valeur est prise en m/s.
+     * @param {number} value - Speed value
+     * @param {string} [unit] - Unit of measurement (m/s, km/h, mph, ft/s, kn)
+     * @returns {number} Speed in m/s
+     */
+    static toMetersPerSecond(value, unit) {
+        const factors = { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, 'ft/s': 0.3048, kn: 0.514444 };
+        return value * (factors[String(unit ?? '').trim().toLowerCase()] ?? 1);
+    }
+
+    /**
+     * Convert a volumetric airflow reading to m³/h.
+     * Home Assistant publie les débits en m³/h, ft³/min ou L/s ; sans unité reconnue,
+     * la valeur est prise en m³/h.
+     * @param {number} value - Airflow value
+     * @param {string} [unit] - Unit of measurement (m³/h, CFM, ft³/min, L/s, m³/s)
+     * @returns {number} Airflow in m³/h
+     */
+    static toCubicMetersPerHour(value, unit) {
+        const factors = {
+            'm³/h': 1, 'm3/h': 1, 'm³/s': 3600, 'm3/s': 3600,
+            cfm: 1.699011, 'ft³/min': 1.699011, 'ft3/min': 1.699011, 'l/s': 3.6,
+        };
+        return value * (factors[String(unit ?? '').trim().toLowerCase()] ?? 1);
+    }
+
+    /**
+     * Typical clothing insulation for the season, per ASHRAE 55.
+     *
+     * 1.0 clo en hiver (novembre à mars), 0.5 clo en été (mai à septembre), 0.7 clo
+     * — la valeur historique de calculatePMV — en avril et en octobre. Les saisons
+     * sont inversées dans l'hémisphère sud.
+     * @param {Date} date - Current date
+     * @param {boolean} [southernHemisphere=false] - Whether the site is south of the equator
+     * @returns {number} Clothing insulation in clo
+     */
+    static seasonalClothing(date, southernHemisphere = false) {
+        const month = (date.getMonth() + (southernHemisphere ? 6 : 0)) % 12;
+        if (month >= 4 && month <= 8) return 0.5;
+        if (month === 3 || month === 9) return 0.7;
+        return 1.0;
+    }
+
+    /**
+     * Derive a calculation class bound to given ambient conditions.
+     *
+     * Toutes les formules lisent la pression via `this.ATMOSPHERIC_PRESSURE` : une
+     * classe dérivée qui la redéfinit les corrige donc toutes d'un coup, sans ajouter
+     * un paramètre à chaque signature ni risquer qu'un appel l'oublie. Chaque carte
+     * garde sa propre classe — deux cartes à des altitudes différentes ne se
+     * marchent pas dessus, ce que ferait un réglage global.
+     * @param {Object} [conditions] - Ambient conditions
+     * @param {number} [conditions.pressure] - Atmospheric pressure in kPa
+     * @param {string} [conditions.saturation] - Saturation formulation, one of SATURATION_FORMULAS
+     * @returns {typeof PsychrometricCalculations} Calculation class for these conditions
+     */
+    static withConditions({ pressure, saturation } = {}) {
+        const base = this;
+        const boundPressure = pressure > 0 ? pressure : undefined;
+        const boundSaturation = SATURATION_FORMULAS.includes(saturation) ? saturation : undefined;
+        if (boundPressure === undefined && boundSaturation === undefined) return base;
+        return class extends base {
+            static get ATMOSPHERIC_PRESSURE() {
+                return boundPressure ?? base.ATMOSPHERIC_PRESSURE;
+            }
+
+            static get SATURATION_FORMULA() {
+                return boundSaturation ?? base.SATURATION_FORMULA;
+            }
+        };
+    }
+
+    /**
+     * Saturation formulation every formula runs with, one of SATURATION_FORMULAS.
+     * Magnus over water by default; `withConditions` derives a class bound to another.
+     * @type {string}
+     */
+    static get SATURATION_FORMULA() {
+        return 'magnus';
+    }
+
+    /**
+     * Whether saturation at this temperature is taken over ice rather than water.
+     * @param {number} temp - Temperature in Celsius
+     * @returns {boolean} True below 0 °C with an ice-aware formulation
+     */
+    static saturatesOverIce(temp) {
+        return this.SATURATION_FORMULA !== 'magnus' && temp < 0;
+    }
+
+    /**
+     * Calculate the saturation vapor pressure, with the formulation of SATURATION_FORMULA.
      * Single source of truth: every other formula must go through this one
      * rather than inlining the `0.61078 * exp(17.27 t / (t + 237.3))` expression.
+     *
+     * Sous 0 °C, les formulations « glace » suivent la saturation au-dessus de la
+     * glace, plus basse que celle au-dessus de l'eau surfondue (~10 % à -10 °C) : la
+     * courbe de saturation et les courbes d'humidité relative qui en dérivent sont
+     * alors celles des diagrammes ASHRAE.
      * @param {number} temp - Dry bulb temperature in Celsius
      * @returns {number} Saturation vapor pressure in kPa
      */
     static calculateSaturationPressure(temp) {
-        return 0.61078 * Math.exp((17.27 * temp) / (temp + 237.3));
+        switch (this.SATURATION_FORMULA) {
+            case 'hyland_wexler': {
+                // ASHRAE Fundamentals 2017, chap. 1, éq. 5 et 6 (Pa, K).
+                const T = temp + 273.15;
+                const lnP = this.saturatesOverIce(temp)
+                    ? -5.6745359e3 / T + 6.3925247 - 9.6778430e-3 * T + 6.2215701e-7 * T ** 2
+                        + 2.0747825e-9 * T ** 3 - 9.4840240e-13 * T ** 4 + 4.1635019 * Math.log(T)
+                    : -5.8002206e3 / T + 1.3914993 - 4.8640239e-2 * T + 4.1764768e-5 * T ** 2
+                        - 1.4452093e-8 * T ** 3 + 6.5459673 * Math.log(T);
+                return Math.exp(lnP) / 1000;
+            }
+            case 'magnus_ice':
+                // Coefficients au-dessus de la glace d'Alduchov et Eskridge (1996).
+                if (this.saturatesOverIce(temp)) return 0.61115 * Math.exp((22.452 * temp) / (temp + 272.55));
+                return 0.61078 * Math.exp((17.27 * temp) / (temp + 237.3));
+            default:
+                return 0.61078 * Math.exp((17.27 * temp) / (temp + 237.3));
+        }
+    }
+
+    /**
+     * Temperature at which a vapor pressure is saturating: inverse of calculateSaturationPressure.
+     *
+     * Magnus s'inverse en forme close ; les autres formulations (Hyland-Wexler n'a pas
+     * d'inverse analytique) sont inversées par bissection, la pression saturante
+     * étant strictement croissante en température.
+     * @param {number} vaporPressure - Vapor pressure in kPa
+     * @returns {number} Saturation temperature in Celsius
+     */
+    static calculateSaturationTemperature(vaporPressure) {
+        if (this.SATURATION_FORMULA === 'magnus') {
+            const alpha = Math.log(vaporPressure / 0.61078);
+            return (237.3 * alpha) / (17.27 - alpha);
+        }
+        let low = -100;
+        let high = 200;
+        for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            if (this.calculateSaturationPressure(mid) < vaporPressure) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
     }
 
     /**
      * Calculate Dew Point temperature.
+     * Sous 0 °C avec une formulation « glace », c'est le point de givre : la
+     * température à laquelle l'air sature au-dessus de la glace.
      * @param {number} temp - Dry bulb temperature in Celsius
      * @param {number} humidity - Relative humidity in %
-     * @returns {number} Dew point temperature in Celsius
+     * @returns {number} Dew point (or frost point) temperature in Celsius
      */
     static calculateDewPoint(temp, humidity) {
-        const A = 17.27;
-        const B = 237.3;
-        const alpha = ((A * temp) / (B + temp)) + Math.log(humidity / 100);
-        return (B * alpha) / (A - alpha);
+        return this.calculateSaturationTemperature(this.calculateVaporPressure(temp, humidity));
     }
 
     /**
@@ -292,12 +768,19 @@ export class PsychrometricCalculations {
      * Calculate the water content of moist air along a constant wet bulb line (ASHRAE).
      * Replaces the brute-force search that used to scan `calculateWetBulbTemp` over a
      * temperature/humidity grid: this is a direct, closed-form evaluation.
+     *
+     * Sous 0 °C avec une formulation « glace », le bulbe est givré : la chaleur de
+     * sublimation remplace celle d'évaporation (ASHRAE 2017, chap. 1, éq. 37).
      * @param {number} temp - Dry bulb temperature in Celsius
      * @param {number} wetBulb - Wet bulb temperature in Celsius
      * @returns {number} Water content in kg/kg (dry air)
      */
     static calculateWaterContentFromWetBulb(temp, wetBulb) {
         const Ws = this.calculateWaterContent(wetBulb, 100);
+        if (this.saturatesOverIce(wetBulb)) {
+            return ((2830 - 0.24 * wetBulb) * Ws - 1.006 * (temp - wetBulb))
+                / (2830 + 1.86 * temp - 2.1 * wetBulb);
+        }
         return ((2501 - 2.326 * wetBulb) * Ws - 1.006 * (temp - wetBulb))
             / (2501 + 1.86 * temp - 4.186 * wetBulb);
     }
@@ -356,6 +839,80 @@ export class PsychrometricCalculations {
         return (low + high) / 2;
     }
 
+    /**
+     * Water content of the air at a given dry bulb temperature, from one other state property.
+     * @param {string} property - One of STATE_PROPERTIES other than 'temp'
+     * @param {number} value - Property value: % for humidity, °C for dewPoint/wetBulb,
+     *   kg/kg for waterContent, kJ/kg for enthalpy, g/m³ for absoluteHumidity
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @returns {number} Water content in kg/kg (dry air), NaN for an unknown property
+     */
+    static calculateWaterContentFrom(property, value, temp) {
+        const P = this.ATMOSPHERIC_PRESSURE;
+        /**
+         * Teneur en eau d'une pression de vapeur (inverse de waterContentToVaporPressure).
+         * @param {number} pv - Vapor pressure in kPa
+         * @returns {number} Water content in kg/kg
+         */
+        const fromVaporPressure = pv => 0.622 * (pv / (P - pv));
+        switch (property) {
+            case 'humidity': return this.calculateWaterContent(temp, value);
+            case 'dewPoint': return fromVaporPressure(this.calculateSaturationPressure(value));
+            case 'wetBulb': return this.calculateWaterContentFromWetBulb(temp, value);
+            case 'waterContent': return value;
+            case 'enthalpy': return (value - 1.006 * temp) / (2501 + 1.84 * temp);
+            // Inverse de calculateAbsoluteHumidity : Pv = ρv·Rv·T, en Pa puis en kPa.
+            case 'absoluteHumidity': return fromVaporPressure((value / 1000) * 461.5 * (temp + 273.15) / 1000);
+            default: return NaN;
+        }
+    }
+
+    /**
+     * Solve the air state from any two independent properties.
+     *
+     * La température sèche connue, l'autre grandeur donne directement la teneur en
+     * eau. Sinon, chaque grandeur décrit une courbe W(t) en forme close (constante
+     * pour le point de rosée, décroissante pour la temp. humide ou l'enthalpie,
+     * croissante pour l'humidité relative…) : leur intersection est cherchée par
+     * bissection sur t, sans recherche imbriquée.
+     * @param {Object} properties - Known properties, keyed by STATE_PROPERTIES (units as
+     *   in calculateWaterContentFrom, temp in Celsius)
+     * @returns {{temp: number, humidity: number}|null} Dry bulb (°C) and relative
+     *   humidity (%), or null when the properties do not define a state
+     */
+    static solveState(properties) {
+        const known = STATE_PROPERTIES.filter(key => Number.isFinite(properties?.[key]));
+        if (known.length < 2) return null;
+        const [keyA, keyB] = known;
+        if (DEGENERATE_STATE_PAIRS.some(pair => pair.includes(keyA) && pair.includes(keyB))) return null;
+
+        let temp = properties.temp;
+        if (keyA !== 'temp') {
+            // W_A(t) − W_B(t) ne change de signe qu'une fois sur la plage : une racine au plus.
+            const gap = t => this.calculateWaterContentFrom(keyA, properties[keyA], t)
+                - this.calculateWaterContentFrom(keyB, properties[keyB], t);
+            let low = -80;
+            let high = 80;
+            const lowGap = gap(low);
+            if (!(lowGap * gap(high) <= 0)) return null;
+            for (let i = 0; i < 60; i++) {
+                const mid = (low + high) / 2;
+                if ((gap(mid) <= 0) === (lowGap <= 0)) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            temp = (low + high) / 2;
+        }
+
+        const key = keyA === 'temp' ? keyB : keyA;
+        if (key === 'humidity') return { temp, humidity: properties.humidity };
+        const W = this.calculateWaterContentFrom(key, properties[key], temp);
+        const humidity = (this.waterContentToVaporPressure(W) / this.calculateSaturationPressure(temp)) * 100;
+        return Number.isFinite(humidity) ? { temp, humidity } : null;
+    }
+
     /**
      * Calculate Vapor Pressure.
      * @param {number} temp - Dry bulb temperature in Celsius
@@ -382,6 +939,17 @@ export class PsychrometricCalculations {
         return (Rd * T * (1 + 1.6078 * W)) / this.ATMOSPHERIC_PRESSURE;
     }
 
+    /**
+     * Water content of the air with a given specific volume, inverse of calculateSpecificVolume.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} specificVolume - Specific volume in m³/kg (dry air)
+     * @returns {number} Water content in kg/kg, negative when the volume is below dry air's
+     */
+    static calculateWaterContentFromSpecificVolume(temp, specificVolume) {
+        const Rd = 0.287058;
+        return ((specificVolume * this.ATMOSPHERIC_PRESSURE) / (Rd * (temp + 273.15)) - 1) / 1.6078;
+    }
+
     /**
      * Calculate the apparent ("felt") temperature — Steadman's formula.
      *
@@ -404,6 +972,114 @@ export class PsychrometricCalculations {
         return temp + 0.33 * e - 0.70 * windSpeed - 4.00;
     }
 
+    /**
+     * Calculate the humidex (Environment Canada).
+     *
+     * La définition part du point de rosée ; la pression de vapeur de l'état suffit
+     * et reste cohérente avec la formule de saturation choisie pour la carte.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @returns {number} Humidex (dimensionless, read as °C)
+     */
+    static calculateHumidex(temp, rh) {
+        const e = this.calculateVaporPressure(temp, rh) * 10;
+        return temp + 0.5555 * (e - 10);
+    }
+
+    /**
+     * Calculate the NWS heat index.
+     *
+     * Algorithme du National Weather Service : formule simple de Steadman tant que
+     * sa moyenne avec la température reste sous 80 °F, régression de Rothfusz et ses
+     * deux corrections (air très sec, air très humide) au-delà. Le calcul se fait en
+     * °F, unité dans laquelle les coefficients sont publiés.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @returns {number} Heat index in Celsius
+     */
+    static calculateHeatIndex(temp, rh) {
+        const T = this.celsiusToFahrenheit(temp);
+        let hi = 0.5 * (T + 61 + (T - 68) * 1.2 + rh * 0.094);
+
+        if ((hi + T) / 2 >= 80) {
+            hi = -42.379 + 2.04901523 * T + 10.14333127 * rh
+                - 0.22475541 * T * rh - 0.00683783 * T * T - 0.05481717 * rh * rh
+                + 0.00122874 * T * T * rh + 0.00085282 * T * rh * rh
+                - 0.00000199 * T * T * rh * rh;
+
+            if (rh < 13 && T >= 80 && T <= 112) {
+                hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+            } else if (rh > 85 && T >= 80 && T <= 87) {
+                hi += ((rh - 85) / 10) * ((87 - T) / 5);
+            }
+        }
+
+        return this.fahrenheitToCelsius(hi);
+    }
+
+    /**
+     * Calculate the indoor WBGT (no solar load): 0.7·Tnw + 0.3·Tg.
+     *
+     * Le thermomètre humide naturel est approché par le bulbe humide psychrométrique,
+     * ce qui suppose un air en mouvement ; en air calme le WBGT réel est un peu plus
+     * élevé. Sans sonde de globe, la température radiante moyenne en tient lieu, et à
+     * défaut la température de l'air.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @param {Object} [options]
+     * @param {number} [options.tr] - Globe / mean radiant temperature in Celsius
+     * @returns {number} WBGT in Celsius
+     */
+    static calculateWBGT(temp, rh, { tr = temp } = {}) {
+        return 0.7 * this.calculateWetBulbTemp(temp, rh) + 0.3 * tr;
+    }
+
+    /**
+     * Calculate the Universal Thermal Climate Index (UTCI).
+     *
+     * Approximation polynomiale de Bröde et al. (2012), le calcul de référence. L'indice
+     * est défini pour l'extérieur : vent mesuré à 10 m, entre 0.5 et 17 m/s, auquel la
+     * vitesse est ramenée ; l'air calme d'un atelier se lit donc au vent minimal. Sans
+     * température radiante moyenne, celle de l'air en tient lieu (ni soleil ni paroi
+     * chaude). Hors du domaine de validité du polynôme, il n'y a pas de valeur.
+     * @param {number} temp - Dry bulb temperature in Celsius
+     * @param {number} rh - Relative humidity in %
+     * @param {Object} [options]
+     * @param {number} [options.windSpeed=0.5] - Wind speed at 10 m in m/s
+     * @param {number} [options.tr] - Mean radiant temperature in Celsius
+     * @returns {number|null} UTCI in Celsius, null outside -50..50 °C or -30..70 K of radiant excess
+     */
+    static calculateUTCI(temp, rh, { windSpeed = 0.5, tr = temp } = {}) {
+        const deltaTr = tr - temp;
+        if (!(temp >= -50 && temp <= 50 && deltaTr >= -30 && deltaTr <= 70)) return null;
+        const va = Math.min(17, Math.max(0.5, windSpeed));
+        const pa = this.calculateVaporPressure(temp, rh);
+
+        let utci = temp;
+        let i = 0;
+        for (let p = 0; p <= 6; p++) {
+            for (let d = 0; d <= 6 - p; d++) {
+                for (let v = 0; v <= 6 - p - d; v++) {
+                    for (let t = 0; t <= 6 - p - d - v; t++) {
+                        utci += UTCI_COEFFICIENTS[i++] * temp ** t * va ** v * deltaTr ** d * pa ** p;
+                    }
+                }
+            }
+        }
+        return utci;
+    }
+
+    /**
+     * Niveau de contrainte thermique d'un indice : nombre de seuils atteints dans
+     * HEAT_STRESS_THRESHOLDS, de 0 (aucune) à 4.
+     * @param {string} index - 'humidex', 'heatIndex', 'wbgt' or 'utci'
+     * @param {number} value - Index value
+     * @returns {number} Level (0-4)
+     */
+    static getHeatStressLevel(index, value) {
+        return HEAT_STRESS_THRESHOLDS[index].filter((threshold) => value >= threshold).length;
+    }
+
     /**
      * Calculate Mold Risk based on temperature and humidity.
      * @param {number} temp - Temperature in Celsius
@@ -445,6 +1121,94 @@ export class PsychrometricCalculations {
         return Math.min(risk, 6);
     }
 
+    /**
+     * Condensation risk on a surface colder than the air.
+     *
+     * L'air au contact de la surface garde la teneur en eau de la pièce : son humidité
+     * relative y est celle de la pression de vapeur rapportée à la saturation à la
+     * température de surface, et atteint 100 % dès que la surface passe sous le point
+     * de rosée.
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Air relative humidity in %
+     * @param {number} surfaceTemp - Surface temperature in Celsius
+     * @returns {{margin: number, surfaceHumidity: number, status: string}}
+     *   Margin above the dew point (K), relative humidity at the surface (%),
+     *   and 'condensation', 'risk' (margin under CONDENSATION_MARGIN) or 'ok'
+     */
+    static calculateSurfaceCondensation(temp, humidity, surfaceTemp) {
+        const margin = surfaceTemp - this.calculateDewPoint(temp, humidity);
+        const surfaceHumidity = Math.min(100,
+            100 * this.calculateVaporPressure(temp, humidity) / this.calculateSaturationPressure(surfaceTemp));
+        let status = 'ok';
+        if (margin <= 0) status = 'condensation';
+        else if (margin < CONDENSATION_MARGIN) status = 'risk';
+        return { margin, surfaceHumidity, status };
+    }
+
+    /**
+     * Critical relative humidity for mold growth (VTT isopleth, Hukka & Viitanen 1999).
+     *
+     * Polynôme cubique jusqu'à 20 °C, palier à 80 % au-delà. Sous 0 °C aucune
+     * croissance n'est possible : l'isoplèthe est alors renvoyée à 100 %.
+     * @param {number} temp - Temperature in Celsius
+     * @returns {number} Critical relative humidity in %
+     */
+    static calculateCriticalMoldHumidity(temp) {
+        if (temp <= 0) return 100;
+        if (temp > 20) return 80;
+        return -0.00267 * temp ** 3 + 0.160 * temp ** 2 - 3.13 * temp + 100;
+    }
+
+    /**
+     * VTT mold growth index (Hukka & Viitanen 1999) over a regular series of states.
+     *
+     * Essence de référence : pin, bois raboté séché (W = 0, SQ = 0), le cas le plus
+     * sensible du modèle. La croissance n'a lieu qu'au-dessus de l'isoplèthe ; en
+     * dessous, l'indice régresse selon la durée de la période sèche (−0.032 / jour
+     * les 6 premières heures, stable jusqu'à 24 h, −0.016 / jour ensuite).
+     * Échelle 0–6 : 1 croissance microscopique, 3 premières traces visibles,
+     * 6 couverture totale.
+     * @param {Array<{temp: number, humidity: number}|null>} states - States at a fixed step, oldest first; null for a gap
+     * @param {number} [stepHours=1] - Step between states, in hours
+     * @returns {{index: number, hoursAbove: number, trend: number}}
+     *   Final index, hours spent above the isopleth, and index change over the last 24 h
+     */
+    static calculateMoldIndex(states, stepHours = 1) {
+        let index = 0;
+        let hoursAbove = 0;
+        let dryHours = 0;
+        const trail = [];
+
+        for (const state of states) {
+            if (state) {
+                const rh = Math.min(state.humidity, 100);
+                const critical = this.calculateCriticalMoldHumidity(state.temp);
+                if (state.temp > 0 && rh >= critical) {
+                    hoursAbove += stepHours;
+                    dryHours = 0;
+
+                    // Durées (semaines) pour atteindre les indices 1 et 3 à état constant.
+                    const tm = Math.exp(-0.68 * Math.log(state.temp) - 13.9 * Math.log(rh) + 66.02);
+                    const tv = Math.exp(-0.74 * Math.log(state.temp) - 12.72 * Math.log(rh) + 61.50);
+                    const k1 = index < 1 ? 1 : 2 / (tv / tm - 1);
+                    const ratio = critical < 100 ? (critical - rh) / (critical - 100) : 1;
+                    const maxIndex = 1 + 7 * ratio - 2 * ratio ** 2;
+                    const k2 = Math.max(1 - Math.exp(2.3 * (index - maxIndex)), 0);
+                    index += (k1 * k2 / (7 * tm)) * (stepHours / 24);
+                } else {
+                    dryHours += stepHours;
+                    const decline = dryHours <= 6 ? 0.032 : (dryHours <= 24 ? 0 : 0.016);
+                    index = Math.max(0, index - decline * (stepHours / 24));
+                }
+            }
+            // Un trou d'historique fige l'indice : ni croissance ni régression supposées.
+            trail.push(index);
+        }
+
+        const dayBefore = trail[trail.length - 1 - Math.round(24 / stepHours)] ?? 0;
+        return { index: Math.min(index, 6), hoursAbove, trend: index - dayBefore };
+    }
+
     /**
      * Calculate PMV (Predicted Mean Vote) thermal comfort index, per ISO 7730 / Fanger.
      * @param {number} temp - Dry bulb (air) temperature in Celsius
@@ -508,8 +1272,263 @@ export class PsychrometricCalculations {
         return Math.max(-3, Math.min(3, pmv));
     }
 
+    /**
+     * Time-weighted daily means of a sampled signal, one per past calendar day.
+     *
+     * Un capteur ne publie qu'à chaque changement : chaque échantillon vaut jusqu'au
+     * suivant, et une moyenne arithmétique des relevés surpondérerait les heures agitées.
+     * Les jours sont les jours civils locaux, aujourd'hui exclu.
+     * @param {Array<{time: number, value: number}>} samples - Samples sorted by time (ms)
+     * @param {Date} end - Current time; the last sample holds until then
+     * @param {number} days - Number of past days
+     * @returns {Array<number|null>} Means from yesterday backwards, null for a day without data
+     */
+    static timeWeightedDailyMeans(samples, end, days) {
+        const midnight = new Date(end);
+        midnight.setHours(0, 0, 0, 0);
+
+        const means = [];
+        for (let k = 1; k <= days; k++) {
+            // setDate plutôt que k · 24 h : un jour de changement d'heure dure 23 ou 25 h.
+            const dayEnd = new Date(midnight);
+            dayEnd.setDate(dayEnd.getDate() - (k - 1));
+            const dayStart = new Date(midnight);
+            dayStart.setDate(dayStart.getDate() - k);
+
+            let weighted = 0;
+            let duration = 0;
+            samples.forEach((sample, i) => {
+                const from = Math.max(sample.time, dayStart.getTime());
+                const to = Math.min(samples[i + 1]?.time ?? end.getTime(), dayEnd.getTime());
+                if (to > from) {
+                    weighted += sample.value * (to - from);
+                    duration += to - from;
+                }
+            });
+            means.push(duration > 0 ? weighted / duration : null);
+        }
+        return means;
+    }
+
+    /**
+     * Value of a sampled signal at regular instants, from `start` to `end` excluded.
+     *
+     * Même convention que timeWeightedDailyMeans : chaque échantillon vaut jusqu'au
+     * suivant. Avant le premier échantillon, la valeur est inconnue (null).
+     * @param {Array<{time: number, value: number}>} samples - Samples sorted by time (ms)
+     * @param {number} start - First instant (ms)
+     * @param {number} end - End of the range (ms)
+     * @param {number} step - Step (ms)
+     * @returns {Array<number|null>} One value per step
+     */
+    static resampleHistory(samples, start, end, step) {
+        const values = [];
+        let i = -1;
+        for (let time = start; time < end; time += step) {
+            while (i + 1 < samples.length && samples[i + 1].time <= time) i++;
+            values.push(i >= 0 ? samples[i].value : null);
+        }
+        return values;
+    }
+
+    /**
+     * Bin positions of the unit square into a grid of cells, summing their weights.
+     *
+     * Sert à la carte du temps passé : chaque état de l'historique tombe dans une case
+     * du graphique et y ajoute la durée qu'il représente. Les positions hors du carré
+     * (états hors zoom) sont ignorées.
+     * @param {Array<{u: number, v: number}>} positions - Positions in [0, 1) along each axis
+     * @param {number} columns - Number of cells along u
+     * @param {number} rows - Number of cells along v
+     * @param {number} [weight=1] - Weight of each position, e.g. the hours it stands for
+     * @returns {{cells: number[][], max: number}} Totals by row then column, and the largest total
+     */
+    static binPositions(positions, columns, rows, weight = 1) {
+        const cells = Array.from({ length: rows }, () => new Array(columns).fill(0));
+        let max = 0;
+        for (const { u, v } of positions) {
+            if (!(u >= 0 && u < 1 && v >= 0 && v < 1)) continue;
+            const row = cells[Math.floor(v * rows)];
+            const column = Math.floor(u * columns);
+            row[column] += weight;
+            max = Math.max(max, row[column]);
+        }
+        return { cells, max };
+    }
+
+    /**
+     * Integrate action powers sampled at a fixed step into energy and cost.
+     *
+     * Chaque action a son rendement (COP, ou EER en W/W pour le froid) : l'énergie
+     * électrique est l'énergie thermique divisée par ce rendement, 1 par défaut. Le
+     * prix peut suivre l'historique d'un tarif dynamique, pas à pas.
+     * @param {Array<Object<string, number>|null>} powers - Powers in W by action, null for a gap
+     * @param {number} stepHours - Step between samples, in hours
+     * @param {Object<string, number>} [efficiencies={}] - COP / EER by action
+     * @param {Array<number|null>|number|null} [prices=null] - Price per kWh, by step or constant
+     * @returns {{thermal: Object<string, number>, electrical: Object<string, number>, total: number, cost: number|null}}
+     *   Energies in kWh by action, total electrical energy in kWh, and its cost
+     */
+    static integrateEnergy(powers, stepHours, efficiencies = {}, prices = null) {
+        const thermal = {};
+        const electrical = {};
+        let total = 0;
+        let cost = prices === null ? null : 0;
+
+        powers.forEach((sample, i) => {
+            if (!sample) return;
+            const price = Array.isArray(prices) ? prices[i] : prices;
+            for (const [action, power] of Object.entries(sample)) {
+                const efficiency = efficiencies[action] > 0 ? efficiencies[action] : 1;
+                const energy = power * stepHours / 1000;
+                thermal[action] = (thermal[action] ?? 0) + energy;
+                electrical[action] = (electrical[action] ?? 0) + energy / efficiency;
+                total += energy / efficiency;
+                if (cost !== null && Number.isFinite(price)) cost += (energy / efficiency) * price;
+            }
+        });
+        return { thermal, electrical, total, cost };
+    }
+
+    /**
+     * Exponentially weighted running mean of the outdoor temperature (EN 16798-1).
+     *
+     * θrm = (1 − α) · (θed−1 + α · θed−2 + α² · θed−3 + …), normalisée sur les jours
+     * disponibles : un historique incomplet ne tire pas la moyenne vers zéro.
+     * @param {Array<number|null>} dailyMeans - Daily mean temperatures, yesterday first
+     * @param {number} [alpha=0.8] - Decay constant recommended by EN 16798-1
+     * @returns {number|null} Running mean in Celsius, null without any day
+     */
+    static calculateRunningMeanTemperature(dailyMeans, alpha = 0.8) {
+        let weighted = 0;
+        let total = 0;
+        dailyMeans.forEach((mean, k) => {
+            if (!Number.isFinite(mean)) return;
+            const weight = Math.pow(alpha, k);
+            weighted += weight * mean;
+            total += weight;
+        });
+        return total > 0 ? weighted / total : null;
+    }
+
+    /**
+     * Adaptive comfort band for naturally ventilated spaces.
+     *
+     * Les normes portent sur la température opérative ; sans sonde de rayonnement, la
+     * température sèche en tient lieu, ce qui est l'usage en l'absence de parois
+     * froides ou de fort ensoleillement.
+     * @param {number} runningMean - Running mean outdoor temperature in Celsius
+     * @param {string} [standard='en16798'] - Key of ADAPTIVE_COMFORT_STANDARDS
+     * @param {string|number} [category] - Category of the standard, its default when unknown
+     * @returns {{comfortTemp: number, tempMin: number, tempMax: number}} Temperatures in Celsius
+     */
+    static calculateAdaptiveComfort(runningMean, standard = 'en16798', category) {
+        const model = ADAPTIVE_COMFORT_STANDARDS[standard] ?? ADAPTIVE_COMFORT_STANDARDS.en16798;
+        const [below, above] = model.categories[category] ?? model.categories[model.defaultCategory];
+        /**
+         * Comfort temperature for a running mean bounded to a validity range.
+         * @param {number[]} range - [min, max] running mean in Celsius
+         * @returns {number} Comfort temperature in Celsius
+         */
+        const comfortAt = ([min, max]) => model.slope * Math.min(max, Math.max(min, runningMean)) + model.intercept;
+
+        return {
+            comfortTemp: comfortAt(model.upperRange),
+            tempMin: comfortAt(model.lowerRange) + below,
+            tempMax: comfortAt(model.upperRange) + above,
+        };
+    }
+
+    /**
+     * Predicted Percentage of Dissatisfied, per ISO 7730.
+     * @param {number} pmv - PMV index
+     * @returns {number} PPD in %, from 5 (PMV = 0) to 100
+     */
+    static calculatePPD(pmv) {
+        return 100 - 95 * Math.exp(-0.03353 * Math.pow(pmv, 4) - 0.2179 * Math.pow(pmv, 2));
+    }
+
+    /**
+     * Dry bulb temperature at which the PMV reaches a given value.
+     *
+     * Le PMV croît avec la température : une dichotomie sur -10..50 °C suffit. Sans
+     * `tr` fixé, la température radiante suit celle de l'air, comme dans calculatePMV.
+     * @param {number} pmv - Target PMV
+     * @param {number} humidity - Relative humidity in %
+     * @param {Object} [options] - calculatePMV parameters (clo, met, vel, tr)
+     * @returns {number|null} Temperature in Celsius, null when out of the search range
+     */
+    static calculatePMVTemperature(pmv, humidity, options = {}) {
+        let low = -10;
+        let high = 50;
+        if (this.calculatePMV(low, humidity, options) > pmv || this.calculatePMV(high, humidity, options) < pmv) return null;
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if (this.calculatePMV(mid, humidity, options) < pmv) low = mid;
+            else high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Comfort region of the chart where |PMV| stays within a limit (ASHRAE 55).
+     *
+     * Le contour suit la ligne PMV = −limit de l'humidité basse à l'humidité haute,
+     * puis revient par la ligne PMV = +limit : un polygone fermé, prêt à tracer.
+     * @param {Object} [options] - calculatePMV parameters (clo, met, vel, tr)
+     * @param {number} [rhMin=0] - Lower humidity bound in %
+     * @param {number} [rhMax=100] - Upper humidity bound in %
+     * @param {number} [limit=0.5] - PMV limit, 0.5 for ASHRAE 55 / ISO 7730 category B
+     * @returns {Array<{temp: number, rh: number}>|null} Polygon, null when PMV never
+     *   reaches the limits on the search range
+     */
+    static calculatePMVComfortRegion(options = {}, rhMin = 0, rhMax = 100, limit = 0.5) {
+        const cold = [];
+        const warm = [];
+        const steps = 20;
+        for (let i = 0; i <= steps; i++) {
+            const rh = rhMin + (rhMax - rhMin) * (i / steps);
+            const tempMin = this.calculatePMVTemperature(-limit, rh, options);
+            const tempMax = this.calculatePMVTemperature(limit, rh, options);
+            if (tempMin === null || tempMax === null) return null;
+            cold.push({ temp: tempMin, rh });
+            warm.push({ temp: tempMax, rh });
+        }
+        return [...cold, ...warm.reverse()];
+    }
+
+    /**
+     * Slope of a Mollier protractor ray, at 0 °C and dry air.
+     *
+     * Une évolution qui échange Δh/Δx kJ par kg d'eau ajoutée vérifie, près de
+     * l'origine, dh = 1.006 · dT + 2501 · dW : d'où dT = (Δh/Δx − 2501) · dW / 1.006.
+     * @param {number} ratio - Enthalpy-moisture ratio Δh/Δx, in kJ/kg
+     * @returns {number} Temperature change per unit of water content, in K per kg/kg
+     */
+    static calculateProtractorSlope(ratio) {
+        return (ratio - 2501) / 1.006;
+    }
+
+    /**
+     * Relative humidity of the same air brought to another temperature.
+     *
+     * Chauffer ou refroidir sans condenser garde la pression de vapeur : seule la
+     * pression de saturation change. Au-delà de 100 %, l'air refroidi condenserait.
+     * @param {number} temp - Current temperature in Celsius
+     * @param {number} humidity - Current humidity in %
+     * @param {number} targetTemp - Temperature the air is brought to, in Celsius
+     * @returns {number} Relative humidity in %
+     */
+    static calculateRelativeHumidityAt(temp, humidity, targetTemp) {
+        if (targetTemp === temp) return humidity;
+        return humidity * this.calculateSaturationPressure(temp) / this.calculateSaturationPressure(targetTemp);
+    }
+
     /**
      * Calculate ideal setpoint to reach comfort zone with minimal energy.
+     *
+     * L'humidité se juge à la température visée : refroidir un air chaud et sec peut
+     * suffire à remonter son humidité relative dans la zone, sans humidifier.
      * @param {number} temp - Current temperature in Celsius
      * @param {number} humidity - Current humidity in %
      * @param {Object} comfortRange - Comfort range definition
@@ -517,7 +1536,6 @@ export class PsychrometricCalculations {
      */
     static calculateIdealSetpoint(temp, humidity, comfortRange) {
         let idealTemp = temp;
-        let idealHumidity = humidity;
 
         if (temp < comfortRange.tempMin) {
             idealTemp = comfortRange.tempMin;
@@ -525,9 +1543,10 @@ export class PsychrometricCalculations {
             idealTemp = comfortRange.tempMax;
         }
 
-        if (humidity < comfortRange.rhMin) {
+        let idealHumidity = this.calculateRelativeHumidityAt(temp, humidity, idealTemp);
+        if (idealHumidity < comfortRange.rhMin) {
             idealHumidity = comfortRange.rhMin;
-        } else if (humidity > comfortRange.rhMax) {
+        } else if (idealHumidity > comfortRange.rhMax) {
             idealHumidity = comfortRange.rhMax;
         }
 
@@ -546,6 +1565,233 @@ export class PsychrometricCalculations {
         return { temp: idealTemp, humidity: idealHumidity };
     }
 
+    /**
+     * Air state leaving one air-handling process step.
+     *
+     * Les transformations sont posées sur la teneur en eau, où elles sont linéaires
+     * (mélange avec l'air saturé au point de rosée d'appareil pour la batterie froide),
+     * puis l'état de sortie est repassé par `solveState` pour revenir au couple
+     * température / humidité relative qu'utilise tout le reste de la carte.
+     * @param {{temp: number, humidity: number}} state - Entering air (°C, %)
+     * @param {Object} step - Process step
+     * @param {string} step.type - One of PROCESS_TYPES
+     * @param {number} [step.temp] - Leaving dry bulb in Celsius (heating, cooling)
+     * @param {number} [step.adp] - Apparatus dew point in Celsius (cooling_coil)
+     * @param {number} [step.bypassFactor=0.1] - Coil bypass factor, 0-1 (cooling_coil)
+     * @param {number} [step.humidity] - Leaving relative humidity in % (adiabatic, steam)
+     * @param {number} [step.efficiency] - Saturation effectiveness, 0-1 (adiabatic)
+     * @returns {{temp: number, humidity: number}|null} Leaving air, or null when the
+     *   step cannot produce it (missing setting, heating asked to cool the air…)
+     */
+    static calculateProcessStep(state, step) {
+        const { temp, humidity } = state;
+        const W = this.calculateWaterContent(temp, humidity);
+
+        switch (step?.type) {
+            case 'heating':
+            case 'cooling': {
+                if (!Number.isFinite(step.temp)) return null;
+                // Une batterie chaude ne refroidit pas, une froide ne chauffe pas : la
+                // flèche partirait à rebours avec une charge de signe contraire.
+                if (step.type === 'heating' ? step.temp < temp : step.temp > temp) return null;
+                // Refroidi sous son point de rosée, l'air condense : il sort saturé.
+                const Ws = this.calculateWaterContent(step.temp, 100);
+                return this.solveState({ temp: step.temp, waterContent: Math.min(W, Ws) });
+            }
+            case 'cooling_coil': {
+                if (!Number.isFinite(step.adp) || step.adp >= temp) return null;
+                const bf = Math.min(1, Math.max(0, step.bypassFactor ?? 0.1));
+                const W_adp = this.calculateWaterContent(step.adp, 100);
+                // Batterie sèche : si l'air est déjà plus sec que la surface, rien ne condense.
+                return this.solveState({
+                    temp: step.adp + bf * (temp - step.adp),
+                    waterContent: W > W_adp ? W_adp + bf * (W - W_adp) : W,
+                });
+            }
+            case 'adiabatic': {
+                const wetBulb = this.calculateWetBulbTemp(temp, humidity);
+                if (Number.isFinite(step.humidity)) {
+                    if (step.humidity <= humidity) return null;
+                    return this.solveState({ wetBulb, humidity: Math.min(100, step.humidity) });
+                }
+                if (!Number.isFinite(step.efficiency)) return null;
+                const leaving = temp - Math.min(1, Math.max(0, step.efficiency)) * (temp - wetBulb);
+                return this.solveState({
+                    temp: leaving,
+                    waterContent: this.calculateWaterContentFromWetBulb(leaving, wetBulb),
+                });
+            }
+            case 'steam':
+                if (!Number.isFinite(step.humidity) || step.humidity < humidity) return null;
+                return { temp, humidity: Math.min(100, step.humidity) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Sensible, latent and total loads of a process between two air states.
+     *
+     * La part sensible est prise à teneur en eau d'entrée, la latente en est le
+     * complément : leur somme redonne exactement l'écart d'enthalpie. Le facteur de
+     * chaleur sensible n'a pas de sens quand l'enthalpie ne bouge presque pas
+     * (humidification adiabatique) : il vaut alors null plutôt qu'un quotient géant.
+     * @param {{temp: number, humidity: number}} from - Entering air (°C, %)
+     * @param {{temp: number, humidity: number}} to - Leaving air (°C, %)
+     * @param {number} massFlowRate - Dry air mass flow rate in kg/s
+     * @returns {{total: number, sensible: number, latent: number, shr: number|null}}
+     *   Loads in Watts (positive when heat is added to the air), and the sensible heat ratio
+     */
+    static calculateProcessLoads(from, to, massFlowRate) {
+        const W_in = this.calculateWaterContent(from.temp, from.humidity);
+        const W_out = this.calculateWaterContent(to.temp, to.humidity);
+        const total = massFlowRate * (this.calculateEnthalpy(to.temp, W_out) - this.calculateEnthalpy(from.temp, W_in)) * 1000;
+        const sensible = massFlowRate * (1.006 + 1.84 * W_in) * (to.temp - from.temp) * 1000;
+        const latent = total - sensible;
+        const shr = Math.abs(total) > 0.05 * (Math.abs(sensible) + Math.abs(latent)) ? sensible / total : null;
+        return { total, sensible, latent, shr };
+    }
+
+    /**
+     * Whether a value names a Home Assistant entity (`domain.object_id`).
+     * @param {*} value - Raw config value
+     * @returns {boolean}
+     */
+    static isEntityId(value) {
+        return typeof value === 'string' && /^[a-z_]+\.[a-z0-9_]+$/.test(value.trim());
+    }
+
+    /**
+     * Whether a mix `ratio` can be read: a fixed fraction from 0 to 1, or an entity.
+     * @param {*} ratio - Raw `ratio` of a mix
+     * @returns {boolean}
+     */
+    static isMixRatio(ratio) {
+        if (this.isEntityId(ratio)) return true;
+        if (typeof ratio !== 'number' && typeof ratio !== 'string') return false;
+        // Number plutôt que parseFloat : « 0.3abc » ou une chaîne vide ne sont pas des fractions.
+        const value = typeof ratio === 'string' && ratio.trim() === '' ? NaN : Number(ratio);
+        return Number.isFinite(value) && value >= 0 && value <= 1;
+    }
+
+    /**
+     * Adiabatic mixing of two air streams.
+     *
+     * Bilans de masse d'eau et d'enthalpie, pondérés par les débits d'air sec : la
+     * teneur en eau et l'enthalpie du mélange sont les moyennes pondérées de celles des
+     * deux flux, la température s'en déduit. Le mélange de deux airs proches de la
+     * saturation peut tomber au-delà (brouillard) : l'humidité rendue dépasse alors 100 %.
+     * @param {{temp: number, humidity: number}} first - First stream (°C, %)
+     * @param {{temp: number, humidity: number}} second - Second stream (°C, %)
+     * @param {number} fraction - Dry air mass fraction of the second stream, 0-1
+     * @returns {{temp: number, humidity: number}|null} Mixed air
+     */
+    static calculateMixing(first, second, fraction) {
+        const f = Math.min(1, Math.max(0, fraction));
+        const W1 = this.calculateWaterContent(first.temp, first.humidity);
+        const W2 = this.calculateWaterContent(second.temp, second.humidity);
+        const h1 = this.calculateEnthalpy(first.temp, W1);
+        const h2 = this.calculateEnthalpy(second.temp, W2);
+        return this.solveState({
+            waterContent: (1 - f) * W1 + f * W2,
+            enthalpy: (1 - f) * h1 + f * h2,
+        });
+    }
+
+    /**
+     * Effectiveness and recovered power of a heat recovery ventilator (HRV / ERV).
+     *
+     * Rendements côté soufflage (EN 308) : part de l'écart extrait − extérieur rendue
+     * à l'air neuf, en température (sensible), en teneur en eau (latent) et en
+     * enthalpie (total). Un écart trop faible (< 3 K, 0.5 g/kg, 3 kJ/kg) rendrait le
+     * ratio dénué de sens : il vaut alors null. Le rendement côté rejet sert de
+     * contrôle : à débits équilibrés, les deux coïncident.
+     *
+     * Alertes :
+     *   frost            : air rejeté sous 0 °C par temps de gel, les condensats givrent
+     *   bypass           : rendement sensible quasi nul alors qu'il fait froid dehors
+     *                      (sous 12 °C ; l'été, un bypass ouvert est normal)
+     *   lowEffectiveness : rendement sensible sous `minEffectiveness`
+     *   imbalance        : rendements soufflage / rejet écartés de plus de 0.2
+     *                      (débits déséquilibrés ou sonde défaillante)
+     * @param {Object} streams - { outdoor, supply, extract, exhaust }, each { temp, humidity }
+     * @param {number} massFlowRate - Supply dry air mass flow rate, in kg/s
+     * @param {Object} [options]
+     * @param {number} [options.minEffectiveness=0.5] - Sensible effectiveness below which to alert
+     * @returns {{sensible: number|null, latent: number|null, total: number|null, exhaustSensible: number|null, loads: Object, alerts: string[]}}
+     *   Effectiveness ratios (0-1), recovered loads (calculateProcessLoads, outdoor → supply), alerts
+     */
+    static calculateHeatRecovery({ outdoor, supply, extract, exhaust }, massFlowRate, { minEffectiveness = 0.5 } = {}) {
+        const W = (state) => this.calculateWaterContent(state.temp, state.humidity);
+        const h = (state) => this.calculateEnthalpy(state.temp, W(state));
+        const ratio = (num, den, min) => (Math.abs(den) >= min ? num / den : null);
+
+        const deltaT = extract.temp - outdoor.temp;
+        const sensible = ratio(supply.temp - outdoor.temp, deltaT, 3);
+        const exhaustSensible = ratio(extract.temp - exhaust.temp, deltaT, 3);
+        const latent = ratio(W(supply) - W(outdoor), W(extract) - W(outdoor), 0.0005);
+        const total = ratio(h(supply) - h(outdoor), h(extract) - h(outdoor), 3);
+
+        const alerts = [];
+        if (outdoor.temp < 0 && exhaust.temp <= 0) alerts.push('frost');
+        if (sensible !== null && deltaT > 0 && outdoor.temp < 12 && sensible < 0.15) {
+            alerts.push('bypass');
+        } else if (sensible !== null && sensible < minEffectiveness) {
+            alerts.push('lowEffectiveness');
+        }
+        if (sensible !== null && exhaustSensible !== null && Math.abs(sensible - exhaustSensible) > 0.2) {
+            alerts.push('imbalance');
+        }
+
+        return {
+            sensible, latent, total, exhaustSensible,
+            loads: this.calculateProcessLoads(outdoor, supply, massFlowRate),
+            alerts,
+        };
+    }
+
+    /**
+     * Whether bringing in outdoor air moves an indoor state toward the comfort range.
+     *
+     * Chaque écart à la zone de confort est un besoin : assécher, humidifier,
+     * rafraîchir, réchauffer. L'air extérieur assèche s'il contient moins d'eau, et ne
+     * rafraîchit que s'il est à la fois plus froid et moins enthalpique — un air frais
+     * mais saturé apporterait plus de chaleur latente qu'il n'ôte de chaleur sensible.
+     * Aérer n'est conseillé que si tous les besoins vont dans le bon sens.
+     * @param {{temp: number, humidity: number}} indoor - Indoor state (°C, %)
+     * @param {{temp: number, humidity: number}} outdoor - Outdoor state (°C, %)
+     * @param {{tempMin: number, tempMax: number, rhMin: number, rhMax: number}} comfortRange - Comfort range in Celsius
+     * @returns {{recommendation: string, reasons: string[], deltaW: number, deltaH: number, deltaT: number}}
+     *   'ventilate', 'keepClosed' or 'notNeeded'; needs outdoor air meets; outdoor minus
+     *   indoor humidity ratio (kg/kg), enthalpy (kJ/kg) and temperature (K)
+     */
+    static calculateVentilationAdvice(indoor, outdoor, comfortRange) {
+        const indoorW = this.calculateWaterContent(indoor.temp, indoor.humidity);
+        const outdoorW = this.calculateWaterContent(outdoor.temp, outdoor.humidity);
+        const deltaW = outdoorW - indoorW;
+        const deltaH = this.calculateEnthalpy(outdoor.temp, outdoorW) - this.calculateEnthalpy(indoor.temp, indoorW);
+        const deltaT = outdoor.temp - indoor.temp;
+
+        const needs = {
+            drying: indoor.humidity > comfortRange.rhMax,
+            humidifying: indoor.humidity < comfortRange.rhMin,
+            cooling: indoor.temp > comfortRange.tempMax,
+            heating: indoor.temp < comfortRange.tempMin,
+        };
+        const helps = {
+            drying: deltaW < 0,
+            humidifying: deltaW > 0,
+            cooling: deltaT < 0 && deltaH < 0,
+            heating: deltaT > 0,
+        };
+        const wanted = Object.keys(needs).filter(need => needs[need]);
+        const reasons = wanted.filter(need => helps[need]);
+
+        let recommendation = 'notNeeded';
+        if (wanted.length) recommendation = reasons.length === wanted.length ? 'ventilate' : 'keepClosed';
+        return { recommendation, reasons, deltaW, deltaH, deltaT };
+    }
+
     /**
      * Calculate heating power required.
      * @param {number} temp - Current temperature
@@ -571,19 +1817,85 @@ export class PsychrometricCalculations {
 
     /**
      * Calculate power required for humidification/dehumidification.
+     *
+     * Comme pour le débit d'eau, l'humidité visée se lit à la température visée quand
+     * l'air est aussi chauffé ou refroidi. Le signe est celui de l'écart de teneur en
+     * eau : refroidir un air sec peut suffire à remonter son humidité relative, et
+     * l'humidification demandée devient alors négative.
      * @param {number} temp - Current temperature
      * @param {number} humidity - Current humidity
      * @param {number} targetHumidity - Target humidity
      * @param {number} massFlowRate - Air mass flow rate
-     * @returns {number} Power in Watts
+     * @param {number} [targetTemp=temp] - Target temperature
+     * @returns {number} Power in Watts, positive to humidify, negative to dehumidify
      */
-    static calculateHumidityPower(temp, humidity, targetHumidity, massFlowRate) {
+    static calculateHumidityPower(temp, humidity, targetHumidity, massFlowRate, targetTemp = temp) {
         const W_actual = this.calculateWaterContent(temp, humidity);
-        const W_target = this.calculateWaterContent(temp, targetHumidity);
+        const W_target = this.calculateWaterContent(targetTemp, targetHumidity);
 
         const deltaW = W_target - W_actual;
         const latentHeat = 2501;
 
-        return Math.abs(deltaW * massFlowRate * latentHeat * 1000);
+        return deltaW * massFlowRate * latentHeat * 1000;
+    }
+
+    /**
+     * Water rate needed to bring the air to a target humidity.
+     *
+     * L'humidité relative visée se lit à la température visée : 50 % à 20 °C ne porte
+     * pas la même teneur en eau que 50 % à 26 °C.
+     * @param {number} temp - Current temperature
+     * @param {number} humidity - Current humidity
+     * @param {number} targetHumidity - Target humidity
+     * @param {number} massFlowRate - Dry air mass flow rate, in kg/s
+     * @param {number} [targetTemp=temp] - Target temperature
+     * @returns {number} Water rate in kg/h, positive to add (humidify), negative to remove
+     */
+    static calculateWaterRate(temp, humidity, targetHumidity, massFlowRate, targetTemp = temp) {
+        const deltaW = this.calculateWaterContent(targetTemp, targetHumidity) - this.calculateWaterContent(temp, humidity);
+        return deltaW * massFlowRate * 3600;
+    }
+
+    /**
+     * Dry air mass flow renewed in a room by its air changes.
+     *
+     * Le volume d'air se convertit en masse d'air sec par le volume spécifique, qui est
+     * justement rapporté au kilogramme d'air sec.
+     * @param {number} volume - Room volume, in m³
+     * @param {number} airChangesPerHour - Air changes per hour
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number} Dry air mass flow rate, in kg/s
+     */
+    static calculateRoomMassFlow(volume, airChangesPerHour, temp, humidity) {
+        return this.calculateAirflowMassFlow(volume * airChangesPerHour, temp, humidity);
+    }
+
+    /**
+     * Dry air mass flow carried by a volumetric airflow.
+     *
+     * Un même débit volumique transporte moins d'air sec quand l'air est chaud et
+     * humide : le volume spécifique de l'état mesuré fait la conversion.
+     * @param {number} airflow - Volumetric airflow, in m³/h
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number} Dry air mass flow rate, in kg/s
+     */
+    static calculateAirflowMassFlow(airflow, temp, humidity) {
+        return (airflow / 3600) / this.calculateSpecificVolume(temp, humidity);
+    }
+
+    /**
+     * Water held in excess (or missing) in the air of a room compared to a target humidity.
+     * @param {number} volume - Room volume, in m³
+     * @param {number} temp - Air temperature in Celsius
+     * @param {number} humidity - Current humidity
+     * @param {number} targetHumidity - Target humidity
+     * @param {number} [targetTemp=temp] - Target temperature
+     * @returns {number} Water in kg, positive to add, negative to remove
+     */
+    static calculateRoomWater(volume, temp, humidity, targetHumidity, targetTemp = temp) {
+        const dryAir = volume / this.calculateSpecificVolume(temp, humidity);
+        return dryAir * (this.calculateWaterContent(targetTemp, targetHumidity) - this.calculateWaterContent(temp, humidity));
     }
 }
@@ -0,0 +1,173 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PsychrometricCalculations as P } from '../src/psychrometric-helpers.js';
+
+/**
+ * Parties pures de la carte : calculs d'un point, projections et historiques, sans
+ * navigateur. Le rendu du canvas et l'éditeur restent à vérifier dans Home Assistant.
+ * La carte s'enregistre sur `window` au chargement, d'où l'import après le shim.
+ */
+globalThis.window ??= globalThis;
+await import('../src/psychrometric-chart-advanced.js');
+const Card = customElements.get('psychrometric-chart-enhanced');
+
+/**
+ * Compare deux nombres à une tolérance donnée.
+ * @param {number} actual - Valeur calculée
+ * @param {number} expected - Valeur de référence
+ * @param {number} tolerance - Écart absolu toléré
+ * @param {string} message - Message en cas d'échec
+ */
+const near = (actual, expected, tolerance, message) => {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message}\n  attendu ${expected} ± ${tolerance}\n  obtenu  ${actual}`
+    );
+};
+
+/**
+ * Carte configurée sur des capteurs fictifs, points calculés comme au premier rendu.
+ * @param {Object} config - Configuration de la carte, points décrits par `[temp, humidity]`
+ * @param {Object} [hass] - Propriétés ajoutées à l'objet hass (callApi…)
+ * @returns {HTMLElement} Carte prête à l'emploi
+ */
+const createCard = ({ points, ...config }, hass = {}) => {
+    const card = new Card();
+    const states = {};
+    card.setConfig({
+        language: 'fr',
+        ...config,
+        points: points.map(([temp, humidity], i) => {
+            states[`sensor.t${i}`] = { state: String(temp), attributes: { unit_of_measurement: '°C' } };
+            states[`sensor.h${i}`] = { state: String(humidity), attributes: { unit_of_measurement: '%' } };
+            return { label: `P${i}`, temp: `sensor.t${i}`, humidity: `sensor.h${i}` };
+        }),
+    });
+    card.hass = { language: 'fr', config: {}, states, ...hass };
+    card.willUpdate(new Map([['hass', undefined], ['config', undefined]]));
+    return card;
+};
+
+const comfortRange = { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+
+test('transition : charges vers la consigne idéale, de même signe que les actions', () => {
+    const card = createCard({ massFlowRate: 0.5, comfortRange, points: [[30, 80], [15, 30], [30, 35], [23, 50]] });
+    const [hot, cold, dry, inside] = card._currentPoints;
+
+    const expected = P.calculateProcessLoads({ temp: 30, humidity: 80 }, hot.idealSetpoint, 0.5);
+    near(hot.transition.total, expected.total, 1e-9, 'écart d’enthalpie jusqu’à la consigne');
+    near(hot.transition.sensible + hot.transition.latent, hot.transition.total, 1e-9, 'sensible + latente = totale');
+    assert.ok(hot.transition.latent < 0 && hot.dehumidificationPower > 0, 'déshumidifier retire de la chaleur latente');
+    assert.ok(cold.transition.latent > 0 && cold.humidificationPower > 0, 'humidifier en apporte');
+
+    // Refroidir 30 °C 35 % suffit à remonter son humidité : ni eau, ni part latente.
+    near(dry.transition.latent, 0, 1e-6, 'pas de part latente');
+    assert.equal(dry.humidificationPower, 0);
+    assert.equal(dry.waterRate, 0);
+    assert.equal(inside.transition, null, 'un point confortable n’a pas de transition');
+});
+
+test('transition : la barre répartit les parts sensible et latente', () => {
+    const card = createCard({ massFlowRate: 0.5, comfortRange, points: [[30, 80]] });
+    const { transition } = card._currentPoints[0];
+    // Les largeurs sont les seuls nombres du gabarit : les charges y sont déjà formatées.
+    const widths = card._renderTransition(transition, {}).values.filter(value => typeof value === 'number');
+    assert.equal(widths.length, 2);
+    near(widths[0] + widths[1], 100, 1e-9, 'les deux parts remplissent la barre');
+    near(widths[1] / widths[0], Math.abs(transition.latent / transition.sensible), 1e-9, 'au prorata des charges');
+});
+
+/**
+ * Installe un canvas fictif de 800 × 600 pixels CSS, affiché à l'échelle 1.
+ * @param {HTMLElement} card - Carte à équiper
+ */
+const attachCanvas = (card) => {
+    const canvas = { style: {}, getBoundingClientRect: () => ({ left: 0, top: 0, width: 800, height: 600 }) };
+    Object.defineProperty(card, 'shadowRoot', { value: { getElementById: () => canvas } });
+};
+
+test('_stateAt décrit l’air sous le pointeur', () => {
+    const card = createCard({ points: [[22, 50]] });
+    attachCanvas(card);
+    const x = card.tempToX(22);
+    const y = card.humidityToY(22, 50);
+    const state = card._stateAt({ clientX: x, clientY: y });
+    near(state.temp, 22, 1e-9, 'température');
+    near(state.humidity, 50, 1e-9, 'humidité relative');
+    near(state.waterContent, P.calculateWaterContent(22, 50), 1e-12, 'teneur en eau');
+    near(state.enthalpy, P.calculateEnthalpy(22, state.waterContent), 1e-9, 'enthalpie');
+    near(state.dewPoint, P.calculateDewPoint(22, 50), 1e-9, 'point de rosée');
+
+    const bounds = card._calculateChartBounds();
+    assert.equal(card._stateAt({ clientX: card.tempToX(bounds.minTemp) - 5, clientY: y }), null, 'hors du cadre');
+    assert.equal(card._stateAt({ clientX: x, clientY: Math.max(60, card.humidityToY(22, 100) - 20) }), null, 'au-delà de la saturation');
+});
+
+test('_unproject inverse _project, diagramme classique et Mollier', () => {
+    for (const chartType of ['psychrometric', 'mollier']) {
+        const card = createCard({ chartType, points: [[22, 50]] });
+        for (const [temp, humidity] of [[22, 50], [5, 90], [35, 20]]) {
+            const { x, y } = card._project(temp, humidity);
+            const state = card._unproject(x, y);
+            near(state.temp, temp, 1e-9, `${chartType} : température ${temp}`);
+            near(state.humidity, humidity, 1e-9, `${chartType} : humidité ${humidity}`);
+        }
+    }
+});
+
+test('_unproject inverse _project sur l’axe de teneur en eau', () => {
+    const card = createCard({ yAxis: 'humidityRatio', points: [[22, 50]] });
+    for (const [temp, humidity] of [[22, 50], [5, 90], [35, 20]]) {
+        const { x, y } = card._project(temp, humidity);
+        const state = card._unproject(x, y);
+        near(state.temp, temp, 1e-9, `température ${temp}`);
+        near(state.humidity, humidity, 1e-9, `humidité ${humidity}`);
+    }
+    // L'ordonnée est linéaire en teneur en eau, pas en pression de vapeur.
+    const dry = card._project(22, 20).y;
+    const wet = card._project(22, 90).y;
+    const middle = P.solveState({ temp: 22, waterContent: (P.calculateWaterContent(22, 20) + P.calculateWaterContent(22, 90)) / 2 });
+    near(card._project(22, middle.humidity).y, (dry + wet) / 2, 1e-6, 'teneur en eau moyenne à mi-hauteur');
+});
+
+test('traces : températures et humidités appariées au même pas', async () => {
+    const minute = 60 * 1000;
+    const requests = [];
+    /**
+     * Historique au format minimal_response : seul le premier état porte l'entity_id.
+     * @param {string} entityId - Entité
+     * @param {Array<[number, number]>} changes - Couples (minutes après le début, valeur)
+     * @param {number} start - Début de la fenêtre demandée (ms)
+     */
+    const history = (entityId, changes, start) => changes.map(([offset, value], i) => ({
+        ...(i === 0 ? { entity_id: entityId } : {}),
+        state: String(value),
+        last_changed: new Date(start + offset * minute).toISOString(),
+    }));
+    const callApi = async (method, url) => {
+        requests.push(url);
+        const start = Date.parse(decodeURIComponent(url.match(/period\/([^?]+)/)[1]));
+        return [
+            history('sensor.t0', [[-5, 20], [25, 22]], start),
+            // L'humidité ne commence qu'au bout d'un quart d'heure : les premiers pas n'ont pas d'état.
+            history('sensor.h0', [[15, 50], [35, 60]], start),
+        ];
+    };
+    // Le premier rendu lance la requête ; on attend sa réponse.
+    const card = createCard({ showTrails: true, trailHours: 1, trailStep: 10, points: [[22, 60]] }, { callApi });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.equal(requests.length, 1);
+    assert.deepEqual(card._trails['sensor.t0|sensor.h0'], [
+        null,
+        null,
+        { temp: 20, humidity: 50 },
+        { temp: 22, humidity: 50 },
+        { temp: 22, humidity: 60 },
+        { temp: 22, humidity: 60 },
+    ]);
+
+    // Une requête au plus par pas pour une même configuration.
+    await card._refreshTrailHistory();
+    assert.equal(requests.length, 1);
+});
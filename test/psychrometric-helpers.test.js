@@ -1,13 +1,16 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { PsychrometricCalculations as P, LINE_STYLES, DEFAULT_LINE_STYLES } from '../src/psychrometric-helpers.js';
+import {
+    PsychrometricCalculations as P, LINE_STYLES, DEFAULT_LINE_STYLES, SATURATION_FORMULAS, STATE_PROPERTIES, PROCESS_TYPES,
+    ADAPTIVE_COMFORT_STANDARDS, HEAT_STRESS_THRESHOLDS, CONDENSATION_MARGIN, ENERGY_PERIODS, UNIT_SYSTEMS, AIRFLOW_UNITS,
+} from '../src/psychrometric-helpers.js';
 
 /**
  * Les valeurs de référence proviennent de tables psychrométriques standard
  * (air à pression atmosphérique, 101.325 kPa).
- * Toute formule ajoutée à PsychrometricCalculations doit être couverte ici :
- * c'est la seule vérification automatisée du projet, la carte elle-même ne
- * pouvant être testée qu'à la main dans Home Assistant.
+ * Toute formule ajoutée à PsychrometricCalculations doit être couverte ici ; les
+ * parties pures de la carte le sont dans psychrometric-chart-advanced.test.js, son
+ * rendu ne pouvant être vérifié qu'à la main dans Home Assistant.
  */
 
 /**
@@ -82,6 +85,16 @@ test('calculateSpecificVolume rend des m³/kg, pas des milliers', () => {
     }
 });
 
+test('calculateWaterContentFromSpecificVolume inverse calculateSpecificVolume', () => {
+    for (const [t, rh] of [[-10, 50], [0, 80], [20, 50], [35, 70]]) {
+        const W = P.calculateWaterContent(t, rh);
+        near(P.calculateWaterContentFromSpecificVolume(t, P.calculateSpecificVolume(t, rh)), W, 1e-9,
+            `teneur en eau retrouvée à ${t} °C / ${rh} %`);
+    }
+    // Sous le volume de l'air sec, aucune teneur en eau ne convient.
+    assert.ok(P.calculateWaterContentFromSpecificVolume(25, P.calculateSpecificVolume(25, 0) - 0.01) < 0);
+});
+
 test('calculateAbsoluteHumidity', () => {
     near(P.calculateAbsoluteHumidity(25, 50), 11.5, 0.3, 'humidité absolue 25 °C / 50 %');
     near(P.calculateAbsoluteHumidity(20, 100), 17.3, 0.4, 'humidité absolue à saturation, 20 °C');
@@ -163,6 +176,44 @@ test('calculatePMV reste borné à -3..+3 et accepte ses paramètres', () => {
     );
 });
 
+test('calculatePPD suit ISO 7730', () => {
+    near(P.calculatePPD(0), 5, 1e-9, 'au mieux 5 % d’insatisfaits');
+    near(P.calculatePPD(0.5), 10.2, 0.1, 'PMV ±0.5 : 10 %');
+    near(P.calculatePPD(-0.5), P.calculatePPD(0.5), 1e-9, 'symétrique');
+    near(P.calculatePPD(3), 99.1, 0.1, 'PMV 3');
+});
+
+test('seasonalClothing suit les saisons, inversées au sud', () => {
+    assert.equal(P.seasonalClothing(new Date(2026, 0, 15)), 1.0, 'janvier');
+    assert.equal(P.seasonalClothing(new Date(2026, 6, 15)), 0.5, 'juillet');
+    assert.equal(P.seasonalClothing(new Date(2026, 3, 15)), 0.7, 'avril, mi-saison');
+    assert.equal(P.seasonalClothing(new Date(2026, 0, 15), true), 0.5, 'janvier austral');
+    assert.equal(P.seasonalClothing(new Date(2026, 9, 15), true), 0.7, 'octobre austral');
+});
+
+test('toMetersPerSecond convertit les unités des anémomètres', () => {
+    near(P.toMetersPerSecond(3.6, 'km/h'), 1, 1e-9, 'km/h');
+    near(P.toMetersPerSecond(1, 'mph'), 0.44704, 1e-9, 'mph');
+    assert.equal(P.toMetersPerSecond(0.2, 'm/s'), 0.2);
+    assert.equal(P.toMetersPerSecond(0.2), 0.2, 'sans unité : m/s');
+});
+
+test('calculatePMVComfortRegion borne exactement |PMV| ≤ 0.5', () => {
+    const options = { clo: 0.5, met: 1.1, vel: 0.1 };
+    const region = P.calculatePMVComfortRegion(options, 30, 70);
+    assert.equal(region.length, 42, '21 humidités, aller par le bord froid, retour par le chaud');
+    for (const { temp, rh } of region) {
+        near(Math.abs(P.calculatePMV(temp, rh, options)), 0.5, 1e-6, `contour à ${rh.toFixed(0)} %`);
+    }
+    near(region[0].rh, 30, 1e-9, 'bord froid depuis l’humidité basse');
+    near(region[region.length - 1].rh, 30, 1e-9, 'refermé par le bord chaud');
+    // Zone d'été ASHRAE 55 à 0.5 clo : environ 24.5 à 27.5 °C à 50 %.
+    const cold = P.calculatePMVTemperature(-0.5, 50, options);
+    const warm = P.calculatePMVTemperature(0.5, 50, options);
+    assert.ok(cold > 23.5 && cold < 25.5 && warm > 26.5 && warm < 28.5, `${cold} – ${warm}`);
+    assert.equal(P.calculatePMVTemperature(4, 50, options), null, 'PMV hors d’atteinte');
+});
+
 test('calculateWaterContentFromWetBulb rend exactement Ws à saturation', () => {
     // Identité algébrique : à t = tw, la formule ASHRAE doit se réduire à Ws(tw).
     // C'est le test fort de la ligne iso-temp-humide utilisée par le tracé.
@@ -194,6 +245,168 @@ test('waterContentToVaporPressure inverse calculateWaterContent', () => {
     }
 });
 
+test('pressureFromAltitude suit la table ASHRAE de l’atmosphère normale', () => {
+    near(P.pressureFromAltitude(0), 101.325, 1e-9, 'niveau de la mer');
+    near(P.pressureFromAltitude(1000), 89.875, 0.01, '1000 m');
+    near(P.pressureFromAltitude(1500), 84.556, 0.01, '1500 m');
+    assert.ok(P.pressureFromAltitude(-400) > 101.325, 'sous le niveau de la mer, la pression augmente');
+});
+
+test('toKilopascals convertit les unités des baromètres', () => {
+    near(P.toKilopascals(1013.25, 'hPa'), 101.325, 1e-9, 'hPa');
+    near(P.toKilopascals(1013.25, 'mbar'), 101.325, 1e-9, 'mbar');
+    near(P.toKilopascals(101325, 'Pa'), 101.325, 1e-9, 'Pa');
+    near(P.toKilopascals(29.92, 'inHg'), 101.32, 0.01, 'inHg');
+    near(P.toKilopascals(14.696, 'psi'), 101.325, 0.01, 'psi');
+    near(P.toKilopascals(95, 'kPa'), 95, 1e-9, 'kPa');
+    // Sans unité, l'ordre de grandeur tranche : ~100 kPa contre ~1000 hPa.
+    near(P.toKilopascals(1013), 101.3, 1e-9, 'hPa deviné');
+    near(P.toKilopascals(91.2), 91.2, 1e-9, 'kPa deviné');
+});
+
+test('withConditions applique la pression du site à toutes les formules', () => {
+    const site = P.withConditions({ pressure: P.pressureFromAltitude(1500) });
+    assert.equal(P.ATMOSPHERIC_PRESSURE, 101.325, 'la classe de base reste au niveau de la mer');
+    near(site.ATMOSPHERIC_PRESSURE, 84.556, 0.01, 'pression liée');
+
+    // W = 0.622·Pv / (P − Pv) : à Pv égale, une pression plus basse donne plus d'eau.
+    const pv = P.calculateVaporPressure(25, 50);
+    near(site.calculateWaterContent(25, 50), 0.622 * pv / (site.ATMOSPHERIC_PRESSURE - pv), 1e-12, 'teneur en eau à 1500 m');
+    near(site.calculateVaporPressure(25, 50), pv, 1e-12, 'la pression de vapeur ne dépend pas de l’altitude');
+
+    // L'air est moins dense en altitude : v varie comme 1/P pour de l'air sec.
+    near(
+        site.calculateSpecificVolume(20, 0) * site.ATMOSPHERIC_PRESSURE,
+        P.calculateSpecificVolume(20, 0) * P.ATMOSPHERIC_PRESSURE,
+        1e-9,
+        'volume spécifique inversement proportionnel à la pression'
+    );
+
+    // L'évaporation est plus facile en altitude : la temp. humide y est plus basse.
+    assert.ok(site.calculateWetBulbTemp(25, 50) < P.calculateWetBulbTemp(25, 50), 'temp. humide à 1500 m');
+    for (const [t, rh] of [[10, 50], [25, 50], [35, 30]]) {
+        const tw = site.calculateWetBulbTemp(t, rh);
+        const W = site.calculateWaterContentFromWetBulb(t, tw);
+        near(site.waterContentToVaporPressure(W), site.calculateVaporPressure(t, rh), 1e-6, `aller-retour à ${t} °C / ${rh} %`);
+    }
+});
+
+test('withConditions sans pression exploitable rend la classe inchangée', () => {
+    assert.equal(P.withConditions(), P);
+    assert.equal(P.withConditions({ pressure: NaN }), P);
+    assert.equal(P.withConditions({ pressure: 0 }), P);
+});
+
+test('Hyland-Wexler suit les tables ASHRAE 2017, glace comprise', () => {
+    const hw = P.withConditions({ saturation: 'hyland_wexler' });
+    near(hw.calculateSaturationPressure(-20), 0.10326, 0.0001, 'Psat glace à -20 °C');
+    near(hw.calculateSaturationPressure(-10), 0.25991, 0.0001, 'Psat glace à -10 °C');
+    near(hw.calculateSaturationPressure(0), 0.61121, 0.0002, 'Psat eau à 0 °C');
+    near(hw.calculateSaturationPressure(20), 2.3389, 0.001, 'Psat eau à 20 °C');
+    near(hw.calculateSaturationPressure(25), 3.1699, 0.002, 'Psat eau à 25 °C');
+});
+
+test('les formulations « glace » passent sous la saturation au-dessus de l’eau en négatif', () => {
+    const water = P.calculateSaturationPressure(-10);
+    for (const saturation of ['magnus_ice', 'hyland_wexler']) {
+        const calc = P.withConditions({ saturation });
+        near(calc.calculateSaturationPressure(-10), 0.2599, 0.001, `${saturation} à -10 °C`);
+        assert.ok(calc.calculateSaturationPressure(-10) < water, `${saturation} : la glace sature plus tôt que l’eau`);
+        // Les deux branches se rejoignent au point triple : pas de saut sur la courbe tracée.
+        near(calc.calculateSaturationPressure(-1e-6), calc.calculateSaturationPressure(0), 0.001, `${saturation} continue à 0 °C`);
+        near(calc.calculateSaturationPressure(20), P.calculateSaturationPressure(20), 0.002, `${saturation} inchangée au-dessus de 0 °C`);
+    }
+    assert.equal(P.saturatesOverIce(-10), false, 'Magnus reste au-dessus de l’eau');
+});
+
+test('calculateDewPoint rend le point de givre avec une formulation « glace »', () => {
+    for (const saturation of SATURATION_FORMULAS) {
+        const calc = P.withConditions({ saturation });
+        for (const [t, rh] of [[-5, 80], [-15, 60], [2, 70], [25, 50]]) {
+            const dp = calc.calculateDewPoint(t, rh);
+            near(
+                calc.calculateSaturationPressure(dp),
+                calc.calculateVaporPressure(t, rh),
+                1e-9,
+                `${saturation} : l’air sature à son point de rosée/givre (${t} °C / ${rh} %)`
+            );
+        }
+    }
+    // À pression de vapeur égale, le givre se forme avant la rosée.
+    const pv = 0.3;
+    const frost = P.withConditions({ saturation: 'hyland_wexler' }).calculateSaturationTemperature(pv);
+    assert.ok(frost < 0 && frost > P.calculateSaturationTemperature(pv), 'point de givre au-dessus du point de rosée');
+});
+
+test('calculateWetBulbTemp reste cohérente sous 0 °C avec un bulbe givré', () => {
+    const calc = P.withConditions({ saturation: 'hyland_wexler' });
+    for (const [t, rh] of [[-10, 50], [-5, 80], [-2, 30], [0, 60]]) {
+        const tw = calc.calculateWetBulbTemp(t, rh);
+        assert.ok(tw <= t + 1e-6 && tw >= calc.calculateDewPoint(t, rh) - 1e-6, `temp. humide encadrée à ${t} °C / ${rh} %`);
+        const W = calc.calculateWaterContentFromWetBulb(t, tw);
+        near(calc.waterContentToVaporPressure(W), calc.calculateVaporPressure(t, rh), 1e-6, `aller-retour à ${t} °C / ${rh} %`);
+    }
+});
+
+test('withConditions combine pression et formulation', () => {
+    const calc = P.withConditions({ pressure: 90 }).withConditions({ saturation: 'magnus_ice' });
+    assert.equal(calc.ATMOSPHERIC_PRESSURE, 90, 'la pression est conservée');
+    assert.equal(calc.SATURATION_FORMULA, 'magnus_ice', 'la formulation est appliquée');
+    assert.equal(P.withConditions({ saturation: 'inconnue' }), P, 'une formulation inconnue est ignorée');
+});
+
+/**
+ * Toutes les grandeurs d'état d'un air donné, calculées par les formules directes.
+ * @param {Object} calc - Classe de calcul
+ * @param {number} t - Température sèche
+ * @param {number} rh - Humidité relative
+ * @returns {Object} Grandeurs indexées comme STATE_PROPERTIES
+ */
+const stateOf = (calc, t, rh) => {
+    const W = calc.calculateWaterContent(t, rh);
+    return {
+        temp: t,
+        humidity: rh,
+        dewPoint: calc.calculateDewPoint(t, rh),
+        wetBulb: calc.calculateWetBulbTemp(t, rh),
+        waterContent: W,
+        enthalpy: calc.calculateEnthalpy(t, W),
+        absoluteHumidity: calc.calculateAbsoluteHumidity(t, rh),
+    };
+};
+
+test('solveState retrouve l’état depuis n’importe quelle paire indépendante', () => {
+    for (const calc of [P, P.withConditions({ pressure: 90, saturation: 'hyland_wexler' })]) {
+        for (const [t, rh] of [[25, 50], [10, 80], [32, 30], [-5, 70]]) {
+            const state = stateOf(calc, t, rh);
+            for (const [i, a] of STATE_PROPERTIES.entries()) {
+                for (const b of STATE_PROPERTIES.slice(i + 1)) {
+                    if ((a === 'dewPoint' && b === 'waterContent') || (a === 'wetBulb' && b === 'enthalpy')) continue;
+                    const solved = calc.solveState({ [a]: state[a], [b]: state[b] });
+                    assert.ok(solved, `${a} + ${b} à ${t} °C / ${rh} % sans solution`);
+                    near(solved.temp, t, 0.01, `${a} + ${b} : temp. sèche à ${t} °C / ${rh} %`);
+                    near(solved.humidity, rh, 0.05, `${a} + ${b} : humidité à ${t} °C / ${rh} %`);
+                }
+            }
+        }
+    }
+});
+
+test('solveState refuse ce qui ne définit pas un état', () => {
+    const state = stateOf(P, 25, 50);
+    assert.equal(P.solveState({ temp: 25 }), null, 'une seule grandeur');
+    assert.equal(P.solveState({}), null, 'aucune grandeur');
+    assert.equal(P.solveState({ temp: 25, humidity: NaN }), null, 'capteur indisponible');
+    assert.equal(P.solveState({ dewPoint: state.dewPoint, waterContent: state.waterContent }), null, 'rosée et teneur en eau');
+    assert.equal(P.solveState({ wetBulb: state.wetBulb, enthalpy: state.enthalpy }), null, 'temp. humide et enthalpie');
+});
+
+test('solveState privilégie la température sèche quand plus de deux grandeurs sont connues', () => {
+    // Une temp. humide incohérente ne doit pas l'emporter sur le couple mesuré.
+    const solved = P.solveState({ temp: 22, humidity: 45, wetBulb: 5 });
+    assert.deepEqual(solved, { temp: 22, humidity: 45 });
+});
+
 test('conversions de température', () => {
     near(P.celsiusToFahrenheit(0), 32, 1e-9, '0 °C');
     near(P.celsiusToFahrenheit(100), 212, 1e-9, '100 °C');
@@ -222,6 +435,22 @@ test('calculateIdealSetpoint ramène dans la zone de confort', () => {
         && inside.humidity >= range.rhMin && inside.humidity <= range.rhMax,
         'un point déjà confortable doit rester dans la zone'
     );
+
+    // 30 °C 35 % : refroidi à 26 °C, l'air remonte à ~44 %, déjà dans la zone.
+    const cooled = P.calculateIdealSetpoint(30, 35, range);
+    assert.equal(cooled.temp, 26);
+    near(cooled.humidity, P.calculateRelativeHumidityAt(30, 35, 26), 1e-12, 'humidité inchangée en teneur en eau');
+    assert.ok(cooled.humidity > 40 && cooled.humidity < 50);
+    // 15 °C 70 % : réchauffé à 20 °C, l'air retombe sous 60 % sans déshumidifier.
+    const warmed = P.calculateIdealSetpoint(15, 70, range);
+    assert.equal(warmed.temp, 20);
+    assert.ok(warmed.humidity < 60);
+});
+
+test('calculateRelativeHumidityAt garde la teneur en eau', () => {
+    assert.equal(P.calculateRelativeHumidityAt(22, 50, 22), 50);
+    near(P.calculateWaterContent(26, P.calculateRelativeHumidityAt(30, 35, 26)), P.calculateWaterContent(30, 35), 1e-9);
+    assert.ok(P.calculateRelativeHumidityAt(20, 50, 10) > 90, 'refroidi, l’air approche la saturation');
 });
 
 test('puissances de traitement d’air', () => {
@@ -231,6 +460,405 @@ test('puissances de traitement d’air', () => {
     assert.equal(P.calculateHeatingPower(20, 20, 0.5), 0, 'aucun écart, aucune puissance');
     assert.equal(P.calculateHumidityPower(22, 50, 50, 0.5), 0, 'aucun écart d’humidité, aucune puissance');
     assert.ok(P.calculateHumidityPower(22, 30, 50, 0.5) > 0, 'humidifier demande de la puissance');
+    assert.ok(P.calculateHumidityPower(22, 70, 50, 0.5) < 0, 'déshumidifier donne une puissance négative');
+});
+
+test('calculateHumidityPower lit l’humidité visée à la température visée', () => {
+    // 15 °C 30 % → 22 °C 40 % : chauffer et humidifier à la fois.
+    const deltaW = P.calculateWaterContent(22, 40) - P.calculateWaterContent(15, 30);
+    near(P.calculateHumidityPower(15, 30, 40, 0.5, 22), deltaW * 0.5 * 2501 * 1000, 1e-6);
+    assert.ok(P.calculateHumidityPower(15, 30, 40, 0.5, 22) > P.calculateHumidityPower(15, 30, 40, 0.5), 'l’air réchauffé demande plus d’eau');
+    // Chauffage et humidification redonnent, à quelques pour cent près, l'écart d'enthalpie.
+    const loads = P.calculateProcessLoads({ temp: 15, humidity: 30 }, { temp: 22, humidity: 40 }, 0.5);
+    near(P.calculateHeatingPower(15, 22, 0.5) + P.calculateHumidityPower(15, 30, 40, 0.5, 22), loads.total, loads.total * 0.02);
+    near(P.calculateHumidityPower(15, 30, 40, 0.5, 22), loads.latent, loads.latent * 0.05);
+    // Refroidir et déshumidifier : 30 °C 70 % → 26 °C 60 %.
+    const dry = P.calculateWaterContent(26, 60) - P.calculateWaterContent(30, 70);
+    near(P.calculateHumidityPower(30, 70, 60, 0.5, 26), dry * 0.5 * 2501 * 1000, 1e-6);
+    assert.ok(P.calculateHumidityPower(30, 70, 60, 0.5, 26) < 0);
+    // 30 °C 35 % refroidi à 26 °C remonte à ~44 % : viser 40 % à 26 °C demanderait de
+    // retirer de l'eau, pas d'en ajouter, bien que 35 % soit sous la borne.
+    assert.ok(P.calculateHumidityPower(30, 35, 40, 0.5, 26) < 0, 'signe contraire à l’humidification');
+    const range = { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+    const target = P.calculateIdealSetpoint(30, 35, range);
+    near(P.calculateHumidityPower(30, 35, target.humidity, 0.5, target.temp), 0, 1e-6, 'refroidir suffit');
+});
+
+test('calculateProcessStep : échanges sensibles à teneur en eau constante', () => {
+    const entering = { temp: 30, humidity: 50 };
+    const W = P.calculateWaterContent(30, 50);
+    const heated = P.calculateProcessStep(entering, { type: 'heating', temp: 40 });
+    near(heated.temp, 40, 1e-9, 'température de sortie');
+    near(P.calculateWaterContent(heated.temp, heated.humidity), W, 1e-9, 'teneur en eau inchangée');
+
+    // 30 °C / 50 % a son point de rosée vers 18.4 °C : refroidi à 15 °C, l'air condense.
+    const cooled = P.calculateProcessStep(entering, { type: 'cooling', temp: 15 });
+    near(cooled.humidity, 100, 1e-6, 'sous le point de rosée, l’air sort saturé');
+    assert.equal(P.calculateProcessStep(entering, { type: 'heating' }), null, 'sans consigne, pas d’état');
+    assert.equal(P.calculateProcessStep(entering, { type: 'heating', temp: 15 }), null, 'le chauffage ne refroidit pas');
+    assert.equal(P.calculateProcessStep(entering, { type: 'cooling', temp: 40 }), null, 'le refroidissement ne chauffe pas');
+});
+
+test('calculateProcessStep : batterie froide, point de rosée d’appareil et bypass', () => {
+    const entering = { temp: 30, humidity: 50 };
+    const W_in = P.calculateWaterContent(30, 50);
+    const W_adp = P.calculateWaterContent(10, 100);
+    const leaving = P.calculateProcessStep(entering, { type: 'cooling_coil', adp: 10, bypassFactor: 0.15 });
+    near(leaving.temp, 13, 1e-9, 't = ADP + BF · (t_in − ADP)');
+    near(P.calculateWaterContent(leaving.temp, leaving.humidity), W_adp + 0.15 * (W_in - W_adp), 1e-9, 'W mélangé de même');
+
+    // Air plus sec que la surface de la batterie : rien ne condense.
+    const dry = P.calculateProcessStep({ temp: 30, humidity: 20 }, { type: 'cooling_coil', adp: 10 });
+    near(P.calculateWaterContent(dry.temp, dry.humidity), P.calculateWaterContent(30, 20), 1e-9, 'batterie sèche');
+    assert.equal(P.calculateProcessStep(entering, { type: 'cooling_coil', adp: 35 }), null, 'ADP au-dessus de l’air entrant');
+});
+
+test('calculateProcessStep : humidifications adiabatique et vapeur', () => {
+    const entering = { temp: 30, humidity: 30 };
+    const wetBulb = P.calculateWetBulbTemp(30, 30);
+    const adiabatic = P.calculateProcessStep(entering, { type: 'adiabatic', humidity: 70 });
+    near(adiabatic.humidity, 70, 1e-6, 'humidité visée');
+    near(P.calculateWetBulbTemp(adiabatic.temp, adiabatic.humidity), wetBulb, 0.01, 'le long de la temp. humide');
+    const effective = P.calculateProcessStep(entering, { type: 'adiabatic', efficiency: 0.8 });
+    near(effective.temp, 30 - 0.8 * (30 - wetBulb), 1e-9, 'efficacité de saturation');
+
+    assert.deepEqual(P.calculateProcessStep(entering, { type: 'steam', humidity: 50 }), { temp: 30, humidity: 50 });
+    assert.equal(P.calculateProcessStep(entering, { type: 'steam', humidity: 20 }), null, 'la vapeur n’assèche pas');
+    assert.equal(P.calculateProcessStep(entering, { type: 'adiabatic', humidity: 20 }), null);
+    assert.equal(P.calculateProcessStep(entering, { type: 'drying' }), null, 'type inconnu');
+    for (const type of PROCESS_TYPES) {
+        assert.equal(P.calculateProcessStep(entering, { type }), null, `${type} sans réglage`);
+    }
+});
+
+test('calculateProcessLoads répartit l’écart d’enthalpie en sensible et latent', () => {
+    const from = { temp: 30, humidity: 50 };
+    const heated = P.calculateProcessLoads(from, P.calculateProcessStep(from, { type: 'heating', temp: 40 }), 1);
+    near(heated.latent, 0, 1e-6, 'chauffage : aucune charge latente');
+    near(heated.shr, 1, 1e-9, 'FCS de 1');
+
+    const coil = P.calculateProcessStep(from, { type: 'cooling_coil', adp: 10, bypassFactor: 0.15 });
+    const loads = P.calculateProcessLoads(from, coil, 0.5);
+    const dh = P.calculateEnthalpy(coil.temp, P.calculateWaterContent(coil.temp, coil.humidity)) - P.calculateEnthalpy(30, P.calculateWaterContent(30, 50));
+    near(loads.total, 0.5 * dh * 1000, 1e-6, 'total = débit · Δh');
+    near(loads.sensible + loads.latent, loads.total, 1e-6, 'sensible + latent = total');
+    assert.ok(loads.sensible < 0 && loads.latent < 0, 'la batterie retire chaleur et eau');
+    assert.ok(loads.shr > 0 && loads.shr < 1, 'FCS entre 0 et 1');
+
+    const adiabatic = P.calculateProcessStep({ temp: 30, humidity: 30 }, { type: 'adiabatic', humidity: 70 });
+    assert.equal(P.calculateProcessLoads({ temp: 30, humidity: 30 }, adiabatic, 1).shr, null, 'pas de FCS à enthalpie constante');
+});
+
+test('calculateMixing équilibre enthalpie et teneur en eau', () => {
+    const inside = { temp: 24, humidity: 50 };
+    const outside = { temp: -5, humidity: 80 };
+    const mixed = P.calculateMixing(inside, outside, 0.3);
+    const W = t => P.calculateWaterContent(t.temp, t.humidity);
+    const h = t => P.calculateEnthalpy(t.temp, W(t));
+    near(W(mixed), 0.7 * W(inside) + 0.3 * W(outside), 1e-9, 'bilan de masse d’eau');
+    near(h(mixed), 0.7 * h(inside) + 0.3 * h(outside), 1e-6, 'bilan d’enthalpie');
+    // La chaleur massique varie peu avec W : la température est presque la moyenne pondérée.
+    near(mixed.temp, 0.7 * 24 + 0.3 * -5, 0.2, 'température du mélange');
+
+    near(P.calculateMixing(inside, outside, 0).temp, 24, 1e-6, 'sans second flux, l’air du premier');
+    near(P.calculateMixing(inside, outside, 1.5).temp, -5, 1e-6, 'fraction bornée à 1');
+    assert.ok(P.calculateMixing({ temp: 30, humidity: 95 }, { temp: 0, humidity: 100 }, 0.5).humidity > 100,
+        'deux airs presque saturés peuvent donner du brouillard');
+});
+
+test('isMixRatio accepte une fraction ou une entité, et rien d’autre', () => {
+    for (const ratio of [0, 0.3, 1, '0.25', 'sensor.registre_air_neuf']) {
+        assert.ok(P.isMixRatio(ratio), `${ratio} refusé`);
+    }
+    for (const ratio of [undefined, null, '', 'moitié', '0.3abc', 1.5, -0.1, NaN, true, {}]) {
+        assert.ok(!P.isMixRatio(ratio), `${ratio} accepté`);
+    }
+});
+
+test('timeWeightedDailyMeans pondère chaque relevé par sa durée', () => {
+    const end = new Date();
+    const midnight = new Date(end);
+    midnight.setHours(0, 0, 0, 0);
+    const yesterday = new Date(midnight);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const hour = 60 * 60 * 1000;
+
+    // 10 °C depuis avant-hier, puis 20 °C à partir de 6 h hier : 6 h à 10, 18 h à 20.
+    const samples = [
+        { time: yesterday.getTime() - hour, value: 10 },
+        { time: yesterday.getTime() + 6 * hour, value: 20 },
+    ];
+    const [yesterdayMean, dayBefore, empty] = P.timeWeightedDailyMeans(samples, end, 3);
+    near(yesterdayMean, 17.5, 1e-9, 'moyenne pondérée d’hier');
+    near(dayBefore, 10, 1e-9, 'la dernière heure d’avant-hier');
+    assert.equal(empty, null, 'jour sans donnée');
+});
+
+test('calculateRunningMeanTemperature suit la pondération exponentielle d’EN 16798-1', () => {
+    near(P.calculateRunningMeanTemperature([15, 15, 15, 15, 15, 15, 15]), 15, 1e-9, 'température constante');
+    // Poids 1, 0.8, 0.64 : la veille compte le plus.
+    near(P.calculateRunningMeanTemperature([20, 10, 10]), (20 + 8 + 6.4) / 2.44, 1e-9, 'pondération');
+    near(P.calculateRunningMeanTemperature([20, null, 10]), (20 + 6.4) / 1.64, 1e-9, 'jour manquant ignoré');
+    assert.equal(P.calculateRunningMeanTemperature([]), null, 'sans historique');
+});
+
+test('calculateAdaptiveComfort suit EN 16798-1 et ASHRAE 55', () => {
+    // EN 16798-1 : θc = 0.33 θrm + 18.8, catégorie II de −4 à +3 K.
+    const en = P.calculateAdaptiveComfort(20, 'en16798', 'II');
+    near(en.comfortTemp, 25.4, 1e-9, 'température de confort');
+    near(en.tempMin, 21.4, 1e-9, 'borne basse cat. II');
+    near(en.tempMax, 28.4, 1e-9, 'borne haute cat. II');
+    // Borne basse définie à partir de θrm = 15, borne haute de 10 : au-delà, bornées.
+    const cold = P.calculateAdaptiveComfort(5, 'en16798', 'I');
+    near(cold.tempMin, 0.33 * 15 + 18.8 - 3, 1e-9, 'borne basse gelée sous 15 °C');
+    near(cold.tempMax, 0.33 * 10 + 18.8 + 2, 1e-9, 'borne haute gelée sous 10 °C');
+
+    // ASHRAE 55 : tc = 0.31 t + 17.8, ±3.5 K pour 80 % d'acceptabilité.
+    const ashrae = P.calculateAdaptiveComfort(20, 'ashrae55', 80);
+    near(ashrae.tempMin, 20.5, 1e-9, 'borne basse 80 %');
+    near(ashrae.tempMax, 27.5, 1e-9, 'borne haute 80 %');
+
+    assert.deepEqual(P.calculateAdaptiveComfort(20, 'en16798', 'IV'), en, 'catégorie inconnue : celle par défaut');
+    for (const model of Object.values(ADAPTIVE_COMFORT_STANDARDS)) {
+        assert.ok(model.categories[model.defaultCategory], 'la catégorie par défaut existe');
+    }
+});
+
+test('calculateHumidex : exemple d\'Environnement Canada (30 °C, rosée 15 °C)', () => {
+    const rh = 100 * P.calculateSaturationPressure(15) / P.calculateSaturationPressure(30);
+    near(P.calculateHumidex(30, rh), 34, 0.3);
+    // Sous 10 hPa de vapeur, l'humidex passe sous la température sèche.
+    assert.ok(P.calculateHumidex(20, 30) < 20);
+});
+
+test('calculateHeatIndex : tables du NWS', () => {
+    near(P.celsiusToFahrenheit(P.calculateHeatIndex(P.fahrenheitToCelsius(90), 50)), 95, 1);
+    near(P.celsiusToFahrenheit(P.calculateHeatIndex(P.fahrenheitToCelsius(100), 40)), 109, 1);
+    near(P.celsiusToFahrenheit(P.calculateHeatIndex(P.fahrenheitToCelsius(86), 90)), 105, 1);
+    // Par temps frais, la formule simple reste proche de la température sèche.
+    near(P.calculateHeatIndex(20, 50), 20, 1);
+});
+
+test('calculateWBGT : pondération bulbe humide / globe', () => {
+    const tw = P.calculateWetBulbTemp(30, 60);
+    near(P.calculateWBGT(30, 60), 0.7 * tw + 0.3 * 30, 1e-9);
+    near(P.calculateWBGT(30, 60, { tr: 40 }), 0.7 * tw + 12, 1e-9);
+    // tr explicitement absent : retour à la température de l'air.
+    near(P.calculateWBGT(30, 60, { tr: undefined }), P.calculateWBGT(30, 60), 1e-9);
+});
+
+test('calculateUTCI suit le polynôme de référence', () => {
+    // Valeur de référence de pythermalcomfort (Ta = Tmrt = 25 °C, 1 m/s, 50 %).
+    near(P.calculateUTCI(25, 50, { windSpeed: 1, tr: 25 }), 24.6, 0.1, 'UTCI de référence');
+    // Environnement de référence (vent 0.5 m/s, Tmrt = Ta, 50 %) : l'UTCI y vaut Ta, au
+    // résidu de l'approximation près.
+    for (const temp of [-20, 0, 10, 20]) {
+        near(P.calculateUTCI(temp, 50), temp, 1, `référence à ${temp} °C`);
+    }
+    assert.ok(P.calculateUTCI(30, 50, { tr: 50 }) > P.calculateUTCI(30, 50), 'le rayonnement réchauffe');
+    assert.ok(P.calculateUTCI(30, 50, { windSpeed: 5 }) < P.calculateUTCI(30, 50), 'le vent rafraîchit');
+    near(P.calculateUTCI(30, 50, { windSpeed: 0 }), P.calculateUTCI(30, 50, { windSpeed: 0.5 }), 1e-9, 'vent ramené à 0.5 m/s');
+    assert.equal(P.calculateUTCI(55, 50), null, 'hors domaine en température');
+    assert.equal(P.calculateUTCI(20, 50, { tr: 100 }), null, 'hors domaine en rayonnement');
+});
+
+test('getHeatStressLevel : nombre de seuils atteints', () => {
+    for (const [index, thresholds] of Object.entries(HEAT_STRESS_THRESHOLDS)) {
+        assert.equal(thresholds.length, 4);
+        assert.equal(P.getHeatStressLevel(index, thresholds[0] - 0.1), 0);
+        assert.equal(P.getHeatStressLevel(index, thresholds[0]), 1);
+        assert.equal(P.getHeatStressLevel(index, thresholds[3] + 10), 4);
+    }
+});
+
+test('calculateWaterRate / calculateRoomMassFlow / calculateRoomWater', () => {
+    // 0.5 kg/s d'air sec, ΔW de 20 °C 70 % → 50 % : environ 2.9 g/kg, soit ~5.3 kg/h.
+    const deltaW = P.calculateWaterContent(20, 50) - P.calculateWaterContent(20, 70);
+    near(P.calculateWaterRate(20, 70, 50, 0.5), deltaW * 1800, 1e-12);
+    assert.ok(P.calculateWaterRate(20, 70, 50, 0.5) < 0);
+    assert.ok(P.calculateWaterRate(20, 30, 40, 0.5) > 0);
+    // Cohérent avec la puissance latente : Q = ṁ · ΔW · 2501 kJ/kg.
+    near(P.calculateWaterRate(20, 70, 50, 0.5) / 3600 * 2501 * 1000, P.calculateHumidityPower(20, 70, 50, 0.5), 1e-6);
+
+    const v = P.calculateSpecificVolume(20, 50);
+    near(P.calculateRoomMassFlow(100, 0.5, 20, 50), 50 / 3600 / v, 1e-12);
+    near(P.calculateRoomWater(100, 20, 70, 50), (100 / P.calculateSpecificVolume(20, 70)) * deltaW, 1e-12);
+
+    // Viser 40 % à 22 °C depuis 15 °C 30 % : la cible se lit à 22 °C, pas à 15 °C.
+    const heatedDeltaW = P.calculateWaterContent(22, 40) - P.calculateWaterContent(15, 30);
+    near(P.calculateWaterRate(15, 30, 40, 0.5, 22), heatedDeltaW * 1800, 1e-12);
+    assert.ok(P.calculateWaterRate(15, 30, 40, 0.5, 22) > P.calculateWaterRate(15, 30, 40, 0.5), 'plus d’eau pour un air réchauffé');
+    near(P.calculateRoomWater(100, 15, 30, 40, 22), (100 / P.calculateSpecificVolume(15, 30)) * heatedDeltaW, 1e-12);
+
+    // Débit d'eau et consigne idéale partagent la même cible : à 30 °C 35 %, refroidir
+    // suffit, et la consigne ne demande ni d'ajouter ni de retirer d'eau.
+    const range = { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+    const target = P.calculateIdealSetpoint(30, 35, range);
+    near(P.calculateWaterRate(30, 35, target.humidity, 0.5, target.temp), 0, 1e-9);
+    // À 15 °C 30 %, l'humidification reste positive une fois l'air réchauffé.
+    const heatedTarget = P.calculateIdealSetpoint(15, 30, range);
+    assert.ok(P.calculateWaterRate(15, 30, heatedTarget.humidity, 0.5, heatedTarget.temp) > 0);
+});
+
+test('toCubicMetersPerHour / calculateAirflowMassFlow', () => {
+    near(P.toCubicMetersPerHour(100, 'CFM'), 169.9, 0.1, '100 CFM');
+    near(P.toCubicMetersPerHour(100, 'ft³/min'), 169.9, 0.1, 'unité HA des CFM');
+    near(P.toCubicMetersPerHour(10, 'L/s'), 36, 1e-9);
+    near(P.toCubicMetersPerHour(250, undefined), 250, 1e-9, 'm³/h par défaut');
+    // Chaque unité proposée pour une constante est reconnue par le convertisseur.
+    assert.deepEqual(AIRFLOW_UNITS.map(unit => +P.toCubicMetersPerHour(1, unit).toFixed(3)), [1, 1.699, 3.6]);
+    // 1000 m³/h : moins d'air sec quand l'air est chaud et humide.
+    near(P.calculateAirflowMassFlow(1000, 0, 50), 0.358, 0.002);
+    near(P.calculateAirflowMassFlow(1000, 30, 70), 0.314, 0.002);
+    near(P.calculateRoomMassFlow(100, 0.5, 20, 50), P.calculateAirflowMassFlow(50, 20, 50), 1e-12);
+});
+
+test('binPositions cumule les poids par case et ignore le hors-cadre', () => {
+    const { cells, max } = P.binPositions([
+        { u: 0.1, v: 0.1 }, { u: 0.2, v: 0.2 }, { u: 0.9, v: 0.6 }, { u: 1, v: 0.5 }, { u: -0.1, v: 0.5 }, { u: NaN, v: 0 },
+    ], 2, 2, 0.25);
+    assert.deepEqual(cells, [[0.5, 0], [0, 0.25]]);
+    assert.equal(max, 0.5);
+    assert.equal(P.binPositions([], 3, 1).max, 0);
+});
+
+test('integrateEnergy : énergie thermique, électrique et coût', () => {
+    const powers = [{ heating: 1000, cooling: 0 }, null, { heating: 500, cooling: 300 }];
+    const result = P.integrateEnergy(powers, 0.5, { heating: 2.5, cooling: 3 }, [0.2, 0.2, 0.4]);
+    near(result.thermal.heating, 0.75, 1e-12);
+    near(result.electrical.heating, 0.3, 1e-12);
+    near(result.electrical.cooling, 0.05, 1e-12);
+    near(result.total, 0.35, 1e-12);
+    // Chaque pas est facturé à son prix : 0.2 kWh à 0.2, puis 0.15 kWh à 0.4.
+    near(result.cost, 0.2 * 0.2 + 0.15 * 0.4, 1e-12);
+
+    // Rendement absent ou invalide : 1 ; sans prix, pas de coût.
+    const plain = P.integrateEnergy([{ heating: 2000 }], 1, { heating: 0 });
+    near(plain.total, 2, 1e-12);
+    assert.equal(plain.cost, null);
+    near(P.integrateEnergy([{ heating: 2000 }], 1, {}, 0.25).cost, 0.5, 1e-12);
+    assert.deepEqual(Object.keys(ENERGY_PERIODS), ['day', 'week', 'month']);
+});
+
+test('calculateHeatRecovery : rendements, puissance et alertes', () => {
+    const outdoor = { temp: 0, humidity: 80 };
+    const extract = { temp: 20, humidity: 50 };
+    // Échangeur sensible à 80 % : soufflage à 16 °C, même teneur en eau que l'air neuf.
+    const supplyW = P.calculateWaterContent(0, 80);
+    const supply = P.solveState({ temp: 16, waterContent: supplyW });
+    const exhaust = { temp: 4, humidity: 95 };
+    const result = P.calculateHeatRecovery({ outdoor, supply, extract, exhaust }, 0.1);
+    near(result.sensible, 0.8, 1e-9);
+    near(result.exhaustSensible, 0.8, 1e-9);
+    near(result.latent, 0, 1e-9);
+    assert.ok(result.total > 0 && result.total < result.sensible);
+    near(result.loads.total, P.calculateProcessLoads(outdoor, supply, 0.1).total, 1e-9);
+    assert.ok(result.loads.total > 1500);
+    assert.deepEqual(result.alerts, []);
+
+    // Soufflage à la température extérieure en hiver : bypass resté ouvert.
+    const bypass = P.calculateHeatRecovery({ outdoor, supply: outdoor, extract, exhaust: extract }, 0.1);
+    assert.deepEqual(bypass.alerts, ['bypass']);
+    // Rejet givrant, rendement dégradé, et rendements incohérents entre les deux flux.
+    const frozen = P.calculateHeatRecovery(
+        { outdoor: { temp: -10, humidity: 80 }, supply: { temp: 2, humidity: 30 }, extract, exhaust: { temp: -2, humidity: 100 } }, 0.1);
+    assert.deepEqual(frozen.alerts, ['frost', 'lowEffectiveness', 'imbalance']);
+    // Écart extrait − extérieur trop faible : pas de rendement.
+    assert.equal(P.calculateHeatRecovery({ outdoor: extract, supply: extract, extract, exhaust: extract }, 0.1).sensible, null);
+});
+
+test('calculateVentilationAdvice : aérer seulement si tous les besoins sont servis', () => {
+    const range = { tempMin: 20, tempMax: 26, rhMin: 40, rhMax: 60 };
+    // Intérieur humide, extérieur frais et sec : aérer assèche.
+    const drying = P.calculateVentilationAdvice({ temp: 22, humidity: 75 }, { temp: 12, humidity: 60 }, range);
+    assert.equal(drying.recommendation, 'ventilate');
+    assert.deepEqual(drying.reasons, ['drying']);
+    assert.ok(drying.deltaW < 0 && drying.deltaH < 0 && drying.deltaT < 0);
+
+    // Extérieur plus chargé en eau : garder fermé.
+    assert.equal(P.calculateVentilationAdvice({ temp: 22, humidity: 70 }, { temp: 25, humidity: 80 }, range).recommendation, 'keepClosed');
+    // Trop chaud : un air plus froid mais plus enthalpique ne rafraîchit pas.
+    assert.equal(P.calculateVentilationAdvice({ temp: 28, humidity: 50 }, { temp: 27, humidity: 95 }, range).recommendation, 'keepClosed');
+    assert.equal(P.calculateVentilationAdvice({ temp: 28, humidity: 50 }, { temp: 18, humidity: 60 }, range).recommendation, 'ventilate');
+    // Dans la zone : rien à faire.
+    assert.equal(P.calculateVentilationAdvice({ temp: 22, humidity: 50 }, { temp: 5, humidity: 80 }, range).recommendation, 'notNeeded');
+});
+
+test('calculateSurfaceCondensation : marge au point de rosée', () => {
+    const dewPoint = P.calculateDewPoint(20, 50);
+    const dry = P.calculateSurfaceCondensation(20, 50, dewPoint + CONDENSATION_MARGIN + 1);
+    assert.equal(dry.status, 'ok');
+    near(dry.margin, CONDENSATION_MARGIN + 1, 1e-9);
+    assert.ok(dry.surfaceHumidity > 50 && dry.surfaceHumidity < 100);
+
+    assert.equal(P.calculateSurfaceCondensation(20, 50, dewPoint + 1).status, 'risk');
+    // Au point de rosée, l'air au contact de la surface est saturé.
+    near(P.calculateSurfaceCondensation(20, 50, dewPoint + 1e-6).surfaceHumidity, 100, 0.01);
+    const wet = P.calculateSurfaceCondensation(20, 50, dewPoint - 2);
+    assert.equal(wet.status, 'condensation');
+    assert.equal(wet.surfaceHumidity, 100);
+    // Surface à température de l'air : même humidité relative.
+    near(P.calculateSurfaceCondensation(20, 50, 20).surfaceHumidity, 50, 1e-9);
+});
+
+test('calculateCriticalMoldHumidity : isoplèthe VTT', () => {
+    assert.equal(P.calculateCriticalMoldHumidity(-5), 100);
+    near(P.calculateCriticalMoldHumidity(20), 80, 0.1);
+    near(P.calculateCriticalMoldHumidity(10), 82, 0.1);
+    assert.equal(P.calculateCriticalMoldHumidity(30), 80);
+});
+
+test('calculateMoldIndex : croissance, régression et heures au-dessus de l\'isoplèthe', () => {
+    // Pin à 20 °C et 97 % : premières traces microscopiques (M = 1) en un peu plus de 10 jours.
+    const wet = Array(24 * 14).fill({ temp: 20, humidity: 97 });
+    const grown = P.calculateMoldIndex(wet);
+    assert.ok(grown.index > 1 && grown.index < 2);
+    assert.equal(grown.hoursAbove, 24 * 14);
+    assert.ok(grown.trend > 0);
+
+    // Air sec : aucune croissance.
+    assert.deepEqual(P.calculateMoldIndex(Array(48).fill({ temp: 20, humidity: 50 })), { index: 0, hoursAbove: 0, trend: 0 });
+
+    // 48 h sèches : −0.032/j pendant 6 h, palier jusqu'à 24 h, puis −0.016/j.
+    const dried = P.calculateMoldIndex([...wet, ...Array(48).fill({ temp: 20, humidity: 50 })]);
+    near(grown.index - dried.index, 0.008 + 0.016, 1e-9);
+    near(dried.trend, -0.016, 1e-9);
+
+    // Un trou d'historique fige l'indice.
+    near(P.calculateMoldIndex([...wet, ...Array(48).fill(null)]).index, grown.index, 1e-12);
+});
+
+test('calculateProtractorSlope : rayons du rapporteur du Mollier', () => {
+    near(P.calculateProtractorSlope(2501), 0, 1e-12, 'vapeur à 0 °C : isotherme');
+    assert.ok(P.calculateProtractorSlope(0) < 0, 'humidification adiabatique : l’air refroidit');
+    assert.ok(P.calculateProtractorSlope(10000) > 0);
+    // Le long du rayon, l'enthalpie varie bien de Δh/Δx par kg d'eau.
+    for (const ratio of [-2000, 0, 1000, 4000]) {
+        const dW = 1e-5;
+        const dT = P.calculateProtractorSlope(ratio) * dW;
+        near((P.calculateEnthalpy(dT, dW) - P.calculateEnthalpy(0, 0)) / dW, ratio, 0.5, `Δh/Δx = ${ratio}`);
+    }
+});
+
+test('resampleHistory : valeur en vigueur à chaque pas', () => {
+    const samples = [{ time: 10, value: 1 }, { time: 25, value: 2 }];
+    assert.deepEqual(P.resampleHistory(samples, 0, 40, 10), [null, 1, 1, 2]);
+});
+
+test('convertUnit : SI, impérial et mixte', () => {
+    // 24 °C, 50 % : 47.7 kJ/kg en SI, 28.2 Btu/lb sur le diagramme ASHRAE impérial (75.2 °F).
+    near(P.convertUnit('enthalpy', 47.7, 'ip').value, 28.2, 0.05, 'origine à 0 °F');
+    near(P.convertUnit('enthalpy', 10, 'ip', true).value, 4.30, 0.01, 'un écart ignore l\'origine');
+    near(P.convertUnit('humidityRatio', 10, 'ip').value, 70, 1e-9, '10 g/kg = 70 gr/lb');
+    near(P.convertUnit('specificVolume', 0.85, 'ip').value, 13.62, 0.01, 'ft³/lb');
+    near(P.convertUnit('pressure', 3.386, 'ip').value, 1, 0.001, '1 inHg');
+    near(P.convertUnit('power', 1000, 'ip').value, 3412, 1, 'Btu/h');
+    assert.deepEqual(P.convertUnit('enthalpy', 47.7), { value: 47.7, unit: 'kJ/kg' });
+    // Le système mixte : l'air en impérial, puissances et eau en SI.
+    assert.equal(P.convertUnit('enthalpy', 47.7, 'mixed').unit, 'Btu/lb');
+    assert.equal(P.convertUnit('power', 1000, 'mixed').unit, 'W');
+    assert.equal(P.convertUnit('waterRate', 1, 'mixed').unit, 'kg/h');
+    assert.deepEqual(UNIT_SYSTEMS, ['si', 'ip', 'mixed']);
 });
 
 test('utilitaires couleur : analyse', () => {
@@ -319,6 +947,16 @@ test('niceScale encadre toujours les données', () => {
     }
 });
 
+test('zoomInterval garde l’ancre en place', () => {
+    assert.deepEqual(P.zoomInterval(-10, 50, 20, 0.5), { min: 5, max: 35 });
+    assert.deepEqual(P.zoomInterval(0, 10, 0, 2), { min: 0, max: 20 });
+    // L'ancre garde la même position relative dans l'intervalle, zoom avant ou arrière.
+    for (const factor of [0.8, 1.25]) {
+        const { min, max } = P.zoomInterval(10, 30, 14, factor);
+        assert.ok(Math.abs((14 - min) / (max - min) - 0.2) < 1e-12);
+    }
+});
+
 test('generateColorFromHash est déterministe et rend un hex exploitable', () => {
     const color = P.generateColorFromHash('sensor.salon_temp_sensor.salon_hum');
     assert.equal(color, P.generateColorFromHash('sensor.salon_temp_sensor.salon_hum'), 'déterminisme');